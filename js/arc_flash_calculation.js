@@ -6,6 +6,9 @@
 
 /**
  * IEEE 1584-2018 Constants and Configuration
+ * Model coefficients are given at the 600 V, 2700 V and 14300 V test voltages (Tables 1-5); other
+ * open-circuit voltages interpolate between them (clause 4.9), and up to 600 V the 600 V model is
+ * scaled to the system voltage.
  */
 const IEEE_1584_2018 = {
     // Voltage range applicability
@@ -13,6 +16,17 @@ const IEEE_1584_2018 = {
         min: 208,
         max: 15000
     },
+    // Bolted fault current (kA) and electrode gap (mm) ranges of the model, up to and above 600 V
+    currentRange: {
+        low: { min: 0.5, max: 106 },
+        medium: { min: 0.2, max: 65 }
+    },
+    gapRange: {
+        low: { min: 6.35, max: 76.2 },
+        medium: { min: 19.05, max: 254 }
+    },
+    minWorkingDistance: 305, // mm
+    testVoltages: [600, 2700, 14300],
     // Equipment types and configurations
     equipmentTypes: {
         VCB: { name: 'Vertical Conductors in a Box', typical: true },
@@ -21,97 +35,281 @@ const IEEE_1584_2018 = {
         VOA: { name: 'Vertical Conductors Open Air', typical: false },
         HOA: { name: 'Horizontal Conductors Open Air', typical: false }
     },
-    // Electrode configuration factors
-    electrodeConfig: {
-        VCB: { k1: -0.792, k2: 0 },
-        VCBB: { k1: -0.555, k2: 0 },
-        HCB: { k1: -0.723, k2: 0 },
-        VOA: { k1: -0.113, k2: 0 },
-        HOA: { k1: 0.022, k2: 0 }
-    }
+    // Table 1: arcing current Iarc = 10^(k1 + k2·lg Ibf + k3·lg G)·(k4·Ibf^6 + k5·Ibf^5 + ... + k9·Ibf + k10),
+    // [k1 ... k10] (Ibf in kA, G in mm)
+    arcingCurrent: {
+        VCB: {
+            600: [-0.04287, 1.035, -0.083, 0, 0, -4.783e-9, 1.962e-6, -0.000229, 0.003141, 1.092],
+            2700: [0.0065, 1.001, -0.024, -1.557e-12, 4.556e-10, -4.186e-8, 8.346e-7, 5.482e-5, -0.003191, 0.9729],
+            14300: [0.005795, 1.015, -0.011, -1.557e-12, 4.556e-10, -4.186e-8, 8.346e-7, 5.482e-5, -0.003191, 0.9729]
+        },
+        VCBB: {
+            600: [-0.017432, 0.98, -0.05, 0, 0, -5.767e-9, 2.524e-6, -0.00034, 0.01187, 1.013],
+            2700: [0.002823, 0.995, -0.0125, 0, -9.204e-11, 2.901e-8, -3.262e-6, 0.0001569, -0.004003, 0.9825],
+            14300: [0.014827, 1.01, -0.01, 0, -9.204e-11, 2.901e-8, -3.262e-6, 0.0001569, -0.004003, 0.9825]
+        },
+        HCB: {
+            600: [0.054922, 0.988, -0.11, 0, 0, -5.382e-9, 2.316e-6, -0.000302, 0.0091, 0.9725],
+            2700: [0.001011, 1.003, -0.0249, 0, 0, 4.859e-10, -1.814e-7, -9.128e-6, -0.0007, 0.9881],
+            14300: [0.008693, 0.999, -0.02, 0, -5.043e-11, 2.233e-8, -3.046e-6, 0.000116, -0.001145, 0.9839]
+        },
+        VOA: {
+            600: [0.043785, 1.04, -0.18, 0, 0, -4.783e-9, 1.962e-6, -0.000229, 0.003141, 1.092],
+            2700: [-0.02395, 1.006, -0.0188, -1.557e-12, 4.556e-10, -4.186e-8, 8.346e-7, 5.482e-5, -0.003191, 0.9729],
+            14300: [0.005371, 1.0102, -0.029, -1.557e-12, 4.556e-10, -4.186e-8, 8.346e-7, 5.482e-5, -0.003191, 0.9729]
+        },
+        HOA: {
+            600: [0.111147, 1.008, -0.24, 0, 0, -3.895e-9, 1.641e-6, -0.000197, 0.002615, 1.1],
+            2700: [0.000435, 1.006, -0.038, 0, 0, 7.859e-10, -1.914e-7, -9.128e-6, -0.0007, 0.9981],
+            14300: [0.000904, 0.999, -0.02, 0, 0, 7.859e-10, -1.914e-7, -9.128e-6, -0.0007, 0.9981]
+        }
+    },
+    // Table 2: arcing current variation VarCf = k1·Voc^6 + k2·Voc^5 + ... + k6·Voc + k7 (Voc in kV)
+    arcingCurrentVariation: {
+        VCB: [0, -0.0000014269, 0.000083137, -0.0019382, 0.022366, -0.12645, 0.30226],
+        VCBB: [1.138e-6, -6.0287e-5, 0.0012758, -0.013778, 0.080217, -0.24066, 0.33524],
+        HCB: [0, -3.097e-6, 0.00016405, -0.0033609, 0.033308, -0.16182, 0.34627],
+        VOA: [9.5606e-7, -5.1543e-5, 0.0011161, -0.01242, 0.075125, -0.23584, 0.33696],
+        HOA: [0, -3.1555e-6, 0.0001682, -0.0034607, 0.034124, -0.1599, 0.34629]
+    },
+    // Tables 3-5: incident energy [k1, k2, k3, k11, k12, k13]; k4-k10 are the Table 1 polynomial of the
+    // same test voltage, one power of Ibf higher
+    incidentEnergy: {
+        VCB: {
+            600: [0.753364, 0.566, 1.752636, 0, -1.598, 0.957],
+            2700: [2.40021, 0.165, 0.354202, 0, -1.569, 0.9778],
+            14300: [3.825917, 0.11, -0.999749, 0, -1.568, 0.99]
+        },
+        VCBB: {
+            600: [3.068459, 0.26, -0.098107, -0.06, -1.809, 1.19],
+            2700: [3.870592, 0.185, -0.736618, 0, -1.742, 1.09],
+            14300: [3.644309, 0.215, -0.585522, 0, -1.677, 1.06]
+        },
+        HCB: {
+            600: [4.073745, 0.344, -0.370259, 0, -2.03, 1.036],
+            2700: [3.486391, 0.177, -0.193101, 0.027, -1.723, 1.055],
+            14300: [3.044516, 0.125, 0.245106, 0, -1.655, 1.084]
+        },
+        VOA: {
+            600: [0.679294, 0.746, 1.222636, 0, -1.598, 0.997],
+            2700: [3.880724, 0.105, -1.906033, 0, -1.515, 1.115],
+            14300: [3.405454, 0.12, -0.93245, 0, -1.534, 0.979]
+        },
+        HOA: {
+            600: [3.470417, 0.465, -0.261863, 0, -1.99, 1.04],
+            2700: [3.616266, 0.149, -0.761561, 0, -1.639, 1.078],
+            14300: [2.04049, 0.177, 1.005092, -0.05, -1.633, 1.151]
+        }
+    },
+    // Table 6: width and height adjustment (Voc + A)/B of box enclosures larger than 660.4 mm
+    enclosureAdjustment: {
+        VCB: { A: 4, B: 20 },
+        VCBB: { A: 10, B: 24 },
+        HCB: { A: 10, B: 22 }
+    },
+    // Table 7: enclosure size correction factor b1·EES² + b2·EES + b3 (its inverse for shallow enclosures);
+    // open-air configurations are not corrected
+    enclosureCorrection: {
+        typical: {
+            VCB: [-0.000302, 0.03441, 0.4325],
+            VCBB: [-0.0002976, 0.032, 0.479],
+            HCB: [-0.0001923, 0.01935, 0.6899]
+        },
+        shallow: {
+            VCB: [0.002222, -0.02556, 0.6222],
+            VCBB: [-0.002778, 0.1194, -0.2778],
+            HCB: [-0.0005556, 0.03722, 0.4778]
+        }
+    },
+    // Table 8: typical switchgear enclosure (mm) and electrode gap (mm) by voltage class
+    typicalEquipment: [
+        { maxVoltage: 1000, enclosure: { height: 508, width: 508, depth: 508 }, gap: 32 },
+        { maxVoltage: 5000, enclosure: { height: 914.4, width: 914.4, depth: 914.4 }, gap: 104 },
+        { maxVoltage: 15000, enclosure: { height: 1143, width: 762, depth: 762 }, gap: 152 }
+    ]
 };
 
 /**
- * Calculate arcing current using IEEE 1584-2018
+ * Typical switchgear of a voltage class (IEEE 1584-2018 Table 8): { enclosure, gap }
+ */
+function getIEEE1584TypicalEquipment(voltage) {
+    const classes = IEEE_1584_2018.typicalEquipment;
+    return classes.find(entry => voltage <= entry.maxVoltage) || classes[classes.length - 1];
+}
+
+/**
+ * Interpolate a quantity known at the three test voltages to the open-circuit voltage (clause 4.9)
+ * @param {Object} values - { 600, 2700, 14300 }
+ * @param {number} voc - Open-circuit voltage (kV), above 0.6
+ */
+function interpolateIEEE1584(values, voc) {
+    const x1 = (values[2700] - values[600]) / 2.1 * (voc - 2.7) + values[2700];
+    const x2 = (values[14300] - values[2700]) / 11.6 * (voc - 14.3) + values[14300];
+    if (voc > 2.7) {
+        return x2;
+    }
+    return x1 * (2.7 - voc) / 2.1 + x2 * (voc - 0.6) / 2.1;
+}
+
+/**
+ * Table 1 current polynomial k4·Ibf^6 + ... + k9·Ibf + k10 of a coefficient row
+ */
+function getIEEE1584CurrentPolynomial(k, ibf) {
+    return k.slice(3).reduce((sum, coefficient) => sum * ibf + coefficient, 0);
+}
+
+/**
+ * Arcing currents by IEEE 1584-2018
+ * @param {number} voltage - Open-circuit voltage (V)
+ * @param {number} boltedFaultCurrent - Bolted fault current (kA)
+ * @param {number} gap - Electrode gap (mm)
+ * @param {string} enclosureType - Electrode configuration (VCB, VCBB, HCB, VOA, HOA)
+ * @returns {Object} { arcingCurrent, reducedArcingCurrent (kA), testVoltageCurrents: { 600, 2700, 14300 } }
  */
-function calculateArcingCurrent(voltage, boltedFaultCurrent, gap) {
-    // IEEE 1584-2018 equation for arcing current
-    // Iarc = 10^k + 0.662 × log10(Ibf) + 0.0966 × V + 0.000526 × G + 0.5588 × V × log10(Ibf) - 0.00304 × G × log10(Ibf)
+function calculateIEEE1584ArcingCurrents(voltage, boltedFaultCurrent, gap, enclosureType = 'VCB') {
+    const type = IEEE_1584_2018.arcingCurrent[enclosureType] ? enclosureType : 'VCB';
+    const voc = voltage / 1000;
+    const ibf = boltedFaultCurrent;
     
-    const voltageKV = voltage / 1000;
-    const Ibf = boltedFaultCurrent;
-    const G = gap;
-    
-    // For voltage < 1kV
-    if (voltage < 1000) {
-        const k = -0.153;
-        const logIarc = k + 0.662 * Math.log10(Ibf) + 0.0966 * voltageKV + 
-                       0.000526 * G + 0.5588 * voltageKV * Math.log10(Ibf) - 
-                       0.00304 * G * Math.log10(Ibf);
-        return Math.pow(10, logIarc);
-    } else {
-        // For voltage >= 1kV
-        const k = -0.097;
-        const logIarc = k + 0.662 * Math.log10(Ibf) + 0.0966 * voltageKV + 
-                       0.000526 * G + 0.5588 * voltageKV * Math.log10(Ibf) - 
-                       0.00304 * G * Math.log10(Ibf);
-        return Math.pow(10, logIarc);
+    const testVoltageCurrents = {};
+    IEEE_1584_2018.testVoltages.forEach(testVoltage => {
+        const k = IEEE_1584_2018.arcingCurrent[type][testVoltage];
+        testVoltageCurrents[testVoltage] = Math.pow(10, k[0] + k[1] * Math.log10(ibf) + k[2] * Math.log10(gap)) *
+            getIEEE1584CurrentPolynomial(k, ibf);
+    });
+    
+    // Up to 600 V the 600 V arcing current is scaled to the system voltage
+    const i600 = testVoltageCurrents[600];
+    const arcingCurrent = voc <= 0.6
+        ? 1 / Math.sqrt(Math.pow(0.6 / voc, 2) * (1 / (i600 * i600) - (0.36 - voc * voc) / (0.36 * ibf * ibf)))
+        : interpolateIEEE1584(testVoltageCurrents, voc);
+    
+    // Reduced arcing current for the second (lower current, possibly longer) clearing time
+    const variation = IEEE_1584_2018.arcingCurrentVariation[type].reduce((sum, coefficient) => sum * voc + coefficient, 0);
+    
+    return {
+        arcingCurrent: arcingCurrent,
+        reducedArcingCurrent: arcingCurrent * (1 - 0.5 * variation),
+        testVoltageCurrents: testVoltageCurrents
+    };
+}
+
+/**
+ * Calculate arcing current using IEEE 1584-2018 (kA)
+ */
+function calculateArcingCurrent(voltage, boltedFaultCurrent, gap, enclosureType = 'VCB') {
+    return calculateIEEE1584ArcingCurrents(voltage, boltedFaultCurrent, gap, enclosureType).arcingCurrent;
+}
+
+/**
+ * Enclosure size correction factor CF (IEEE 1584-2018 clause 4.8)
+ * The equivalent enclosure size EES (in) is the mean of the adjusted height and width; enclosures up
+ * to 203.2 mm deep on systems below 600 V are shallow.
+ * @param {string} enclosureType - Electrode configuration
+ * @param {number} voltage - Open-circuit voltage (V)
+ * @param {Object} enclosure - { height, width, depth } (mm)
+ * @returns {Object} { factor, equivalentSize (in), shallow }
+ */
+function calculateIEEE1584EnclosureCorrection(enclosureType, voltage, enclosure) {
+    const adjustment = IEEE_1584_2018.enclosureAdjustment[enclosureType];
+    if (!adjustment) {
+        return { factor: 1, equivalentSize: null, shallow: false }; // Open air
     }
+    const voc = voltage / 1000;
+    const shallow = voc < 0.6 && enclosure.depth <= 203.2;
+    const scale = (voc + adjustment.A) / adjustment.B;
+    
+    // Adjusted dimension (in): 20 in below 508 mm (actual size for shallow enclosures), widened above 660.4 mm
+    const adjusted = (size, widened) => {
+        if (size < 508) {
+            return shallow ? 0.03937 * size : 20;
+        }
+        if (size <= 660.4 || !widened) {
+            return 0.03937 * Math.min(size, 1244.6);
+        }
+        return (660.4 + (Math.min(size, 1244.6) - 660.4) * scale) / 25.4;
+    };
+    // Only VCB height is widened like the width
+    const equivalentSize = (adjusted(enclosure.width, true) + adjusted(enclosure.height, enclosureType === 'VCB')) / 2;
+    
+    const b = IEEE_1584_2018.enclosureCorrection[shallow ? 'shallow' : 'typical'][enclosureType];
+    const polynomial = b[0] * equivalentSize * equivalentSize + b[1] * equivalentSize + b[2];
+    return {
+        factor: shallow ? 1 / polynomial : polynomial,
+        equivalentSize: equivalentSize,
+        shallow: shallow
+    };
 }
 
 /**
- * Calculate incident energy using IEEE 1584-2018
+ * Calculate incident energy and arc flash boundary using IEEE 1584-2018
+ * E = 12.552/50·T·10^(k1 + k2·lg G + k3·Iarc/(k4·Ibf^7 + ... + k10·Ibf) + k11·lg Ibf + k12·lg D + k13·lg Iarc + lg(1/CF))
+ * at each test voltage, interpolated to the system voltage; up to 600 V the 600 V coefficients are used
+ * with the scaled arcing current. The arc flash boundary is the distance at which E falls to 5 J/cm².
+ * @param {Object} params - { voltage (V), boltedFaultCurrent (kA), workingDistance (mm), arcDuration (s),
+ *                            equipmentGap (mm), enclosureType, enclosure ({ height, width, depth } mm) }
  */
-function calculateIncidentEnergy(params) {
+function calculateIEEE1584IncidentEnergy(params) {
     const {
         voltage,
         boltedFaultCurrent,
         workingDistance,
         arcDuration,
         equipmentGap,
-        enclosureType = 'VCB'
+        enclosureType = 'VCB',
+        enclosure = getIEEE1584TypicalEquipment(voltage).enclosure
     } = params;
     
-    // Get electrode configuration factors
-    const config = IEEE_1584_2018.electrodeConfig[enclosureType] || IEEE_1584_2018.electrodeConfig.VCB;
-    
-    // Calculate arcing current
-    const arcingCurrent = calculateArcingCurrent(voltage, boltedFaultCurrent, equipmentGap);
-    
-    // Calculate incident energy
-    // E = 4.184 × Cf × 10^K × (t/0.2) × ((610^x)/D^x)
-    // where K = k1 + k2 + 1.081 × log10(Iarc) + 0.0011 × G
-    
-    const voltageKV = voltage / 1000;
-    const Iarc = arcingCurrent;
+    const type = IEEE_1584_2018.incidentEnergy[enclosureType] ? enclosureType : 'VCB';
+    const voc = voltage / 1000;
+    const ibf = boltedFaultCurrent;
     const G = equipmentGap;
     const D = workingDistance;
-    const t = arcDuration;
+    const T = arcDuration * 1000; // ms
     
-    // Calculate K
-    const K = config.k1 + config.k2 + 1.081 * Math.log10(Iarc) + 0.0011 * G;
+    const currents = calculateIEEE1584ArcingCurrents(voltage, ibf, G, type);
+    const correction = calculateIEEE1584EnclosureCorrection(type, voltage, enclosure);
     
-    // Calculate x (for distance exponent)
-    let x;
-    if (voltage < 1000) {
-        x = 0.973 + 0.0919 * G;
+    // Exponent without the distance term; iarc enters the k13 term
+    const exponent = (testVoltage, iarc) => {
+        const k = IEEE_1584_2018.incidentEnergy[type][testVoltage];
+        const k1to10 = IEEE_1584_2018.arcingCurrent[type][testVoltage];
+        const denominator = ibf * getIEEE1584CurrentPolynomial(k1to10, ibf);
+        return k[0] + k[1] * Math.log10(G) + k[2] * currents.testVoltageCurrents[testVoltage] / denominator +
+            k[3] * Math.log10(ibf) + k[5] * Math.log10(iarc) - Math.log10(correction.factor);
+    };
+    const energy = (testVoltage, iarc) => 12.552 / 50 * T *
+        Math.pow(10, exponent(testVoltage, iarc) + IEEE_1584_2018.incidentEnergy[type][testVoltage][4] * Math.log10(D));
+    const boundary = (testVoltage, iarc) => Math.pow(10,
+        (exponent(testVoltage, iarc) - Math.log10(20 / T)) / -IEEE_1584_2018.incidentEnergy[type][testVoltage][4]);
+    
+    let E;
+    let AFB;
+    if (voc <= 0.6) {
+        E = energy(600, currents.arcingCurrent);
+        AFB = boundary(600, currents.arcingCurrent);
     } else {
-        x = 0.973 + 0.0919 * G;
+        const atTest = fn => {
+            const values = {};
+            IEEE_1584_2018.testVoltages.forEach(testVoltage => {
+                values[testVoltage] = fn(testVoltage, currents.testVoltageCurrents[testVoltage]);
+            });
+            return values;
+        };
+        E = interpolateIEEE1584(atTest(energy), voc);
+        AFB = interpolateIEEE1584(atTest(boundary), voc);
     }
     
-    // Working distance correction factor
-    const Cf = 1.0; // Correction factor (typically 1.0 for standard calculations)
-    
-    // Calculate incident energy (J/cm²)
-    const E = 4.184 * Cf * Math.pow(10, K) * (t / 0.2) * Math.pow(610, x) / Math.pow(D, x);
-    
     return {
-        incidentEnergy: E,
-        arcingCurrent: Iarc,
+        incidentEnergy: E, // J/cm²
+        arcFlashBoundary: AFB, // mm
+        arcingCurrent: currents.arcingCurrent,
+        reducedArcingCurrent: currents.reducedArcingCurrent,
+        enclosureCorrection: correction.factor,
         workingDistance: D,
-        arcDuration: t,
+        arcDuration: arcDuration,
         equipmentGap: G,
-        enclosureType: enclosureType
+        enclosureType: type
     };
 }
 
@@ -142,6 +340,8 @@ function calculateArcFlashBoundary(incidentEnergy, workingDistance) {
 
 /**
  * Calculate arc flash using IEEE 1584-2018 method (comprehensive)
+ * Inputs outside the ranges the model was fitted on (bolted current, gap, working distance) are
+ * evaluated and reported in warnings.
  */
 function calculateArcFlashIEEE1584_2018(params) {
     const {
@@ -149,9 +349,10 @@ function calculateArcFlashIEEE1584_2018(params) {
         boltedFaultCurrent,
         workingDistance = 450, // mm
         arcDuration = 0.1, // seconds
-        equipmentGap = 32, // mm
-        enclosureType = 'VCB'
+        enclosureType = 'VCB',
+        enclosure
     } = params;
+    const equipmentGap = params.equipmentGap || getIEEE1584TypicalEquipment(voltage).gap; // mm
     
     // Validate input parameters
     if (voltage < IEEE_1584_2018.voltageRange.min || voltage > IEEE_1584_2018.voltageRange.max) {
@@ -160,20 +361,31 @@ function calculateArcFlashIEEE1584_2018(params) {
             applicable: false
         };
     }
+    const range = voltage <= 600 ? 'low' : 'medium';
+    const currentRange = IEEE_1584_2018.currentRange[range];
+    const gapRange = IEEE_1584_2018.gapRange[range];
+    const warnings = [];
+    if (boltedFaultCurrent < currentRange.min || boltedFaultCurrent > currentRange.max) {
+        warnings.push(`Bolted fault current ${boltedFaultCurrent.toFixed(2)} kA outside the model range (${currentRange.min}-${currentRange.max} kA)`);
+    }
+    if (equipmentGap < gapRange.min || equipmentGap > gapRange.max) {
+        warnings.push(`Electrode gap ${equipmentGap} mm outside the model range (${gapRange.min}-${gapRange.max} mm)`);
+    }
+    if (workingDistance < IEEE_1584_2018.minWorkingDistance) {
+        warnings.push(`Working distance ${workingDistance} mm below the model minimum (${IEEE_1584_2018.minWorkingDistance} mm)`);
+    }
     
-    // Calculate incident energy
-    const energyResults = calculateIncidentEnergy({
+    // Calculate incident energy and arc flash boundary
+    const energyResults = calculateIEEE1584IncidentEnergy({
         voltage,
         boltedFaultCurrent,
         workingDistance,
         arcDuration,
         equipmentGap,
-        enclosureType
+        enclosureType,
+        enclosure: enclosure || getIEEE1584TypicalEquipment(voltage).enclosure
     });
     
-    // Calculate arc flash boundary
-    const arcFlashBoundary = calculateArcFlashBoundary(energyResults.incidentEnergy, workingDistance);
-    
     // Convert to cal/cm²
     const incidentEnergyCalCm2 = energyResults.incidentEnergy / 4.184;
     
@@ -182,13 +394,16 @@ function calculateArcFlashIEEE1584_2018(params) {
         voltage: voltage,
         boltedFaultCurrent: boltedFaultCurrent,
         arcingCurrent: energyResults.arcingCurrent,
+        reducedArcingCurrent: energyResults.reducedArcingCurrent,
         incidentEnergy: energyResults.incidentEnergy, // J/cm²
         incidentEnergyCalCm2: incidentEnergyCalCm2, // cal/cm²
         workingDistance: workingDistance,
         arcDuration: arcDuration,
         equipmentGap: equipmentGap,
-        enclosureType: enclosureType,
-        arcFlashBoundary: arcFlashBoundary,
+        enclosureType: energyResults.enclosureType,
+        enclosureCorrection: energyResults.enclosureCorrection,
+        arcFlashBoundary: energyResults.arcFlashBoundary,
+        warnings: warnings,
         applicable: true
     };
 }
@@ -271,10 +486,186 @@ function calculateSimplifiedArcFlash(params) {
     };
 }
 
+/**
+ * DC arc flash (NFPA 70E Annex D.5, Ammerman et al. 2010)
+ * The arc is a nonlinear resistance in series with the system resistance Vsys/Ibf. Incident energy
+ * follows from the arc power: open air radiates over a sphere, E = P·t/(4π·d²); in a box the energy
+ * is focused toward the opening, E = k·P·t/(a² + d²) (Wilkins).
+ */
+const DC_ARC_FLASH = {
+    voltageRange: {
+        max: 1000
+    },
+    models: {
+        'maximum-power': { name: 'DC Maximum Power' },
+        'stokes-oppenlander': { name: 'DC Stokes & Oppenlander' },
+        'paukert': { name: 'DC Paukert' }
+    },
+    enclosures: {
+        open: { name: 'Open Air' },
+        box: { name: 'Arc in a Box' }
+    },
+    // Maximum power method in a box: 3 × the open-air energy (Doan)
+    maxPowerBoxMultiplier: 3,
+    // Wilkins box model, switchgear-size enclosure (508 mm cube)
+    box: { a: 10, k: 0.127 }, // a in cm
+    // Paukert arc resistance Rarc = a/Iarc^b (Ω, A) for arcs of 100 A - 100 kA, by gap in mm
+    paukert: [
+        { gap: 5, a: 15, b: 0.90 },
+        { gap: 10, a: 18, b: 0.89 },
+        { gap: 20, a: 22, b: 0.88 },
+        { gap: 50, a: 30, b: 0.87 },
+        { gap: 100, a: 40, b: 0.86 },
+        { gap: 200, a: 55, b: 0.85 }
+    ],
+    defaultGap: 25, // mm, DC panelboard
+    incidentEnergyThreshold: 5 // J/cm² (1.2 cal/cm²)
+};
+
+/**
+ * Paukert coefficients for a gap, interpolated on log(gap) between the tabulated gaps
+ */
+function getPaukertCoefficients(gap) {
+    const table = DC_ARC_FLASH.paukert;
+    const g = Math.min(Math.max(gap, table[0].gap), table[table.length - 1].gap);
+    const upper = table.findIndex(row => row.gap >= g);
+    if (table[upper].gap === g) {
+        return { a: table[upper].a, b: table[upper].b };
+    }
+    const low = table[upper - 1];
+    const high = table[upper];
+    const f = Math.log(g / low.gap) / Math.log(high.gap / low.gap);
+    return { a: low.a + f * (high.a - low.a), b: low.b + f * (high.b - low.b) };
+}
+
+/**
+ * Resistance of a DC arc (Ω)
+ * Stokes & Oppenlander: Rarc = (20 + 0.534·G)/Iarc^0.88; Paukert: Rarc = a/Iarc^b
+ * @param {string} model - 'stokes-oppenlander' or 'paukert'
+ * @param {number} arcingCurrent - Arc current (A)
+ * @param {number} gap - Electrode gap (mm)
+ */
+function calculateDCArcResistance(model, arcingCurrent, gap) {
+    if (model === 'paukert') {
+        const coefficients = getPaukertCoefficients(gap);
+        return coefficients.a / Math.pow(arcingCurrent, coefficients.b);
+    }
+    return (20 + 0.534 * gap) / Math.pow(arcingCurrent, 0.88);
+}
+
+/**
+ * Arcing current of a DC arc fed through the system resistance Vsys/Ibf
+ * Maximum power: the arc resistance equals the system resistance, Iarc = Ibf/2 and Varc = Vsys/2.
+ * Otherwise Iarc·(Rsys + Rarc(Iarc)) = Vsys is solved by bisection; zero when the arc voltage
+ * exceeds the system voltage (arc not sustained).
+ * @param {number} voltage - System voltage (V)
+ * @param {number} boltedFaultCurrent - Bolted fault current (kA)
+ * @param {number} gap - Electrode gap (mm)
+ * @param {string} model - Arc model
+ * @returns {Object} { arcingCurrent (kA), arcVoltage (V), arcResistance (Ω) }
+ */
+function calculateDCArcingCurrent(voltage, boltedFaultCurrent, gap, model = 'maximum-power') {
+    const ibf = boltedFaultCurrent * 1000;
+    const rSystem = voltage / ibf;
+    if (model === 'maximum-power') {
+        return { arcingCurrent: boltedFaultCurrent / 2, arcVoltage: voltage / 2, arcResistance: rSystem };
+    }
+    
+    const excess = current => current * (rSystem + calculateDCArcResistance(model, current, gap)) - voltage;
+    let low = 1e-3;
+    let high = ibf;
+    if (excess(low) >= 0) {
+        return { arcingCurrent: 0, arcVoltage: voltage, arcResistance: Infinity };
+    }
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (excess(mid) < 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    const current = (low + high) / 2;
+    const arcResistance = calculateDCArcResistance(model, current, gap);
+    return { arcingCurrent: current / 1000, arcVoltage: current * arcResistance, arcResistance: arcResistance };
+}
+
+/**
+ * Calculate DC arc flash incident energy and boundary
+ * @param {Object} params - { voltage (V), boltedFaultCurrent (kA), workingDistance (mm), arcDuration (s),
+ *                            equipmentGap (mm), model, enclosure ('open' or 'box') }
+ */
+function calculateDCArcFlash(params) {
+    const {
+        voltage,
+        boltedFaultCurrent,
+        workingDistance = 450,
+        arcDuration = 0.1,
+        equipmentGap = DC_ARC_FLASH.defaultGap,
+        model = 'maximum-power',
+        enclosure = 'box'
+    } = params;
+    
+    if (!DC_ARC_FLASH.models[model]) {
+        return { error: `Unknown DC arc model ${model}`, applicable: false };
+    }
+    if (voltage > DC_ARC_FLASH.voltageRange.max) {
+        return {
+            error: `Voltage ${voltage}V is outside the DC arc flash range (up to ${DC_ARC_FLASH.voltageRange.max}V)`,
+            applicable: false
+        };
+    }
+    
+    const arc = calculateDCArcingCurrent(voltage, boltedFaultCurrent, equipmentGap, model);
+    const arcPower = arc.arcingCurrent * 1000 * arc.arcVoltage; // W
+    const energy = arcPower * arcDuration; // J
+    const threshold = DC_ARC_FLASH.incidentEnergyThreshold;
+    const d = workingDistance / 10; // cm
+    
+    // Incident energy (J/cm²) and distance at which it falls to 5 J/cm² (mm)
+    let E;
+    let boundary;
+    if (enclosure !== 'box') {
+        E = energy / (4 * Math.PI * d * d);
+        boundary = Math.sqrt(energy / (4 * Math.PI * threshold)) * 10;
+    } else if (model === 'maximum-power') {
+        E = DC_ARC_FLASH.maxPowerBoxMultiplier * energy / (4 * Math.PI * d * d);
+        boundary = Math.sqrt(DC_ARC_FLASH.maxPowerBoxMultiplier * energy / (4 * Math.PI * threshold)) * 10;
+    } else {
+        const { a, k } = DC_ARC_FLASH.box;
+        E = k * energy / (a * a + d * d);
+        boundary = Math.sqrt(Math.max(0, k * energy / threshold - a * a)) * 10;
+    }
+    
+    return {
+        method: `${DC_ARC_FLASH.models[model].name} (${DC_ARC_FLASH.enclosures[enclosure === 'box' ? 'box' : 'open'].name})`,
+        systemType: 'DC',
+        model: model,
+        enclosure: enclosure === 'box' ? 'box' : 'open',
+        voltage: voltage,
+        boltedFaultCurrent: boltedFaultCurrent,
+        arcingCurrent: arc.arcingCurrent,
+        arcVoltage: arc.arcVoltage,
+        arcResistance: arc.arcResistance,
+        arcPower: arcPower,
+        incidentEnergy: E, // J/cm²
+        incidentEnergyCalCm2: E / 4.184, // cal/cm²
+        workingDistance: workingDistance,
+        arcDuration: arcDuration,
+        equipmentGap: equipmentGap,
+        arcFlashBoundary: boundary,
+        applicable: true
+    };
+}
+
 /**
  * Determine which arc flash method to use based on system parameters
+ * DC systems (systemType 'dc') up to 1000 V use the DC arc models.
  */
 function selectArcFlashMethod(voltage, systemType) {
+    if (systemType === 'dc') {
+        return voltage <= DC_ARC_FLASH.voltageRange.max ? 'DC Arc Flash' : 'Simplified';
+    }
     if (voltage >= IEEE_1584_2018.voltageRange.min && voltage <= IEEE_1584_2018.voltageRange.max) {
         return 'IEEE 1584-2018';
     } else if (voltage < IEEE_1584_2018.voltageRange.min) {
@@ -288,12 +679,21 @@ function selectArcFlashMethod(voltage, systemType) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         IEEE_1584_2018,
+        getIEEE1584TypicalEquipment,
+        interpolateIEEE1584,
+        calculateIEEE1584ArcingCurrents,
         calculateArcingCurrent,
-        calculateIncidentEnergy,
+        calculateIEEE1584EnclosureCorrection,
+        calculateIEEE1584IncidentEnergy,
         calculateArcFlashBoundary,
         calculateArcFlashIEEE1584_2018,
         calculateArcFlashIEEE1584_2002,
         calculateSimplifiedArcFlash,
+        DC_ARC_FLASH,
+        getPaukertCoefficients,
+        calculateDCArcResistance,
+        calculateDCArcingCurrent,
+        calculateDCArcFlash,
         selectArcFlashMethod
     };
 }
@@ -0,0 +1,243 @@
+/**
+ * busway_library.js
+ * Busway (busbar trunking) impedance library
+ * Low-voltage busway from 225 A to 5000 A, copper or aluminum, feeder or plug-in construction. Each
+ * rating gives the phase impedance and the impedance of the ground path (housing and internal ground
+ * bar) per km. The library holds generic estimates, not manufacturer data; enter the manufacturer's
+ * impedances on the busway for a design study. Resistances are at 20°C and corrected to the conductor temperature with the material's
+ * inferred zero-resistance temperature; the sequence impedances are
+ *   Z1 = Z2 = Zphase,  Z0 = Zphase + 3·Zground
+ * so that a line-to-ground fault sees the phase conductor and the ground return in series.
+ */
+
+/**
+ * Busway impedances, [R, X, Rground, Xground] in Ω/km (= mΩ/m), resistance at 20°C
+ * Generic estimates scaled from the rating, not taken from a manufacturer or a standard:
+ *   copper feeder R = 36/rating, X from typical sandwich construction
+ *   ground path Rground = 2·R, Xground = 2.5·X
+ *   plug-in X = 1.3 × feeder X (wider phase spacing at the plug-in openings)
+ *   aluminum R = 1.35 × copper R, X = 0.95 × copper X
+ * Published values differ between manufacturers by a factor of two or more.
+ */
+const BUSWAY_IMPEDANCE_DATA = {
+    copper: {
+        feeder: {
+            225: [0.1600, 0.0300, 0.3200, 0.0750],
+            400: [0.0900, 0.0250, 0.1800, 0.0625],
+            600: [0.0600, 0.0210, 0.1200, 0.0525],
+            800: [0.0450, 0.0180, 0.0900, 0.0450],
+            1000: [0.0360, 0.0160, 0.0720, 0.0400],
+            1200: [0.0300, 0.0140, 0.0600, 0.0350],
+            1350: [0.0267, 0.0130, 0.0533, 0.0325],
+            1600: [0.0225, 0.0110, 0.0450, 0.0275],
+            2000: [0.0180, 0.0095, 0.0360, 0.0238],
+            2500: [0.0144, 0.0080, 0.0288, 0.0200],
+            3000: [0.0120, 0.0068, 0.0240, 0.0170],
+            4000: [0.0090, 0.0050, 0.0180, 0.0125],
+            5000: [0.0072, 0.0041, 0.0144, 0.0103]
+        },
+        'plug-in': {
+            225: [0.1600, 0.0390, 0.3200, 0.0975],
+            400: [0.0900, 0.0325, 0.1800, 0.0813],
+            600: [0.0600, 0.0273, 0.1200, 0.0683],
+            800: [0.0450, 0.0234, 0.0900, 0.0585],
+            1000: [0.0360, 0.0208, 0.0720, 0.0520],
+            1200: [0.0300, 0.0182, 0.0600, 0.0455],
+            1350: [0.0267, 0.0169, 0.0533, 0.0422],
+            1600: [0.0225, 0.0143, 0.0450, 0.0358],
+            2000: [0.0180, 0.0123, 0.0360, 0.0309],
+            2500: [0.0144, 0.0104, 0.0288, 0.0260],
+            3000: [0.0120, 0.0088, 0.0240, 0.0221],
+            4000: [0.0090, 0.0065, 0.0180, 0.0163],
+            5000: [0.0072, 0.0053, 0.0144, 0.0133]
+        }
+    },
+    aluminum: {
+        feeder: {
+            225: [0.2160, 0.0285, 0.4320, 0.0712],
+            400: [0.1215, 0.0238, 0.2430, 0.0594],
+            600: [0.0810, 0.0199, 0.1620, 0.0499],
+            800: [0.0607, 0.0171, 0.1215, 0.0427],
+            1000: [0.0486, 0.0152, 0.0972, 0.0380],
+            1200: [0.0405, 0.0133, 0.0810, 0.0333],
+            1350: [0.0360, 0.0123, 0.0720, 0.0309],
+            1600: [0.0304, 0.0104, 0.0607, 0.0261],
+            2000: [0.0243, 0.0090, 0.0486, 0.0226],
+            2500: [0.0194, 0.0076, 0.0389, 0.0190],
+            3000: [0.0162, 0.0065, 0.0324, 0.0161],
+            4000: [0.0122, 0.0047, 0.0243, 0.0119],
+            5000: [0.0097, 0.0039, 0.0194, 0.0097]
+        },
+        'plug-in': {
+            225: [0.2160, 0.0370, 0.4320, 0.0926],
+            400: [0.1215, 0.0309, 0.2430, 0.0772],
+            600: [0.0810, 0.0259, 0.1620, 0.0648],
+            800: [0.0607, 0.0222, 0.1215, 0.0556],
+            1000: [0.0486, 0.0198, 0.0972, 0.0494],
+            1200: [0.0405, 0.0173, 0.0810, 0.0432],
+            1350: [0.0360, 0.0161, 0.0720, 0.0401],
+            1600: [0.0304, 0.0136, 0.0607, 0.0340],
+            2000: [0.0243, 0.0117, 0.0486, 0.0293],
+            2500: [0.0194, 0.0099, 0.0389, 0.0247],
+            3000: [0.0162, 0.0084, 0.0324, 0.0210],
+            4000: [0.0122, 0.0062, 0.0243, 0.0154],
+            5000: [0.0097, 0.0051, 0.0194, 0.0127]
+        }
+    }
+};
+
+/**
+ * Standard busway ratings of the library (A)
+ */
+const BUSWAY_RATINGS = [225, 400, 600, 800, 1000, 1200, 1350, 1600, 2000, 2500, 3000, 4000, 5000];
+
+/**
+ * Typical data used when not given on the busway
+ */
+const BUSWAY_TYPICAL_DATA = {
+    conductorTemperature: 75,   // °C
+    material: 'copper',
+    buswayType: 'feeder'
+};
+
+/**
+ * Normalize a busway construction name ('feeder' or 'plug-in')
+ */
+function getBuswayType(buswayType) {
+    const key = String(buswayType || BUSWAY_TYPICAL_DATA.buswayType).toLowerCase().replace(/[\s_]/g, '-');
+    if (key === 'feeder') {
+        return 'feeder';
+    }
+    if (key === 'plug-in' || key === 'plugin') {
+        return 'plug-in';
+    }
+    throw new Error(`Unknown busway type: ${buswayType} (use feeder or plug-in)`);
+}
+
+/**
+ * Library data of a busway rating
+ * @param {number} rating - Continuous rating (A)
+ * @param {string} material - 'copper' (default) or 'aluminum'
+ * @param {string} buswayType - 'feeder' (default) or 'plug-in'
+ * @returns {Object} { rating, material, buswayType, resistance, reactance, groundResistance, groundReactance } (Ω/km at 20°C)
+ */
+function getBuswayData(rating, material = BUSWAY_TYPICAL_DATA.material, buswayType = BUSWAY_TYPICAL_DATA.buswayType) {
+    const materialName = typeof getConductorMaterial !== 'undefined'
+        ? getConductorMaterial(material).name
+        : (material || BUSWAY_TYPICAL_DATA.material).toLowerCase(); // Cable library not loaded: names as given
+    const type = getBuswayType(buswayType);
+    const table = BUSWAY_IMPEDANCE_DATA[materialName];
+    if (!table) {
+        throw new Error(`Unknown busway material: ${material}`);
+    }
+    const data = table[type][Number(rating)];
+    if (!data) {
+        throw new Error(`Unknown busway rating: ${rating} A (library: ${BUSWAY_RATINGS.join(', ')} A)`);
+    }
+    return {
+        rating: Number(rating),
+        material: materialName,
+        buswayType: type,
+        resistance: data[0],
+        reactance: data[1],
+        groundResistance: data[2],
+        groundReactance: data[3]
+    };
+}
+
+/**
+ * Sequence impedances of a busway, Ω/km
+ * Library values for the rating, material and type; entered resistance/reactance and
+ * groundResistance/groundReactance (Ω/km, resistance at 20°C) take precedence.
+ * @param {Object} busway - busway component ({ rating, material, buswayType, resistance, reactance, ... })
+ * @param {Object} options - { temperature (°C, default 75) }
+ * @returns {Object} { rating, material, buswayType, temperature, r1, x1, rGround, xGround, r0, x0 }
+ */
+function calculateBuswayImpedance(busway, options = {}) {
+    const temperature = options.temperature !== undefined ? options.temperature : BUSWAY_TYPICAL_DATA.conductorTemperature;
+    const hasEntered = busway.resistance !== undefined && busway.reactance !== undefined;
+    if (busway.rating === undefined && !hasEntered) {
+        throw new Error('Busway needs a library rating (A) or resistance and reactance (Ω/km)');
+    }
+    const library = busway.rating !== undefined ? getBuswayData(busway.rating, busway.material, busway.buswayType) : null;
+    const material = library ? library.material : (busway.material || BUSWAY_TYPICAL_DATA.material);
+    const phase = hasEntered ? { r: busway.resistance, x: busway.reactance } : { r: library.resistance, x: library.reactance };
+    // Without ground path data the ground return is taken equal to the phase conductor
+    const ground = busway.groundResistance !== undefined
+        ? { r: busway.groundResistance, x: busway.groundReactance || 0 }
+        : (library ? { r: library.groundResistance, x: library.groundReactance } : { ...phase });
+    
+    const tempFactor = typeof getConductorTemperatureFactor !== 'undefined'
+        ? getConductorTemperatureFactor(material, temperature)
+        : (234.5 + temperature) / (234.5 + 20); // Cable library not loaded: copper
+    const r1 = phase.r * tempFactor;
+    const rGround = ground.r * tempFactor;
+    
+    return {
+        rating: busway.rating,
+        material: material,
+        buswayType: getBuswayType(busway.buswayType),
+        temperature: temperature,
+        r1: r1,
+        x1: phase.x,
+        rGround: rGround,
+        xGround: ground.x,
+        r0: r1 + 3 * rGround,
+        x0: phase.x + 3 * ground.x
+    };
+}
+
+/**
+ * Voltage drop along a busway run
+ * Vd = √3·I·(R·cos φ + X·sin φ)·k, k = 1 for a load at the end and 1/2 for plug-in loads
+ * distributed evenly along the run.
+ * @param {Object} params - { voltage (V), current (A), length (m), rating, material, buswayType,
+ *                            powerFactor (default 0.85), distributed (default false), temperature }
+ */
+function calculateBuswayVoltageDrop(params) {
+    const {
+        voltage,
+        current,
+        length,
+        powerFactor = 0.85,
+        distributed = false,
+        temperature
+    } = params;
+    
+    const perKm = calculateBuswayImpedance(params, { temperature: temperature });
+    const R = perKm.r1 * length / 1000; // Ω
+    const X = perKm.x1 * length / 1000; // Ω
+    const loadFactor = distributed ? 0.5 : 1;
+    
+    const sinPF = Math.sqrt(1 - powerFactor * powerFactor);
+    const voltageDrop = Math.sqrt(3) * current * (R * powerFactor + X * sinPF) * loadFactor;
+    
+    return {
+        voltageDrop: voltageDrop,
+        voltageDropPercent: (voltageDrop / voltage) * 100,
+        resistance: R,
+        reactance: X,
+        voltage: voltage,
+        current: current,
+        length: length,
+        powerFactor: powerFactor,
+        distributed: distributed,
+        rating: perKm.rating,
+        material: perKm.material,
+        buswayType: perKm.buswayType,
+        loadingPercent: perKm.rating ? current / perKm.rating * 100 : null
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BUSWAY_IMPEDANCE_DATA,
+        BUSWAY_RATINGS,
+        BUSWAY_TYPICAL_DATA,
+        getBuswayType,
+        getBuswayData,
+        calculateBuswayImpedance,
+        calculateBuswayVoltageDrop
+    };
+}
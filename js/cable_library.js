@@ -0,0 +1,303 @@
+/**
+ * cable_library.js
+ * Cable impedance from construction data
+ * Conductor size (AWG/kcmil or IEC mm²), material, insulation, number of cores and installation give the
+ * conductor diameter and the spacing of the phases. From these, per km of cable:
+ * - R1: DC resistance ρ20/A corrected to the conductor temperature with the material's inferred
+ *   zero-resistance temperature T, R(θ) = R20·(T + θ)/(T + 20), plus skin and proximity effects (IEC 60287-1-1)
+ * - X1: ω·(μ0/2π)·ln(GMD/GMR)
+ * - R0, X0: phases with Carson's earth return, reduced by the metallic screen or the neutral core
+ *   carrying the return current
+ * Parallel sets per phase divide all impedances.
+ */
+
+/**
+ * Conductor materials: resistivity at 20°C (Ω·mm²/km) and inferred zero-resistance temperature T (°C)
+ */
+const CABLE_CONDUCTOR_MATERIALS = {
+    copper: { resistivity: 17.241, temperatureConstant: 234.5 },
+    aluminum: { resistivity: 28.264, temperatureConstant: 228 }
+};
+
+/**
+ * Standard conductor sizes of the library
+ */
+const CABLE_SIZES = {
+    awg: ['14', '12', '10', '8', '6', '4', '3', '2', '1', '1/0', '2/0', '3/0', '4/0'],
+    kcmil: [250, 300, 350, 400, 500, 600, 750, 1000],
+    mm2: [1.5, 2.5, 4, 6, 10, 16, 25, 35, 50, 70, 95, 120, 150, 185, 240, 300, 400, 500, 630]
+};
+
+/**
+ * Insulation thickness (mm)
+ * lowVoltage: 0.6/1 kV cables by conductor area, [up to mm², thickness] (IEC 60502-1; EPR as XLPE)
+ * highVoltage: insulation with conductor and insulation screens by rated voltage Um, [up to kV, thickness] (IEC 60502-2)
+ */
+const CABLE_INSULATION = {
+    lowVoltage: {
+        pvc: [[2.5, 0.8], [16, 1.0], [35, 1.2], [70, 1.4], [120, 1.6], [150, 1.8], [185, 2.0], [240, 2.2], [300, 2.4], [400, 2.6], [Infinity, 2.8]],
+        xlpe: [[16, 0.7], [35, 0.9], [50, 1.0], [95, 1.1], [120, 1.2], [150, 1.4], [185, 1.6], [240, 1.7], [300, 1.8], [400, 2.0], [500, 2.2], [Infinity, 2.4]]
+    },
+    highVoltage: [[7.2, 4.1], [12, 5.0], [17.5, 6.1], [24, 7.1], [36, 9.6], [72.5, 14.0], [Infinity, 20.0]]
+};
+
+/**
+ * Typical data used when not given on the cable
+ */
+const CABLE_TYPICAL_DATA = {
+    conductorTemperature: 75,               // °C, operating temperature
+    earthResistivity: 100,                  // Ω·m
+    strandingFactor: 1.02,                  // resistance increase from the lay of class 2 strands
+    fillFactor: 0.9,                        // metal share of the stranded conductor's circle
+    gmrFactor: 0.758,                       // GMR/radius of a 19-37 wire stranded conductor
+    skinFactor: 1.0,                        // ks of round stranded conductors (IEC 60287-1-1)
+    proximityFactor: 0.8,                   // kp of round stranded conductors
+    jacketThickness: { low: 1.8, high: 3.0 }, // mm, oversheath of single-core cables (LV, MV/HV)
+    beddingThickness: 1.0                   // mm, between the laid-up cores and a common screen
+};
+
+/**
+ * Conductor material data
+ * @param {string} material - 'copper' (default) or 'aluminum'; 'cu', 'al' and 'aluminium' accepted
+ */
+function getConductorMaterial(material) {
+    const key = String(material || 'copper').toLowerCase();
+    const name = { cu: 'copper', al: 'aluminum', aluminium: 'aluminum' }[key] || key;
+    if (!CABLE_CONDUCTOR_MATERIALS[name]) {
+        throw new Error(`Unknown conductor material: ${material} (use copper or aluminum)`);
+    }
+    return { name: name, ...CABLE_CONDUCTOR_MATERIALS[name] };
+}
+
+/**
+ * Resistance ratio R(θ)/R(reference) of a conductor: (T + θ)/(T + reference)
+ */
+function getConductorTemperatureFactor(material, temperature, reference = 20) {
+    const t = getConductorMaterial(material).temperatureConstant;
+    return (t + temperature) / (t + reference);
+}
+
+/**
+ * Parse a library conductor size
+ * @param {string|number} size - '4/0 AWG', '500 kcmil' (or MCM), '95 mm²' (or mm2, or a bare number of mm²)
+ * @returns {Object} { label, family ('awg', 'kcmil' or 'mm2'), area (mm²) }
+ */
+function parseCableSize(size) {
+    const text = String(size === undefined || size === null ? '' : size).trim();
+    let match = text.match(/^(\d{1,2}(?:\/0)?)\s*AWG$/i);
+    if (match && CABLE_SIZES.awg.includes(match[1])) {
+        // AWG n (1/0 = 0, 4/0 = -3): d = 0.127 mm·92^((36 - n)/39)
+        const gauge = match[1].endsWith('/0') ? 1 - parseInt(match[1], 10) : parseInt(match[1], 10);
+        const diameter = 0.127 * Math.pow(92, (36 - gauge) / 39);
+        return { label: `${match[1]} AWG`, family: 'awg', area: Math.PI * diameter * diameter / 4 };
+    }
+    
+    match = text.match(/^(\d+)\s*(?:kcmil|MCM)$/i);
+    if (match && CABLE_SIZES.kcmil.includes(Number(match[1]))) {
+        return { label: `${match[1]} kcmil`, family: 'kcmil', area: Number(match[1]) * 0.506707 };
+    }
+    
+    match = text.match(/^(\d+(?:\.\d+)?)\s*(?:mm²|mm2|sq\.?\s*mm)?$/i);
+    if (match && CABLE_SIZES.mm2.includes(Number(match[1]))) {
+        return { label: `${Number(match[1])} mm²`, family: 'mm2', area: Number(match[1]) };
+    }
+    
+    throw new Error(`Unknown cable size: ${text || '(none)'} (use AWG 14-4/0, 250-1000 kcmil or IEC 1.5-630 mm²)`);
+}
+
+/**
+ * Insulation thickness (mm) of a conductor
+ * @param {string} insulation - 'XLPE' (default), 'EPR' or 'PVC'
+ * @param {number} area - Conductor area (mm²)
+ * @param {number} ratedKV - Rated voltage Um (kV); up to 1 kV uses the LV table
+ */
+function getCableInsulationThickness(insulation, area, ratedKV) {
+    const type = String(insulation || 'XLPE').toLowerCase();
+    if (!['xlpe', 'epr', 'pvc'].includes(type)) {
+        throw new Error(`Unknown cable insulation: ${insulation} (use XLPE, EPR or PVC)`);
+    }
+    if (ratedKV > 1) {
+        return CABLE_INSULATION.highVoltage.find(([kV]) => ratedKV <= kV)[1];
+    }
+    return CABLE_INSULATION.lowVoltage[type === 'pvc' ? 'pvc' : 'xlpe'].find(([mm2]) => area <= mm2 + 1e-9)[1];
+}
+
+/**
+ * Geometry of a library cable (lengths in mm)
+ * Single-core cables lie in trefoil (default) or flat, touching unless spacing (mm between adjacent axes)
+ * is given; multicore cables (cores 3 or 4, the fourth being the neutral) have their cores touching.
+ * The return path of zero-sequence current is a metallic screen (screenArea mm², screenMaterial),
+ * else the neutral core of a four-core cable (neutralSize, default the phase size), else the earth alone.
+ * @param {Object} cable - Library cable ({ size, material, insulation, cores, installation, spacing, ratedVoltage (kV) })
+ * @param {number} voltage - Operating line-to-line voltage (V), used when ratedVoltage is not given
+ */
+function getCableConstruction(cable, voltage) {
+    const size = parseCableSize(cable.size);
+    const cores = cable.cores === undefined ? 1 : cable.cores;
+    if (![1, 3, 4].includes(cores)) {
+        throw new Error(`Cable cores must be 1, 3 or 4 (got ${cores})`);
+    }
+    const ratedKV = cable.ratedVoltage || (voltage || 0) / 1000;
+    const diameter = Math.sqrt(4 * size.area / (Math.PI * CABLE_TYPICAL_DATA.fillFactor));
+    const insulation = getCableInsulationThickness(cable.insulation, size.area, ratedKV);
+    const coreDiameter = diameter + 2 * insulation;
+    
+    let installation;
+    let spacing;
+    let gmd;
+    let screenRadius;
+    if (cores === 1) {
+        installation = cable.installation || 'trefoil';
+        if (!['trefoil', 'flat'].includes(installation)) {
+            throw new Error(`Unknown single-core cable installation: ${installation} (use trefoil or flat)`);
+        }
+        const jacket = CABLE_TYPICAL_DATA.jacketThickness[ratedKV > 1 ? 'high' : 'low'];
+        spacing = cable.spacing || coreDiameter + 2 * jacket;
+        gmd = installation === 'flat' ? spacing * Math.cbrt(2) : spacing;
+        screenRadius = coreDiameter / 2;
+    } else {
+        if (cable.installation && cable.installation !== 'multicore') {
+            throw new Error(`Multicore cable installation must be multicore (got ${cable.installation})`);
+        }
+        installation = 'multicore';
+        spacing = coreDiameter;
+        // Four cores on a square: two phase pairs adjacent, one across the diagonal
+        gmd = cores === 4 ? spacing * Math.pow(2, 1 / 6) : spacing;
+        screenRadius = coreDiameter * (cores === 4 ? 0.5 + 1 / Math.SQRT2 : 0.5 + 1 / Math.sqrt(3)) + CABLE_TYPICAL_DATA.beddingThickness;
+    }
+    
+    let returnPath = 'earth';
+    if (cable.screenArea > 0) {
+        returnPath = 'screen';
+    } else if (cores === 4) {
+        returnPath = 'neutral';
+    }
+    
+    return {
+        size: size.label,
+        area: size.area,
+        cores: cores,
+        installation: installation,
+        diameter: diameter,
+        insulation: insulation,
+        spacing: spacing,
+        gmd: gmd,
+        gmr: CABLE_TYPICAL_DATA.gmrFactor * diameter / 2,
+        screenRadius: screenRadius,
+        returnPath: returnPath
+    };
+}
+
+/**
+ * AC resistance of a conductor with skin and proximity effects (IEC 60287-1-1)
+ * @param {number} rdc - DC resistance at the conductor temperature (Ω/km)
+ * @param {number} frequency - Hz
+ * @param {number} diameter - Conductor diameter (mm)
+ * @param {number} spacing - Distance between conductor axes (mm)
+ * @returns {Object} { rac (Ω/km), skin (ys), proximity (yp) }
+ */
+function getConductorACResistance(rdc, frequency, diameter, spacing) {
+    const factor = k => {
+        const x2 = 8 * Math.PI * frequency / (rdc / 1000) * 1e-7 * k;
+        return x2 * x2 / (192 + 0.8 * x2 * x2);
+    };
+    const skin = factor(CABLE_TYPICAL_DATA.skinFactor);
+    const fp = factor(CABLE_TYPICAL_DATA.proximityFactor);
+    const ratio = diameter / spacing;
+    const proximity = fp * ratio * ratio * (0.312 * ratio * ratio + 1.18 / (fp + 0.27));
+    return {
+        rac: rdc * (1 + skin + proximity),
+        skin: skin,
+        proximity: proximity
+    };
+}
+
+/**
+ * Sequence impedances of a library cable, Ω/km per phase with all parallel sets
+ * The zero-sequence current returns through the earth (Re = π²·f·10⁻⁴ Ω/km at the depth
+ * De = 658.5·√(ρ/f) m) in parallel with the metallic return path; the return conductor is eliminated
+ * with Z0 = Zc - Zcr²/Zr. Screens and neutral cores are taken at the conductor temperature.
+ * @param {Object} cable - Library cable (see getCableConstruction), sets: parallel sets per phase,
+ *   earthResistivity (Ω·m)
+ * @param {Object} options - { temperature (°C, default 75), frequency (Hz, default 60), voltage (V) }
+ * @returns {Object} { size, material, cores, installation, returnPath, sets, temperature, frequency,
+ *   rdc, r1, x1, r0, x0 (Ω/km), construction }
+ */
+function calculateCableImpedance(cable, options = {}) {
+    const temperature = options.temperature !== undefined ? options.temperature : CABLE_TYPICAL_DATA.conductorTemperature;
+    const frequency = options.frequency || 60;
+    const sets = Math.max(1, Math.round(cable.sets || 1));
+    const material = getConductorMaterial(cable.material);
+    const construction = getCableConstruction(cable, options.voltage);
+    
+    const resistance = (area, conductor) => conductor.resistivity * CABLE_TYPICAL_DATA.strandingFactor / area *
+        getConductorTemperatureFactor(conductor.name, temperature);
+    const rdc = resistance(construction.area, material);
+    const rac = getConductorACResistance(rdc, frequency, construction.diameter, construction.spacing).rac;
+    
+    // ω·μ0/2π in Ω/km; distances in mm
+    const xPerLog = 2 * Math.PI * frequency * 2e-4;
+    const x1 = xPerLog * Math.log(construction.gmd / construction.gmr);
+    
+    const re = Math.PI * Math.PI * frequency * 1e-4;
+    const de = 658.5 * Math.sqrt((cable.earthResistivity || CABLE_TYPICAL_DATA.earthResistivity) / frequency) * 1000;
+    const earthLoop = (r, distance) => complex(r + 3 * re, 3 * xPerLog * Math.log(de / distance));
+    let z0 = earthLoop(rac, Math.cbrt(construction.gmr * construction.gmd * construction.gmd));
+    
+    let ret = null;
+    if (construction.returnPath === 'screen') {
+        const screen = getConductorMaterial(cable.screenMaterial);
+        const rs = screen.resistivity / cable.screenArea * getConductorTemperatureFactor(screen.name, temperature);
+        if (construction.cores === 1) {
+            // One screen per phase: the three carry 3·I0 in parallel
+            const distance = Math.cbrt(construction.screenRadius * construction.gmd * construction.gmd);
+            ret = { self: earthLoop(rs, distance), mutual: earthLoop(0, distance) };
+        } else {
+            ret = { self: earthLoop(3 * rs, construction.screenRadius), mutual: earthLoop(0, construction.screenRadius) };
+        }
+    } else if (construction.returnPath === 'neutral') {
+        const neutral = cable.neutralSize !== undefined ? parseCableSize(cable.neutralSize).area : construction.area;
+        const neutralDiameter = Math.sqrt(4 * neutral / (Math.PI * CABLE_TYPICAL_DATA.fillFactor));
+        ret = {
+            self: earthLoop(3 * resistance(neutral, material), CABLE_TYPICAL_DATA.gmrFactor * neutralDiameter / 2),
+            mutual: earthLoop(0, construction.gmd)
+        };
+    }
+    if (ret) {
+        z0 = cSub(z0, cDiv(cMul(ret.mutual, ret.mutual), ret.self));
+    }
+    
+    return {
+        size: construction.size,
+        material: material.name,
+        cores: construction.cores,
+        installation: construction.installation,
+        returnPath: construction.returnPath,
+        sets: sets,
+        temperature: temperature,
+        frequency: frequency,
+        rdc: rdc / sets,
+        r1: rac / sets,
+        x1: x1 / sets,
+        r0: z0.re / sets,
+        x0: z0.im / sets,
+        construction: construction
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CABLE_CONDUCTOR_MATERIALS,
+        CABLE_SIZES,
+        CABLE_INSULATION,
+        CABLE_TYPICAL_DATA,
+        getConductorMaterial,
+        getConductorTemperatureFactor,
+        parseCableSize,
+        getCableInsulationThickness,
+        getCableConstruction,
+        getConductorACResistance,
+        calculateCableImpedance
+    };
+}
@@ -13,11 +13,18 @@ class CalculationOrchestrator {
         this.state = {
             validated: false,
             topology: null,
+            network: null,
             thevenin: null,
             shortCircuit: null,
             voltageDrop: null,
+            loadFlow: null,
             arcFlash: null,
             motorContribution: null,
+            grounding: null,
+            breakerDuty: null,
+            dcShortCircuit: null,
+            capacitorSwitching: null,
+            reactorSizing: null,
             results: null,
             calculationLog: [],
             assumptions: []
@@ -27,8 +34,13 @@ class CalculationOrchestrator {
     
     /**
      * Run complete analysis pipeline
+     * Projects with operating scenarios run the pipeline once per scenario
      */
     async runAllAnalysis(projectData) {
+        if (typeof hasScenarios !== 'undefined' && hasScenarios(projectData)) {
+            return this.runAllScenarios(projectData);
+        }
+        
         this.reset();
         this.projectData = projectData;
         
@@ -54,6 +66,19 @@ class CalculationOrchestrator {
             // Step 4: Short circuit analysis (all fault types)
             this.logStep('Step 4: Short circuit analysis');
             this.state.shortCircuit = this.calculateShortCircuit(this.state.topology, this.state.thevenin);
+            this.state.grounding = this.checkGroundingDevices(this.state.topology, this.state.shortCircuit);
+            
+            // DC system short circuit (IEC 61660-1)
+            if (this.hasDCSystem(projectData)) {
+                this.logStep('Step 4b: DC short circuit analysis');
+                this.state.dcShortCircuit = this.calculateDCShortCircuit(projectData.dcSystem);
+            }
+            
+            // Capacitor bank back-to-back switching (IEEE C37.012)
+            if (this.hasCapacitorBanks(projectData)) {
+                this.logStep('Step 4c: Capacitor bank switching analysis');
+                this.state.capacitorSwitching = this.calculateCapacitorSwitching(this.state.topology);
+            }
             
             // Step 5: Motor contribution (if motors present)
             if (this.hasMotors(projectData)) {
@@ -66,9 +91,18 @@ class CalculationOrchestrator {
             this.logStep('Step 6: Voltage drop analysis');
             this.state.voltageDrop = this.calculateVoltageDrop(this.state.topology);
             
+            // Current-limiting reactor sizing for a target fault level
+            if (this.hasReactorSizing(projectData)) {
+                this.logStep('Step 6b: Current-limiting reactor sizing');
+                this.state.reactorSizing = this.calculateReactorSizing(this.state.topology);
+            }
+            
             // Step 7: Arc flash analysis
             this.logStep('Step 7: Arc flash analysis');
             this.state.arcFlash = this.calculateArcFlash(this.state.shortCircuit);
+            if (this.state.dcShortCircuit) {
+                this.state.arcFlash.push(...this.calculateDCArcFlash(this.state.dcShortCircuit));
+            }
             
             // Step 8: Persist results
             this.logStep('Step 8: Persisting results');
@@ -93,6 +127,105 @@ class CalculationOrchestrator {
         }
     }
     
+    /**
+     * Run the complete pipeline for every operating scenario of the project
+     * The first scenario is the base case: its results stay at the top level for existing consumers,
+     * every scenario's results are kept under results.scenarios. The orchestrator state is left on the
+     * base case as well, not on the last scenario run.
+     */
+    async runAllScenarios(projectData) {
+        const scenarios = getScenarios(projectData);
+        const scenarioResults = {};
+        const calculationLog = [];
+        let baseState = null;
+        let baseProjectData = null;
+        
+        for (const scenario of scenarios) {
+            const validation = validateScenario(projectData, scenario);
+            let result;
+            if (!validation.valid) {
+                result = {
+                    success: false,
+                    error: 'Scenario validation failed: ' + validation.errors.join(', '),
+                    log: []
+                };
+            } else {
+                result = await this.runAllAnalysis(applyScenario(projectData, scenario));
+                validation.warnings.forEach(warning => {
+                    result.log.unshift({ timestamp: new Date().toISOString(), message: 'WARNING: ' + warning });
+                });
+            }
+            if (!baseState) {
+                baseState = this.state;
+                baseProjectData = this.projectData;
+            }
+            
+            scenarioResults[scenario.name] = {
+                name: scenario.name,
+                description: scenario.description || '',
+                componentStates: getScenarioComponentStates(projectData, scenario),
+                success: result.success,
+                error: result.error,
+                results: result.results,
+                log: result.log,
+                assumptions: result.assumptions || []
+            };
+            result.log.forEach(entry => {
+                calculationLog.push({ ...entry, message: `[${scenario.name}] ${entry.message}` });
+            });
+        }
+        
+        this.state = baseState;
+        this.projectData = baseProjectData;
+        
+        const base = scenarioResults[scenarios[0].name];
+        if (!base.success) {
+            return {
+                success: false,
+                error: `Base scenario ${base.name}: ${base.error}`,
+                scenarios: scenarioResults,
+                log: calculationLog
+            };
+        }
+        
+        // Worst case across scenarios
+        const scenarioSummary = Object.values(scenarioResults)
+            .filter(entry => entry.success)
+            .map(entry => ({
+                scenario: entry.name,
+                maxFaultCurrent: entry.results.summary.maxFaultCurrent,
+                minFaultCurrent: entry.results.summary.minFaultCurrent,
+                maxVoltageDropPercent: entry.results.summary.maxVoltageDropPercent,
+                maxIncidentEnergy: entry.results.summary.maxIncidentEnergy
+            }));
+        const worst = scenarioSummary.reduce((a, b) => (b.maxFaultCurrent > a.maxFaultCurrent ? b : a));
+        
+        const results = {
+            ...base.results,
+            projectData: projectData,
+            activeScenario: base.name,
+            scenarios: scenarioResults,
+            summary: {
+                ...base.results.summary,
+                scenarios: scenarioSummary,
+                worstCaseScenario: worst.scenario,
+                worstCaseFaultCurrent: worst.maxFaultCurrent
+            }
+        };
+        
+        if (typeof window !== 'undefined' && window.resultsStore) {
+            window.resultsStore.saveResults(results);
+        }
+        
+        return {
+            success: Object.values(scenarioResults).every(entry => entry.success),
+            results: results,
+            scenarios: scenarioResults,
+            log: calculationLog,
+            assumptions: base.assumptions
+        };
+    }
+    
     /**
      * Run short circuit analysis only
      */
@@ -111,6 +244,15 @@ class CalculationOrchestrator {
             this.state.topology = this.buildTopology(projectData);
             this.state.thevenin = this.calculateTheveninEquivalents(this.state.topology);
             this.state.shortCircuit = this.calculateShortCircuit(this.state.topology, this.state.thevenin);
+            this.state.grounding = this.checkGroundingDevices(this.state.topology, this.state.shortCircuit);
+            
+            if (this.hasDCSystem(projectData)) {
+                this.state.dcShortCircuit = this.calculateDCShortCircuit(projectData.dcSystem);
+            }
+            
+            if (this.hasCapacitorBanks(projectData)) {
+                this.state.capacitorSwitching = this.calculateCapacitorSwitching(this.state.topology);
+            }
             
             if (this.hasMotors(projectData)) {
                 this.state.motorContribution = this.calculateMotorContribution(projectData, this.state.topology);
@@ -121,6 +263,10 @@ class CalculationOrchestrator {
                 success: true,
                 shortCircuit: this.state.shortCircuit,
                 motorContribution: this.state.motorContribution,
+                grounding: this.state.grounding,
+                breakerDuty: this.state.breakerDuty,
+                dcShortCircuit: this.state.dcShortCircuit,
+                capacitorSwitching: this.state.capacitorSwitching,
                 log: this.state.calculationLog,
                 assumptions: this.state.assumptions
             };
@@ -155,6 +301,7 @@ class CalculationOrchestrator {
             return {
                 success: true,
                 voltageDrop: this.state.voltageDrop,
+                loadFlow: this.state.loadFlow,
                 log: this.state.calculationLog
             };
             
@@ -186,6 +333,10 @@ class CalculationOrchestrator {
             this.state.thevenin = this.calculateTheveninEquivalents(this.state.topology);
             this.state.shortCircuit = this.calculateShortCircuit(this.state.topology, this.state.thevenin);
             this.state.arcFlash = this.calculateArcFlash(this.state.shortCircuit);
+            if (this.hasDCSystem(projectData)) {
+                this.state.dcShortCircuit = this.calculateDCShortCircuit(projectData.dcSystem);
+                this.state.arcFlash.push(...this.calculateDCArcFlash(this.state.dcShortCircuit));
+            }
             
             return {
                 success: true,
@@ -210,11 +361,18 @@ class CalculationOrchestrator {
         this.state = {
             validated: false,
             topology: null,
+            network: null,
             thevenin: null,
             shortCircuit: null,
             voltageDrop: null,
+            loadFlow: null,
             arcFlash: null,
             motorContribution: null,
+            grounding: null,
+            breakerDuty: null,
+            dcShortCircuit: null,
+            capacitorSwitching: null,
+            reactorSizing: null,
             results: null,
             calculationLog: [],
             assumptions: []
@@ -255,8 +413,14 @@ class CalculationOrchestrator {
             return { valid: false, errors, warnings };
         }
         
-        // Validate voltage
-        if (!projectData.voltage || projectData.voltage <= 0) {
+        // Validate voltage (network-format projects carry nominal voltages on their buses)
+        if (Array.isArray(projectData.buses) && projectData.buses.length > 0) {
+            projectData.buses.forEach((bus, index) => {
+                if (!bus.name || !bus.voltage || bus.voltage <= 0) {
+                    errors.push(`Bus ${index + 1}: Name and nominal voltage (V) required`);
+                }
+            });
+        } else if (!projectData.voltage || projectData.voltage <= 0) {
             errors.push('Invalid system voltage');
         }
         
@@ -265,7 +429,14 @@ class CalculationOrchestrator {
             errors.push('No components defined');
         }
         
+        if (projectData.shortCircuitTaps !== undefined && !['maximum', 'minimum', 'current'].includes(projectData.shortCircuitTaps)) {
+            errors.push(`Unknown short-circuit tap selection '${projectData.shortCircuitTaps}' (use maximum, minimum or current)`);
+        }
+        
         // Validate component units
+        let usesCableLibrary = false;
+        let usesOverheadLines = false;
+        let usesBusways = false;
         projectData.components?.forEach((comp, index) => {
             if (comp.type === 'cable') {
                 // Validate length (covers negative and zero)
@@ -273,8 +444,22 @@ class CalculationOrchestrator {
                     errors.push(`Cable ${index + 1}: Invalid length (must be positive, got ${comp.length}m)`);
                 }
                 
-                // Validate impedance data
-                if (!comp.resistance || !comp.reactance) {
+                // Validate impedance data: construction from the cable library, or R and X entered
+                if (comp.size !== undefined) {
+                    if (typeof calculateCableImpedance === 'undefined') {
+                        errors.push(`Cable ${index + 1}: Cable library not loaded for size ${comp.size}`);
+                    } else {
+                        try {
+                            calculateCableImpedance(comp, { voltage: comp.voltage });
+                            usesCableLibrary = true;
+                        } catch (error) {
+                            errors.push(`Cable ${index + 1}: ${error.message}`);
+                        }
+                    }
+                    if (comp.sets !== undefined && !(comp.sets >= 1)) {
+                        errors.push(`Cable ${index + 1}: Parallel sets must be at least 1 (got ${comp.sets})`);
+                    }
+                } else if (!comp.resistance || !comp.reactance) {
                     errors.push(`Cable ${index + 1}: Missing impedance data (Ω/km)`);
                 } else if (comp.resistance <= 0 || comp.reactance <= 0) {
                     errors.push(`Cable ${index + 1}: Invalid impedance values (R=${comp.resistance}, X=${comp.reactance} must be positive)`);
@@ -304,6 +489,48 @@ class CalculationOrchestrator {
                 }
             }
             
+            if (comp.type === 'overhead_line') {
+                // Length in km (cables are in m)
+                if (!comp.length || comp.length <= 0) {
+                    errors.push(`Overhead line ${index + 1}: Invalid length (must be positive, got ${comp.length} km)`);
+                } else if (comp.length > 1000) {
+                    warnings.push(`Overhead line ${index + 1}: Length ${comp.length} km is unusually long. Overhead line length is in km, not m.`);
+                }
+                
+                if (typeof calculateOverheadLineImpedance === 'undefined') {
+                    errors.push(`Overhead line ${index + 1}: Overhead line module not loaded`);
+                } else {
+                    try {
+                        calculateOverheadLineImpedance(comp);
+                        usesOverheadLines = true;
+                    } catch (error) {
+                        errors.push(`Overhead line ${index + 1}: ${error.message}`);
+                    }
+                }
+            }
+            
+            if (comp.type === 'busway') {
+                if (!comp.length || comp.length <= 0) {
+                    errors.push(`Busway ${index + 1}: Invalid length (must be positive, got ${comp.length}m)`);
+                }
+                
+                if (typeof calculateBuswayImpedance === 'undefined') {
+                    errors.push(`Busway ${index + 1}: Busway library not loaded`);
+                } else {
+                    try {
+                        calculateBuswayImpedance(comp);
+                        usesBusways = true;
+                    } catch (error) {
+                        errors.push(`Busway ${index + 1}: ${error.message}`);
+                    }
+                }
+                
+                // Busway is a low-voltage product (UL 857, IEC 61439-6)
+                if (comp.voltage && comp.voltage > 1000) {
+                    warnings.push(`Busway ${index + 1}: Voltage ${comp.voltage}V is above the 1000 V range of the busway library. Please verify (use V, not kV).`);
+                }
+            }
+            
             if (comp.type === 'transformer') {
                 // Validate power (covers negative and zero)
                 if (!comp.power || comp.power <= 0) {
@@ -336,6 +563,30 @@ class CalculationOrchestrator {
                     warnings.push(`Transformer ${index + 1}: Secondary voltage not specified or invalid`);
                 }
                 
+                // Tap changer: tapRange ±% or { min, max }, tapChanger 'detc' (off-circuit) or 'oltc' (on-load)
+                if (comp.tapRange !== undefined) {
+                    const range = typeof comp.tapRange === 'number'
+                        ? { min: -Math.abs(comp.tapRange), max: Math.abs(comp.tapRange) } : (comp.tapRange || {});
+                    if (!(range.min <= range.max)) {
+                        errors.push(`Transformer ${index + 1}: Invalid tap range (minimum must not exceed maximum)`);
+                    } else if (comp.tapPosition && (comp.tapPosition < range.min || comp.tapPosition > range.max)) {
+                        warnings.push(`Transformer ${index + 1}: Tap position ${comp.tapPosition}% outside the tap range ${range.min}% to ${range.max}%`);
+                    }
+                }
+                if (comp.tapStep !== undefined && !(comp.tapStep > 0)) {
+                    errors.push(`Transformer ${index + 1}: Invalid tap step (must be positive, got ${comp.tapStep}%)`);
+                }
+                if (comp.tapChanger !== undefined && !['detc', 'oltc'].includes(comp.tapChanger)) {
+                    errors.push(`Transformer ${index + 1}: Unknown tap changer '${comp.tapChanger}' (use detc or oltc)`);
+                }
+                if (typeof parseVectorGroup !== 'undefined') {
+                    try {
+                        parseVectorGroup(comp.connectionType);
+                    } catch (error) {
+                        errors.push(`Transformer ${index + 1}: ${error.message}`);
+                    }
+                }
+                
                 // Note: Transformer voltages in config are typically in kV, not V
                 // primaryV/secondaryV fields are usually specified as 13.2, 0.44, etc. (kV)
                 // The code converts these to V by multiplying by 1000 where needed
@@ -348,6 +599,110 @@ class CalculationOrchestrator {
                 }
             }
             
+            if (comp.type === 'breaker' || comp.type === 'tie') {
+                // Switching devices only act as branches between two buses
+                if (!comp.toBus) {
+                    warnings.push(`${comp.name || `Component ${index + 1}`}: ${comp.type} without fromBus/toBus has no effect on the network`);
+                }
+                if (comp.status && comp.status !== 'open' && comp.status !== 'closed') {
+                    errors.push(`${comp.name || `Component ${index + 1}`}: status must be 'open' or 'closed' (got ${comp.status})`);
+                }
+            }
+            
+            if (comp.type === 'capacitor_bank') {
+                if (!comp.power || comp.power <= 0) {
+                    errors.push(`${comp.name || `Capacitor bank ${index + 1}`}: Invalid rating (must be positive, got ${comp.power} MVAR)`);
+                }
+                if (comp.steps !== undefined && (!Number.isInteger(comp.steps) || comp.steps < 1)) {
+                    errors.push(`${comp.name || `Capacitor bank ${index + 1}`}: Number of steps must be a positive integer (got ${comp.steps})`);
+                }
+            }
+            
+            if (comp.type === 'reactor') {
+                if (comp.targetFaultCurrent !== undefined && !(comp.targetFaultCurrent > 0)) {
+                    errors.push(`${comp.name || `Reactor ${index + 1}`}: Target fault current must be positive (got ${comp.targetFaultCurrent} kA)`);
+                }
+                if (comp.ohms !== undefined && comp.ohms < 0) {
+                    errors.push(`${comp.name || `Reactor ${index + 1}`}: Reactance cannot be negative (got ${comp.ohms} Ω)`);
+                }
+                if (comp.ohms === undefined && comp.reactance && !comp.power) {
+                    warnings.push(`${comp.name || `Reactor ${index + 1}`}: Reactance in % needs the rated power - reactor modelled without impedance`);
+                }
+            }
+            
+            if (comp.type === 'transformer_3w') {
+                // Winding ratings (MVA) and winding-pair impedances (%) on their own bases
+                if (!comp.power || comp.power <= 0) {
+                    errors.push(`Three-winding transformer ${index + 1}: Invalid primary power rating (must be positive, got ${comp.power} MVA)`);
+                }
+                ['impedancePS', 'impedancePT', 'impedanceST'].forEach(field => {
+                    if (!comp[field] || comp[field] <= 0) {
+                        errors.push(`Three-winding transformer ${index + 1}: Invalid ${field} (must be positive, got ${comp[field]}%)`);
+                    }
+                });
+                if (comp.fromBus === undefined || comp.toBus === undefined || comp.tertiaryBus === undefined) {
+                    errors.push(`Three-winding transformer ${index + 1}: fromBus, toBus and tertiaryBus required`);
+                }
+                if (typeof parseThreeWindingVectorGroup !== 'undefined') {
+                    try {
+                        parseThreeWindingVectorGroup(comp.connectionType);
+                    } catch (error) {
+                        errors.push(`Three-winding transformer ${index + 1}: ${error.message}`);
+                    }
+                }
+                if (!comp.rx && comp.rx !== 0) {
+                    this.addAssumption('Transformer', `Three-winding transformer ${index + 1} R/X ratio not specified - using IEEE 141 typical value based on its primary rating`);
+                }
+            }
+            
+            if (comp.type === 'autotransformer') {
+                // Throughput rating (MVA), high-to-low impedance (%) and, with a delta tertiary, the tertiary pair impedances
+                if (!comp.power || comp.power <= 0) {
+                    errors.push(`Autotransformer ${index + 1}: Invalid power rating (must be positive, got ${comp.power} MVA)`);
+                }
+                if (!comp.impedance || comp.impedance <= 0) {
+                    errors.push(`Autotransformer ${index + 1}: Invalid impedance (must be positive, got ${comp.impedance}%)`);
+                }
+                if (comp.fromBus === undefined || comp.toBus === undefined) {
+                    errors.push(`Autotransformer ${index + 1}: fromBus (high voltage) and toBus (low voltage) required`);
+                }
+                if (comp.primaryV && comp.secondaryV && comp.secondaryV >= comp.primaryV) {
+                    errors.push(`Autotransformer ${index + 1}: Low voltage ${comp.secondaryV} kV must be below the high voltage ${comp.primaryV} kV`);
+                }
+                if (typeof parseAutotransformerVectorGroup !== 'undefined') {
+                    try {
+                        if (parseAutotransformerVectorGroup(comp.connectionType).tertiary) {
+                            ['impedancePT', 'impedanceST'].forEach(field => {
+                                if (!comp[field] || comp[field] <= 0) {
+                                    errors.push(`Autotransformer ${index + 1}: Invalid ${field} of the delta tertiary (must be positive, got ${comp[field]}%)`);
+                                }
+                            });
+                        } else if (comp.tertiaryBus !== undefined) {
+                            errors.push(`Autotransformer ${index + 1}: tertiaryBus needs a delta tertiary in the vector group (e.g. YNa0d1)`);
+                        }
+                    } catch (error) {
+                        errors.push(`Autotransformer ${index + 1}: ${error.message}`);
+                    }
+                }
+                if (!comp.rx && comp.rx !== 0) {
+                    this.addAssumption('Transformer', `Autotransformer ${index + 1} R/X ratio not specified - using IEEE 141 typical value based on its rating`);
+                }
+            }
+            
+            if (comp.type === 'ngr') {
+                if (!comp.ohms && !comp.letThroughCurrent) {
+                    errors.push(`Grounding device ${index + 1}: Specify resistance/reactance (Ω) or let-through current (A)`);
+                }
+                
+                // The grounded neutral must belong to a transformer or generator in the project
+                const grounded = projectData.components.find(c =>
+                    ['transformer', 'transformer_3w', 'autotransformer', 'generator'].includes(c.type) &&
+                    (c.name === comp.neutralOf || (c.id !== undefined && c.id === comp.neutralOf)));
+                if (!grounded) {
+                    errors.push(`Grounding device ${index + 1}: Neutral of '${comp.neutralOf}' not found (must name a transformer or generator)`);
+                }
+            }
+            
             if (comp.type === 'utility' || comp.type === 'utility_isc') {
                 // Validate ISC if provided
                 if (comp.isc !== undefined) {
@@ -380,6 +735,23 @@ class CalculationOrchestrator {
             }
         });
         
+        if (usesCableLibrary) {
+            this.addAssumption('Cable Library', `Cable impedances from construction data: conductor resistance at the operating temperature (default ${CABLE_TYPICAL_DATA.conductorTemperature}°C) with skin and proximity effects (IEC 60287-1-1), zero sequence with Carson earth return at ${CABLE_TYPICAL_DATA.earthResistivity} Ω·m`);
+        }
+        if (usesBusways) {
+            this.addAssumption('Busway', `Busway impedances from the rating library (generic estimates scaled from the rating, not manufacturer data) unless resistance and reactance are given, resistance corrected from 20°C to ${BUSWAY_TYPICAL_DATA.conductorTemperature}°C unless given, zero sequence Z0 = Zphase + 3·Zground through the busway ground path`);
+        }
+        if (usesOverheadLines) {
+            this.addAssumption('Overhead Line', `Overhead line impedances from tower geometry by the modified Carson's equations: transposed phases, shield wires grounded at every tower, conductors at ${OVERHEAD_LINE_TYPICAL_DATA.conductorTemperature}°C and earth resistivity ${OVERHEAD_LINE_TYPICAL_DATA.earthResistivity} Ω·m unless given; line charging neglected`);
+        }
+        
+        // DC system (batteries, rectifiers, DC cables and motors)
+        if (projectData.dcSystem && typeof validateDCSystem !== 'undefined') {
+            const dcValidation = validateDCSystem(projectData.dcSystem);
+            errors.push(...dcValidation.errors);
+            warnings.push(...dcValidation.warnings);
+        }
+        
         // Log warnings as assumptions
         warnings.forEach(warning => {
             this.logStep('WARNING: ' + warning);
@@ -453,11 +825,44 @@ class CalculationOrchestrator {
         return connections;
     }
     
+    /**
+     * Transformer tap selection of the fault study: 'maximum' (default), 'minimum' or 'current'
+     */
+    getShortCircuitTaps() {
+        return (this.projectData && this.projectData.shortCircuitTaps) || 'maximum';
+    }
+    
     /**
      * Calculate Thevenin equivalents for all buses
+     * Uses the nodal Z-bus solver when available (meshed and multi-source networks),
+     * otherwise sums the series impedance stored on each bus (single radial chain)
      */
     calculateTheveninEquivalents(topology) {
         const buses = topology.busSystem.getAllBuses();
+        
+        if (typeof calculateNetworkThevenin !== 'undefined' && topology.topologyManager) {
+            const taps = this.getShortCircuitTaps();
+            const solved = calculateNetworkThevenin(topology, { taps: taps });
+            this.state.network = solved.network;
+            
+            solved.equivalents.forEach(eq => {
+                if (!eq.energized) {
+                    this.logStep(`WARNING: Bus ${eq.busName} has no path to a source - excluded from fault calculation`);
+                    this.addAssumption('Network Solver', `${eq.busName} is de-energized (no source connected)`);
+                }
+            });
+            
+            this.addAssumption('Network Solver', `Thevenin impedances from nodal Z-bus on ${solved.network.model.baseMVA} MVA base, 1.0 pu prefault voltage`);
+            if (solved.network.model.branches.some(branch => branch.tap !== 1)) {
+                this.addAssumption('Network Solver', taps === 'current'
+                    ? 'Transformers at their present tap; prefault voltage raised or lowered by the tap ratio'
+                    : `Transformers at the ${taps === 'maximum' ? 'highest' : 'lowest'} tap of their range (${taps} fault level); prefault voltage follows the tap ratio`);
+            }
+            
+            // Keep BusSystem ordering for downstream consumers
+            return buses.map(bus => solved.equivalents.find(eq => eq.busId === bus.id));
+        }
+        
         const theveninEquivalents = [];
         
         buses.forEach(bus => {
@@ -485,18 +890,58 @@ class CalculationOrchestrator {
         const buses = topology.busSystem.getAllBuses();
         const results = [];
         
-        buses.forEach((bus, index) => {
-            const th = thevenin[index];
+        // Unbalanced faults from positive-, negative- and zero-sequence networks
+        let sequenceFaults = null;
+        if (typeof calculateBusSequenceFaults !== 'undefined' && topology.topologyManager) {
+            sequenceFaults = calculateBusSequenceFaults(topology, { taps: this.getShortCircuitTaps() });
+            this.addAssumption('Fault Analysis', 'L-G, L-L and 2L-G faults solved from symmetrical components (Z1, Z2, Z0), bolted faults');
+            this.addAssumption('Fault Analysis', 'Sources and generators solidly grounded unless grounding is specified; motor neutrals ungrounded');
+            if (topology.components.some(comp => comp.type === 'inverter' && comp.inService !== false)) {
+                this.addAssumption('Fault Analysis', 'Inverter-based sources inject reactive current k·(1 - V1)·Ir up to their current limit, solved iteratively with the terminal voltage; no zero-sequence contribution');
+                this.addAssumption('Fault Analysis', 'Inverter current added to the first-cycle duty; excluded from the C37 interrupting and IEC 60909 source contributions');
+            }
+        } else {
+            this.addAssumption('Fault Analysis', 'Unbalanced faults approximated as fixed fractions of the three-phase current (sequence solver not loaded)');
+        }
+        
+        buses.forEach(bus => {
+            const th = thevenin.find(t => t.busId === bus.id);
+            if (!th || th.energized === false) {
+                return;
+            }
             const voltage = bus.voltage;
             const z = th.z || 0.001;
             
-            // Three-phase fault (maximum)
-            const i3phase = voltage / (Math.sqrt(3) * z);
+            // Three-phase fault (maximum) from the open-circuit voltage behind the Thevenin impedance
+            let i3phase = voltage * (th.prefaultPU || 1) / (Math.sqrt(3) * z);
+            
+            const sequence = sequenceFaults ? sequenceFaults.find(s => s.busId === bus.id && s.energized) : null;
+            let iLG, iLL, i2LG;
             
-            // Other fault types (approximations per IEEE)
-            const iLG = i3phase * 0.80;  // Line-to-ground ~80%
-            const iLL = i3phase * 0.87;  // Line-to-line ~87% (√3/2)
-            const i2LG = i3phase * 0.95; // Double line-to-ground ~95%
+            // Inverter-based sources: current-limited injection from the iterative sequence solution
+            let inverterContribution = 0;
+            if (sequence && sequence.faults.threePhase.inverters.length > 0) {
+                inverterContribution = Math.max(0, sequence.faults.threePhase.faultCurrent - i3phase);
+                i3phase = sequence.faults.threePhase.faultCurrent;
+                if (!sequence.faults.threePhase.inverterConverged) {
+                    this.logStep(`WARNING: Inverter fault currents for Bus ${bus.name} did not converge in ${sequence.faults.threePhase.inverterIterations} iterations`);
+                }
+            }
+            
+            if (sequence) {
+                iLG = sequence.faults.lineToGround.faultCurrent;
+                iLL = sequence.faults.lineToLine.faultCurrent;
+                i2LG = sequence.faults.doubleLineToGround.faultCurrent;
+                
+                if (!sequence.grounded) {
+                    this.logStep(`WARNING: Bus ${bus.name} has no zero-sequence path - ground fault current is zero`);
+                }
+            } else {
+                // Approximations per IEEE
+                iLG = i3phase * 0.80;  // Line-to-ground ~80%
+                iLL = i3phase * 0.87;  // Line-to-line ~87% (√3/2)
+                i2LG = i3phase * 0.95; // Double line-to-ground ~95%
+            }
             
             // X/R ratio and asymmetric component
             const xr = th.xr || 10;
@@ -545,8 +990,21 @@ class CalculationOrchestrator {
                     doubleLineToGround: i2LG / 1000,
                     symmetrical: i3phase / 1000,
                     asymmetrical: (i3phase * asymFactor) / 1000,
-                    peak: iPeak / 1000
+                    peak: iPeak / 1000,
+                    inverterContribution: inverterContribution / 1000
                 },
+                // Three-phase fault current from each branch and source toward the bus
+                // (per fault type under sequence.faults[type].contributions)
+                contributions: sequence ? sequence.faults.threePhase.contributions : [],
+                // Retained voltage at every bus during a three-phase fault here
+                // (per fault type under sequence.faults[type].voltageProfile)
+                voltageProfile: sequence ? sequence.faults.threePhase.voltageProfile : [],
+                // Sequence impedances, phase/sequence currents and unfaulted phase voltages
+                sequence: sequence ? {
+                    grounded: sequence.grounded,
+                    impedanceOhms: sequence.impedanceOhms,
+                    faults: sequence.faults
+                } : null,
                 // Enhanced results per problem statement requirements
                 results: {
                     isym_kA: i3phase / 1000,
@@ -561,170 +1019,1123 @@ class CalculationOrchestrator {
             });
         });
         
+        this.calculateGeneratorDecrement(topology, results);
+        this.calculateCapacitorOutrush(topology, results);
+        this.calculateTapEnvelope(topology, results);
+        
+        if (this.projectData.standard === 'iec') {
+            this.calculateIEC60909(topology, results);
+        } else {
+            this.calculateCycleDuties(topology, results);
+            this.state.breakerDuty = this.calculateBreakerDuty(topology, results);
+        }
+        
         return results;
     }
     
     /**
-     * Check if project has motors
+     * Three-phase fault level at both ends of the transformer tap ranges (result.tapEnvelope, kA)
+     * Only when a transformer has a tapRange; the highest and lowest current over the two extremes.
      */
-    hasMotors(projectData) {
-        return projectData.components?.some(c => c.type === 'motor' || c.type === 'motor_load');
+    calculateTapEnvelope(topology, shortCircuitResults) {
+        if (typeof calculateNetworkThevenin === 'undefined' || !topology.topologyManager ||
+            !topology.components.some(comp => comp.type === 'transformer' && comp.tapRange !== undefined)) {
+            return;
+        }
+        
+        const extremes = ['maximum', 'minimum'].map(taps => calculateNetworkThevenin(topology, { taps: taps }).equivalents);
+        shortCircuitResults.forEach(result => {
+            const currents = extremes.map(equivalents => {
+                const th = equivalents.find(eq => eq.busId === result.busId);
+                return th && th.energized !== false ? result.voltage * th.prefaultPU / (Math.sqrt(3) * (th.z || 0.001)) / 1000 : 0;
+            });
+            result.tapEnvelope = {
+                maximumKA: Math.max(...currents),
+                minimumKA: Math.min(...currents)
+            };
+        });
+        this.addAssumption('Fault Analysis', 'Tap envelope: three-phase fault level with every transformer at the top and at the bottom of its tap range');
     }
     
     /**
-     * Calculate motor contribution
+     * Generator fault current decrement at every bus fed by a generator (result.generatorDecrement)
+     * Each generator decays from its share of the three-phase current behind the external reactance
+     * to the fault; the other sources are held at their subtransient contribution. When a generator
+     * has an overcurrent pickup (pickupCurrent, A), the time its current stays above pickup is reported.
      */
-    calculateMotorContribution(projectData, topology) {
-        const motors = projectData.components.filter(c => c.type === 'motor' || c.type === 'motor_load');
-        
-        if (motors.length === 0) {
-            return null;
+    calculateGeneratorDecrement(topology, shortCircuitResults) {
+        if (typeof getGeneratorDecrementParameters === 'undefined' || typeof solveNetwork === 'undefined' || !topology.topologyManager) {
+            return;
         }
-        
-        // Use motor contribution module if available
-        if (typeof calculateMotorContributionIEEE141 !== 'undefined') {
-            return calculateMotorContributionIEEE141(motors, topology);
+        if (!topology.components.some(comp => comp.type === 'generator' && comp.inService !== false)) {
+            return;
         }
         
-        // Fallback: basic motor contribution calculation
-        const motorResults = [];
+        const network = solveNetwork(buildNetworkModel(topology));
+        const model = network.model;
         
-        motors.forEach(motor => {
-            const hp = motor.hp || motor.power || 100;
-            const voltage = motor.voltage || 480;
-            const efficiency = motor.efficiency || 0.90;
-            const pf = motor.powerFactor || 0.85;
-            
-            // FLA calculation
-            const fla = (hp * 746) / (voltage * Math.sqrt(3) * efficiency * pf);
-            
-            // Locked rotor current (typically 6x FLA)
-            const lra = fla * (motor.lockedRotorMultiplier || 6);
+        shortCircuitResults.forEach(result => {
+            const z = network.getDrivingPointImpedance(result.busId);
+            if (!z) return;
+            const faultNode = model.busNode.get(result.busId);
+            const iBase = (model.baseMVA * 1e6) / (Math.sqrt(3) * result.voltage);
             
-            // Motor impedance at locked rotor
-            const zMotor = voltage / (Math.sqrt(3) * lra);
-            
-            // Typical motor X/R = 15 at locked rotor
-            const motorXR = 15;
-            const xMotor = zMotor / Math.sqrt(1 + 1 / (motorXR * motorXR));
-            const rMotor = xMotor / motorXR;
-            
-            // Contribution decays over time
-            const firstCycle = lra;
-            const interrupting = lra * 0.75;  // ~75% at breaker interrupting time
-            const sustained = fla * 4;        // ~4x FLA sustained
-            
-            motorResults.push({
-                name: motor.name || 'Motor',
-                hp: hp,
-                voltage: voltage,
-                fla: fla,
-                lra: lra,
-                impedance: { r: rMotor, x: xMotor, z: zMotor },
-                contribution: {
-                    firstCycle: firstCycle,
-                    interrupting: interrupting,
-                    sustained: sustained
-                }
-            });
+            const generators = model.shunts
+                .filter(shunt => shunt.type === 'generator' && network.position.has(shunt.node))
+                .map(shunt => {
+                    const comp = shunt.component;
+                    const currentPU = cAbs(cDiv(network.getNodeTransferImpedance(shunt.node, faultNode), cMul(z, shunt.z)));
+                    const ratedMVA = comp.powerUnit === 'kVA' ? (comp.power || 0) / 1000 : (comp.power || 0);
+                    const currentRatio = currentPU * model.baseMVA / ratedMVA;
+                    const xdSubtransient = (comp.reactance || comp.xdSubtransient || GENERATOR_TYPICAL_DATA.xdSubtransient) / 100;
+                    const parameters = getGeneratorDecrementParameters(comp, 1 / currentRatio - xdSubtransient);
+                    
+                    // kA at the faulted bus per pu of generator rated current
+                    const scaleKA = currentPU * iBase / 1000 / parameters.subtransientCurrent;
+                    let pickupTime = null;
+                    if (comp.pickupCurrent) {
+                        const ratedCurrent = (ratedMVA * 1e6) / (Math.sqrt(3) * model.nodes[shunt.node].voltage);
+                        pickupTime = getGeneratorDecrementTime(parameters, comp.pickupCurrent / ratedCurrent);
+                        if (isFinite(pickupTime)) {
+                            this.logStep(`WARNING: Generator ${comp.name} current for a fault at ${result.busName} falls below its ${comp.pickupCurrent} A pickup after ${pickupTime.toFixed(2)} s - protection must operate before then`);
+                        }
+                    }
+                    
+                    return {
+                        name: comp.name || comp.type,
+                        excitation: parameters.excitation,
+                        externalReactance: parameters.externalReactance,
+                        subtransientKA: parameters.subtransientCurrent * scaleKA,
+                        transientKA: parameters.transientCurrent * scaleKA,
+                        sustainedKA: parameters.sustainedCurrent * scaleKA,
+                        pickupTime: pickupTime,
+                        scaleKA: scaleKA,
+                        parameters: parameters
+                    };
+                });
+            if (generators.length === 0) return;
             
-            this.addAssumption('Motor Contribution', `Motor X/R assumed ${motorXR} at locked rotor`);
+            const otherSourcesKA = Math.max(0, result.faultCurrentsKA.threePhase - generators.reduce((sum, gen) => sum + gen.subtransientKA, 0));
+            result.generatorDecrement = {
+                otherSourcesKA: otherSourcesKA,
+                generators: generators,
+                curve: GENERATOR_DECREMENT_TIMES.map(time => {
+                    const generatorKA = generators.map(gen => calculateGeneratorCurrentAtTime(gen.parameters, time).symmetrical * gen.scaleKA);
+                    return {
+                        time: time,
+                        symmetricalKA: otherSourcesKA + generatorKA.reduce((sum, current) => sum + current, 0),
+                        generatorKA: generatorKA
+                    };
+                })
+            };
         });
         
-        // Aggregate contributions
-        const totalFirstCycle = motorResults.reduce((sum, m) => sum + m.contribution.firstCycle, 0);
-        const totalInterrupting = motorResults.reduce((sum, m) => sum + m.contribution.interrupting, 0);
-        const totalSustained = motorResults.reduce((sum, m) => sum + m.contribution.sustained, 0);
-        
-        return {
-            motors: motorResults,
-            totals: {
-                firstCycle: totalFirstCycle,
-                interrupting: totalInterrupting,
-                sustained: totalSustained
-            }
-        };
+        this.addAssumption('Generator Decrement', 'Generator AC decrement from X"d, X\'d, Xd and T"d, T\'d behind the external reactance to the fault; other sources held constant');
+        this.addAssumption('Generator Decrement', `Missing generator data taken as typical standby values (X'd ${GENERATOR_TYPICAL_DATA.xdTransient}%, Xd ${GENERATOR_TYPICAL_DATA.xdSat}%, T"d ${GENERATOR_TYPICAL_DATA.tdSubtransient} s, T'd ${GENERATOR_TYPICAL_DATA.tdTransient} s, constant excitation)`);
     }
     
     /**
-     * Integrate motor contribution into short circuit results
+     * Symmetrical current at a bus averaged over a fault duration, with generator decrement (kA)
      */
-    integrateMotorContribution() {
-        if (!this.state.motorContribution || !this.state.shortCircuit) {
+    getGeneratorDecrementCurrentKA(decrement, duration) {
+        return decrement.otherSourcesKA + decrement.generators.reduce((sum, gen) =>
+            sum + calculateGeneratorAverageCurrent(gen.parameters, duration) * gen.scaleKA, 0);
+    }
+    
+    /**
+     * IEEE C37 first-cycle, interrupting and 30-cycle duties, each from its own network (result.cycleDuties)
+     * Machine impedances carry the C37.010 multipliers: small motors are left out of all networks and
+     * every motor out of the 30-cycle network. Each duty reports the symmetrical current, X/R and the
+     * motor currents; the first-cycle duty adds the asymmetrical and peak currents.
+     */
+    calculateCycleDuties(topology, shortCircuitResults) {
+        if (typeof getANSIImpedanceMultiplier === 'undefined' || typeof solveNetwork === 'undefined' || !topology.topologyManager) {
             return;
         }
         
-        const motorData = this.state.motorContribution;
+        const networks = {};
+        Object.keys(ANSI_C37_STANDARDS.machineMultipliers).forEach(name => {
+            networks[name] = solveNetwork(buildNetworkModel(topology, {
+                includeMotors: true,
+                impedanceFactors: this.getANSIImpedanceFactors(topology, name)
+            }));
+        });
+        const baseMVA = networks.firstCycle.model.baseMVA;
         
-        // Group motors by bus
-        const motorsByBus = {};
-        motorData.motors.forEach(motor => {
-            const busId = motor.busConnection || 'Unknown';
-            if (!motorsByBus[busId]) {
-                motorsByBus[busId] = {
-                    firstCycle: 0,
-                    interrupting: 0,
-                    sustained: 0,
-                    motors: []
+        shortCircuitResults.forEach(result => {
+            const iBase = (baseMVA * 1e6) / (Math.sqrt(3) * result.voltage);
+            const duties = {};
+            
+            Object.entries(networks).forEach(([name, network]) => {
+                const z = network.getDrivingPointImpedance(result.busId);
+                if (!z) {
+                    duties[name] = null;
+                    return;
+                }
+                
+                // Motor currents toward the fault (1.0 pu prefault voltage)
+                const faultNode = network.model.busNode.get(result.busId);
+                let motorCurrent = complex(0, 0);
+                const motors = [];
+                network.model.shunts
+                    .filter(shunt => NETWORK_MOTOR_TYPES.includes(shunt.type) && network.position.has(shunt.node))
+                    .forEach(shunt => {
+                        const current = cDiv(network.getNodeTransferImpedance(shunt.node, faultNode), cMul(z, shunt.z));
+                        motorCurrent = cAdd(motorCurrent, current);
+                        motors.push({ name: shunt.component.name || shunt.type, currentKA: cAbs(current) * iBase / 1000 });
+                    });
+                
+                duties[name] = {
+                    symmetricalKA: iBase / cAbs(z) / 1000,
+                    xrRatio: z.im / z.re,
+                    motorCurrentKA: cAbs(motorCurrent) * iBase / 1000,
+                    motors: motors
                 };
+            });
+            
+            const firstCycle = duties.firstCycle;
+            if (firstCycle) {
+                const asymFactor = calculateFirstCycleAsymmetricalMultiplier(firstCycle.xrRatio);
+                firstCycle.asymmetricalKA = firstCycle.symmetricalKA * asymFactor;
+                firstCycle.peakKA = firstCycle.asymmetricalKA * Math.sqrt(2);
             }
-            motorsByBus[busId].firstCycle += motor.contribution.firstCycle;
-            motorsByBus[busId].interrupting += motor.contribution.interrupting;
-            motorsByBus[busId].sustained += motor.contribution.sustained;
-            motorsByBus[busId].motors.push(motor);
+            result.cycleDuties = duties;
         });
         
-        // Add motor contribution to each bus
-        this.state.shortCircuit.forEach(busResult => {
-            const busMotors = motorsByBus[busResult.busId] || motorsByBus[busResult.busName];
-            
-            if (busMotors) {
-                // Add motor contribution as parallel current source (IEEE 141)
-                // Motors contribute additional current, not series impedance
-                const motorFirstCycleKA = busMotors.firstCycle / 1000;
-                const motorInterruptingKA = busMotors.interrupting / 1000;
-                const motorSustainedKA = busMotors.sustained / 1000;
-                
-                // Store motor contribution separately
-                busResult.motorContribution = {
-                    firstCycleKA: motorFirstCycleKA,
-                    interruptingKA: motorInterruptingKA,
-                    sustainedKA: motorSustainedKA,
-                    count: busMotors.motors.length,
-                    motors: busMotors.motors
-                };
-                
-                // Add to fault currents (parallel source contribution)
-                busResult.faultCurrentsKA.threePhaseWithMotors = 
-                    busResult.faultCurrentsKA.threePhase + motorFirstCycleKA;
-                busResult.faultCurrentsKA.interruptingWithMotors = 
-                    busResult.faultCurrentsKA.threePhase + motorInterruptingKA;
-                busResult.faultCurrentsKA.sustainedWithMotors = 
-                    busResult.faultCurrentsKA.threePhase + motorSustainedKA;
-                
-                // Calculate motor contribution percentage
-                busResult.motorContributionPercent = {
-                    firstCycle: (motorFirstCycleKA / busResult.faultCurrentsKA.threePhase) * 100,
-                    interrupting: (motorInterruptingKA / busResult.faultCurrentsKA.threePhase) * 100,
-                    sustained: (motorSustainedKA / busResult.faultCurrentsKA.threePhase) * 100
+        this.addAssumption('IEEE C37', 'First-cycle, interrupting and 30-cycle networks solved separately with C37.010 machine multipliers (1.0, 1.2, 1.5, 3.0)');
+        this.addAssumption('IEEE C37', 'Induction motors below 50 hp left out; 30-cycle network without motors, generators behind X\'d when given');
+    }
+    
+    /**
+     * IEEE C37 machine multipliers for one network ('firstCycle', 'interrupting' or 'thirtyCycle')
+     */
+    getANSIImpedanceFactors(topology, network) {
+        const factors = new Map();
+        topology.components
+            .filter(comp => getANSIMachineClass(comp))
+            .forEach(comp => {
+                factors.set(comp, getANSIImpedanceMultiplier(comp, network));
+            });
+        return factors;
+    }
+    
+    /**
+     * ANSI/IEEE C37.010 interrupting duty at every MV bus (E/X method), stored as result.ansi
+     * E/X comes from the X-only interrupting network and X/R from separate R-only and X-only reductions. The multiplying
+     * factor is interpolated between the local and remote curves by NACD, the remote share of the E/X current:
+     * generators within one transformation of the fault and behind an external reactance below 1.5 × X"d are local;
+     * motors, utilities and other generators are remote.
+     * @returns {Array|null} Breaker nameplate checks (see checkBreakerInterruptingRatings)
+     */
+    calculateBreakerDuty(topology, shortCircuitResults) {
+        const mvResults = shortCircuitResults.filter(result => result.voltage > 1000);
+        if (typeof calculateC37InterruptingDuty === 'undefined' || typeof solveNetwork === 'undefined' ||
+            !topology.topologyManager || mvResults.length === 0) {
+            return null;
+        }
+        
+        const options = { includeMotors: true, impedanceFactors: this.getANSIImpedanceFactors(topology, 'interrupting') };
+        const xNetwork = solveNetwork(buildNetworkModel(topology, { ...options, impedancePart: 'reactance' }));
+        const rNetwork = solveNetwork(buildNetworkModel(topology, { ...options, impedancePart: 'resistance' }));
+        const baseMVA = xNetwork.model.baseMVA;
+        
+        mvResults.forEach(result => {
+            const x = xNetwork.getDrivingPointImpedance(result.busId);
+            const r = rNetwork.getDrivingPointImpedance(result.busId);
+            if (!x || !r) return;
+            
+            const iBase = (baseMVA * 1e6) / (Math.sqrt(3) * result.voltage);
+            result.ansi = calculateC37InterruptingDuty({
+                symmetricalCurrent: iBase / x.im,
+                xrRatio: x.im / r.re,
+                remoteRatio: this.getC37RemoteRatio(xNetwork, result.busId)
+            });
+        });
+        
+        this.addAssumption('ANSI C37.010', 'Interrupting duty by the E/X method, 1.0 pu prefault voltage, X/R from separate R and X networks');
+        this.addAssumption('ANSI C37.010', 'Multiplying factors for symmetrically rated breakers (X/R 17 test basis), interpolated between local and remote curves by NACD');
+        
+        return this.checkBreakerInterruptingRatings(topology, mvResults);
+    }
+    
+    /**
+     * Remote share of the E/X fault current at a bus (NACD, C37.010)
+     * Only generators can be local; the reactance between a generator and the fault is 1/I - X"d at 1.0 pu prefault.
+     */
+    getC37RemoteRatio(network, busId) {
+        const model = network.model;
+        const faultNode = model.busNode.get(busId);
+        const zff = network.getNodeTransferImpedance(faultNode, faultNode);
+        let remote = 0;
+        let total = 0;
+        
+        model.shunts
+            .filter(shunt => network.position.has(shunt.node) && shunt.type !== 'inverter')
+            .forEach(shunt => {
+                const current = cAbs(cDiv(network.getNodeTransferImpedance(shunt.node, faultNode), cMul(zff, shunt.z)));
+                const xd = cAbs(shunt.z);
+                const local = shunt.type === 'generator' && getTransformationCount(model, shunt.node, faultNode) <= 1 &&
+                    1 / current - xd < ANSI_C37_STANDARDS.remoteGeneratorReactance * xd;
+                total += current;
+                if (!local) {
+                    remote += current;
+                }
+            });
+        
+        return total > 0 ? remote / total : 1.0;
+    }
+    
+    /**
+     * Compare breaker nameplates with the C37.010 interrupting duty
+     * Breaker fields: interruptingRating (kA symmetrical) and contactPartingTime (cycles, default 3 for a
+     * 5-cycle breaker). The duty is the higher of the buses on either side of the breaker.
+     * @returns {Array} [{ name, buses, contactPartingTime, interruptingRating, interruptingDuty (kA), utilization (%), adequate }]
+     */
+    checkBreakerInterruptingRatings(topology, shortCircuitResults) {
+        const resultByBus = new Map(shortCircuitResults.filter(result => result.ansi).map(result => [result.busId, result]));
+        const checks = [];
+        
+        topology.components
+            .filter(comp => comp.type === 'breaker' && comp.interruptingRating)
+            .forEach(comp => {
+                const busResults = [comp.fromBus, comp.toBus].map(busId => resultByBus.get(busId)).filter(Boolean);
+                if (busResults.length === 0) return;
+                
+                const contactPartingTime = comp.contactPartingTime || 3;
+                const interruptingDuty = Math.max(...busResults.map(result => calculateC37InterruptingDuty({
+                    ...result.ansi,
+                    contactPartingTimes: [contactPartingTime]
+                }).duties[0].interruptingCurrent)) / 1000;
+                const check = {
+                    name: comp.name,
+                    buses: busResults.map(result => result.busName),
+                    contactPartingTime: contactPartingTime,
+                    interruptingRating: comp.interruptingRating,
+                    interruptingDuty: interruptingDuty,
+                    utilization: interruptingDuty / comp.interruptingRating * 100,
+                    adequate: interruptingDuty <= comp.interruptingRating
                 };
+                if (!check.adequate) {
+                    this.logStep(`WARNING: Breaker ${comp.name} interrupting duty ${interruptingDuty.toFixed(2)} kA exceeds its ${comp.interruptingRating} kA rating`);
+                }
+                checks.push(check);
+            });
+        
+        return checks;
+    }
+    
+    /**
+     * IEC 60909-0 short-circuit currents at every bus, stored as result.iec
+     * Impedances corrected with cQ, KT, KG and KS/KSO, motors included in the network. Project options:
+     * iecPeakMethod ('B' or 'C', default 'C'), iecMinTimeDelay (s, default 0.1), iecFaultDuration (s, default 1),
+     * iecMinimumStudy (true adds result.iecMin and the min/max envelope result.envelope).
+     */
+    calculateIEC60909(topology, shortCircuitResults) {
+        if (typeof calculateIECShortCircuit === 'undefined' || typeof solveNetwork === 'undefined' || !topology.topologyManager) {
+            this.addAssumption('IEC 60909', 'IEC 60909-0 engine or network solver not loaded - IEC factors not applied');
+            return;
+        }
+        
+        const peakMethod = this.projectData.iecPeakMethod || 'C';
+        const minTimeDelay = this.projectData.iecMinTimeDelay !== undefined ? this.projectData.iecMinTimeDelay : 0.1;
+        const faultDuration = this.projectData.iecFaultDuration || 1.0;
+        const frequency = this.projectData.frequency || 60;
+        
+        const options = { includeMotors: true, impedanceFactors: this.getIECImpedanceFactors(topology) };
+        const network = solveNetwork(buildNetworkModel(topology, options));
+        const equivalentNetwork = peakMethod === 'C'
+            ? solveNetwork(buildNetworkModel(topology, { ...options, frequencyRatio: IEC_60909_FACTORS.methodCFrequencyRatio }))
+            : null;
+        const baseMVA = network.model.baseMVA;
+        const faultCurrents = this.getIECFaultCurrentsKA(topology, options, 'cmax');
+        
+        shortCircuitResults.forEach(result => {
+            const z = network.getDrivingPointImpedance(result.busId);
+            if (!z) return;
+            
+            const zBase = (result.voltage * result.voltage) / (baseMVA * 1e6);
+            const zc = equivalentNetwork ? equivalentNetwork.getDrivingPointImpedance(result.busId) : null;
+            result.iec = calculateIECShortCircuit({
+                voltage: result.voltage,
+                impedanceR: z.re * zBase,
+                impedanceX: z.im * zBase,
+                faultType: 'max',
+                peakMethod: peakMethod,
+                equivalentXR: zc ? zc.im / zc.re : undefined,
+                frequency: frequency,
+                minTimeDelay: minTimeDelay,
+                faultDuration: faultDuration,
+                contributions: this.getIECSourceContributions(network, result)
+            });
+            result.iec.faultCurrentsKA = faultCurrents.get(result.busName) || { threePhase: result.iec.symmetricalCurrent / 1000 };
+        });
+        
+        this.addAssumption('IEC 60909', `Equivalent voltage source cmax·Un/√3 at the fault; impedances corrected with cQ, KT, KG and KS/KSO; motors included`);
+        this.addAssumption('IEC 60909', `ip by method ${peakMethod}, Ib at tmin = ${minTimeDelay} s, Ith for Tk = ${faultDuration} s`);
+        if (topology.components.some(comp => comp.type === 'transformer_3w')) {
+            this.addAssumption('IEC 60909', 'Three-winding transformers modelled without the KTAB, KTAC, KTBC correction factors');
+        }
+        if (topology.components.some(comp => comp.type === 'autotransformer' && typeof parseAutotransformerVectorGroup !== 'undefined' &&
+            parseAutotransformerVectorGroup(comp.connectionType).tertiary)) {
+            this.addAssumption('IEC 60909', 'Autotransformers with a delta tertiary corrected with the two-winding KT on every winding');
+        }
+        
+        if (this.projectData.iecMinimumStudy) {
+            this.calculateIEC60909Minimum(shortCircuitResults);
+        }
+    }
+    
+    /**
+     * IEC 60909-0 minimum short-circuit currents for protection sensitivity, stored as result.iecMin
+     * The minimum study uses cmin, cable resistance at the end-of-fault temperature, the minimum utility
+     * fault level and the minimum generation configuration with motors neglected. Each result gets
+     * result.envelope { maxKA, minKA, minSteadyStateKA } per fault type for relay pickup checks.
+     */
+    calculateIEC60909Minimum(shortCircuitResults) {
+        const project = this.getIECMinimumProject(this.projectData);
+        const topology = new TopologyManager().buildFromProject(project);
+        const options = { impedanceFactors: this.getIECImpedanceFactors(topology, 'cmin') };
+        const network = solveNetwork(buildNetworkModel(topology, options));
+        const baseMVA = network.model.baseMVA;
+        const faultCurrents = this.getIECFaultCurrentsKA(topology, options, 'cmin');
+        const busByName = new Map(topology.buses.map(bus => [bus.name, bus]));
+        
+        shortCircuitResults.forEach(result => {
+            if (!result.iec) return;
+            
+            const bus = busByName.get(result.busName);
+            const z = bus ? network.getDrivingPointImpedance(bus.id) : null;
+            const maxKA = result.iec.faultCurrentsKA;
+            const minKA = {};
+            Object.keys(maxKA).forEach(type => {
+                minKA[type] = 0;
+            });
+            
+            if (z) {
+                const zBase = (result.voltage * result.voltage) / (baseMVA * 1e6);
+                result.iecMin = calculateIECShortCircuit({
+                    voltage: result.voltage,
+                    impedanceR: z.re * zBase,
+                    impedanceX: z.im * zBase,
+                    faultType: 'min',
+                    frequency: this.projectData.frequency || 60,
+                    minTimeDelay: result.iec.minTimeDelay,
+                    contributions: this.getIECSourceContributions(network, { busId: bus.id, voltage: result.voltage }, 'cmin')
+                });
+                Object.assign(minKA, faultCurrents.get(result.busName) || { threePhase: result.iecMin.symmetricalCurrent / 1000 });
+            } else {
+                result.iecMin = null;
+                this.logStep(`WARNING: Bus ${result.busName} is de-energized in the minimum configuration - minimum fault current is zero`);
+            }
+            
+            result.envelope = {
+                maxKA: maxKA,
+                minKA: minKA,
+                minSteadyStateKA: result.iecMin ? result.iecMin.steadyStateCurrent / 1000 : 0
+            };
+        });
+        
+        this.addAssumption('IEC 60909', `Minimum currents with cmin·Un/√3, cable, line and busway resistance at ${project.conductorEndTemperature} °C, motors neglected`);
+        this.addAssumption('IEC 60909', this.projectData.minimumConfiguration
+            ? `Minimum configuration: ${this.projectData.minimumConfiguration.description || 'project minimumConfiguration'}`
+            : 'Minimum configuration: same switching and sources as the maximum study');
+    }
+    
+    /**
+     * Project data for the IEC 60909 minimum study
+     * Applies projectData.minimumConfiguration (scenario format: breakers, sources, motors), removes motors,
+     * sets cables, overhead lines and busways to the end-of-fault temperature (endTemperature or project iecConductorEndTemperature)
+     * and replaces utility fault levels with minShortCircuitMVA or minFaultCurrent (kA).
+     */
+    getIECMinimumProject(projectData) {
+        const configuration = projectData.minimumConfiguration;
+        const base = configuration && typeof applyScenario !== 'undefined'
+            ? applyScenario(projectData, { name: 'Minimum generation', ...configuration })
+            : projectData;
+        const endTemperature = projectData.iecConductorEndTemperature || IEC_60909_FACTORS.conductorEndTemperature;
+        
+        const components = [];
+        base.components.forEach(comp => {
+            if (NETWORK_MOTOR_TYPES.includes(comp.type)) {
+                return;
+            }
+            if (comp.type === 'cable' || comp.type === 'overhead_line' || comp.type === 'busway') {
+                components.push({ ...comp, conductorTemperature: comp.endTemperature || endTemperature });
+            } else if (comp.type.startsWith('utility') && (comp.minShortCircuitMVA || comp.minFaultCurrent)) {
+                components.push({
+                    ...comp,
+                    shortCircuitMVA: comp.minShortCircuitMVA || 0,
+                    mva: 0,
+                    faultCurrent: comp.minShortCircuitMVA ? 0 : comp.minFaultCurrent,
+                    isc: 0,
+                    impedance: 0,
+                    xr: comp.minXR || comp.xr
+                });
+            } else {
+                if (comp.type.startsWith('utility') && comp.inService !== false) {
+                    this.addAssumption('IEC 60909', `${comp.name || comp.type}: no minimum fault level given - maximum fault level used`);
+                }
+                components.push(comp);
+            }
+        });
+        
+        return {
+            ...base,
+            conductorEndTemperature: endTemperature,
+            components: components
+        };
+    }
+    
+    /**
+     * IEC 60909 three-phase, L-G, L-L and 2L-G currents (kA) at every bus of a corrected network
+     * Sequence networks carry the same impedance corrections; currents scale with the voltage factor.
+     * @returns {Map} busName → { threePhase, lineToGround, lineToLine, doubleLineToGround }
+     */
+    getIECFaultCurrentsKA(topology, options, factorType) {
+        const currents = new Map();
+        if (typeof calculateBusSequenceFaults === 'undefined') {
+            return currents;
+        }
+        
+        calculateBusSequenceFaults(topology, options)
+            .filter(sequence => sequence.energized)
+            .forEach(sequence => {
+                const c = getIECVoltageFactor(sequence.voltage, factorType);
+                const entry = {};
+                SEQUENCE_FAULT_TYPES.forEach(type => {
+                    entry[type] = c * sequence.faults[type].faultCurrentKA;
+                });
+                currents.set(sequence.busName, entry);
+            });
+        return currents;
+    }
+    
+    /**
+     * IEC 60909-0 impedance correction factors by component
+     * Utility feeders cQ (cmax, or cmin for minimum currents, at their bus), network transformers KT,
+     * generators KG, or KS/KSO for a generator with a unit transformer (generator field unitTransformer
+     * names the transformer). KT, KG and KS/KSO always use cmax.
+     */
+    getIECImpedanceFactors(topology, utilityFactor = 'cmax') {
+        const factors = new Map();
+        const busById = new Map(topology.buses.map(bus => [bus.id, bus]));
+        const transformerReactance = comp => {
+            const powerMVA = topology.topologyManager.getTransformerPowerMVA(comp);
+            return getBranchImpedancePU(comp, busById.get(comp.fromBus), topology.topologyManager, powerMVA).im;
+        };
+        const unitTransformers = new Set();
+        
+        topology.components.forEach(comp => {
+            const bus = busById.get(comp.fromBus);
+            if (!bus || comp.toBus) return;
+            
+            if (comp.type.startsWith('utility')) {
+                factors.set(comp, getIECVoltageFactor(bus.voltage, utilityFactor));
+            } else if (comp.type === 'generator') {
+                const pf = comp.pf || comp.powerFactor || 0.8;
+                const sinPhi = Math.sqrt(1 - Math.pow(pf > 1 ? pf / 100 : pf, 2));
+                const xd = (comp.reactance || comp.xdSubtransient || 15) / 100;
+                // Generator voltage may be entered in kV or V
+                const ratedVoltage = comp.voltage ? (comp.voltage <= 100 ? comp.voltage * 1000 : comp.voltage) : bus.voltage;
+                const unit = comp.unitTransformer
+                    ? topology.components.find(c => c.type === 'transformer' && c.name === comp.unitTransformer)
+                    : null;
                 
-                this.logStep(`Bus ${busResult.busName}: Added motor contribution (${motorFirstCycleKA.toFixed(2)} kA first-cycle from ${busMotors.motors.length} motor(s))`);
+                if (unit) {
+                    const hvBus = busById.get(unit.fromBus);
+                    const correction = calculateIECPowerStationCorrection({
+                        networkVoltage: hvBus.voltage,
+                        generatorVoltage: ratedVoltage,
+                        transformerHV: (unit.primaryV || hvBus.voltage / 1000) * 1000,
+                        transformerLV: (unit.secondaryV || bus.voltage / 1000) * 1000,
+                        xdSubtransient: xd,
+                        xT: transformerReactance(unit),
+                        sinPhi: sinPhi,
+                        cmax: getIECVoltageFactor(hvBus.voltage, 'cmax'),
+                        onLoadTapChanger: unit.onLoadTapChanger !== false,
+                        pG: (comp.voltageRegulation || 0) / 100,
+                        pT: Math.abs(unit.tapPosition || 0) / 100
+                    });
+                    factors.set(comp, correction.factor);
+                    factors.set(unit, correction.factor);
+                    unitTransformers.add(unit);
+                    this.logStep(`IEC 60909: ${comp.name} with ${unit.name} as power station unit, ${correction.type} = ${correction.factor.toFixed(4)}`);
+                } else {
+                    factors.set(comp, calculateIECGeneratorCorrection({
+                        nominalVoltage: bus.voltage,
+                        ratedVoltage: ratedVoltage,
+                        xdSubtransient: xd,
+                        sinPhi: sinPhi,
+                        cmax: getIECVoltageFactor(bus.voltage, 'cmax')
+                    }));
+                }
+            }
+        });
+        
+        topology.components
+            .filter(comp => (comp.type === 'transformer' || comp.type === 'autotransformer') && comp.toBus && !unitTransformers.has(comp))
+            .forEach(comp => {
+                const lvBus = busById.get(comp.toBus);
+                factors.set(comp, calculateIECTransformerCorrection(transformerReactance(comp), getIECVoltageFactor(lvBus.voltage, 'cmax')));
+            });
+        
+        return factors;
+    }
+    
+    /**
+     * Partial short-circuit currents of the sources feeding a fault (IEC 60909 network)
+     * Currents are referred to the faulted bus; ratios to the rated current and the voltage drop
+     * ΔU"/(cUn/√3) are taken at the machine terminals.
+     */
+    getIECSourceContributions(network, result, factorType = 'cmax') {
+        const model = network.model;
+        const baseMVA = model.baseMVA;
+        const c = getIECVoltageFactor(result.voltage, factorType);
+        const faultNode = model.busNode.get(result.busId);
+        const faultCurrent = cDiv(complex(c, 0), network.getNodeTransferImpedance(faultNode, faultNode));
+        const iBase = node => (baseMVA * 1e6) / (Math.sqrt(3) * node.voltage);
+        
+        return model.shunts
+            .filter(shunt => network.position.has(shunt.node) && shunt.type !== 'inverter')
+            .map(shunt => {
+                const comp = shunt.component;
+                const node = model.nodes[shunt.node];
+                const current = cDiv(cMul(network.getNodeTransferImpedance(shunt.node, faultNode), faultCurrent), shunt.z);
+                const currentPU = cAbs(current);
+                const source = {
+                    name: comp.name || comp.type,
+                    type: comp.type === 'generator' ? 'generator' : (comp.type.startsWith('utility') ? 'network' : 'motor'),
+                    current: currentPU * iBase(model.nodes[faultNode]),
+                    voltageDropRatio: Math.min(1, cAbs(shunt.z) * currentPU / c)
+                };
+                
+                if (source.type === 'generator') {
+                    const ratedMVA = comp.powerUnit === 'kVA' ? (comp.power || 0) / 1000 : (comp.power || 0);
+                    const pf = comp.pf || comp.powerFactor || 0.8;
+                    source.ratedCurrent = (ratedMVA / baseMVA) * iBase(model.nodes[faultNode]);
+                    source.currentRatio = currentPU * baseMVA / ratedMVA;
+                    source.xdSubtransient = (comp.reactance || comp.xdSubtransient || 15) / 100;
+                    source.xdSat = (comp.xdSat || 160) / 100;
+                    source.sinPhi = Math.sqrt(1 - Math.pow(pf > 1 ? pf / 100 : pf, 2));
+                    source.excitationSeries = comp.excitationSeries || 'one';
+                } else if (source.type === 'motor') {
+                    const ratedKW = (comp.powerUnit || '').toLowerCase() === 'kw' ? comp.power : (comp.hp || comp.power || 100) * 0.746;
+                    const fla = comp.fla || (typeof calculateMotorFLA !== 'undefined' ? calculateMotorFLA(comp) : 0);
+                    source.currentRatio = fla ? currentPU * iBase(node) / fla : (comp.lrc || 6);
+                    source.powerPerPolePairMW = (ratedKW / 1000) / ((comp.poles || 4) / 2);
+                }
+                return source;
+            });
+    }
+    
+    /**
+     * Check neutral grounding resistors/reactors against the ground-fault currents they carry
+     * The neutral current is the largest of all L-G and 2L-G faults in the network; the fault duration
+     * comes from the device (clearingTime) or the project (groundFaultClearingTime).
+     */
+    checkGroundingDevices(topology, shortCircuitResults) {
+        if (typeof checkNGRDuty === 'undefined') {
+            return null;
+        }
+        
+        const devices = topology.components.filter(comp => comp.type === NGR_COMPONENT_TYPE);
+        if (devices.length === 0) {
+            return null;
+        }
+        
+        return devices.map(ngr => {
+            const equipment = topology.components.find(comp =>
+                ['transformer', 'transformer_3w', 'autotransformer', 'generator'].includes(comp.type) &&
+                (comp.name === ngr.neutralOf || (comp.id !== undefined && comp.id === ngr.neutralOf)));
+            const winding = ngr.winding || 'secondary';
+            // Autotransformers have one common neutral
+            const side = !equipment || equipment.type === 'generator' ? null : (equipment.type === 'autotransformer' ? 'neutral' : winding);
+            
+            let faultCurrent = 0;
+            shortCircuitResults.forEach(result => {
+                if (!result.sequence) return;
+                ['lineToGround', 'doubleLineToGround'].forEach(type => {
+                    (result.sequence.faults[type].neutralCurrents || [])
+                        .filter(n => equipment && n.name === equipment.name && n.side === side)
+                        .forEach(n => {
+                            faultCurrent = Math.max(faultCurrent, n.neutralCurrent);
+                        });
+                });
+            });
+            
+            const clearingTime = ngr.clearingTime !== undefined ? ngr.clearingTime : this.projectData.groundFaultClearingTime;
+            if (clearingTime === undefined) {
+                this.addAssumption('Grounding', `${ngr.name || 'NGR'}: ground-fault clearing time not specified - ` +
+                    `high-resistance grounding (≤${HRG_CURRENT_LIMIT} A) assumed not tripped, otherwise time rating not checked`);
+            }
+            
+            // Voltage of the grounded bus for equipment without a winding voltage rating
+            const busIds = equipment ? { primary: equipment.fromBus, secondary: equipment.toBus, tertiary: equipment.tertiaryBus, neutral: equipment.toBus } : {};
+            const groundedBus = equipment ? topology.buses.find(bus => bus.id === (side ? busIds[side] : equipment.fromBus)) : null;
+            const windingVoltage = equipment ? getGroundedWindingVoltage(equipment, winding, groundedBus ? groundedBus.voltage : undefined) : 0;
+            const duty = checkNGRDuty(ngr, faultCurrent, clearingTime, windingVoltage);
+            duty.warnings.forEach(warning => {
+                this.logStep('WARNING: ' + warning);
+            });
+            this.logStep(`${duty.name || 'NGR'} (neutral of ${ngr.neutralOf}): ${faultCurrent.toFixed(1)} A ground-fault current, ${duty.status}`);
+            
+            return duty;
+        });
+    }
+    
+    /**
+     * Check if project has capacitor banks in service
+     */
+    hasCapacitorBanks(projectData) {
+        return typeof calculateCapacitorSwitching !== 'undefined' &&
+            !!projectData.components?.some(c => c.type === 'capacitor_bank' && c.inService !== false);
+    }
+    
+    /**
+     * Back-to-back switching of every capacitor bank (IEEE C37.012)
+     * Each step is energized with the bank's earlier steps and the other banks on the same bus in service;
+     * the worst inrush is checked against the bank breaker's transient inrush capability and an inrush
+     * reactor is sized when it is exceeded.
+     */
+    calculateCapacitorSwitching(topology) {
+        const frequency = this.projectData.frequency || 60;
+        const banks = topology.components.filter(comp => comp.type === 'capacitor_bank' && comp.inService !== false && !comp.toBus);
+        
+        const results = banks.map(bank => {
+            const bus = topology.topologyManager.getBus(bank.fromBus);
+            const otherBanks = banks
+                .filter(other => other !== bank && other.fromBus === bank.fromBus)
+                .map(other => getEnergizedCapacitorBank(other, bus.voltage, frequency))
+                .filter(other => other);
+            const switching = calculateCapacitorSwitching(bank, bus.voltage, otherBanks, frequency);
+            const name = bank.name || bank.type;
+            
+            if (!switching.worst) {
+                this.logStep(`Capacitor bank ${name} at ${bus.name}: single step, isolated switching only`);
+            } else if (switching.check.withinCapability) {
+                this.logStep(`Capacitor bank ${name} at ${bus.name}: back-to-back inrush ${switching.worst.peakKA.toFixed(2)} kA at ${switching.worst.frequencyKHz.toFixed(2)} kHz within breaker capability`);
+            } else {
+                this.logStep(`WARNING: Capacitor bank ${name} at ${bus.name}: back-to-back inrush ${switching.worst.peakKA.toFixed(2)} kA at ${switching.worst.frequencyKHz.toFixed(2)} kHz exceeds breaker capability ` +
+                    `(${switching.capability.peakKA} kA, ${switching.capability.frequencyKHz} kHz) - add an inrush reactor of at least ${switching.recommendedReactor} µH per step`);
+            }
+            
+            return {
+                name: name,
+                busId: bus.id,
+                busName: bus.name,
+                voltage: bus.voltage,
+                ...switching
+            };
+        });
+        
+        this.addAssumption('Capacitor Switching', `Back-to-back inrush per IEEE C37.012 with ${CAPACITOR_TYPICAL_DATA.stepInductance} µH between steps and ${CAPACITOR_TYPICAL_DATA.breakerInrushPeak} kA / ${CAPACITOR_TYPICAL_DATA.breakerInrushFrequency} kHz breaker capability unless specified; damping neglected (conservative)`);
+        return results;
+    }
+    
+    /**
+     * Capacitor outrush into a fault at every bus (result.capacitorOutrush)
+     * Energized banks at the same voltage level discharge through the loop inductance between their bus and
+     * the fault, taken from the Z-bus (Zcc + Zff - 2·Zcf) plus the bank's lead inductance.
+     */
+    calculateCapacitorOutrush(topology, shortCircuitResults) {
+        if (typeof calculateCapacitorOutrush === 'undefined' || typeof solveNetwork === 'undefined' || !topology.topologyManager) {
+            return;
+        }
+        const banks = topology.components.filter(comp => comp.type === 'capacitor_bank' && comp.inService !== false && !comp.toBus);
+        if (banks.length === 0) {
+            return;
+        }
+        
+        const frequency = this.projectData.frequency || 60;
+        const network = solveNetwork(buildNetworkModel(topology));
+        const model = network.model;
+        
+        shortCircuitResults.forEach(result => {
+            const faultNode = model.busNode.get(result.busId);
+            const zFault = network.getNodeTransferImpedance(faultNode, faultNode);
+            if (!zFault) return;
+            
+            const contributions = banks.map(bank => {
+                const bankNode = model.busNode.get(bank.fromBus);
+                const zBank = network.getNodeTransferImpedance(bankNode, bankNode);
+                if (!zBank || getTransformationCount(model, bankNode, faultNode) !== 0) return null;
+                
+                const zLoop = cSub(cAdd(zBank, zFault), cScale(network.getNodeTransferImpedance(bankNode, faultNode), 2));
+                const zBase = (result.voltage * result.voltage) / (model.baseMVA * 1e6);
+                const outrush = calculateCapacitorOutrush(bank, result.voltage, Math.max(0, zLoop.im) * zBase / (2 * Math.PI * frequency), frequency);
+                return outrush ? {
+                    name: bank.name || bank.type,
+                    busName: model.nodes[bankNode].name,
+                    peakKA: outrush.peakKA,
+                    frequencyKHz: outrush.frequencyKHz,
+                    inductanceUH: outrush.inductance * 1e6
+                } : null;
+            }).filter(contribution => contribution);
+            if (contributions.length === 0) return;
+            
+            result.capacitorOutrush = {
+                peakKA: contributions.reduce((sum, bank) => sum + bank.peakKA, 0),
+                banks: contributions
+            };
+        });
+        
+        this.addAssumption('Fault Analysis', 'Capacitor outrush: energized banks at the fault voltage level discharge through the power-frequency loop inductance to the fault, resistance neglected; reported separately from the power-frequency fault current');
+    }
+    
+    /**
+     * Check if project has current-limiting reactors with a target fault level
+     */
+    hasReactorSizing(projectData) {
+        return typeof sizeCurrentLimitingReactor !== 'undefined' &&
+            !!projectData.components?.some(c => isCurrentLimitingReactor(c) && c.targetFaultCurrent > 0);
+    }
+    
+    /**
+     * Size every current-limiting reactor for its target three-phase fault level
+     * The voltage drop and losses the sized reactor adds are taken at the reactor's load-flow current,
+     * or without a load flow at its rated current (ratedCurrent in A, or throughputMVA); the MVAR rating
+     * (power) is not a load current.
+     */
+    calculateReactorSizing(topology) {
+        const reactors = topology.components.filter(c => isCurrentLimitingReactor(c) && c.targetFaultCurrent > 0);
+        const loadFlow = this.state.loadFlow && this.state.loadFlow.converged ? this.state.loadFlow : null;
+        
+        const results = reactors.map(reactor => {
+            const name = reactor.name || reactor.type;
+            const sizing = sizeCurrentLimitingReactor(topology, reactor);
+            if (!sizing) {
+                this.logStep(`WARNING: Reactor ${name} is not in series with the network - not sized`);
+                return null;
+            }
+            
+            const bus = topology.topologyManager.getBus(reactor.fromBus);
+            if (!sizing.achievable) {
+                this.logStep(`WARNING: Reactor ${name}: ${sizing.targetKA} kA at ${sizing.targetBusName} cannot be reached with a reactor in this position - infeeds bypassing it give ${sizing.minimumKA.toFixed(2)} kA`);
+                return { name: name, busName: bus.name, voltage: bus.voltage, ...sizing, loadCurrent: null, loadEffect: null };
+            }
+            
+            // Load current through the reactor's branch
+            const flow = loadFlow ? loadFlow.branches.find(branch => branch.components.includes(reactor)) : null;
+            let loadCurrent = null;
+            let powerFactor = REACTOR_SIZING.defaultPowerFactor;
+            if (flow) {
+                loadCurrent = flow.currentFromA;
+                const flowMVA = Math.hypot(flow.pFromMW, flow.qFromMVAR);
+                powerFactor = flowMVA > 0 ? Math.abs(flow.pFromMW) / flowMVA : 1;
+            } else if (reactor.ratedCurrent > 0) {
+                loadCurrent = reactor.ratedCurrent;
+            } else if (reactor.throughputMVA > 0) {
+                loadCurrent = reactor.throughputMVA * 1e6 / (Math.sqrt(3) * (reactor.voltage ? reactor.voltage * 1000 : bus.voltage));
             } else {
-                // No motors at this bus
+                this.logStep(`WARNING: Reactor ${name}: no load current (no load flow, rated current or throughput MVA) - voltage drop and losses not evaluated`);
+            }
+            const loadEffect = loadCurrent !== null
+                ? calculateReactorLoadEffect({ r: sizing.requiredOhms / (reactor.xr || 100), x: sizing.requiredOhms }, loadCurrent, bus.voltage, powerFactor)
+                : null;
+            
+            const size = `${sizing.requiredOhms.toFixed(3)} Ω${sizing.requiredPercent !== null ? ` (${sizing.requiredPercent.toFixed(2)}%)` : ''}`;
+            this.logStep(`Reactor ${name}: ${size} limits ${sizing.targetBusName} to ${sizing.limitedKA.toFixed(2)} kA ` +
+                `(target ${sizing.targetKA} kA, ${sizing.withoutReactorKA.toFixed(2)} kA without reactor)` +
+                (loadEffect ? `, adds ${loadEffect.voltageDropPercent.toFixed(2)}% voltage drop and ${loadEffect.lossesKW.toFixed(1)} kW losses at ${loadCurrent.toFixed(0)} A` : ''));
+            if (!sizing.meetsTarget) {
+                this.logStep(`WARNING: Reactor ${name} as entered (${sizing.enteredOhms.toFixed(3)} Ω) gives ${sizing.enteredKA.toFixed(2)} kA at ${sizing.targetBusName}, above the ${sizing.targetKA} kA target`);
+            }
+            
+            return {
+                name: name,
+                busName: bus.name,
+                voltage: bus.voltage,
+                ...sizing,
+                loadCurrent: loadCurrent,
+                powerFactor: loadCurrent !== null ? powerFactor : null,
+                loadEffect: loadEffect
+            };
+        }).filter(result => result);
+        
+        this.addAssumption('Reactor Sizing', 'Current-limiting reactors sized on the symmetrical three-phase fault current from network sources (motor contribution excluded), X/R 100 unless given');
+        this.addAssumption('Reactor Sizing', loadFlow
+            ? 'Reactor voltage drop and losses at the load-flow current and power factor'
+            : `Reactor voltage drop and losses at rated current or throughput MVA and ${REACTOR_SIZING.defaultPowerFactor} power factor (no load flow)`);
+        return results;
+    }
+    
+    /**
+     * Check if project has a DC system to analyze
+     */
+    hasDCSystem(projectData) {
+        return typeof calculateDCShortCircuit !== 'undefined' && !!projectData.dcSystem &&
+            (projectData.dcSystem.buses || []).length > 0;
+    }
+    
+    /**
+     * DC short-circuit currents at every DC bus (IEC 61660-1), in kA and ms
+     * @returns {Array} [{ busName, voltage, peakCurrentKA, timeToPeakMs, riseTimeConstantMs, decayTimeConstantMs,
+     *                    quasiSteadyCurrentKA, sources: [...], curve: [{ timeMs, currentKA }] }]
+     */
+    calculateDCShortCircuit(dcSystem) {
+        const results = calculateDCShortCircuit(dcSystem, { frequency: this.projectData.frequency || 60 }).map(result => ({
+            busName: result.busName,
+            voltage: result.voltage,
+            peakCurrentKA: result.ip / 1000,
+            timeToPeakMs: result.tp * 1000,
+            riseTimeConstantMs: result.tau1 * 1000,
+            decayTimeConstantMs: result.tau2 * 1000,
+            quasiSteadyCurrentKA: result.ik / 1000,
+            sources: result.sources.map(source => ({
+                name: source.name,
+                type: source.type,
+                peakCurrentKA: source.ip / 1000,
+                timeToPeakMs: source.tp * 1000,
+                riseTimeConstantMs: source.tau1 * 1000,
+                decayTimeConstantMs: source.tau2 * 1000,
+                quasiSteadyCurrentKA: source.ik / 1000
+            })),
+            curve: result.curve.map(point => ({ timeMs: point.time * 1000, currentKA: point.current / 1000 }))
+        }));
+        
+        results.forEach(result => {
+            if (result.sources.length === 0) {
+                this.logStep(`WARNING: DC bus ${result.busName} is not connected to a DC source`);
+                return;
+            }
+            this.logStep(`DC bus ${result.busName}: ip = ${result.peakCurrentKA.toFixed(2)} kA at ${result.timeToPeakMs.toFixed(1)} ms, Ik = ${result.quasiSteadyCurrentKA.toFixed(2)} kA`);
+        });
+        
+        this.addAssumption('DC Short Circuit', 'Partial currents per IEC 61660-1 approximation function (ip, tp, τ1, τ2, Ik), summed without correction factors σ (conservative)');
+        this.addAssumption('DC Short Circuit', 'Batteries charged (EB = 1.05·UnB, TB = 30 ms); DC motors with constant excitation decelerate; chargers deliver their current limit (IEEE 946)');
+        return results;
+    }
+    
+    /**
+     * Check if project has motors
+     */
+    hasMotors(projectData) {
+        return projectData.components?.some(c => c.type === 'motor' || c.type === 'motor_load');
+    }
+    
+    /**
+     * Calculate motor contribution
+     */
+    calculateMotorContribution(projectData, topology) {
+        const motors = projectData.components.filter(c => c.type === 'motor' || c.type === 'motor_load');
+        
+        if (motors.length === 0) {
+            return null;
+        }
+        
+        // Use motor contribution module if available
+        if (typeof calculateMotorContributionIEEE141 !== 'undefined') {
+            return calculateMotorContributionIEEE141(motors, topology);
+        }
+        
+        // Fallback: basic motor contribution calculation
+        const motorResults = [];
+        
+        motors.forEach(motor => {
+            const hp = motor.hp || motor.power || 100;
+            const voltage = motor.voltage || 480;
+            const efficiency = motor.efficiency || 0.90;
+            const pf = motor.powerFactor || 0.85;
+            
+            // FLA calculation
+            const fla = (hp * 746) / (voltage * Math.sqrt(3) * efficiency * pf);
+            
+            // Locked rotor current (typically 6x FLA)
+            const lra = fla * (motor.lockedRotorMultiplier || 6);
+            
+            // Motor impedance at locked rotor
+            const zMotor = voltage / (Math.sqrt(3) * lra);
+            
+            // Typical motor X/R = 15 at locked rotor
+            const motorXR = 15;
+            const xMotor = zMotor / Math.sqrt(1 + 1 / (motorXR * motorXR));
+            const rMotor = xMotor / motorXR;
+            
+            // Contribution decays over time
+            const firstCycle = lra;
+            const interrupting = lra * 0.75;  // ~75% at breaker interrupting time
+            const sustained = fla * 4;        // ~4x FLA sustained
+            
+            motorResults.push({
+                name: motor.name || 'Motor',
+                hp: hp,
+                voltage: voltage,
+                fla: fla,
+                lra: lra,
+                impedance: { r: rMotor, x: xMotor, z: zMotor },
+                contribution: {
+                    firstCycle: firstCycle,
+                    interrupting: interrupting,
+                    sustained: sustained
+                }
+            });
+            
+            this.addAssumption('Motor Contribution', `Motor X/R assumed ${motorXR} at locked rotor`);
+        });
+        
+        // Aggregate contributions
+        const totalFirstCycle = motorResults.reduce((sum, m) => sum + m.contribution.firstCycle, 0);
+        const totalInterrupting = motorResults.reduce((sum, m) => sum + m.contribution.interrupting, 0);
+        const totalSustained = motorResults.reduce((sum, m) => sum + m.contribution.sustained, 0);
+        
+        return {
+            motors: motorResults,
+            totals: {
+                firstCycle: totalFirstCycle,
+                interrupting: totalInterrupting,
+                sustained: totalSustained
+            }
+        };
+    }
+    
+    /**
+     * Integrate motor contribution into short circuit results
+     * Motor currents come from a network solved with the motors in it: the C37 cycle-specific networks,
+     * or the IEC 60909 network for IEC projects. Without a network solve no motor current is added.
+     */
+    integrateMotorContribution() {
+        if (!this.state.motorContribution || !this.state.shortCircuit) {
+            return;
+        }
+        
+        if (this.state.shortCircuit.some(busResult => busResult.cycleDuties)) {
+            this.integrateNetworkMotorContribution();
+        } else if (this.state.shortCircuit.some(busResult => busResult.iec)) {
+            this.integrateIECMotorContribution();
+        } else {
+            this.state.shortCircuit.forEach(busResult => {
                 busResult.faultCurrentsKA.threePhaseWithMotors = busResult.faultCurrentsKA.threePhase;
                 busResult.motorContribution = null;
                 busResult.motorContributionPercent = null;
+            });
+            this.addAssumption('Motor Contribution', 'Network solver not loaded - motor contribution not included in the fault currents');
+        }
+    }
+    
+    /**
+     * Motor contribution at each bus from the IEC 60909 network (result.iec)
+     * I"k, Ib and Ik of the IEC network carry the voltage factor c; they are taken back to 1.0 pu prefault
+     * voltage to match the three-phase current without motors.
+     */
+    integrateIECMotorContribution() {
+        this.state.shortCircuit.forEach(busResult => {
+            const iec = busResult.iec;
+            const faultCurrentsKA = busResult.faultCurrentsKA;
+            const motors = iec && iec.sources ? iec.sources.filter(source => source.type === 'motor') : [];
+            if (motors.length === 0) {
+                faultCurrentsKA.threePhaseWithMotors = faultCurrentsKA.threePhase;
+                busResult.motorContribution = null;
+                busResult.motorContributionPercent = null;
+                return;
             }
+            
+            const toKA = current => current / iec.voltageFactor / 1000;
+            faultCurrentsKA.threePhaseWithMotors = toKA(iec.symmetricalCurrent) + (faultCurrentsKA.inverterContribution || 0);
+            faultCurrentsKA.interruptingWithMotors = toKA(iec.breakingCurrent);
+            faultCurrentsKA.sustainedWithMotors = toKA(iec.steadyStateCurrent);
+            
+            const motorKA = {
+                firstCycle: motors.reduce((sum, motor) => sum + toKA(motor.current), 0),
+                interrupting: motors.reduce((sum, motor) => sum + toKA(motor.breakingCurrent), 0)
+            };
+            busResult.motorContribution = {
+                firstCycleKA: motorKA.firstCycle,
+                interruptingKA: motorKA.interrupting,
+                sustainedKA: 0,
+                count: motors.length,
+                motors: motors.map(motor => ({
+                    name: motor.name,
+                    firstCycleKA: toKA(motor.current),
+                    interruptingKA: toKA(motor.breakingCurrent)
+                }))
+            };
+            busResult.motorContributionPercent = {
+                firstCycle: (motorKA.firstCycle / faultCurrentsKA.threePhaseWithMotors) * 100,
+                interrupting: faultCurrentsKA.interruptingWithMotors ? (motorKA.interrupting / faultCurrentsKA.interruptingWithMotors) * 100 : 0,
+                sustained: 0
+            };
+            
+            this.logStep(`Bus ${busResult.busName}: Motor contribution ${motorKA.firstCycle.toFixed(2)} kA initial, ${motorKA.interrupting.toFixed(2)} kA breaking from ${motors.length} motor(s)`);
         });
         
-        this.addAssumption('Motor Contribution', 'Motors modeled as parallel current sources per IEEE 141, not series impedances');
+        this.addAssumption('Motor Contribution', 'Motor contributions solved in the IEC 60909 network (I"k, and Ib with μ and q), at 1.0 pu prefault voltage');
+    }
+    
+    /**
+     * Motor contribution at each bus from the cycle-specific networks
+     * The totals with motors are the network fault currents of each duty.
+     */
+    integrateNetworkMotorContribution() {
+        this.state.shortCircuit.forEach(busResult => {
+            const duties = busResult.cycleDuties;
+            const faultCurrentsKA = busResult.faultCurrentsKA;
+            const dutyKA = (name, field) => (duties && duties[name] ? duties[name][field] : 0);
+            
+            const firstCycleKA = dutyKA('firstCycle', 'symmetricalKA');
+            faultCurrentsKA.threePhaseWithMotors = firstCycleKA ? firstCycleKA + (faultCurrentsKA.inverterContribution || 0) : faultCurrentsKA.threePhase;
+            if (!duties || dutyKA('firstCycle', 'motorCurrentKA') === 0) {
+                busResult.motorContribution = null;
+                busResult.motorContributionPercent = null;
+                return;
+            }
+            faultCurrentsKA.interruptingWithMotors = dutyKA('interrupting', 'symmetricalKA');
+            faultCurrentsKA.sustainedWithMotors = dutyKA('thirtyCycle', 'symmetricalKA');
+            
+            const motorKA = {
+                firstCycle: dutyKA('firstCycle', 'motorCurrentKA'),
+                interrupting: dutyKA('interrupting', 'motorCurrentKA'),
+                sustained: dutyKA('thirtyCycle', 'motorCurrentKA')
+            };
+            busResult.motorContribution = {
+                firstCycleKA: motorKA.firstCycle,
+                interruptingKA: motorKA.interrupting,
+                sustainedKA: motorKA.sustained,
+                count: duties.firstCycle.motors.length,
+                motors: duties.firstCycle.motors.map(motor => ({
+                    name: motor.name,
+                    firstCycleKA: motor.currentKA,
+                    interruptingKA: ((duties.interrupting && duties.interrupting.motors.find(m => m.name === motor.name)) || { currentKA: 0 }).currentKA
+                }))
+            };
+            busResult.motorContributionPercent = {
+                firstCycle: (motorKA.firstCycle / faultCurrentsKA.threePhaseWithMotors) * 100,
+                interrupting: faultCurrentsKA.interruptingWithMotors ? (motorKA.interrupting / faultCurrentsKA.interruptingWithMotors) * 100 : 0,
+                sustained: 0
+            };
+            
+            this.logStep(`Bus ${busResult.busName}: Motor contribution ${motorKA.firstCycle.toFixed(2)} kA first-cycle, ${motorKA.interrupting.toFixed(2)} kA interrupting from ${busResult.motorContribution.count} motor(s)`);
+        });
+        
+        this.addAssumption('Motor Contribution', 'Motor contributions solved in the C37 cycle-specific networks, not as fixed fractions of locked-rotor current');
     }
     
     /**
      * Calculate voltage drop
+     * Bus voltages come from a load flow of the actual loads when load_flow.js is available;
+     * otherwise the drop is estimated from the source impedance and the bus load current
      */
     calculateVoltageDrop(topology) {
+        if (typeof runLoadFlow !== 'undefined' && topology.topologyManager) {
+            const loadFlow = runLoadFlow(topology);
+            this.state.loadFlow = loadFlow;
+            
+            loadFlow.warnings.forEach(warning => {
+                this.logStep('WARNING: ' + warning);
+                this.addAssumption('Load Flow', warning);
+            });
+            
+            if (loadFlow.converged) {
+                this.logStep(`Load flow converged (${loadFlow.method}, ${loadFlow.iterations} iterations), losses ${(loadFlow.losses.mw * 1000).toFixed(1)} kW`);
+                loadFlow.tapChangers.filter(changer => changer.voltagePU !== null).forEach(changer => {
+                    this.logStep(`${changer.name}: on-load tap at ${changer.tapPercent > 0 ? '+' : ''}${changer.tapPercent}%, ${changer.busName} at ${changer.voltagePU.toFixed(3)} pu`);
+                });
+                this.addAssumption('Load Flow', 'Constant-power loads at full load unless a loadFactor is given, utility sources at their operating voltage (1.0 pu default)');
+                return this.voltageDropFromLoadFlow(loadFlow);
+            }
+            
+            this.addAssumption('Voltage Drop', 'Load flow did not converge - voltage drop estimated from source impedance');
+        }
+        
         const buses = topology.busSystem.getAllBuses();
         const results = [];
         
@@ -783,6 +2194,54 @@ class CalculationOrchestrator {
         return results;
     }
     
+    /**
+     * Voltage drop per bus from load flow bus voltages
+     */
+    voltageDropFromLoadFlow(loadFlow) {
+        if (loadFlow.buses.every(bus => bus.loadMW === 0)) {
+            this.addAssumption('Voltage Drop', 'No loads entered - bus voltages are no-load values');
+        }
+        
+        return loadFlow.buses.map(bus => {
+            if (!bus.energized) {
+                return {
+                    busId: bus.busId,
+                    busName: bus.busName,
+                    nominalVoltage: bus.nominalVoltage,
+                    energized: false,
+                    voltageDropV: null,
+                    voltageDropPercent: null,
+                    voltageAtBus: 0,
+                    compliance: null
+                };
+            }
+            
+            const voltageDropPercent = bus.voltageDropPercent;
+            if (voltageDropPercent > VOLTAGE_DROP_LIMITS.recommended) {
+                this.addAssumption('Voltage Drop',
+                    `${bus.busName}: ${voltageDropPercent.toFixed(2)}% exceeds recommended ${VOLTAGE_DROP_LIMITS.recommended}% limit`);
+            }
+            
+            return {
+                busId: bus.busId,
+                busName: bus.busName,
+                nominalVoltage: bus.nominalVoltage,
+                energized: true,
+                voltagePU: bus.voltagePU,
+                angleDeg: bus.angleDeg,
+                loadMW: bus.loadMW,
+                loadMVAR: bus.loadMVAR,
+                voltageDropV: bus.nominalVoltage - bus.voltage,
+                voltageDropPercent: voltageDropPercent,
+                voltageAtBus: bus.voltage,
+                compliance: {
+                    nec: voltageDropPercent <= VOLTAGE_DROP_LIMITS.nec,
+                    recommended: voltageDropPercent <= VOLTAGE_DROP_LIMITS.recommended
+                }
+            };
+        });
+    }
+    
     /**
      * Calculate arc flash
      */
@@ -797,10 +2256,17 @@ class CalculationOrchestrator {
         const equipmentType = arcFlashParams.equipmentType || 'Switchgear';
         
         shortCircuitResults.forEach(scResult => {
-            const boltedFaultKA = scResult.faultCurrentsKA.threePhaseWithMotors || 
+            let boltedFaultKA = scResult.faultCurrentsKA.threePhaseWithMotors || 
                                   scResult.faultCurrentsKA.threePhase;
             const voltage = scResult.voltage;
             
+            // Generator contributions averaged over the arc duration
+            if (scResult.generatorDecrement && arcDuration > 0) {
+                const decremented = this.getGeneratorDecrementCurrentKA(scResult.generatorDecrement, arcDuration);
+                boltedFaultKA -= scResult.faultCurrentsKA.threePhase - decremented;
+                this.logStep(`Bus ${scResult.busName}: Generator decrement over ${(arcDuration * 1000).toFixed(0)}ms - arc flash bolted current ${boltedFaultKA.toFixed(2)} kA`);
+            }
+            
             // Check if arc flash calculation is applicable
             const voltageInRange = voltage >= 208 && voltage <= 15000;
             
@@ -837,7 +2303,8 @@ class CalculationOrchestrator {
             // Use arc flash calculation module if available
             if (typeof calculateArcFlashIEEE1584_2018 !== 'undefined') {
                 try {
-                    const equipmentGap = voltage < 1000 ? 32 : 104; // mm, typical for enclosure type
+                    // Typical switchgear gap of the voltage class (IEEE 1584-2018 Table 8) unless given
+                    const equipmentGap = arcFlashParams.equipmentGap || getIEEE1584TypicalEquipment(voltage).gap; // mm
                     
                     const arcFlash = calculateArcFlashIEEE1584_2018({
                         voltage: voltage,
@@ -847,6 +2314,23 @@ class CalculationOrchestrator {
                         equipmentGap: equipmentGap,
                         enclosureType: enclosureType
                     });
+                    if (!arcFlash.applicable) {
+                        results.push({
+                            busId: scResult.busId,
+                            busName: scResult.busName,
+                            voltage: voltage,
+                            boltedFaultCurrent: boltedFaultKA,
+                            applicable: false,
+                            evaluated: false,
+                            status: 'Not Evaluated',
+                            missingFields: [arcFlash.error],
+                            reason: 'Missing required parameters or out of range'
+                        });
+                        return;
+                    }
+                    arcFlash.warnings.forEach(warning => {
+                        this.logStep(`WARNING: Bus ${scResult.busName} arc flash: ${warning}`);
+                    });
                     
                     // Get PPE recommendations
                     let ppe = null;
@@ -875,7 +2359,7 @@ class CalculationOrchestrator {
                     
                     // Add assumptions
                     this.addAssumption('Arc Flash', 
-                        `${scResult.busName}: Working distance ${workingDistance}mm, Arc duration ${(arcDuration*1000).toFixed(0)}ms, Equipment: ${enclosureType}`);
+                        `${scResult.busName}: Working distance ${workingDistance}mm, Arc duration ${(arcDuration*1000).toFixed(0)}ms, Equipment: ${enclosureType}, Gap ${equipmentGap}mm`);
                 } catch (error) {
                     results.push({
                         busId: scResult.busId,
@@ -939,6 +2423,93 @@ class CalculationOrchestrator {
         return results;
     }
     
+    /**
+     * DC arc flash at every DC bus (NFPA 70E Annex D.5)
+     * The bolted current is the DC short-circuit current averaged over the arc duration. The arc model
+     * (arcFlashParams.dcArcModel), enclosure and gap come from the DC bus or the arc flash parameters.
+     */
+    calculateDCArcFlash(dcResults) {
+        const results = [];
+        if (typeof calculateDCArcFlash === 'undefined' || typeof calculateDCAverageCurrent === 'undefined') {
+            return results;
+        }
+        
+        const arcFlashParams = this.projectData.arcFlashParams || {};
+        const workingDistance = arcFlashParams.workingDistance || 450; // mm
+        const arcDuration = arcFlashParams.arcDuration || 0.1; // seconds
+        const model = arcFlashParams.dcArcModel || 'maximum-power';
+        const buses = this.projectData.dcSystem?.buses || [];
+        
+        dcResults.forEach(dcResult => {
+            const bus = buses.find(b => b.name === dcResult.busName) || {};
+            const enclosure = bus.enclosure || arcFlashParams.dcEnclosure || 'box';
+            const equipmentGap = bus.gap || arcFlashParams.dcGap || DC_ARC_FLASH.defaultGap;
+            const boltedFaultKA = this.getDCArcFlashCurrentKA(dcResult, arcDuration);
+            
+            const arcFlash = boltedFaultKA > 0 ? calculateDCArcFlash({
+                voltage: dcResult.voltage,
+                boltedFaultCurrent: boltedFaultKA,
+                workingDistance: workingDistance,
+                arcDuration: arcDuration,
+                equipmentGap: equipmentGap,
+                model: model,
+                enclosure: enclosure
+            }) : { applicable: false, error: 'No DC fault current' };
+            
+            if (!arcFlash.applicable) {
+                results.push({
+                    busName: dcResult.busName,
+                    voltage: dcResult.voltage,
+                    systemType: 'DC',
+                    boltedFaultCurrent: boltedFaultKA,
+                    applicable: false,
+                    evaluated: false,
+                    status: 'Not Evaluated',
+                    missingFields: [arcFlash.error],
+                    reason: 'Missing required parameters or out of range'
+                });
+                return;
+            }
+            
+            // Get PPE recommendations
+            const ppe = typeof generatePPEReport !== 'undefined' ? generatePPEReport(arcFlash).ppe : null;
+            
+            results.push({
+                busName: dcResult.busName,
+                evaluated: true,
+                status: 'Evaluated',
+                ...arcFlash,
+                ppe: ppe,
+                parameters: {
+                    workingDistance: workingDistance,
+                    arcDuration: arcDuration,
+                    equipmentGap: equipmentGap,
+                    enclosureType: arcFlash.enclosure
+                }
+            });
+            this.logStep(`DC bus ${dcResult.busName}: ${arcFlash.method} - Iarc ${arcFlash.arcingCurrent.toFixed(2)} kA, ${arcFlash.incidentEnergyCalCm2.toFixed(2)} cal/cm²`);
+        });
+        
+        if (results.some(r => r.evaluated)) {
+            this.addAssumption('Arc Flash',
+                `DC buses: ${DC_ARC_FLASH.models[model].name} arc model, bolted current averaged over the ${(arcDuration * 1000).toFixed(0)}ms arc duration, working distance ${workingDistance}mm`);
+        }
+        return results;
+    }
+    
+    /**
+     * DC bolted fault current for arc flash (kA): partial currents averaged over the arc duration
+     */
+    getDCArcFlashCurrentKA(dcResult, duration) {
+        return dcResult.sources.reduce((sum, source) => sum + calculateDCAverageCurrent({
+            ip: source.peakCurrentKA,
+            tp: source.timeToPeakMs / 1000,
+            tau1: source.riseTimeConstantMs / 1000,
+            tau2: source.decayTimeConstantMs / 1000,
+            ik: source.quasiSteadyCurrentKA
+        }, duration), 0);
+    }
+    
     /**
      * Persist results
      */
@@ -960,14 +2531,22 @@ class CalculationOrchestrator {
             thevenin: this.state.thevenin,
             shortCircuit: this.state.shortCircuit,
             motorContribution: this.state.motorContribution,
+            grounding: this.state.grounding,
+            breakerDuty: this.state.breakerDuty,
+            dcShortCircuit: this.state.dcShortCircuit,
+            capacitorSwitching: this.state.capacitorSwitching,
+            reactorSizing: this.state.reactorSizing,
             voltageDrop: this.state.voltageDrop,
+            loadFlow: this.state.loadFlow,
             arcFlash: this.state.arcFlash,
             summary: {
                 maxFaultCurrent: Math.max(...this.state.shortCircuit.map(r => r.faultCurrentsKA.threePhase)),
                 minFaultCurrent: Math.min(...this.state.shortCircuit.map(r => r.faultCurrentsKA.threePhase)),
                 maxVoltageDropPercent: Math.max(...this.state.voltageDrop.map(r => r.voltageDropPercent || 0)),
                 maxIncidentEnergy: this.state.arcFlash ? 
-                    Math.max(...this.state.arcFlash.filter(r => r.applicable).map(r => r.incidentEnergy || 0)) : 0
+                    Math.max(...this.state.arcFlash.filter(r => r.applicable).map(r => r.incidentEnergy || 0)) : 0,
+                maxDCPeakCurrent: this.state.dcShortCircuit ?
+                    Math.max(...this.state.dcShortCircuit.map(r => r.peakCurrentKA)) : null
             }
         };
         
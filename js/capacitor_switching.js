@@ -0,0 +1,232 @@
+/**
+ * capacitor_switching.js
+ * Capacitor bank transients per IEEE C37.012 / IEEE 1036
+ * A charged bank discharges into a nearby fault (outrush) and into a step being energized next to it
+ * (back-to-back inrush). Both are LC discharges limited only by the inductance between the capacitors:
+ * Ipk = √2·V/√3·√(C/L), f = 1/(2π·√(L·C)), with C the series combination for back-to-back switching.
+ * The inrush is checked against the breaker's rated transient inrush peak and peak × frequency product.
+ */
+
+/**
+ * Component type of capacitor banks
+ */
+const CAPACITOR_COMPONENT_TYPE = 'capacitor_bank';
+
+/**
+ * Typical data used when not given on the bank
+ */
+const CAPACITOR_TYPICAL_DATA = {
+    stepInductance: 10,           // µH per step, bus and lead inductance between steps (IEEE 1036)
+    breakerInrushPeak: 20,        // kA, rated transient inrush current (definite-purpose breaker)
+    breakerInrushFrequency: 4.25  // kHz, rated transient inrush frequency
+};
+
+/**
+ * Capacitance per phase (F, wye equivalent) of a three-phase bank
+ * @param {number} mvar - Three-phase rating (MVAR)
+ * @param {number} kV - Rated line-to-line voltage (kV)
+ * @param {number} frequency - System frequency (Hz)
+ */
+function getCapacitorCapacitance(mvar, kV, frequency = 60) {
+    return (mvar * 1e6) / (2 * Math.PI * frequency * (kV * 1000) * (kV * 1000));
+}
+
+/**
+ * Electrical data of a capacitor bank with typical values filled in
+ * stepInductance and reactor in µH per step; breakerInrushPeak in kA, breakerInrushFrequency in kHz.
+ * @returns {Object} { steps, stepsInService, stepCapacitance (F), stepInductance (H), capability }
+ */
+function getCapacitorBankData(bank, busVoltage, frequency = 60) {
+    const steps = Math.max(1, Math.round(bank.steps || 1));
+    const ratedKV = bank.voltage || busVoltage / 1000;
+    return {
+        steps: steps,
+        stepsInService: bank.stepsInService !== undefined ? Math.min(steps, bank.stepsInService) : steps,
+        stepMVAR: (bank.power || 0) / steps,
+        stepCapacitance: getCapacitorCapacitance((bank.power || 0) / steps, ratedKV, frequency),
+        stepInductance: ((bank.stepInductance || CAPACITOR_TYPICAL_DATA.stepInductance) + (bank.reactor || 0)) * 1e-6,
+        capability: {
+            peakKA: bank.breakerInrushPeak || CAPACITOR_TYPICAL_DATA.breakerInrushPeak,
+            frequencyKHz: bank.breakerInrushFrequency || CAPACITOR_TYPICAL_DATA.breakerInrushFrequency
+        }
+    };
+}
+
+/**
+ * Discharge of a capacitance through an inductance from the peak line-to-neutral voltage
+ * @param {number} kV - Line-to-line voltage (kV)
+ * @param {number} capacitance - F per phase
+ * @param {number} inductance - H per phase
+ * @returns {Object} { peakKA, frequencyKHz }
+ */
+function calculateCapacitorDischarge(kV, capacitance, inductance) {
+    const peakVoltage = Math.sqrt(2) * kV * 1000 / Math.sqrt(3);
+    return {
+        peakKA: peakVoltage * Math.sqrt(capacitance / inductance) / 1000,
+        frequencyKHz: 1 / (2 * Math.PI * Math.sqrt(inductance * capacitance)) / 1000
+    };
+}
+
+/**
+ * Back-to-back inrush when a capacitance is energized next to an already energized one
+ * The two discharge in series through the inductance between them (IEEE C37.012).
+ */
+function calculateBackToBackInrush(kV, switchedCapacitance, energizedCapacitance, inductance) {
+    const series = switchedCapacitance * energizedCapacitance / (switchedCapacitance + energizedCapacitance);
+    return calculateCapacitorDischarge(kV, series, inductance);
+}
+
+/**
+ * Inrush when energizing each step of a bank, with the earlier steps and the other banks on the bus
+ * energized; step 1 of a bank alone on its bus is isolated switching and not reported.
+ * @param {Object} data - Bank data from getCapacitorBankData
+ * @param {number} kV - Bus voltage (kV)
+ * @param {Array} otherBanks - Energized banks on the same bus, [{ capacitance, inductance }] (F, H)
+ * @param {number} reactor - Additional inductance in series with every step (H)
+ * @returns {Array} [{ step, peakKA, frequencyKHz }]
+ */
+function calculateCapacitorStepInrush(data, kV, otherBanks = [], reactor = 0) {
+    const stepInductance = data.stepInductance + reactor;
+    const inrush = [];
+    for (let step = 1; step <= data.steps; step++) {
+        // Energized capacitors and the parallel inductance of their leads
+        const energized = otherBanks.map(bank => ({ capacitance: bank.capacitance, inductance: bank.inductance }));
+        if (step > 1) {
+            energized.push({ capacitance: (step - 1) * data.stepCapacitance, inductance: stepInductance / (step - 1) });
+        }
+        if (energized.length === 0) continue;
+        
+        const capacitance = energized.reduce((sum, bank) => sum + bank.capacitance, 0);
+        const inductance = 1 / energized.reduce((sum, bank) => sum + 1 / bank.inductance, 0);
+        inrush.push({
+            step: step,
+            ...calculateBackToBackInrush(kV, data.stepCapacitance, capacitance, stepInductance + inductance)
+        });
+    }
+    return inrush;
+}
+
+/**
+ * Check an inrush against the breaker's transient inrush capability
+ * Both the peak and the peak × frequency product (rate of rise) must stay within the rating.
+ */
+function checkCapacitorInrushCapability(inrush, capability) {
+    const product = inrush.peakKA * inrush.frequencyKHz;
+    const ratedProduct = capability.peakKA * capability.frequencyKHz;
+    return {
+        peakOK: inrush.peakKA <= capability.peakKA,
+        productOK: product <= ratedProduct,
+        product: product,
+        ratedProduct: ratedProduct,
+        withinCapability: inrush.peakKA <= capability.peakKA && product <= ratedProduct
+    };
+}
+
+/**
+ * Smallest inrush reactor (µH per step, rounded up) that brings every step within the breaker capability
+ */
+function sizeInrushReactor(data, kV, otherBanks = []) {
+    const fits = reactorUH => calculateCapacitorStepInrush(data, kV, otherBanks, reactorUH * 1e-6)
+        .every(inrush => checkCapacitorInrushCapability(inrush, data.capability).withinCapability);
+    if (fits(0)) {
+        return 0;
+    }
+    
+    let high = 1;
+    while (!fits(high) && high < 1e6) {
+        high *= 2;
+    }
+    let low = 0;
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (fits(mid)) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+    }
+    return Math.ceil(high);
+}
+
+/**
+ * Back-to-back switching duty of a bank (IEEE C37.012)
+ * @param {Object} bank - capacitor_bank component
+ * @param {number} busVoltage - Bus voltage (V)
+ * @param {Array} otherBanks - Other energized banks on the bus, [{ capacitance, inductance }]
+ * @param {number} frequency - System frequency (Hz)
+ * @returns {Object} { steps, stepMVAR, inrush, worst, capability, check, recommendedReactor (µH) }
+ */
+function calculateCapacitorSwitching(bank, busVoltage, otherBanks = [], frequency = 60) {
+    const data = getCapacitorBankData(bank, busVoltage, frequency);
+    const kV = busVoltage / 1000;
+    const inrush = calculateCapacitorStepInrush(data, kV, otherBanks)
+        .map(step => ({ ...step, ...checkCapacitorInrushCapability(step, data.capability) }));
+    const worst = inrush.reduce((a, b) => (a === null || b.product > a.product ? b : a), null);
+    const check = worst ? {
+        ...checkCapacitorInrushCapability(worst, data.capability),
+        withinCapability: inrush.every(step => step.withinCapability)
+    } : null;
+    
+    return {
+        steps: data.steps,
+        stepMVAR: data.stepMVAR,
+        inrush: inrush,
+        worst: worst,
+        capability: data.capability,
+        check: check,
+        recommendedReactor: check && !check.withinCapability ? sizeInrushReactor(data, kV, otherBanks) : null
+    };
+}
+
+/**
+ * Energized capacitance and lead inductance of a bank as seen from the bus (steps in service in parallel)
+ * @returns {Object|null} { capacitance (F), inductance (H) }, null when no step is in service
+ */
+function getEnergizedCapacitorBank(bank, busVoltage, frequency = 60) {
+    const data = getCapacitorBankData(bank, busVoltage, frequency);
+    if (data.stepsInService <= 0 || data.stepCapacitance <= 0) {
+        return null;
+    }
+    return {
+        capacitance: data.stepsInService * data.stepCapacitance,
+        inductance: data.stepInductance / data.stepsInService
+    };
+}
+
+/**
+ * Outrush of an energized bank into a fault through the inductance between the bank's bus and the fault
+ * @param {Object} bank - capacitor_bank component
+ * @param {number} busVoltage - Bus voltage (V)
+ * @param {number} pathInductance - Inductance from the bank's bus to the fault (H)
+ * @param {number} frequency - System frequency (Hz)
+ * @returns {Object|null} { peakKA, frequencyKHz, inductance (H) }
+ */
+function calculateCapacitorOutrush(bank, busVoltage, pathInductance = 0, frequency = 60) {
+    const energized = getEnergizedCapacitorBank(bank, busVoltage, frequency);
+    if (!energized) {
+        return null;
+    }
+    const inductance = energized.inductance + Math.max(0, pathInductance);
+    return {
+        ...calculateCapacitorDischarge(busVoltage / 1000, energized.capacitance, inductance),
+        inductance: inductance
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CAPACITOR_COMPONENT_TYPE,
+        CAPACITOR_TYPICAL_DATA,
+        getCapacitorCapacitance,
+        getCapacitorBankData,
+        calculateCapacitorDischarge,
+        calculateBackToBackInrush,
+        calculateCapacitorStepInrush,
+        checkCapacitorInrushCapability,
+        sizeInrushReactor,
+        calculateCapacitorSwitching,
+        getEnergizedCapacitorBank,
+        calculateCapacitorOutrush
+    };
+}
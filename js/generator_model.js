@@ -0,0 +1,191 @@
+/**
+ * generator_model.js
+ * Synchronous generator fault current decrement (IEEE 242 / IEEE 551)
+ * The AC component decays from the subtransient through the transient to the steady-state current
+ * set by the excitation system; the DC component decays with the armature time constant.
+ * Reactances are in percent on the generator rating, time constants in seconds.
+ */
+
+/**
+ * Typical standby generator data, used when the nameplate values are not given
+ */
+const GENERATOR_TYPICAL_DATA = {
+    xdSubtransient: 15,     // X"d (%)
+    xdTransient: 25,        // X'd (%)
+    xdSat: 160,             // Xd, saturated (%)
+    tdSubtransient: 0.02,   // T"d (s)
+    tdTransient: 0.3,       // T'd (s)
+    ta: 0.05,               // Ta (s)
+    forcingMultiple: 3.0    // Sustained terminal fault current with field forcing (× rated)
+};
+
+/**
+ * Excitation systems and their sustained fault current
+ *   constant - constant field voltage, current decays to E/Xd
+ *   shunt    - static or self-excited (no boost), excitation collapses with the terminal voltage
+ *   forcing  - field forcing (PMG or series boost), current held at forcingMultiple × rated at the terminals
+ */
+const GENERATOR_EXCITATION_TYPES = ['constant', 'shunt', 'forcing'];
+
+/**
+ * Times (s) at which the decrement curve is reported
+ */
+const GENERATOR_DECREMENT_TIMES = [0, 0.01, 0.02, 0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 4, 5];
+
+/**
+ * Rated current of a generator (A)
+ * @param {Object} generator - Generator component (power in MVA, voltage in kV)
+ */
+function getGeneratorRatedCurrent(generator) {
+    return (generator.power * 1e6) / (Math.sqrt(3) * generator.voltage * 1000);
+}
+
+/**
+ * Decrement parameters of a generator for a fault behind an external reactance
+ * Time constants are the short-circuit values of a terminal fault, adjusted for the external reactance:
+ * T'd(e) = T'd·(Xd/X'd)·(X'd + Xe)/(Xd + Xe) and T"d(e) = T"d·(X'd/X"d)·(X"d + Xe)/(X'd + Xe).
+ * @param {Object} generator - Generator component
+ * @param {number} externalReactance - Reactance between the terminals and the fault (pu on the generator rating)
+ * @returns {Object} Reactances (pu), time constants (s) and the subtransient, transient and
+ *                   sustained currents (pu of rated current, 1.0 pu prefault voltage)
+ */
+function getGeneratorDecrementParameters(generator, externalReactance = 0) {
+    const xe = Math.max(0, externalReactance);
+    const xdSubtransient = (generator.reactance || generator.xdSubtransient || GENERATOR_TYPICAL_DATA.xdSubtransient) / 100;
+    const xdTransient = Math.max(xdSubtransient, (generator.xdTransient || GENERATOR_TYPICAL_DATA.xdTransient) / 100);
+    const xd = Math.max(xdTransient, (generator.xdSat || GENERATOR_TYPICAL_DATA.xdSat) / 100);
+    const tdSubtransient = generator.tdSubtransient || GENERATOR_TYPICAL_DATA.tdSubtransient;
+    const tdTransient = generator.tdTransient || GENERATOR_TYPICAL_DATA.tdTransient;
+    const excitation = GENERATOR_EXCITATION_TYPES.includes(generator.excitation) ? generator.excitation : 'constant';
+    
+    let sustainedCurrent = 1 / (xd + xe);
+    if (excitation === 'shunt') {
+        sustainedCurrent = 0;
+    } else if (excitation === 'forcing') {
+        sustainedCurrent = (generator.forcingMultiple || GENERATOR_TYPICAL_DATA.forcingMultiple) * xd / (xd + xe);
+    }
+    
+    return {
+        excitation: excitation,
+        externalReactance: xe,
+        xdSubtransient: xdSubtransient,
+        xdTransient: xdTransient,
+        xd: xd,
+        tdSubtransient: tdSubtransient * (xdTransient / xdSubtransient) * (xdSubtransient + xe) / (xdTransient + xe),
+        tdTransient: tdTransient * (xd / xdTransient) * (xdTransient + xe) / (xd + xe),
+        ta: generator.ta || GENERATOR_TYPICAL_DATA.ta,
+        subtransientCurrent: 1 / (xdSubtransient + xe),
+        transientCurrent: 1 / (xdTransient + xe),
+        sustainedCurrent: sustainedCurrent
+    };
+}
+
+/**
+ * Generator fault current at a time after fault inception (pu of rated current)
+ * i(t) = (I"d - I'd)·e^(-t/T"d) + (I'd - Iss)·e^(-t/T'd) + Iss, DC = √2·I"d·e^(-t/Ta)
+ * @param {Object} params - Result of getGeneratorDecrementParameters
+ * @param {number} time - Time (s)
+ * @returns {Object} { symmetrical (AC rms), dc (maximum offset), asymmetrical (total rms) }
+ */
+function calculateGeneratorCurrentAtTime(params, time) {
+    const symmetrical = (params.subtransientCurrent - params.transientCurrent) * Math.exp(-time / params.tdSubtransient) +
+        (params.transientCurrent - params.sustainedCurrent) * Math.exp(-time / params.tdTransient) +
+        params.sustainedCurrent;
+    const dc = Math.sqrt(2) * params.subtransientCurrent * Math.exp(-time / params.ta);
+    return {
+        symmetrical: symmetrical,
+        dc: dc,
+        asymmetrical: Math.sqrt(symmetrical * symmetrical + dc * dc)
+    };
+}
+
+/**
+ * Average symmetrical current over the first seconds of a fault (pu of rated current)
+ * Integral of the AC envelope divided by the duration; the equivalent constant current for
+ * energy-based calculations such as arc flash.
+ * @param {Object} params - Result of getGeneratorDecrementParameters
+ * @param {number} duration - Fault duration (s)
+ */
+function calculateGeneratorAverageCurrent(params, duration) {
+    if (!duration || duration <= 0) {
+        return params.subtransientCurrent;
+    }
+    const decayed = tau => tau * (1 - Math.exp(-duration / tau));
+    const integral = (params.subtransientCurrent - params.transientCurrent) * decayed(params.tdSubtransient) +
+        (params.transientCurrent - params.sustainedCurrent) * decayed(params.tdTransient) +
+        params.sustainedCurrent * duration;
+    return integral / duration;
+}
+
+/**
+ * Time after which the symmetrical current stays below a given value, e.g. a relay pickup
+ * @param {Object} params - Result of getGeneratorDecrementParameters
+ * @param {number} current - Current (pu of rated current)
+ * @returns {number} Time (s): 0 when never reached, Infinity when the sustained current stays above it
+ */
+function getGeneratorDecrementTime(params, current) {
+    if (params.sustainedCurrent >= current) {
+        return Infinity;
+    }
+    const at = time => calculateGeneratorCurrentAtTime(params, time).symmetrical;
+    if (at(0) <= current) {
+        return 0;
+    }
+    
+    // Bracket the crossing, then bisect
+    let high = 1;
+    while (at(high) > current) {
+        high *= 2;
+    }
+    let low = 0;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (at(mid) > current) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return high;
+}
+
+/**
+ * Fault current decrement curve of a generator
+ * @param {Object} generator - Generator component
+ * @param {Object} options - { externalReactance (pu), times (s) }
+ * @returns {Object} { ratedCurrent (A), parameters, points: [{ time, symmetrical, dc, asymmetrical }] } in A
+ */
+function calculateGeneratorDecrement(generator, options = {}) {
+    const ratedCurrent = getGeneratorRatedCurrent(generator);
+    const params = getGeneratorDecrementParameters(generator, options.externalReactance || 0);
+    const times = options.times || GENERATOR_DECREMENT_TIMES;
+    
+    return {
+        ratedCurrent: ratedCurrent,
+        parameters: params,
+        points: times.map(time => {
+            const current = calculateGeneratorCurrentAtTime(params, time);
+            return {
+                time: time,
+                symmetrical: current.symmetrical * ratedCurrent,
+                dc: current.dc * ratedCurrent,
+                asymmetrical: current.asymmetrical * ratedCurrent
+            };
+        })
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GENERATOR_TYPICAL_DATA,
+        GENERATOR_EXCITATION_TYPES,
+        GENERATOR_DECREMENT_TIMES,
+        getGeneratorRatedCurrent,
+        getGeneratorDecrementParameters,
+        calculateGeneratorCurrentAtTime,
+        calculateGeneratorAverageCurrent,
+        getGeneratorDecrementTime,
+        calculateGeneratorDecrement
+    };
+}
@@ -0,0 +1,269 @@
+/**
+ * grounding_model.js
+ * System grounding and neutral grounding resistor/reactor (NGR) modeling
+ * NGRs sit between a transformer or generator neutral and ground; they appear as 3·Zn in the
+ * zero-sequence network and limit ground-fault current. Time ratings per IEEE C57.32.
+ */
+
+/**
+ * Component type for neutral grounding devices
+ */
+const NGR_COMPONENT_TYPE = 'ngr';
+
+/**
+ * Source types whose neutral sets the system grounding
+ */
+const GROUNDING_SOURCE_TYPES = ['transformer', 'transformer_3w', 'autotransformer', 'generator'];
+
+/**
+ * Standard NGR time ratings (IEEE C57.32) in seconds
+ */
+const NGR_TIME_RATINGS = {
+    '10s': 10,
+    '60s': 60,
+    '10min': 600,
+    'extended': 600,
+    'continuous': Infinity
+};
+
+/**
+ * Typical X/R ratios of grounding devices
+ */
+const NGR_TYPICAL_XR = {
+    resistor: 0,
+    reactor: 30
+};
+
+/**
+ * High-resistance grounding threshold (A): systems at or below this let-through current
+ * are normally left in service on a first ground fault (IEEE 142)
+ */
+const HRG_CURRENT_LIMIT = 10;
+
+/**
+ * Find the grounding device connected to the neutral of a transformer or generator
+ * @param {Object} equipment - Transformer, autotransformer or generator component
+ * @param {Array} components - All project components
+ * @param {string} winding - 'primary', 'secondary' or 'tertiary' (two- and three-winding transformers only)
+ * @returns {Object|null} NGR component
+ */
+function findNeutralGroundingDevice(equipment, components, winding) {
+    return (components || []).find(comp => {
+        if (comp.type !== NGR_COMPONENT_TYPE) return false;
+        const target = comp.neutralOf;
+        if (target === undefined || target === null) return false;
+        const matches = target === equipment.name || target === equipment.id;
+        if (!matches) return false;
+        if (equipment.type === 'transformer' || equipment.type === 'transformer_3w') {
+            return (comp.winding || 'secondary') === winding;
+        }
+        // Generators and the common neutral of autotransformers: one neutral
+        return true;
+    }) || null;
+}
+
+/**
+ * Get line-to-line voltage (V) of the grounded winding
+ * @param {number} busVoltage - Voltage of the connected bus (V), used when the rating is missing
+ */
+function getGroundedWindingVoltage(equipment, winding, busVoltage) {
+    if (equipment.type === 'autotransformer') {
+        // Common neutral: rated by the low-voltage (common winding) side
+        if (equipment.secondaryV) return equipment.secondaryV * 1000;
+    } else if (equipment.type === 'transformer' || equipment.type === 'transformer_3w') {
+        const kV = equipment[`${winding}V`];
+        if (kV) return kV * 1000;
+    } else if (equipment.voltage) {
+        // Generator voltage may be entered in kV or V
+        return equipment.voltage <= 100 ? equipment.voltage * 1000 : equipment.voltage;
+    }
+    return busVoltage || 480;
+}
+
+/**
+ * Get time rating of an NGR in seconds
+ */
+function getNGRTimeRating(ngr) {
+    if (ngr.timeRating === undefined || ngr.timeRating === null) {
+        return NGR_TIME_RATINGS['10s'];
+    }
+    if (typeof ngr.timeRating === 'number') {
+        return ngr.timeRating;
+    }
+    return NGR_TIME_RATINGS[ngr.timeRating] !== undefined ? NGR_TIME_RATINGS[ngr.timeRating] : parseFloat(ngr.timeRating);
+}
+
+/**
+ * Calculate NGR impedance in ohms
+ * From the ohmic value, or from the let-through current rating: Zn = (V_LL/√3) / I_rated
+ * @param {Object} ngr - NGR component { element, ohms, letThroughCurrent, xr }
+ * @param {number} lineVoltage - Line-to-line voltage of the grounded winding (V)
+ * @returns {Object} { r, x, z, element, ratedCurrent }
+ */
+function calculateNGRImpedanceOhms(ngr, lineVoltage) {
+    const element = ngr.element || 'resistor';
+    const phaseVoltage = lineVoltage / Math.sqrt(3);
+    
+    let z = ngr.ohms;
+    if (!z && ngr.letThroughCurrent) {
+        z = phaseVoltage / ngr.letThroughCurrent;
+    }
+    if (!z || z <= 0) {
+        throw new Error(`Grounding device ${ngr.name || ''}: specify ohmic value or let-through current`);
+    }
+    
+    const xr = ngr.xr !== undefined ? ngr.xr : NGR_TYPICAL_XR[element];
+    let r, x;
+    if (element === 'reactor') {
+        x = z / Math.sqrt(1 + (xr ? 1 / (xr * xr) : 0));
+        r = xr ? x / xr : 0;
+    } else {
+        r = z / Math.sqrt(1 + xr * xr);
+        x = r * xr;
+    }
+    
+    return {
+        r: r,
+        x: x,
+        z: z,
+        element: element,
+        ratedCurrent: ngr.letThroughCurrent || phaseVoltage / z
+    };
+}
+
+/**
+ * Neutral grounding impedance of a transformer winding or generator in per-unit
+ * @param {Object} equipment - Transformer or generator component
+ * @param {Array} components - All project components (searched for an NGR)
+ * @param {number} busVoltage - Voltage of the bus the grounded winding connects to (V)
+ * @param {number} baseMVA - System MVA base
+ * @param {string} winding - 'primary', 'secondary' or 'tertiary' (transformers only)
+ * @returns {Object|null} Complex Zn in pu, null when solidly grounded
+ */
+function getNeutralGroundingImpedancePU(equipment, components, busVoltage, baseMVA, winding = 'secondary') {
+    const ngr = findNeutralGroundingDevice(equipment, components, winding);
+    if (!ngr) return null;
+    
+    const zn = calculateNGRImpedanceOhms(ngr, getGroundedWindingVoltage(equipment, winding, busVoltage));
+    const zBase = (busVoltage * busVoltage) / (baseMVA * 1e6);
+    return { re: zn.r / zBase, im: zn.x / zBase };
+}
+
+/**
+ * Whether the downstream (secondary) side of a source is grounded through the source itself
+ * @throws {Error} for an unrecognized vector group
+ */
+function isSourceSecondaryGrounded(source) {
+    if (source.type === 'generator') {
+        return source.grounding !== 'ungrounded';
+    }
+    if (source.type === 'autotransformer') {
+        // The low-voltage side shares the grounded common neutral
+        if (typeof parseAutotransformerVectorGroup !== 'undefined') {
+            parseAutotransformerVectorGroup(source.connectionType);
+        }
+        return true;
+    }
+    if (source.type === 'transformer_3w') {
+        if (typeof getThreeWindingZeroSequence === 'undefined') return true;
+        const zeroModel = getThreeWindingZeroSequence(source.connectionType);
+        if (zeroModel.secondary.path === 'zigzag') return true;
+        // A grounded wye secondary needs a grounded star point: delta winding or grounded wye primary
+        return zeroModel.secondary.path === 'series' &&
+            [zeroModel.primary.path, zeroModel.tertiary.path].some(path => path === 'delta' || path === 'series');
+    }
+    if (typeof getVectorGroupZeroSequence === 'undefined') return true;
+    const zeroModel = getVectorGroupZeroSequence(source.connectionType);
+    return zeroModel.secondaryShunt || zeroModel.series;
+}
+
+/**
+ * Classify the system grounding method from the project components
+ * The last source (transformer, three-winding transformer, autotransformer or generator) sets
+ * the grounding when there is no NGR.
+ * @returns {string|null} 'solidly', 'resistance', 'reactance' or 'ungrounded'
+ *                        (matches the calculator's arcGrounding selector),
+ *                        null when the source vector group cannot be parsed
+ */
+function getSystemGroundingMethod(components) {
+    const ngr = (components || []).filter(comp => comp.type === NGR_COMPONENT_TYPE).pop();
+    if (ngr) {
+        return (ngr.element || 'resistor') === 'reactor' ? 'reactance' : 'resistance';
+    }
+    
+    const source = (components || []).filter(comp => GROUNDING_SOURCE_TYPES.includes(comp.type)).pop();
+    if (!source) return 'solidly';
+    try {
+        return isSourceSecondaryGrounded(source) ? 'solidly' : 'ungrounded';
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check an NGR against the ground-fault current it carries and the fault duration
+ * @param {Object} ngr - NGR component
+ * @param {number} faultCurrent - Neutral current during the worst ground fault (A)
+ * @param {number|undefined} clearingTime - Ground-fault clearing time (s); undefined = not tripped
+ * @param {number} lineVoltage - Line-to-line voltage of the grounded winding (V)
+ * @returns {Object} Duty check result with warnings
+ */
+function checkNGRDuty(ngr, faultCurrent, clearingTime, lineVoltage) {
+    const impedance = calculateNGRImpedanceOhms(ngr, lineVoltage);
+    const timeRating = getNGRTimeRating(ngr);
+    const warnings = [];
+    
+    // High-resistance grounded systems are normally not tripped on a first ground fault
+    const duration = clearingTime !== undefined && clearingTime !== null ? clearingTime
+        : (impedance.ratedCurrent <= HRG_CURRENT_LIMIT ? Infinity : undefined);
+    
+    const timeRatingExceeded = duration !== undefined && duration > timeRating;
+    if (timeRatingExceeded) {
+        const durationText = duration === Infinity ? 'continuous (not tripped)' : `${duration} s`;
+        const ratingText = timeRating === Infinity ? 'continuous' : `${timeRating} s`;
+        warnings.push(`${ngr.name || 'NGR'}: ground fault duration ${durationText} exceeds ${ratingText} time rating`);
+    }
+    
+    const currentExceeded = faultCurrent > impedance.ratedCurrent * 1.05;
+    if (currentExceeded) {
+        warnings.push(`${ngr.name || 'NGR'}: neutral current ${faultCurrent.toFixed(1)} A exceeds ${impedance.ratedCurrent.toFixed(1)} A rating`);
+    }
+    
+    // Thermal energy in the resistor during the fault
+    const energyKJ = duration !== undefined && duration !== Infinity
+        ? faultCurrent * faultCurrent * impedance.r * duration / 1000 : null;
+    
+    return {
+        name: ngr.name,
+        neutralOf: ngr.neutralOf,
+        element: impedance.element,
+        ohms: impedance.z,
+        ratedCurrent: impedance.ratedCurrent,
+        faultCurrent: faultCurrent,
+        timeRating: timeRating,
+        clearingTime: duration,
+        energyKJ: energyKJ,
+        timeRatingExceeded: timeRatingExceeded,
+        currentExceeded: currentExceeded,
+        status: warnings.length === 0 ? 'OK' : 'EXCEEDED',
+        warnings: warnings
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NGR_COMPONENT_TYPE,
+        GROUNDING_SOURCE_TYPES,
+        NGR_TIME_RATINGS,
+        NGR_TYPICAL_XR,
+        HRG_CURRENT_LIMIT,
+        findNeutralGroundingDevice,
+        getGroundedWindingVoltage,
+        getNGRTimeRating,
+        calculateNGRImpedanceOhms,
+        getNeutralGroundingImpedancePU,
+        getSystemGroundingMethod,
+        checkNGRDuty
+    };
+}
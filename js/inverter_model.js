@@ -0,0 +1,180 @@
+/**
+ * inverter_model.js
+ * Inverter-based resources (PV, battery storage, UPS) as current-limited fault current sources
+ * During a fault an inverter injects reactive current in proportion to the positive-sequence voltage
+ * dip (k-factor, IEEE 2800 / VDE-AR-N 4110), limited to faultCurrentMultiple × rated current. With
+ * negative-sequence injection it also opposes the negative-sequence voltage like an inductive
+ * impedance, within the same current limit. The injection depends on the terminal voltage, so the
+ * sequence fault solver iterates inverter by inverter until it settles.
+ */
+
+/**
+ * Component type and settings of inverter-based resources
+ */
+const INVERTER_COMPONENT_TYPE = 'inverter';
+const INVERTER_RESOURCE_TYPES = ['pv', 'battery', 'ups'];
+const INVERTER_INJECTION_MODES = ['positive', 'negative'];
+
+/**
+ * Typical grid-following inverter fault response, used when settings are not given
+ */
+const INVERTER_TYPICAL_DATA = {
+    faultCurrentMultiple: 1.2,  // Current limit (× rated), typically 1.1-1.5
+    kFactor: 2.0,               // Reactive current per unit voltage dip
+    injection: 'positive'       // Positive-sequence only
+};
+
+/**
+ * Rated power of an inverter (MVA); power in kVA unless powerUnit is 'MVA'
+ */
+function getInverterRatedMVA(inverter) {
+    const power = inverter.power || 0;
+    return inverter.powerUnit === 'MVA' ? power : power / 1000;
+}
+
+/**
+ * Fault response settings of an inverter with typical values filled in
+ * @returns {Object} { faultCurrentMultiple, kFactor, injection }
+ */
+function getInverterSettings(inverter) {
+    return {
+        faultCurrentMultiple: inverter.faultCurrentMultiple || INVERTER_TYPICAL_DATA.faultCurrentMultiple,
+        kFactor: inverter.kFactor || INVERTER_TYPICAL_DATA.kFactor,
+        injection: INVERTER_INJECTION_MODES.includes(inverter.injection) ? inverter.injection : INVERTER_TYPICAL_DATA.injection
+    };
+}
+
+/**
+ * Sequence currents injected by an inverter for given terminal voltages (the control law)
+ * Positive sequence: reactive current lagging the prefault voltage by 90° (phase-locked loop held
+ * through the fault), |I1| = k·(1 - |V1|)·Ir up to the limit.
+ * Negative sequence (injection 'negative'): I2 = j·k·V2·Ir, limited to the current left over by I1.
+ * @param {Object} inverter - Inverter component
+ * @param {Object} v1 - Positive-sequence terminal voltage (complex pu)
+ * @param {Object} v2 - Negative-sequence terminal voltage (complex pu)
+ * @param {number} ratedCurrent - Rated current in the units of the result (e.g. pu on the system base)
+ * @param {Object} reference - Prefault terminal voltage (complex pu, default 1∠0)
+ * @returns {Object} { positive, negative } complex currents injected into the network
+ */
+function calculateInverterFaultCurrent(inverter, v1, v2, ratedCurrent, reference = complex(1, 0)) {
+    const settings = getInverterSettings(inverter);
+    const limit = settings.faultCurrentMultiple * ratedCurrent;
+    const i1Magnitude = Math.min(limit, settings.kFactor * Math.max(0, 1 - cAbs(v1)) * ratedCurrent);
+    const positive = cMul(getInverterCurrentDirection(reference), complex(0, -i1Magnitude));
+    
+    let negative = complex(0, 0);
+    if (settings.injection === 'negative') {
+        negative = cMul(v2, complex(0, settings.kFactor * ratedCurrent));
+        const headroom = Math.max(0, limit - i1Magnitude);
+        if (cAbs(negative) > headroom) {
+            negative = cScale(negative, headroom / cAbs(negative));
+        }
+    }
+    
+    return { positive: positive, negative: negative };
+}
+
+/**
+ * Unit phasor of the prefault voltage, the angle reference of the positive-sequence injection
+ */
+function getInverterCurrentDirection(reference) {
+    const magnitude = cAbs(reference);
+    return magnitude > 1e-9 ? cScale(reference, 1 / magnitude) : complex(1, 0);
+}
+
+/**
+ * Sequence currents of an inverter whose terminal voltages respond linearly to its own injection:
+ * V1 = a1 + b11·I1 + b12·I2 and V2 = a2 + b21·I1 + b22·I2
+ * The control law is solved for the positive-sequence magnitude by bisection, with the negative-sequence
+ * current solved within each step, so an inverter behind a large impedance (e.g. the only source of an
+ * island) settles where a fixed-point iteration would diverge.
+ * @param {Object} inverter - Inverter component
+ * @param {Object} terminal - { positive: { a, b1, b2 }, negative: { a, b1, b2 } } (complex pu)
+ * @param {number} ratedCurrent - Rated current (pu on the system base)
+ * @param {Object} reference - Prefault terminal voltage (complex pu)
+ * @returns {Object} { positive, negative } injected currents (complex pu)
+ */
+function solveInverterFaultCurrent(inverter, terminal, ratedCurrent, reference = complex(1, 0)) {
+    const settings = getInverterSettings(inverter);
+    const limit = settings.faultCurrentMultiple * ratedCurrent;
+    const direction = cMul(getInverterCurrentDirection(reference), complex(0, -1));
+    const currents = magnitude => {
+        const positive = cScale(direction, magnitude);
+        const negative = solveInverterNegativeCurrent(inverter, cAdd(terminal.negative.a, cMul(terminal.negative.b1, positive)),
+            terminal.negative.b2, ratedCurrent, limit - magnitude);
+        return { positive: positive, negative: negative };
+    };
+    const demand = magnitude => {
+        const injected = currents(magnitude);
+        const v1 = cAdd(terminal.positive.a, cAdd(cMul(terminal.positive.b1, injected.positive), cMul(terminal.positive.b2, injected.negative)));
+        return Math.min(limit, settings.kFactor * Math.max(0, 1 - cAbs(v1)) * ratedCurrent);
+    };
+    
+    if (demand(limit) >= limit) {
+        return currents(limit);
+    }
+    let low = 0;
+    let high = limit;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (demand(mid) > mid) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return currents((low + high) / 2);
+}
+
+/**
+ * Negative-sequence current of an inverter whose terminal voltage responds to it as V2 = a + b·I2
+ * Unlimited, the injection I2 = j·k·Ir·V2 acts as a shunt admittance: I2 = y·a/(1 - y·b). Above the
+ * headroom the admittance is scaled down until the current equals the headroom.
+ * @param {Object} inverter - Inverter component
+ * @param {Object} a - Terminal voltage without the injection (complex pu)
+ * @param {Object} b - Terminal voltage per unit injected current (complex pu)
+ * @param {number} ratedCurrent - Rated current (pu on the system base)
+ * @param {number} headroom - Current left over by the positive-sequence injection (pu)
+ * @returns {Object} Injected current (complex pu)
+ */
+function solveInverterNegativeCurrent(inverter, a, b, ratedCurrent, headroom) {
+    const settings = getInverterSettings(inverter);
+    if (settings.injection !== 'negative' || headroom <= 0) {
+        return complex(0, 0);
+    }
+    const current = scale => {
+        const y = complex(0, scale * settings.kFactor * ratedCurrent);
+        return cDiv(cMul(y, a), cSub(complex(1, 0), cMul(y, b)));
+    };
+    
+    if (cAbs(current(1)) <= headroom) {
+        return current(1);
+    }
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (cAbs(current(mid)) < headroom) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return current(low);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INVERTER_COMPONENT_TYPE,
+        INVERTER_RESOURCE_TYPES,
+        INVERTER_INJECTION_MODES,
+        INVERTER_TYPICAL_DATA,
+        getInverterRatedMVA,
+        getInverterSettings,
+        calculateInverterFaultCurrent,
+        getInverterCurrentDirection,
+        solveInverterFaultCurrent,
+        solveInverterNegativeCurrent
+    };
+}
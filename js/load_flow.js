@@ -0,0 +1,771 @@
+/**
+ * load_flow.js
+ * Balanced three-phase AC load flow (power flow)
+ * Newton-Raphson in polar coordinates with a fast-decoupled (XB) fallback, on the
+ * positive-sequence network from network_solver.js (requires network_solver.js)
+ *
+ * Bus types: utility infeeds are slack buses behind their source impedance, generators are
+ * PV buses at their dispatch and voltage setpoint (PQ once a reactive limit is reached),
+ * all other buses are PQ buses carrying constant-power loads and constant-impedance capacitor banks.
+ * Transformer taps (tapPosition, ± percent, raises the secondary voltage) are off-nominal ratios;
+ * on-load tap changers (tapChanger 'oltc') step within their range to hold the secondary bus at regulatedVoltage.
+ */
+
+/**
+ * Convergence settings (mismatch in pu on the system MVA base)
+ */
+const LOAD_FLOW_TOLERANCE = 1e-6;
+const LOAD_FLOW_MAX_ITERATIONS = 20;
+const FAST_DECOUPLED_MAX_ITERATIONS = 100;
+const LOAD_FLOW_MAX_PV_SWITCHES = 5;
+
+/**
+ * Maximum re-solutions for on-load tap changer movements
+ */
+const LOAD_FLOW_MAX_TAP_MOVES = 20;
+
+/**
+ * Power factor assumed for loads entered without one
+ */
+const LOAD_FLOW_DEFAULT_PF = 0.85;
+
+/**
+ * Component types carried as constant-power loads
+ */
+const LOAD_FLOW_LOAD_TYPES = ['load', 'motor', 'motor_load'];
+
+/**
+ * Voltage drop limits in percent of nominal (NEC 210.19/215.2 informational notes)
+ */
+const VOLTAGE_DROP_LIMITS = {
+    recommended: 3,
+    nec: 5
+};
+
+/**
+ * Normalize a percent-or-fraction value (94 or 0.94) to a fraction
+ */
+function toFraction(value, defaultValue) {
+    if (!value) return defaultValue;
+    return value > 1 ? value / 100 : value;
+}
+
+/**
+ * Real and reactive demand of a load component
+ * Loads: power in kW (powerUnit 'kW', 'MW' or 'kVA') or current in A; motors: power in hp
+ * (or kW) as output, divided by efficiency, times loadFactor
+ * @returns {Object} { mw, mvar, pfAssumed }
+ */
+function getLoadDemandMW(comp, busVoltage) {
+    const pfGiven = comp.powerFactor || comp.pf;
+    const pf = toFraction(pfGiven, LOAD_FLOW_DEFAULT_PF);
+    const loadFactor = comp.loadFactor !== undefined ? comp.loadFactor : 1;
+    const unit = (comp.powerUnit || '').toLowerCase();
+    let mw = 0;
+    
+    if (comp.type === 'motor' || comp.type === 'motor_load') {
+        const outputKW = unit === 'kw' ? (comp.power || 0) : (comp.hp || comp.power || 0) * 0.746;
+        mw = outputKW / toFraction(comp.efficiency, 0.90) / 1000;
+    } else if (unit === 'kva') {
+        mw = (comp.power || 0) * pf / 1000;
+    } else if (unit === 'mw') {
+        mw = comp.power || 0;
+    } else if (comp.power) {
+        mw = comp.power / 1000;
+    } else if (comp.current) {
+        mw = Math.sqrt(3) * (comp.voltage || busVoltage) * comp.current * pf / 1e6;
+    }
+    
+    mw *= loadFactor;
+    return {
+        mw: mw,
+        mvar: mw * Math.tan(Math.acos(pf)),
+        pfAssumed: !pfGiven
+    };
+}
+
+/**
+ * Capacitor bank susceptance in pu at the bus nominal voltage
+ * power: rated MVAR at rated voltage (kV); stepsInService of steps switched in
+ */
+function getCapacitorSusceptancePU(comp, busVoltage, baseMVA) {
+    const ratedMVAR = comp.power || 0;
+    const ratedKV = comp.voltage || busVoltage / 1000;
+    const steps = comp.steps || 1;
+    const inService = comp.stepsInService !== undefined ? comp.stepsInService : steps;
+    const busKV = busVoltage / 1000;
+    
+    return (ratedMVAR * inService / steps) / baseMVA * (busKV / ratedKV) * (busKV / ratedKV);
+}
+
+/**
+ * Generator dispatch and reactive capability
+ * dispatchMW defaults to 80% of rating at 0.8 pf; reactive limits default to the rating circle
+ */
+function getGeneratorDispatch(comp) {
+    const ratedMVA = comp.powerUnit === 'kVA' ? (comp.power || 0) / 1000 : (comp.power || 0);
+    const mw = comp.dispatchMW !== undefined ? comp.dispatchMW : ratedMVA * 0.8;
+    const qCapability = Math.sqrt(Math.max(ratedMVA * ratedMVA - mw * mw, 0));
+    
+    return {
+        ratedMVA: ratedMVA,
+        mw: mw,
+        voltageSetpoint: comp.voltageSetpoint || 1.0,
+        qMaxMVAR: comp.qMax !== undefined ? comp.qMax : qCapability,
+        qMinMVAR: comp.qMin !== undefined ? comp.qMin : -qCapability
+    };
+}
+
+/**
+ * Build the load flow model from a topology
+ * @param {Object} topology - Result of TopologyManager.buildFromProject
+ * @param {Object} options - { baseMVA, regulateTaps }
+ * @returns {Object} { baseMVA, nodes, branches, shunts, busNode, warnings }
+ */
+function buildLoadFlowModel(topology, options = {}) {
+    const network = buildNetworkModel(topology, { baseMVA: options.baseMVA, taps: 'current' });
+    const baseMVA = network.baseMVA;
+    const warnings = [];
+    
+    const nodes = network.nodes.map(node => ({
+        ...node,
+        type: 'PQ',
+        loadMW: 0,
+        loadMVAR: 0,
+        generationMW: 0,
+        voltageSetpoint: 1.0,
+        qMinMVAR: 0,
+        qMaxMVAR: 0,
+        shuntB: 0,
+        generators: []
+    }));
+    const branches = network.branches.map(branch => {
+        // Two-winding transformers and autotransformers (the high-voltage leg of a star carries the tap)
+        const transformer = branch.components.find(comp => comp.type === 'transformer' || comp.type === 'autotransformer');
+        if (!transformer || (branch.winding && branch.winding !== 'primary') || transformer.tapChanger !== 'oltc' ||
+            options.regulateTaps === false || typeof getTransformerTapRange === 'undefined') {
+            return { ...branch };
+        }
+        
+        // On-load tap changer regulating the secondary bus; bandwidth (%) defaults to one tap step
+        const range = getTransformerTapRange(transformer);
+        return {
+            ...branch,
+            regulator: {
+                component: transformer,
+                node: network.busNode.get(transformer.toBus),
+                targetPU: transformer.regulatedVoltage || 1.0,
+                bandwidth: transformer.bandwidth || range.step,
+                min: range.min,
+                max: range.max,
+                step: range.step,
+                position: range.position
+            }
+        };
+    });
+    
+    // Utility infeeds: slack node behind the source impedance
+    network.shunts.forEach(shunt => {
+        const comp = shunt.component;
+        if (comp.type.startsWith('utility')) {
+            const source = {
+                index: nodes.length,
+                busId: null,
+                name: `${comp.name || 'Utility'} (source)`,
+                voltage: network.nodes[shunt.node].voltage,
+                internal: true,
+                type: 'slack',
+                loadMW: 0,
+                loadMVAR: 0,
+                generationMW: 0,
+                voltageSetpoint: comp.operatingVoltage || 1.0,
+                qMinMVAR: -Infinity,
+                qMaxMVAR: Infinity,
+                shuntB: 0,
+                generators: [comp]
+            };
+            nodes.push(source);
+            branches.push({ from: source.index, to: shunt.node, z: shunt.z, tap: 1, components: [comp], type: 'source' });
+        } else if (comp.type === 'generator') {
+            const node = nodes[shunt.node];
+            const dispatch = getGeneratorDispatch(comp);
+            node.generators.push(comp);
+            node.generationMW += dispatch.mw;
+            if (node.type !== 'slack') {
+                node.type = 'PV';
+                node.voltageSetpoint = dispatch.voltageSetpoint;
+                node.qMinMVAR += dispatch.qMinMVAR;
+                node.qMaxMVAR += dispatch.qMaxMVAR;
+            }
+        }
+    });
+    
+    // Without a utility infeed the largest generator is the slack bus
+    if (!nodes.some(node => node.type === 'slack')) {
+        const pvNodes = nodes.filter(node => node.type === 'PV');
+        if (pvNodes.length > 0) {
+            const largest = pvNodes.reduce((a, b) =>
+                (getGeneratorDispatch(b.generators[0]).ratedMVA > getGeneratorDispatch(a.generators[0]).ratedMVA ? b : a));
+            largest.type = 'slack';
+            warnings.push(`No utility source - generator at ${largest.name} is the slack (swing) bus`);
+        }
+    }
+    
+    // Loads and capacitor banks at their bus
+    topology.buses.forEach(bus => {
+        const node = nodes[network.busNode.get(bus.id)];
+        bus.components.filter(comp => comp.fromBus === bus.id && !comp.toBus).forEach(comp => {
+            if (LOAD_FLOW_LOAD_TYPES.includes(comp.type)) {
+                const demand = getLoadDemandMW(comp, bus.voltage);
+                node.loadMW += demand.mw;
+                node.loadMVAR += demand.mvar;
+                if (demand.pfAssumed) {
+                    warnings.push(`${comp.name || comp.type}: power factor not specified, ${LOAD_FLOW_DEFAULT_PF} assumed`);
+                }
+            } else if (comp.type === 'capacitor_bank' && comp.inService !== false) {
+                node.shuntB += getCapacitorSusceptancePU(comp, bus.voltage, baseMVA);
+            }
+        });
+    });
+    
+    return {
+        baseMVA: baseMVA,
+        nodes: nodes,
+        branches: branches,
+        busNode: network.busNode,
+        warnings: warnings
+    };
+}
+
+/**
+ * Nodes connected to a slack or PV node
+ */
+function findLoadFlowIslands(model) {
+    const adjacency = model.nodes.map(() => []);
+    model.branches.forEach(branch => {
+        adjacency[branch.from].push(branch.to);
+        adjacency[branch.to].push(branch.from);
+    });
+    
+    const energized = new Set();
+    const queue = model.nodes.filter(node => node.type === 'slack').map(node => node.index);
+    while (queue.length > 0) {
+        const node = queue.shift();
+        if (energized.has(node)) continue;
+        energized.add(node);
+        adjacency[node].forEach(next => {
+            if (!energized.has(next)) queue.push(next);
+        });
+    }
+    
+    return energized;
+}
+
+/**
+ * Bus admittance matrix with off-nominal transformer taps and shunt capacitors
+ * Tap t on the from side: Yff = y·t², Yft = Ytf = -y·t, Ytt = y
+ * @returns {Object} { G, B, order, position }
+ */
+function buildLoadFlowAdmittance(model, energized) {
+    const order = model.nodes.map(node => node.index).filter(index => energized.has(index));
+    const position = new Map(order.map((nodeIndex, row) => [nodeIndex, row]));
+    const n = order.length;
+    const G = Array.from({ length: n }, () => new Array(n).fill(0));
+    const B = Array.from({ length: n }, () => new Array(n).fill(0));
+    
+    model.branches.forEach(branch => {
+        const i = position.get(branch.from);
+        const j = position.get(branch.to);
+        if (i === undefined || j === undefined) return;
+        
+        const y = cInv(branch.z);
+        const t = branch.tap;
+        G[i][i] += y.re * t * t;
+        B[i][i] += y.im * t * t;
+        G[j][j] += y.re;
+        B[j][j] += y.im;
+        G[i][j] -= y.re * t;
+        B[i][j] -= y.im * t;
+        G[j][i] -= y.re * t;
+        B[j][i] -= y.im * t;
+    });
+    
+    order.forEach((nodeIndex, row) => {
+        B[row][row] += model.nodes[nodeIndex].shuntB;
+    });
+    
+    return { G: G, B: B, order: order, position: position };
+}
+
+/**
+ * Solve a real linear system A·x = b by Gaussian elimination with partial pivoting
+ */
+function solveRealLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    
+    for (let k = 0; k < n; k++) {
+        let pivotRow = k;
+        for (let i = k + 1; i < n; i++) {
+            if (Math.abs(m[i][k]) > Math.abs(m[pivotRow][k])) pivotRow = i;
+        }
+        if (Math.abs(m[pivotRow][k]) < 1e-14) {
+            throw new Error('Singular load flow Jacobian');
+        }
+        [m[k], m[pivotRow]] = [m[pivotRow], m[k]];
+        
+        for (let i = k + 1; i < n; i++) {
+            const factor = m[i][k] / m[k][k];
+            if (factor === 0) continue;
+            for (let j = k; j <= n; j++) {
+                m[i][j] -= factor * m[k][j];
+            }
+        }
+    }
+    
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = m[i][n];
+        for (let j = i + 1; j < n; j++) {
+            sum -= m[i][j] * x[j];
+        }
+        x[i] = sum / m[i][i];
+    }
+    return x;
+}
+
+/**
+ * Injected real and reactive power at every row (pu)
+ */
+function calculatePowerInjections(Y, V, theta) {
+    const n = V.length;
+    const P = new Array(n).fill(0);
+    const Q = new Array(n).fill(0);
+    
+    for (let i = 0; i < n; i++) {
+        for (let k = 0; k < n; k++) {
+            if (Y.G[i][k] === 0 && Y.B[i][k] === 0) continue;
+            const angle = theta[i] - theta[k];
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            P[i] += V[i] * V[k] * (Y.G[i][k] * cos + Y.B[i][k] * sin);
+            Q[i] += V[i] * V[k] * (Y.G[i][k] * sin - Y.B[i][k] * cos);
+        }
+    }
+    return { P: P, Q: Q };
+}
+
+/**
+ * Power mismatches for the unknowns: ΔP at PV and PQ rows, ΔQ at PQ rows
+ */
+function calculateLoadFlowMismatch(state, Y) {
+    const { P, Q } = calculatePowerInjections(Y, state.V, state.theta);
+    const dP = state.angleRows.map(i => state.pSpec[i] - P[i]);
+    const dQ = state.pqRows.map(i => state.qSpec[i] - Q[i]);
+    const max = Math.max(0, ...dP.map(Math.abs), ...dQ.map(Math.abs));
+    return { P: P, Q: Q, dP: dP, dQ: dQ, max: max };
+}
+
+/**
+ * Newton-Raphson iterations (polar form, full Jacobian)
+ * @returns {Object} { converged, iterations, maxMismatch }
+ */
+function solveNewtonRaphson(state, Y, maxIterations = LOAD_FLOW_MAX_ITERATIONS) {
+    const { V, theta, angleRows, pqRows } = state;
+    const nA = angleRows.length;
+    
+    for (let iteration = 0; iteration <= maxIterations; iteration++) {
+        const mismatch = calculateLoadFlowMismatch(state, Y);
+        if (!isFinite(mismatch.max)) {
+            return { converged: false, iterations: iteration, maxMismatch: mismatch.max };
+        }
+        if (mismatch.max < LOAD_FLOW_TOLERANCE) {
+            return { converged: true, iterations: iteration, maxMismatch: mismatch.max };
+        }
+        if (iteration === maxIterations) {
+            return { converged: false, iterations: iteration, maxMismatch: mismatch.max };
+        }
+        
+        const { P, Q } = mismatch;
+        const unknowns = [...angleRows.map(i => ({ row: i, kind: 'theta' })), ...pqRows.map(i => ({ row: i, kind: 'V' }))];
+        const equations = [...angleRows.map(i => ({ row: i, kind: 'P' })), ...pqRows.map(i => ({ row: i, kind: 'Q' }))];
+        
+        const J = equations.map(eq => unknowns.map(un => {
+            const i = eq.row;
+            const k = un.row;
+            const G = Y.G[i][k];
+            const B = Y.B[i][k];
+            if (i === k) {
+                if (eq.kind === 'P') {
+                    return un.kind === 'theta' ? -Q[i] - B * V[i] * V[i] : P[i] / V[i] + G * V[i];
+                }
+                return un.kind === 'theta' ? P[i] - G * V[i] * V[i] : Q[i] / V[i] - B * V[i];
+            }
+            if (G === 0 && B === 0) return 0;
+            const angle = theta[i] - theta[k];
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            if (eq.kind === 'P') {
+                return un.kind === 'theta' ? V[i] * V[k] * (G * sin - B * cos) : V[i] * (G * cos + B * sin);
+            }
+            return un.kind === 'theta' ? -V[i] * V[k] * (G * cos + B * sin) : V[i] * (G * sin - B * cos);
+        }));
+        
+        let dx;
+        try {
+            dx = solveRealLinearSystem(J, [...mismatch.dP, ...mismatch.dQ]);
+        } catch (e) {
+            return { converged: false, iterations: iteration, maxMismatch: mismatch.max };
+        }
+        angleRows.forEach((i, n) => { theta[i] += dx[n]; });
+        pqRows.forEach((i, n) => { V[i] += dx[nA + n]; });
+    }
+}
+
+/**
+ * Fast-decoupled (XB) iterations: B' from branch reactances, B'' from the Y-bus susceptances
+ * @returns {Object} { converged, iterations, maxMismatch }
+ */
+function solveFastDecoupled(state, Y, model, maxIterations = FAST_DECOUPLED_MAX_ITERATIONS) {
+    const { V, theta, angleRows, pqRows } = state;
+    const n = V.length;
+    
+    // B' ignores resistance, taps and shunts
+    const bPrime = Array.from({ length: n }, () => new Array(n).fill(0));
+    model.branches.forEach(branch => {
+        const i = Y.position.get(branch.from);
+        const j = Y.position.get(branch.to);
+        if (i === undefined || j === undefined) return;
+        const b = 1 / (branch.z.im || 1e-6);
+        bPrime[i][i] += b;
+        bPrime[j][j] += b;
+        bPrime[i][j] -= b;
+        bPrime[j][i] -= b;
+    });
+    const B1 = angleRows.map(i => angleRows.map(k => bPrime[i][k]));
+    const B2 = pqRows.map(i => pqRows.map(k => -Y.B[i][k]));
+    
+    for (let iteration = 0; iteration <= maxIterations; iteration++) {
+        let mismatch = calculateLoadFlowMismatch(state, Y);
+        if (!isFinite(mismatch.max)) {
+            return { converged: false, iterations: iteration, maxMismatch: mismatch.max };
+        }
+        if (mismatch.max < LOAD_FLOW_TOLERANCE) {
+            return { converged: true, iterations: iteration, maxMismatch: mismatch.max };
+        }
+        if (iteration === maxIterations) {
+            return { converged: false, iterations: iteration, maxMismatch: mismatch.max };
+        }
+        
+        try {
+            const dTheta = solveRealLinearSystem(B1, mismatch.dP.map((dp, n) => dp / V[angleRows[n]]));
+            angleRows.forEach((i, n) => { theta[i] += dTheta[n]; });
+            
+            if (pqRows.length > 0) {
+                mismatch = calculateLoadFlowMismatch(state, Y);
+                const dV = solveRealLinearSystem(B2, mismatch.dQ.map((dq, n) => dq / V[pqRows[n]]));
+                pqRows.forEach((i, n) => { V[i] += dV[n]; });
+            }
+        } catch (e) {
+            return { converged: false, iterations: iteration, maxMismatch: mismatch.max };
+        }
+    }
+}
+
+/**
+ * Move on-load tap changers toward the target voltage of their regulated bus
+ * A tap outside half the bandwidth moves by whole steps (1% tap ≈ 1% voltage), within its range.
+ * @returns {boolean} true when any tap moved
+ */
+function adjustTapChangers(model, Y, V) {
+    let moved = false;
+    model.branches.filter(branch => branch.regulator).forEach(branch => {
+        const regulator = branch.regulator;
+        const row = Y.position.get(regulator.node);
+        if (row === undefined) return;
+        
+        const errorPercent = (regulator.targetPU - V[row]) * 100;
+        if (Math.abs(errorPercent) <= regulator.bandwidth / 2) return;
+        const position = Math.min(regulator.max, Math.max(regulator.min,
+            regulator.position + Math.round(errorPercent / regulator.step) * regulator.step));
+        if (Math.abs(position - regulator.position) < 1e-9) return;
+        
+        regulator.position = position;
+        branch.tap = 1 + position / 100;
+        moved = true;
+    });
+    return moved;
+}
+
+/**
+ * Branch loading limit and basis
+ * Transformers: MVA rating (of the winding for three-winding units and autotransformers with a tertiary);
+ * cables and switches: ampacity / rating in A
+ */
+function getLoadFlowBranchRating(branch, topologyManager) {
+    if (branch.winding) {
+        return { mva: topologyManager.getThreeWindingRatingsMVA(branch.components[0])[branch.winding] };
+    }
+    const transformer = branch.components.find(comp => comp.type === 'transformer' || comp.type === 'autotransformer');
+    if (transformer) {
+        return { mva: topologyManager.getTransformerPowerMVA(transformer) };
+    }
+    const rated = branch.components.find(comp => comp.ampacity || comp.rating);
+    return rated ? { amps: rated.ampacity || rated.rating } : null;
+}
+
+/**
+ * Run a balanced load flow
+ * Newton-Raphson first; if it fails to converge the fast-decoupled method is tried from a flat start.
+ * PV buses whose reactive output leaves the generator limits are held at the limit as PQ buses.
+ * On-load tap changers are moved and the flow re-solved until every regulated voltage is within its band.
+ * @param {Object} topology - Result of TopologyManager.buildFromProject
+ * @param {Object} options - { baseMVA, method: 'newton-raphson' | 'fast-decoupled', regulateTaps (default true) }
+ * @returns {Object} { converged, method, iterations, maxMismatchPU, baseMVA, buses, branches, tapChangers, losses, overloads, warnings }
+ */
+function runLoadFlow(topology, options = {}) {
+    const model = buildLoadFlowModel(topology, options);
+    const warnings = [...model.warnings];
+    const energized = findLoadFlowIslands(model);
+    let Y = buildLoadFlowAdmittance(model, energized);
+    const rowNodes = Y.order.map(index => model.nodes[index]);
+    const baseMVA = model.baseMVA;
+    
+    const types = rowNodes.map(node => node.type);
+    const flatStart = () => ({
+        V: rowNodes.map(node => (node.type === 'PQ' ? 1.0 : node.voltageSetpoint)),
+        theta: rowNodes.map(() => 0)
+    });
+    const buildState = (start, qFixed) => {
+        const angleRows = [];
+        const pqRows = [];
+        types.forEach((type, i) => {
+            if (type !== 'slack') angleRows.push(i);
+            if (type === 'PQ') pqRows.push(i);
+        });
+        return {
+            V: start.V,
+            theta: start.theta,
+            angleRows: angleRows,
+            pqRows: pqRows,
+            pSpec: rowNodes.map(node => (node.generationMW - node.loadMW) / baseMVA),
+            qSpec: rowNodes.map((node, i) => ((qFixed[i] || 0) - node.loadMVAR) / baseMVA)
+        };
+    };
+    
+    let method = options.method || 'newton-raphson';
+    const qFixed = {};
+    let state;
+    let solution;
+    let iterations = 0;
+    const maxPasses = LOAD_FLOW_MAX_PV_SWITCHES + (model.branches.some(branch => branch.regulator) ? LOAD_FLOW_MAX_TAP_MOVES : 0);
+    
+    for (let pass = 0; pass <= maxPasses; pass++) {
+        state = buildState(state ? { V: state.V, theta: state.theta } : flatStart(), qFixed);
+        solution = method === 'fast-decoupled' ? solveFastDecoupled(state, Y, model) : solveNewtonRaphson(state, Y);
+        iterations += solution.iterations;
+        
+        if (!solution.converged && method === 'newton-raphson') {
+            warnings.push(`Newton-Raphson did not converge in ${LOAD_FLOW_MAX_ITERATIONS} iterations - fast-decoupled method used`);
+            method = 'fast-decoupled';
+            state = buildState(flatStart(), qFixed);
+            solution = solveFastDecoupled(state, Y, model);
+            iterations += solution.iterations;
+        }
+        if (!solution.converged) break;
+        
+        // Generator reactive limits
+        const { Q } = calculatePowerInjections(Y, state.V, state.theta);
+        let switched = false;
+        types.forEach((type, i) => {
+            if (type !== 'PV') return;
+            const node = rowNodes[i];
+            const qGen = Q[i] * baseMVA + node.loadMVAR;
+            if (qGen > node.qMaxMVAR || qGen < node.qMinMVAR) {
+                qFixed[i] = qGen > node.qMaxMVAR ? node.qMaxMVAR : node.qMinMVAR;
+                types[i] = 'PQ';
+                switched = true;
+                warnings.push(`${node.name}: generator reactive limit reached (${qFixed[i].toFixed(2)} MVAR) - voltage setpoint not held`);
+            }
+        });
+        
+        // On-load tap changers: new ratios change the admittance matrix
+        const moved = adjustTapChangers(model, Y, state.V);
+        if (moved) {
+            Y = buildLoadFlowAdmittance(model, energized);
+        }
+        if (!switched && !moved) break;
+    }
+    
+    if (!solution.converged) {
+        warnings.push(`Load flow did not converge (max mismatch ${solution.maxMismatch.toExponential(2)} pu) - check loading and source capacity`);
+    }
+    
+    const { P, Q } = calculatePowerInjections(Y, state.V, state.theta);
+    const voltageAt = nodeIndex => {
+        const row = Y.position.get(nodeIndex);
+        return row === undefined ? null : cPolar(state.V[row], state.theta[row] * 180 / Math.PI);
+    };
+    
+    // Bus results (internal entry and source nodes are not reported)
+    const buses = topology.buses.map(bus => {
+        const nodeIndex = model.busNode.get(bus.id);
+        const node = model.nodes[nodeIndex];
+        const row = Y.position.get(nodeIndex);
+        if (row === undefined) {
+            return {
+                busId: bus.id,
+                busName: bus.name,
+                nominalVoltage: bus.voltage,
+                energized: false,
+                voltagePU: 0,
+                voltage: 0,
+                angleDeg: 0,
+                voltageDropPercent: null,
+                loadMW: node.loadMW,
+                loadMVAR: node.loadMVAR,
+                generationMW: 0,
+                generationMVAR: 0
+            };
+        }
+        return {
+            busId: bus.id,
+            busName: bus.name,
+            nominalVoltage: bus.voltage,
+            energized: true,
+            type: types[row],
+            voltagePU: state.V[row],
+            voltage: state.V[row] * bus.voltage,
+            angleDeg: state.theta[row] * 180 / Math.PI,
+            voltageDropPercent: (1 - state.V[row]) * 100,
+            loadMW: node.loadMW,
+            loadMVAR: node.loadMVAR,
+            generationMW: types[row] === 'PQ' && node.generators.length === 0 ? 0 : P[row] * baseMVA + node.loadMW,
+            generationMVAR: types[row] === 'PQ' && node.generators.length === 0 ? 0 : Q[row] * baseMVA + node.loadMVAR
+        };
+    });
+    
+    // Branch flows
+    const topologyManager = topology.topologyManager;
+    const losses = { mw: 0, mvar: 0 };
+    const overloads = [];
+    const branches = [];
+    model.branches.forEach(branch => {
+        const vFrom = voltageAt(branch.from);
+        const vTo = voltageAt(branch.to);
+        if (!vFrom || !vTo) return;
+        
+        const y = cInv(branch.z);
+        const seriesCurrent = cMul(cSub(cScale(vFrom, branch.tap), vTo), y);
+        const iFrom = cScale(seriesCurrent, branch.tap);
+        const sFrom = cMul(vFrom, cConj(iFrom));
+        const sTo = cMul(vTo, cConj(cNeg(seriesCurrent)));
+        const fromNode = model.nodes[branch.from];
+        const toNode = model.nodes[branch.to];
+        
+        // Source impedance represents the utility system, not part of the studied network
+        if (branch.type === 'source') return;
+        losses.mw += (sFrom.re + sTo.re) * baseMVA;
+        losses.mvar += (sFrom.im + sTo.im) * baseMVA;
+        
+        const currentFromA = cAbs(iFrom) * baseMVA * 1e6 / (Math.sqrt(3) * fromNode.voltage);
+        const currentToA = cAbs(seriesCurrent) * baseMVA * 1e6 / (Math.sqrt(3) * toNode.voltage);
+        const flowMVA = Math.max(cAbs(sFrom), cAbs(sTo)) * baseMVA;
+        
+        const rating = getLoadFlowBranchRating(branch, topologyManager);
+        let loadingPercent = null;
+        if (rating && rating.mva) {
+            loadingPercent = flowMVA / rating.mva * 100;
+        } else if (rating && rating.amps) {
+            loadingPercent = Math.max(currentFromA, currentToA) / rating.amps * 100;
+        }
+        
+        const result = {
+            name: branch.components.map(comp => comp.name || comp.type).join(' + ') + (branch.winding ? ` (${branch.winding})` : ''),
+            type: branch.type,
+            components: branch.components,
+            fromBus: fromNode.name,
+            toBus: toNode.name,
+            pFromMW: sFrom.re * baseMVA,
+            qFromMVAR: sFrom.im * baseMVA,
+            pToMW: sTo.re * baseMVA,
+            qToMVAR: sTo.im * baseMVA,
+            currentFromA: currentFromA,
+            currentToA: currentToA,
+            lossMW: (sFrom.re + sTo.re) * baseMVA,
+            lossMVAR: (sFrom.im + sTo.im) * baseMVA,
+            tap: branch.tap,
+            loadingPercent: loadingPercent,
+            overloaded: loadingPercent !== null && loadingPercent > 100
+        };
+        branches.push(result);
+        
+        if (result.overloaded) {
+            overloads.push(result);
+            warnings.push(`${result.name} loaded to ${loadingPercent.toFixed(1)}% of its rating`);
+        }
+    });
+    
+    // On-load tap changers: final tap and regulated voltage
+    const tapChangers = model.branches.filter(branch => branch.regulator).map(branch => {
+        const regulator = branch.regulator;
+        const row = Y.position.get(regulator.node);
+        const voltagePU = row === undefined ? null : state.V[row];
+        const regulated = voltagePU !== null && Math.abs(regulator.targetPU - voltagePU) * 100 <= regulator.bandwidth / 2 + 1e-9;
+        const atLimit = regulator.position >= regulator.max - 1e-9 || regulator.position <= regulator.min + 1e-9;
+        const name = regulator.component.name || 'Transformer';
+        const busName = model.nodes[regulator.node].name;
+        if (voltagePU !== null && !regulated) {
+            warnings.push(`${name}: ${busName} at ${voltagePU.toFixed(3)} pu, outside the ${regulator.bandwidth}% band around ${regulator.targetPU} pu` +
+                (atLimit ? ` (tap at its ${regulator.position > 0 ? '+' : ''}${regulator.position}% limit)` : ''));
+        }
+        return {
+            name: name,
+            busName: busName,
+            tapPercent: regulator.position,
+            tapStep: regulator.step,
+            targetPU: regulator.targetPU,
+            voltagePU: voltagePU,
+            regulated: regulated,
+            atLimit: atLimit
+        };
+    });
+    
+    return {
+        converged: solution.converged,
+        method: method,
+        iterations: iterations,
+        maxMismatchPU: solution.maxMismatch,
+        baseMVA: baseMVA,
+        buses: buses,
+        branches: branches,
+        tapChangers: tapChangers,
+        losses: losses,
+        overloads: overloads,
+        warnings: warnings
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LOAD_FLOW_TOLERANCE,
+        LOAD_FLOW_MAX_ITERATIONS,
+        FAST_DECOUPLED_MAX_ITERATIONS,
+        LOAD_FLOW_MAX_TAP_MOVES,
+        LOAD_FLOW_DEFAULT_PF,
+        LOAD_FLOW_LOAD_TYPES,
+        VOLTAGE_DROP_LIMITS,
+        getLoadDemandMW,
+        getCapacitorSusceptancePU,
+        getGeneratorDispatch,
+        buildLoadFlowModel,
+        buildLoadFlowAdmittance,
+        solveRealLinearSystem,
+        calculatePowerInjections,
+        solveNewtonRaphson,
+        solveFastDecoupled,
+        adjustTapChangers,
+        runLoadFlow
+    };
+}
@@ -0,0 +1,1059 @@
+/**
+ * network_solver.js
+ * Nodal network solver for meshed and multi-source power systems
+ * Builds a complex admittance matrix (Y-bus) from TopologyManager connections and
+ * factorizes it to obtain driving-point and transfer impedances (Z-bus) at every bus
+ */
+
+/**
+ * System MVA base used for per-unit network calculations
+ */
+const NETWORK_BASE_MVA = 100;
+
+/**
+ * Component types treated as equivalent sources (shunt impedance to the reference node)
+ */
+const NETWORK_SOURCE_TYPES = ['utility', 'utility_isc', 'utility_mva', 'utility_impedance', 'generator', 'inverter'];
+
+/**
+ * Norton impedance of inverter-based sources (pu on the inverter rating)
+ * Their current-limited fault current is injected by the sequence fault solver; the impedance only
+ * keeps buses fed by inverters alone solvable.
+ */
+const INVERTER_NORTON_IMPEDANCE_PU = 1000;
+
+/**
+ * Component types treated as rotating-machine loads (included on request only)
+ */
+const NETWORK_MOTOR_TYPES = ['motor', 'motor_load'];
+
+/**
+ * Component types treated as series elements when they sit on a bus without a toBus
+ * (reactors only when current limiting; filter and smoothing reactors are not in the fault path)
+ */
+const NETWORK_SERIES_TYPES = ['cable', 'overhead_line', 'busway', 'reactor'];
+
+/**
+ * Switching devices (breakers, bus ties): negligible-impedance branches when closed, absent when open
+ */
+const NETWORK_SWITCH_TYPES = ['breaker', 'tie', 'switch'];
+
+/**
+ * Per-unit impedance of a closed switching device (small enough to be invisible, large enough to keep the Y-bus finite)
+ */
+const SWITCH_IMPEDANCE_PU = 1e-6;
+
+/**
+ * Typical sequence impedance ratios used when a component carries no sequence data
+ * utilityZ0: Z0/Z1 of the utility source, cableZ0: Z0/Z1 of a cable with a same-size return path,
+ * transformerZ0: Z0/Z1 of the transformer leakage impedance,
+ * generatorX2/generatorX0: X2/X"d and X0/X"d of synchronous machines (IEEE 141 ranges 1.0-1.2 and 0.1-0.7)
+ */
+const SEQUENCE_IMPEDANCE_RATIOS = {
+    utilityZ0: 1.0,
+    cableZ0: 3.0,
+    transformerZ0: 1.0,
+    generatorX2: 1.0,
+    generatorX0: 0.5
+};
+
+/**
+ * Complex number helpers ({ re, im })
+ */
+function complex(re, im = 0) {
+    return { re: re, im: im };
+}
+
+function cAdd(a, b) {
+    return { re: a.re + b.re, im: a.im + b.im };
+}
+
+function cSub(a, b) {
+    return { re: a.re - b.re, im: a.im - b.im };
+}
+
+function cMul(a, b) {
+    return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re };
+}
+
+function cDiv(a, b) {
+    const den = b.re * b.re + b.im * b.im;
+    if (den === 0) {
+        throw new Error('Complex division by zero');
+    }
+    return {
+        re: (a.re * b.re + a.im * b.im) / den,
+        im: (a.im * b.re - a.re * b.im) / den
+    };
+}
+
+function cInv(a) {
+    return cDiv(complex(1, 0), a);
+}
+
+function cScale(a, k) {
+    return { re: a.re * k, im: a.im * k };
+}
+
+function cNeg(a) {
+    return { re: -a.re, im: -a.im };
+}
+
+function cConj(a) {
+    return { re: a.re, im: -a.im };
+}
+
+function cAbs(a) {
+    return Math.sqrt(a.re * a.re + a.im * a.im);
+}
+
+/**
+ * Angle of a complex number in degrees
+ */
+function cArg(a) {
+    return Math.atan2(a.im, a.re) * 180 / Math.PI;
+}
+
+/**
+ * Build complex number from magnitude and angle (degrees)
+ */
+function cPolar(magnitude, angleDeg) {
+    const rad = angleDeg * Math.PI / 180;
+    return { re: magnitude * Math.cos(rad), im: magnitude * Math.sin(rad) };
+}
+
+/**
+ * Split an impedance magnitude into a complex value using its X/R ratio
+ */
+function impedanceFromXR(magnitude, xrRatio) {
+    const r = magnitude / Math.sqrt(1 + xrRatio * xrRatio);
+    return complex(r, r * xrRatio);
+}
+
+/**
+ * LU factorization of a complex square matrix with partial pivoting
+ * @param {Array<Array<Object>>} matrix - Complex matrix (not modified)
+ * @returns {Object} { lu, perm } factorization
+ */
+function luFactorize(matrix) {
+    const n = matrix.length;
+    const lu = matrix.map(row => row.map(v => ({ re: v.re, im: v.im })));
+    const perm = Array.from({ length: n }, (_, i) => i);
+    
+    for (let k = 0; k < n; k++) {
+        // Select pivot with largest magnitude
+        let pivotRow = k;
+        let pivotMag = cAbs(lu[k][k]);
+        for (let i = k + 1; i < n; i++) {
+            const mag = cAbs(lu[i][k]);
+            if (mag > pivotMag) {
+                pivotMag = mag;
+                pivotRow = i;
+            }
+        }
+        
+        if (pivotMag < 1e-14) {
+            throw new Error(`Singular admittance matrix at row ${k + 1} (check for isolated or floating buses)`);
+        }
+        
+        if (pivotRow !== k) {
+            [lu[k], lu[pivotRow]] = [lu[pivotRow], lu[k]];
+            [perm[k], perm[pivotRow]] = [perm[pivotRow], perm[k]];
+        }
+        
+        for (let i = k + 1; i < n; i++) {
+            const factor = cDiv(lu[i][k], lu[k][k]);
+            lu[i][k] = factor;
+            for (let j = k + 1; j < n; j++) {
+                lu[i][j] = cSub(lu[i][j], cMul(factor, lu[k][j]));
+            }
+        }
+    }
+    
+    return { lu: lu, perm: perm };
+}
+
+/**
+ * Solve A·x = b using an LU factorization from luFactorize
+ */
+function luSolve(factorization, b) {
+    const { lu, perm } = factorization;
+    const n = lu.length;
+    const y = new Array(n);
+    
+    // Forward substitution (L has unit diagonal)
+    for (let i = 0; i < n; i++) {
+        let sum = b[perm[i]];
+        for (let j = 0; j < i; j++) {
+            sum = cSub(sum, cMul(lu[i][j], y[j]));
+        }
+        y[i] = sum;
+    }
+    
+    // Back substitution
+    const x = new Array(n);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = y[i];
+        for (let j = i + 1; j < n; j++) {
+            sum = cSub(sum, cMul(lu[i][j], x[j]));
+        }
+        x[i] = cDiv(sum, lu[i][i]);
+    }
+    
+    return x;
+}
+
+/**
+ * Invert a complex square matrix
+ */
+function invertComplexMatrix(matrix) {
+    const n = matrix.length;
+    const factorization = luFactorize(matrix);
+    const inverse = Array.from({ length: n }, () => new Array(n));
+    
+    for (let col = 0; col < n; col++) {
+        const unit = Array.from({ length: n }, (_, i) => complex(i === col ? 1 : 0, 0));
+        const column = luSolve(factorization, unit);
+        for (let row = 0; row < n; row++) {
+            inverse[row][col] = column[row];
+        }
+    }
+    
+    return inverse;
+}
+
+/**
+ * Calculate shunt (source) impedance in per-unit on the system base
+ * @param {Object} component - Source component
+ * @param {Object} bus - Bus the source is connected to (voltage in V)
+ * @param {number} baseMVA - System MVA base
+ * @param {string} sequence - 'positive' (default), 'negative' or 'zero'
+ * @returns {Object|null} Complex impedance in pu, or null if not a network source
+ *                        (or no path to ground in the zero-sequence network)
+ */
+function getSourceImpedancePU(component, bus, baseMVA, sequence = 'positive') {
+    if (component.type === 'utility' || component.type === 'utility_isc' ||
+        component.type === 'utility_mva' || component.type === 'utility_impedance') {
+        const voltageKV = bus.voltage / 1000;
+        let scMVA = component.shortCircuitMVA || component.mva || 0;
+        
+        if (!scMVA && (component.faultCurrent || component.isc)) {
+            // Fault current in kA at the source bus voltage
+            scMVA = Math.sqrt(3) * voltageKV * (component.faultCurrent || component.isc);
+        }
+        if (!scMVA && component.type === 'utility_impedance' && component.impedance) {
+            scMVA = (component.baseMVA || baseMVA) / (component.impedance / 100);
+        }
+        if (!scMVA || scMVA <= 0) return null;
+        
+        const z1 = impedanceFromXR(baseMVA / scMVA, component.xr || 10);
+        if (sequence !== 'zero') {
+            return z1;
+        }
+        if (component.grounding === 'ungrounded') {
+            return null;
+        }
+        
+        // Zero sequence from single-line-to-ground fault level: Ilg = 3/(2·Z1 + Z0)
+        let slgMVA = component.slgMVA || 0;
+        if (!slgMVA && component.faultCurrentLG) {
+            slgMVA = Math.sqrt(3) * voltageKV * component.faultCurrentLG;
+        }
+        if (slgMVA > 0) {
+            const z0Magnitude = Math.max(3 * baseMVA / slgMVA - 2 * cAbs(z1), 1e-6);
+            return impedanceFromXR(z0Magnitude, component.x0r0 || component.xr || 10);
+        }
+        return cScale(z1, component.z0z1 || SEQUENCE_IMPEDANCE_RATIOS.utilityZ0);
+    }
+    
+    if (component.type === 'generator') {
+        const ratedMVA = component.powerUnit === 'kVA' ? (component.power || 0) / 1000 : (component.power || 0);
+        const xdPU = (component.reactance || component.xdSubtransient || 15) / 100;
+        if (ratedMVA <= 0) return null;
+        
+        let xPU = xdPU;
+        if (sequence === 'negative') {
+            xPU = component.x2 ? component.x2 / 100 : xdPU * SEQUENCE_IMPEDANCE_RATIOS.generatorX2;
+        } else if (sequence === 'zero') {
+            if (component.grounding === 'ungrounded') return null;
+            xPU = component.x0 ? component.x0 / 100 : xdPU * SEQUENCE_IMPEDANCE_RATIOS.generatorX0;
+        }
+        
+        // Generator R/X ratio (calculator convention), typical 0.1 for synchronous generators
+        const rxRatio = component.rx || 0.1;
+        const x = xPU * baseMVA / ratedMVA;
+        return complex(x * rxRatio, x);
+    }
+    
+    if (component.type === 'inverter') {
+        // Inverters are isolated from ground: no zero-sequence contribution
+        const ratedMVA = component.powerUnit === 'MVA' ? (component.power || 0) : (component.power || 0) / 1000;
+        if (sequence === 'zero' || ratedMVA <= 0) return null;
+        return impedanceFromXR(INVERTER_NORTON_IMPEDANCE_PU * baseMVA / ratedMVA, 1);
+    }
+    
+    if (component.type === 'motor' || component.type === 'motor_load') {
+        // Motor neutrals are not grounded: no zero-sequence contribution
+        if (sequence === 'zero') return null;
+        
+        const voltage = component.voltage || bus.voltage;
+        let lra = component.lra;
+        if (!lra && typeof calculateMotorFLA !== 'undefined' && typeof calculateMotorLRA !== 'undefined') {
+            lra = calculateMotorLRA(component, calculateMotorFLA(component));
+        }
+        if (!lra || lra <= 0) return null;
+        
+        // Negative-sequence impedance ≈ locked-rotor impedance
+        const lockedRotorMVA = Math.sqrt(3) * voltage * lra / 1e6;
+        const xr = component.xr || 15;
+        return impedanceFromXR(baseMVA / lockedRotorMVA, xr);
+    }
+    
+    return null;
+}
+
+/**
+ * Zero-sequence connection of a transformer from its vector group
+ * @param {Object} component - Transformer component (connectionType, default 'Dyn11')
+ * @returns {Object} { series, primaryShunt, secondaryShunt, primaryRatio, secondaryRatio }
+ */
+function getTransformerZeroSequenceModel(component) {
+    if (typeof getVectorGroupZeroSequence !== 'undefined') {
+        return getVectorGroupZeroSequence(component.connectionType);
+    }
+    
+    // Transformer model not loaded: assume the default Dyn11 connection
+    return { series: false, primaryShunt: false, secondaryShunt: true, primaryRatio: 1.0, secondaryRatio: 1.0 };
+}
+
+/**
+ * Zero-sequence connection of each winding of a three-winding transformer
+ * @returns {Object} { primary, secondary, tertiary } → { path: 'series' | 'delta' | 'zigzag' | 'open', ratio }
+ */
+function getThreeWindingZeroSequenceModel(component) {
+    if (typeof getThreeWindingZeroSequence !== 'undefined') {
+        return getThreeWindingZeroSequence(component.connectionType);
+    }
+    
+    // Transformer model not loaded: assume the default YNyn0d1 connection
+    return {
+        primary: { path: 'series', ratio: 1.0 },
+        secondary: { path: 'series', ratio: 1.0 },
+        tertiary: { path: 'delta', ratio: 1.0 }
+    };
+}
+
+/**
+ * Tertiary and common-neutral model of an autotransformer
+ * @param {Object} component - Autotransformer component (connectionType 'YNa0' or 'YNa0d1')
+ * @param {number} ratio - Voltage ratio VH/VX
+ * @returns {Object} { tertiary, factors } (factors: multiples of 3·Zn added to each zero-sequence leg)
+ */
+function getAutotransformerZeroSequenceModel(component, ratio) {
+    if (typeof parseAutotransformerVectorGroup !== 'undefined') {
+        return {
+            tertiary: parseAutotransformerVectorGroup(component.connectionType).tertiary,
+            factors: getAutotransformerNeutralFactors(ratio)
+        };
+    }
+    
+    // Transformer model not loaded: assume YNa0 with a solidly grounded neutral
+    return { tertiary: false, factors: { high: 0, low: 0, tertiary: 0, series: 0 } };
+}
+
+/**
+ * Calculate series (branch) impedance in per-unit on the system base
+ * @param {Object} component - Branch component (transformer, autotransformer, cable, reactor, breaker/tie)
+ * @param {Object} fromBus - Sending-end bus (voltage in V)
+ * @param {Object} topologyManager - TopologyManager providing unit helpers
+ * @param {number} baseMVA - System MVA base
+ * @param {string} sequence - 'positive' (default), 'negative' or 'zero'
+ * @returns {Object|null} Complex impedance in pu, null for open switching devices
+ */
+function getBranchImpedancePU(component, fromBus, topologyManager, baseMVA, sequence = 'positive') {
+    if (NETWORK_SWITCH_TYPES.includes(component.type)) {
+        return component.status === 'open' ? null : complex(0, SWITCH_IMPEDANCE_PU);
+    }
+    
+    if (component.type === 'transformer' || component.type === 'autotransformer') {
+        const powerMVA = topologyManager.getTransformerPowerMVA(component);
+        const zPU = (component.impedance || 5.75) / 100 * baseMVA / powerMVA;
+        
+        let xrRatio = component.rx ? (1 / component.rx) : null;
+        if (!xrRatio) {
+            xrRatio = typeof getTypicalTransformerXR !== 'undefined' ? getTypicalTransformerXR(powerMVA) : 10;
+        }
+        const z = impedanceFromXR(zPU, xrRatio);
+        return sequence === 'zero' ? cScale(z, component.z0z1 || SEQUENCE_IMPEDANCE_RATIOS.transformerZ0) : z;
+    }
+    
+    if (component.type === 'cable') {
+        const zBase = (fromBus.voltage * fromBus.voltage) / (baseMVA * 1e6);
+        // Zero-sequence data entered (r0/x0 in Ω/km) or from the cable library construction
+        const z0Ohms = sequence === 'zero' ? topologyManager.getCableImpedanceOhms(component, 'zero') : null;
+        if (z0Ohms) {
+            return complex(z0Ohms.r / zBase, z0Ohms.x / zBase);
+        }
+        
+        const zOhms = topologyManager.getCableImpedanceOhms(component);
+        const z = complex(zOhms.r / zBase, zOhms.x / zBase);
+        return sequence === 'zero' ? cScale(z, SEQUENCE_IMPEDANCE_RATIOS.cableZ0) : z;
+    }
+    
+    if (component.type === 'overhead_line') {
+        // Positive and zero sequence from Carson's equations on the tower geometry
+        const zBase = (fromBus.voltage * fromBus.voltage) / (baseMVA * 1e6);
+        const zOhms = topologyManager.getOverheadLineImpedanceOhms(component, sequence === 'zero' ? 'zero' : 'positive');
+        return complex(zOhms.r / zBase, zOhms.x / zBase);
+    }
+    
+    if (component.type === 'busway') {
+        // Library phase impedance; zero sequence through the busway ground path
+        const zBase = (fromBus.voltage * fromBus.voltage) / (baseMVA * 1e6);
+        const zOhms = topologyManager.getBuswayImpedanceOhms(component, sequence === 'zero' ? 'zero' : 'positive');
+        return complex(zOhms.r / zBase, zOhms.x / zBase);
+    }
+    
+    if (component.type === 'reactor') {
+        // Air-core reactor: same impedance in every sequence; a reactor without data is a closed link
+        const zOhms = topologyManager.getReactorImpedanceOhms(component, fromBus.voltage);
+        if (zOhms.x <= 0) {
+            return complex(0, SWITCH_IMPEDANCE_PU);
+        }
+        const zBase = (fromBus.voltage * fromBus.voltage) / (baseMVA * 1e6);
+        return complex(zOhms.r / zBase, zOhms.x / zBase);
+    }
+    
+    return null;
+}
+
+/**
+ * Winding impedances (pu on the system base) of the star equivalent of a three-winding transformer
+ * impedancePS, impedancePT, impedanceST: winding-pair impedances (%) on their own bases (see
+ * TopologyManager.getThreeWindingRatingsMVA); an autotransformer with a tertiary gives its
+ * high-to-low impedance as impedance. Study corrections apply to the pair impedances.
+ * @returns {Object|null} { primary, secondary, tertiary } complex pu, null when left out of the study
+ */
+function getThreeWindingImpedancesPU(component, topologyManager, baseMVA, sequence = 'positive', options = {}) {
+    const ratings = topologyManager.getThreeWindingRatingsMVA(component);
+    let xrRatio = component.rx ? (1 / component.rx) : null;
+    if (!xrRatio) {
+        xrRatio = typeof getTypicalTransformerXR !== 'undefined' ? getTypicalTransformerXR(ratings.primary) : 10;
+    }
+    const zeroRatio = sequence === 'zero' ? (component.z0z1 || SEQUENCE_IMPEDANCE_RATIOS.transformerZ0) : 1;
+    const pair = (impedance, powerMVA) => adjustNetworkImpedance(
+        cScale(impedanceFromXR((impedance || 5.75) / 100 * baseMVA / powerMVA, xrRatio), zeroRatio), component, options);
+    
+    const zPS = pair(component.type === 'autotransformer' ? component.impedance : component.impedancePS, ratings.primarySecondary);
+    const zPT = pair(component.impedancePT, ratings.primaryTertiary);
+    const zST = pair(component.impedanceST, ratings.secondaryTertiary);
+    if (!zPS || !zPT || !zST) return null;
+    
+    // A winding branch of zero impedance (common for the middle winding) is a closed link
+    const star = (a, b, c) => {
+        const z = cScale(cSub(cAdd(a, b), c), 0.5);
+        return cAbs(z) < SWITCH_IMPEDANCE_PU ? complex(0, SWITCH_IMPEDANCE_PU) : z;
+    };
+    return {
+        primary: star(zPS, zPT, zST),
+        secondary: star(zPS, zST, zPT),
+        tertiary: star(zPT, zST, zPS)
+    };
+}
+
+/**
+ * Apply study corrections to an element impedance
+ * options.impedanceFactors: Map of component → factor on its impedance (IEC 60909 KT, KG, KS, cQ, IEEE C37
+ * machine multipliers); a factor of Infinity leaves a source or motor out of the network
+ * options.frequencyRatio: reactances scaled to another frequency (IEC 60909 peak method C)
+ * options.impedancePart: 'resistance' or 'reactance' keeps one part only (ANSI C37.010 separate R and X
+ * networks); the other part is dropped and a zero remaining part becomes a switch impedance
+ */
+function adjustNetworkImpedance(z, component, options) {
+    if (!z) return z;
+    const factor = (options.impedanceFactors && options.impedanceFactors.get(component)) || 1;
+    const frequencyRatio = options.frequencyRatio || 1;
+    if (factor === Infinity) return null;
+    const adjusted = (factor === 1 && frequencyRatio === 1) ? z : complex(z.re * factor, z.im * factor * frequencyRatio);
+    
+    if (options.impedancePart === 'resistance') {
+        return complex(Math.max(adjusted.re, SWITCH_IMPEDANCE_PU), 0);
+    }
+    if (options.impedancePart === 'reactance') {
+        return complex(0, Math.max(adjusted.im, SWITCH_IMPEDANCE_PU));
+    }
+    return adjusted;
+}
+
+/**
+ * Neutral grounding impedance as it appears in the zero-sequence network (3·Zn, pu)
+ * Zero when the neutral is solidly grounded or grounding_model.js is not loaded
+ */
+function getNeutralImpedanceZeroPU(component, bus, components, baseMVA, winding = 'secondary') {
+    if (typeof getNeutralGroundingImpedancePU === 'undefined' || !bus) return complex(0, 0);
+    
+    const zn = getNeutralGroundingImpedancePU(component, components, bus.voltage, baseMVA, winding);
+    return zn ? cScale(zn, 3) : complex(0, 0);
+}
+
+/**
+ * Off-nominal ratio of a transformer branch (secondary/primary, pu) for a tap selection
+ * taps: 'current' (tapPosition), 'maximum' or 'minimum' (end of the tap range raising or lowering the
+ * secondary voltage, giving the highest or lowest fault level downstream); nominal ratio without one
+ */
+function getTransformerTapRatio(component, taps) {
+    if (!taps) return 1;
+    if (typeof getTransformerTapRange === 'undefined') return 1 + (component.tapPosition || 0) / 100;
+    const range = getTransformerTapRange(component);
+    const percent = taps === 'maximum' ? range.max : (taps === 'minimum' ? range.min : range.position);
+    return 1 + percent / 100;
+}
+
+/**
+ * Series element on a bus without a toBus
+ */
+function isNetworkSeriesElement(component) {
+    if (!NETWORK_SERIES_TYPES.includes(component.type)) return false;
+    return component.type !== 'reactor' || (component.reactorType || 'current_limiting') === 'current_limiting';
+}
+
+/**
+ * Build per-unit network model (nodes, branches, shunts) from a topology
+ *
+ * Series elements stored on a bus without a toBus (sequential project format) sit between
+ * the bus supply and the bus itself, so such buses get an internal entry node.
+ *
+ * Negative- and zero-sequence networks use the same nodes; in the zero-sequence network
+ * transformers are series branches, grounding shunts or open circuits depending on
+ * their winding connections.
+ *
+ * Transformer branches carry an off-nominal ratio (tap) on their primary side when options.taps is given.
+ * Three-winding transformers are star equivalents: an internal star-point node with one branch per winding.
+ * Autotransformers are one branch between their buses, or a star when they have a delta tertiary; in the
+ * zero-sequence network their common neutral impedance is split over the branches.
+ *
+ * @param {Object} topology - Result of TopologyManager.buildFromProject
+ * @param {Object} options - { baseMVA, includeMotors, sequence, impedanceFactors, frequencyRatio, impedancePart, taps }
+ * @returns {Object} Network model
+ */
+function buildNetworkModel(topology, options = {}) {
+    const baseMVA = options.baseMVA || NETWORK_BASE_MVA;
+    const includeMotors = options.includeMotors || false;
+    const sequence = options.sequence || 'positive';
+    const topologyManager = topology.topologyManager;
+    const buses = topology.buses || topologyManager.getAllBuses();
+    
+    const nodes = [];
+    const branches = [];
+    const shunts = [];
+    const busNode = new Map();
+    const entryNode = new Map();
+    
+    buses.forEach(bus => {
+        const node = { index: nodes.length, busId: bus.id, name: bus.name, voltage: bus.voltage, internal: false };
+        nodes.push(node);
+        busNode.set(bus.id, node.index);
+        entryNode.set(bus.id, node.index);
+    });
+    
+    const busById = new Map(buses.map(bus => [bus.id, bus]));
+    
+    // In-bus series elements: create entry node and connect it to the bus node
+    buses.forEach(bus => {
+        const seriesElements = bus.components.filter(comp =>
+            comp.fromBus === bus.id && !comp.toBus && isNetworkSeriesElement(comp));
+        if (seriesElements.length === 0) return;
+        
+        const entry = {
+            index: nodes.length,
+            busId: bus.id,
+            name: `${bus.name} (supply side)`,
+            voltage: bus.voltage,
+            internal: true
+        };
+        nodes.push(entry);
+        entryNode.set(bus.id, entry.index);
+        
+        let z = complex(0, 0);
+        seriesElements.forEach(comp => {
+            z = cAdd(z, adjustNetworkImpedance(getBranchImpedancePU(comp, bus, topologyManager, baseMVA, sequence), comp, options));
+        });
+        branches.push({
+            from: entry.index,
+            to: busNode.get(bus.id),
+            z: z,
+            tap: 1,
+            components: seriesElements,
+            type: 'series'
+        });
+    });
+    
+    // Connections between buses
+    topology.components.forEach(comp => {
+        const fromBus = busById.get(comp.fromBus);
+        if (!fromBus) return;
+        
+        if (comp.type === 'transformer_3w') {
+            // Star equivalent: one branch per winding from the winding's bus to an internal star point
+            const windings = getThreeWindingImpedancesPU(comp, topologyManager, baseMVA, sequence, options);
+            if (!windings) return;
+            const star = {
+                index: nodes.length,
+                busId: null,
+                name: `${comp.name || 'Transformer'} (star point)`,
+                voltage: fromBus.voltage,
+                internal: true
+            };
+            nodes.push(star);
+            const zeroModel = sequence === 'zero' ? getThreeWindingZeroSequenceModel(comp) : null;
+            
+            [['primary', busNode.get(comp.fromBus)], ['secondary', entryNode.get(comp.toBus)], ['tertiary', entryNode.get(comp.tertiaryBus)]]
+                .forEach(([winding, node]) => {
+                    // The primary winding carries the tap; branches run from the primary bus or the star point
+                    const [from, to] = winding === 'primary' ? [node, star.index] : [star.index, node];
+                    const branch = {
+                        from: from,
+                        to: to,
+                        z: windings[winding],
+                        tap: winding === 'primary' ? getTransformerTapRatio(comp, options.taps) : 1,
+                        components: [comp],
+                        type: comp.type,
+                        winding: winding
+                    };
+                    if (!zeroModel) {
+                        branches.push(branch);
+                        return;
+                    }
+                    
+                    // Zero sequence: grounded wye in series with its neutral impedance, delta grounds the star point
+                    const path = zeroModel[winding];
+                    const neutral = getNeutralImpedanceZeroPU(comp, nodes[node], topology.components, baseMVA, winding);
+                    if (path.path === 'series') {
+                        branches.push({ ...branch, z: cAdd(branch.z, neutral) });
+                    } else if (path.path === 'delta') {
+                        shunts.push({ node: star.index, z: branch.z, component: comp, type: comp.type, side: winding });
+                    } else if (path.path === 'zigzag') {
+                        shunts.push({ node: node, z: cAdd(cScale(branch.z, path.ratio), neutral), component: comp, type: comp.type, side: winding });
+                    }
+                });
+            return;
+        }
+        
+        if (comp.type === 'autotransformer' && comp.toBus) {
+            const toBus = busById.get(comp.toBus);
+            const tap = getTransformerTapRatio(comp, options.taps);
+            const autoModel = getAutotransformerZeroSequenceModel(comp, fromBus.voltage / toBus.voltage);
+            
+            // Zero sequence: 3·Zn of the common neutral (pu on the low-voltage base) times the leg factors
+            const neutral = sequence === 'zero'
+                ? getNeutralImpedanceZeroPU(comp, toBus, topology.components, baseMVA, 'secondary') : complex(0, 0);
+            const withNeutral = (z, factor) => cAdd(z, cScale(neutral, factor));
+            
+            if (!autoModel.tertiary) {
+                const z = adjustNetworkImpedance(getBranchImpedancePU(comp, fromBus, topologyManager, baseMVA, sequence), comp, options);
+                if (!z) return;
+                branches.push({
+                    from: busNode.get(comp.fromBus),
+                    to: entryNode.get(comp.toBus),
+                    z: withNeutral(z, autoModel.factors.series),
+                    tap: tap,
+                    components: [comp],
+                    type: comp.type
+                });
+                return;
+            }
+            
+            // Delta tertiary: star equivalent of the high-low, high-tertiary and low-tertiary impedances
+            const windings = getThreeWindingImpedancesPU(comp, topologyManager, baseMVA, sequence, options);
+            if (!windings) return;
+            const star = {
+                index: nodes.length,
+                busId: null,
+                name: `${comp.name || 'Autotransformer'} (star point)`,
+                voltage: fromBus.voltage,
+                internal: true
+            };
+            nodes.push(star);
+            const branch = { components: [comp], type: comp.type };
+            branches.push({
+                ...branch,
+                from: busNode.get(comp.fromBus),
+                to: star.index,
+                z: withNeutral(windings.primary, autoModel.factors.high),
+                tap: tap,
+                winding: 'primary'
+            });
+            branches.push({
+                ...branch,
+                from: star.index,
+                to: entryNode.get(comp.toBus),
+                z: withNeutral(windings.secondary, autoModel.factors.low),
+                tap: 1,
+                winding: 'secondary'
+            });
+            
+            if (sequence === 'zero') {
+                // Zero-sequence current circulates in the delta: ground path at the star point
+                shunts.push({
+                    node: star.index,
+                    z: withNeutral(windings.tertiary, autoModel.factors.tertiary),
+                    component: comp,
+                    type: comp.type,
+                    side: 'tertiary'
+                });
+            } else if (comp.tertiaryBus !== undefined && entryNode.has(comp.tertiaryBus)) {
+                branches.push({
+                    ...branch,
+                    from: star.index,
+                    to: entryNode.get(comp.tertiaryBus),
+                    z: windings.tertiary,
+                    tap: 1,
+                    winding: 'tertiary'
+                });
+            }
+            return;
+        }
+        
+        if (comp.toBus) {
+            const z = adjustNetworkImpedance(getBranchImpedancePU(comp, fromBus, topologyManager, baseMVA, sequence), comp, options);
+            if (!z) return;
+            
+            if (sequence === 'zero' && comp.type === 'transformer') {
+                // Delta or zig-zag windings: grounding path on the grounded side only, no transfer
+                const zeroModel = getTransformerZeroSequenceModel(comp);
+                const toBus = busById.get(comp.toBus);
+                const primaryNeutral = getNeutralImpedanceZeroPU(comp, fromBus, topology.components, baseMVA, 'primary');
+                const secondaryNeutral = getNeutralImpedanceZeroPU(comp, toBus, topology.components, baseMVA, 'secondary');
+                if (zeroModel.primaryShunt) {
+                    shunts.push({
+                        node: busNode.get(comp.fromBus),
+                        z: cAdd(cScale(z, zeroModel.primaryRatio), primaryNeutral),
+                        component: comp,
+                        type: comp.type,
+                        side: 'primary'
+                    });
+                }
+                if (zeroModel.secondaryShunt) {
+                    shunts.push({
+                        node: entryNode.get(comp.toBus),
+                        z: cAdd(cScale(z, zeroModel.secondaryRatio), secondaryNeutral),
+                        component: comp,
+                        type: comp.type,
+                        side: 'secondary'
+                    });
+                }
+                if (!zeroModel.series) return;
+                
+                // YNyn: neutral impedances of both windings appear in series with the transfer path
+                branches.push({
+                    from: busNode.get(comp.fromBus),
+                    to: entryNode.get(comp.toBus),
+                    z: cAdd(z, cAdd(primaryNeutral, secondaryNeutral)),
+                    tap: getTransformerTapRatio(comp, options.taps),
+                    components: [comp],
+                    type: comp.type
+                });
+                return;
+            }
+            
+            branches.push({
+                from: busNode.get(comp.fromBus),
+                to: entryNode.get(comp.toBus),
+                z: z,
+                tap: comp.type === 'transformer' ? getTransformerTapRatio(comp, options.taps) : 1,
+                components: [comp],
+                type: comp.type
+            });
+            return;
+        }
+        
+        const isSource = NETWORK_SOURCE_TYPES.includes(comp.type) && comp.inService !== false;
+        const isMotor = NETWORK_MOTOR_TYPES.includes(comp.type);
+        if (!isSource && !(isMotor && includeMotors)) return;
+        
+        let z = adjustNetworkImpedance(getSourceImpedancePU(comp, fromBus, baseMVA, sequence), comp, options);
+        if (!z) return;
+        if (sequence === 'zero' && comp.type === 'generator') {
+            z = cAdd(z, getNeutralImpedanceZeroPU(comp, fromBus, topology.components, baseMVA));
+        }
+        
+        // Utility infeeds connect upstream of in-bus series elements
+        const isUtility = comp.type.startsWith('utility');
+        shunts.push({
+            node: isUtility ? entryNode.get(comp.fromBus) : busNode.get(comp.fromBus),
+            z: z,
+            component: comp,
+            type: comp.type
+        });
+    });
+    
+    return {
+        baseMVA: baseMVA,
+        sequence: sequence,
+        nodes: nodes,
+        branches: branches,
+        shunts: shunts,
+        busNode: busNode
+    };
+}
+
+/**
+ * Find nodes that have a path to at least one shunt (source, or grounding path in the zero-sequence network)
+ */
+function findEnergizedNodes(model) {
+    const adjacency = model.nodes.map(() => []);
+    model.branches.forEach(branch => {
+        adjacency[branch.from].push(branch.to);
+        adjacency[branch.to].push(branch.from);
+    });
+    
+    const energized = new Set();
+    const queue = model.shunts.map(shunt => shunt.node);
+    while (queue.length > 0) {
+        const node = queue.shift();
+        if (energized.has(node)) continue;
+        energized.add(node);
+        adjacency[node].forEach(next => {
+            if (!energized.has(next)) queue.push(next);
+        });
+    }
+    
+    return energized;
+}
+
+/**
+ * Fewest transformers on any path between two nodes (ANSI C37.010 local and remote generators)
+ * @returns {number} Number of transformations, Infinity when the nodes are not connected
+ */
+function getTransformationCount(model, fromNode, toNode) {
+    const count = model.nodes.map(() => Infinity);
+    count[fromNode] = 0;
+    const queue = [fromNode];
+    
+    while (queue.length > 0) {
+        const node = queue.shift();
+        model.branches.forEach(branch => {
+            const next = branch.from === node ? branch.to : (branch.to === node ? branch.from : null);
+            if (next === null) return;
+            
+            // Star equivalents (three-winding transformers, autotransformers with a tertiary) are crossed through two winding branches
+            const isTransformer = ['transformer', 'transformer_3w', 'autotransformer'].includes(branch.type);
+            const steps = count[node] + (isTransformer ? (branch.winding ? 0.5 : 1) : 0);
+            if (steps < count[next]) {
+                count[next] = steps;
+                queue.push(next);
+            }
+        });
+    }
+    
+    return count[toNode];
+}
+
+/**
+ * Build complex admittance matrix for the energized part of the network
+ * Branches with an off-nominal ratio t: Yii += t²·y, Yjj += y, Yij = Yji -= t·y
+ * @returns {Object} { matrix, order } where order maps matrix row → node index
+ */
+function buildAdmittanceMatrix(model, energized) {
+    const order = model.nodes.map(node => node.index).filter(index => energized.has(index));
+    const position = new Map(order.map((nodeIndex, row) => [nodeIndex, row]));
+    const n = order.length;
+    const matrix = Array.from({ length: n }, () => Array.from({ length: n }, () => complex(0, 0)));
+    
+    model.branches.forEach(branch => {
+        const i = position.get(branch.from);
+        const j = position.get(branch.to);
+        if (i === undefined || j === undefined) return;
+        
+        const y = cInv(branch.z);
+        const t = branch.tap || 1;
+        matrix[i][i] = cAdd(matrix[i][i], cScale(y, t * t));
+        matrix[j][j] = cAdd(matrix[j][j], y);
+        matrix[i][j] = cSub(matrix[i][j], cScale(y, t));
+        matrix[j][i] = cSub(matrix[j][i], cScale(y, t));
+    });
+    
+    model.shunts.forEach(shunt => {
+        const i = position.get(shunt.node);
+        if (i === undefined) return;
+        matrix[i][i] = cAdd(matrix[i][i], cInv(shunt.z));
+    });
+    
+    return { matrix: matrix, order: order, position: position };
+}
+
+/**
+ * Solve network: build Y-bus and invert it to obtain the Z-bus
+ * @param {Object} model - Network model from buildNetworkModel
+ * @returns {Object} Solved network with Z-bus accessors
+ */
+function solveNetwork(model) {
+    const energized = findEnergizedNodes(model);
+    const admittance = buildAdmittanceMatrix(model, energized);
+    const zbus = admittance.order.length > 0 ? invertComplexMatrix(admittance.matrix) : [];
+    
+    const rowOfBus = busId => {
+        const nodeIndex = model.busNode.get(busId);
+        return nodeIndex === undefined ? undefined : admittance.position.get(nodeIndex);
+    };
+    
+    // Open-circuit voltages with every source at 1.0 pu: V = Zbus·Σ E/Zs, 1.0 pu throughout at nominal ratios
+    const tapped = model.branches.some(branch => (branch.tap || 1) !== 1);
+    const openCircuitVoltage = node => {
+        const row = admittance.position.get(node);
+        if (row === undefined) return null;
+        if (!tapped) return complex(1, 0);
+        return model.shunts.reduce((voltage, shunt) => {
+            const column = admittance.position.get(shunt.node);
+            return column === undefined ? voltage : cAdd(voltage, cDiv(zbus[row][column], shunt.z));
+        }, complex(0, 0));
+    };
+    
+    return {
+        model: model,
+        ybus: admittance.matrix,
+        zbus: zbus,
+        order: admittance.order,
+        position: admittance.position,
+        energized: energized,
+        
+        /**
+         * Driving-point impedance (pu) at a bus, null if the bus is de-energized
+         */
+        getDrivingPointImpedance(busId) {
+            const row = rowOfBus(busId);
+            return row === undefined ? null : zbus[row][row];
+        },
+        
+        /**
+         * Transfer impedance (pu) between two buses, null if either is de-energized
+         */
+        getTransferImpedance(busIdA, busIdB) {
+            const rowA = rowOfBus(busIdA);
+            const rowB = rowOfBus(busIdB);
+            return (rowA === undefined || rowB === undefined) ? null : zbus[rowA][rowB];
+        },
+        
+        /**
+         * Open-circuit (prefault) voltage (pu) at a model node, null if the node is de-energized
+         */
+        getNodeOpenCircuitVoltage(node) {
+            return openCircuitVoltage(node);
+        },
+        
+        /**
+         * Open-circuit (prefault) voltage (pu) at a bus, null if the bus is de-energized
+         */
+        getOpenCircuitVoltage(busId) {
+            const nodeIndex = model.busNode.get(busId);
+            return nodeIndex === undefined ? null : openCircuitVoltage(nodeIndex);
+        },
+        
+        /**
+         * Transfer impedance (pu) between two model nodes (including internal nodes)
+         */
+        getNodeTransferImpedance(nodeA, nodeB) {
+            const rowA = admittance.position.get(nodeA);
+            const rowB = admittance.position.get(nodeB);
+            return (rowA === undefined || rowB === undefined) ? null : zbus[rowA][rowB];
+        }
+    };
+}
+
+/**
+ * Calculate Thevenin impedance at every bus using the nodal solver
+ * prefaultPU is the open-circuit voltage behind the impedance (1.0 pu unless transformer taps are modelled).
+ * @param {Object} topology - Result of TopologyManager.buildFromProject
+ * @param {Object} options - { baseMVA, includeMotors, taps }
+ * @returns {Object} { network, equivalents } with impedances in Ω at each bus voltage
+ */
+function calculateNetworkThevenin(topology, options = {}) {
+    const network = solveNetwork(buildNetworkModel(topology, options));
+    const baseMVA = network.model.baseMVA;
+    
+    const equivalents = topology.buses.map(bus => {
+        const zPU = network.getDrivingPointImpedance(bus.id);
+        if (!zPU) {
+            return {
+                busId: bus.id,
+                busName: bus.name,
+                voltage: bus.voltage,
+                energized: false,
+                zPU: null,
+                r: Infinity,
+                x: Infinity,
+                z: Infinity,
+                xr: 0,
+                prefaultPU: 0
+            };
+        }
+        
+        const zBase = (bus.voltage * bus.voltage) / (baseMVA * 1e6);
+        const r = zPU.re * zBase;
+        const x = zPU.im * zBase;
+        
+        return {
+            busId: bus.id,
+            busName: bus.name,
+            voltage: bus.voltage,
+            energized: true,
+            zPU: zPU,
+            r: r,
+            x: x,
+            z: Math.sqrt(r * r + x * x),
+            xr: x / (r || 0.001),
+            prefaultPU: cAbs(network.getOpenCircuitVoltage(bus.id))
+        };
+    });
+    
+    return {
+        network: network,
+        equivalents: equivalents
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        NETWORK_BASE_MVA,
+        NETWORK_SOURCE_TYPES,
+        INVERTER_NORTON_IMPEDANCE_PU,
+        NETWORK_MOTOR_TYPES,
+        NETWORK_SERIES_TYPES,
+        NETWORK_SWITCH_TYPES,
+        SWITCH_IMPEDANCE_PU,
+        SEQUENCE_IMPEDANCE_RATIOS,
+        complex,
+        cAdd,
+        cSub,
+        cMul,
+        cDiv,
+        cInv,
+        cScale,
+        cNeg,
+        cConj,
+        cAbs,
+        cArg,
+        cPolar,
+        impedanceFromXR,
+        luFactorize,
+        luSolve,
+        invertComplexMatrix,
+        getSourceImpedancePU,
+        getTransformerZeroSequenceModel,
+        getThreeWindingZeroSequenceModel,
+        getAutotransformerZeroSequenceModel,
+        getThreeWindingImpedancesPU,
+        adjustNetworkImpedance,
+        getNeutralImpedanceZeroPU,
+        getBranchImpedancePU,
+        getTransformerTapRatio,
+        isNetworkSeriesElement,
+        buildNetworkModel,
+        findEnergizedNodes,
+        getTransformationCount,
+        buildAdmittanceMatrix,
+        solveNetwork,
+        calculateNetworkThevenin
+    };
+}
@@ -0,0 +1,186 @@
+/**
+ * overhead_line.js
+ * Overhead line impedance from tower geometry
+ * Phase and shield-wire positions on the tower, the conductor data and the earth resistivity give the
+ * primitive impedance matrix per km by the modified Carson's equations (earth return at depth De):
+ *   zii = Ri + Re + j·ω·(μ0/2π)·ln(De/GMRi),  zij = Re + j·ω·(μ0/2π)·ln(De/Dij)
+ *   Re = π²·f·10⁻⁴ Ω/km, De = 658.5·√(ρ/f) m
+ * Shield wires grounded at every tower are eliminated by Kron reduction. The line is taken as
+ * transposed: Z1 = Zs - Zm and Z0 = Zs + 2·Zm from the mean self and mutual phase impedances.
+ */
+
+/**
+ * Overhead conductors: diameter and GMR (mm), DC resistance at 20°C (Ω/km)
+ * ACSR phase conductors are corrected to the line temperature as aluminum; shield wires carry no
+ * load current and keep their tabulated resistance (steel: effective 60 Hz value).
+ */
+const OVERHEAD_CONDUCTORS = {
+    Partridge: { diameter: 16.31, gmr: 6.61, resistance: 0.2095, material: 'aluminum' },   // 266.8 kcmil 26/7 ACSR
+    Linnet: { diameter: 18.31, gmr: 7.44, resistance: 0.1663, material: 'aluminum' },      // 336.4 kcmil 26/7
+    Hawk: { diameter: 21.79, gmr: 8.84, resistance: 0.1171, material: 'aluminum' },        // 477 kcmil 26/7
+    Dove: { diameter: 23.55, gmr: 9.54, resistance: 0.1004, material: 'aluminum' },        // 556.5 kcmil 26/7
+    Drake: { diameter: 28.14, gmr: 11.43, resistance: 0.0717, material: 'aluminum' },      // 795 kcmil 26/7
+    Rail: { diameter: 29.59, gmr: 11.77, resistance: 0.0594, material: 'aluminum' },       // 954 kcmil 45/7
+    Cardinal: { diameter: 30.38, gmr: 12.28, resistance: 0.0594, material: 'aluminum' },   // 954 kcmil 54/7
+    Bluejay: { diameter: 31.98, gmr: 12.65, resistance: 0.0510, material: 'aluminum' },    // 1113 kcmil 45/7
+    Falcon: { diameter: 39.24, gmr: 15.85, resistance: 0.0357, material: 'aluminum' },     // 1590 kcmil 54/19
+    '3/8 EHS': { diameter: 9.52, gmr: 0.61, resistance: 4.0, material: null },             // extra-high-strength steel
+    '7#8 Alumoweld': { diameter: 9.78, gmr: 1.50, resistance: 1.36, material: null }
+};
+
+/**
+ * Typical data used when not given on the line
+ */
+const OVERHEAD_LINE_TYPICAL_DATA = {
+    conductorTemperature: 50,   // °C
+    earthResistivity: 100,      // Ω·m
+    bundleSpacing: 0.457,       // m between subconductors (18 in)
+    shieldConductor: '3/8 EHS',
+    gmrFactor: 0.758            // GMR/radius of a stranded conductor given without GMR
+};
+
+/**
+ * Conductor data from the library name or a custom { diameter, gmr, resistance, material } (mm, Ω/km at 20°C)
+ */
+function getOverheadConductor(conductor) {
+    if (typeof conductor === 'string') {
+        const data = OVERHEAD_CONDUCTORS[conductor];
+        if (!data) {
+            throw new Error(`Unknown overhead conductor: ${conductor} (library: ${Object.keys(OVERHEAD_CONDUCTORS).join(', ')})`);
+        }
+        return { name: conductor, ...data };
+    }
+    if (!conductor || !(conductor.diameter > 0) || !(conductor.resistance > 0)) {
+        throw new Error('Overhead conductor needs a library name or diameter (mm) and resistance (Ω/km)');
+    }
+    return {
+        name: conductor.name || 'custom',
+        diameter: conductor.diameter,
+        gmr: conductor.gmr || OVERHEAD_LINE_TYPICAL_DATA.gmrFactor * conductor.diameter / 2,
+        resistance: conductor.resistance,
+        material: conductor.material === undefined ? 'aluminum' : conductor.material
+    };
+}
+
+/**
+ * GMR (mm) of a bundle of n subconductors on a circle: (n·GMR·A^(n-1))^(1/n), A = d/(2·sin(π/n))
+ * @param {number} gmr - Subconductor GMR (mm)
+ * @param {number} count - Subconductors per phase
+ * @param {number} spacing - Distance between adjacent subconductors (m)
+ */
+function getBundleGMR(gmr, count, spacing) {
+    if (count <= 1) {
+        return gmr;
+    }
+    const radius = spacing * 1000 / (2 * Math.sin(Math.PI / count));
+    return Math.pow(count * gmr * Math.pow(radius, count - 1), 1 / count);
+}
+
+/**
+ * Check the tower geometry: three phases and any shield wires as { x, y } in m above ground
+ */
+function validateOverheadLineGeometry(line) {
+    const phases = line.phases || [];
+    if (phases.length !== 3) {
+        throw new Error(`Overhead line needs three phase positions (got ${phases.length})`);
+    }
+    const wires = phases.concat(line.shieldWires || []);
+    wires.forEach((wire, i) => {
+        if (!Number.isFinite(wire.x) || !(wire.y > 0)) {
+            throw new Error(`Overhead line conductor ${i + 1}: position needs x and a height y above ground (m)`);
+        }
+        wires.slice(0, i).forEach(other => {
+            if (Math.hypot(wire.x - other.x, wire.y - other.y) <= 0) {
+                throw new Error(`Overhead line conductor ${i + 1}: same position as another conductor`);
+            }
+        });
+    });
+}
+
+/**
+ * Phase impedance matrix (Ω/km) with the shield wires eliminated
+ * @param {Object} line - overhead_line ({ conductor, bundle, bundleSpacing, phases, shieldWires, shieldConductor, earthResistivity })
+ * @param {Object} options - { temperature (°C), frequency (Hz) }
+ * @returns {Array} 3 × 3 matrix of complex impedances
+ */
+function calculateOverheadLinePhaseMatrix(line, options = {}) {
+    validateOverheadLineGeometry(line);
+    const temperature = options.temperature !== undefined ? options.temperature : OVERHEAD_LINE_TYPICAL_DATA.conductorTemperature;
+    const frequency = options.frequency || 60;
+    const phase = getOverheadConductor(line.conductor);
+    const shield = getOverheadConductor(line.shieldConductor || OVERHEAD_LINE_TYPICAL_DATA.shieldConductor);
+    const bundle = Math.max(1, Math.round(line.bundle || 1));
+    
+    // Phase conductor resistance at the line temperature, with skin effect, shared by the bundle
+    const rdc = phase.material ? phase.resistance * getConductorTemperatureFactor(phase.material, temperature) : phase.resistance;
+    const rPhase = getConductorACResistance(rdc, frequency, phase.diameter, Infinity).rac / bundle;
+    const gmrPhase = getBundleGMR(phase.gmr, bundle, line.bundleSpacing || OVERHEAD_LINE_TYPICAL_DATA.bundleSpacing);
+    
+    const wires = line.phases.map(p => ({ ...p, r: rPhase, gmr: gmrPhase }))
+        .concat((line.shieldWires || []).map(p => ({ ...p, r: shield.resistance, gmr: shield.gmr })));
+    
+    // Modified Carson's equations; distances in mm
+    const re = Math.PI * Math.PI * frequency * 1e-4;
+    const de = 658.5 * Math.sqrt((line.earthResistivity || OVERHEAD_LINE_TYPICAL_DATA.earthResistivity) / frequency) * 1000;
+    const xPerLog = 2 * Math.PI * frequency * 2e-4;
+    const z = wires.map((wi, i) => wires.map((wj, j) => (i === j
+        ? complex(wi.r + re, xPerLog * Math.log(de / wi.gmr))
+        : complex(re, xPerLog * Math.log(de / (Math.hypot(wi.x - wj.x, wi.y - wj.y) * 1000))))));
+    
+    // Kron reduction: shield wires at earth potential
+    for (let k = z.length - 1; k >= 3; k--) {
+        for (let i = 0; i < k; i++) {
+            for (let j = 0; j < k; j++) {
+                z[i][j] = cSub(z[i][j], cDiv(cMul(z[i][k], z[k][j]), z[k][k]));
+            }
+        }
+    }
+    return z.slice(0, 3).map(row => row.slice(0, 3));
+}
+
+/**
+ * Sequence impedances of an overhead line, Ω/km
+ * @param {Object} line - overhead_line component (see calculateOverheadLinePhaseMatrix)
+ * @param {Object} options - { temperature (°C, default 50), frequency (Hz, default 60) }
+ * @returns {Object} { conductor, bundle, shieldWires, temperature, frequency, r1, x1, r0, x0, phaseMatrix }
+ */
+function calculateOverheadLineImpedance(line, options = {}) {
+    const phaseMatrix = calculateOverheadLinePhaseMatrix(line, options);
+    let self = complex(0, 0);
+    let mutual = complex(0, 0);
+    phaseMatrix.forEach((row, i) => row.forEach((zij, j) => {
+        if (i === j) {
+            self = cAdd(self, cScale(zij, 1 / 3));
+        } else {
+            mutual = cAdd(mutual, cScale(zij, 1 / 6));
+        }
+    }));
+    const z1 = cSub(self, mutual);
+    const z0 = cAdd(self, cScale(mutual, 2));
+    
+    return {
+        conductor: getOverheadConductor(line.conductor).name,
+        bundle: Math.max(1, Math.round(line.bundle || 1)),
+        shieldWires: (line.shieldWires || []).length,
+        temperature: options.temperature !== undefined ? options.temperature : OVERHEAD_LINE_TYPICAL_DATA.conductorTemperature,
+        frequency: options.frequency || 60,
+        r1: z1.re,
+        x1: z1.im,
+        r0: z0.re,
+        x0: z0.im,
+        phaseMatrix: phaseMatrix
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        OVERHEAD_CONDUCTORS,
+        OVERHEAD_LINE_TYPICAL_DATA,
+        getOverheadConductor,
+        getBundleGMR,
+        validateOverheadLineGeometry,
+        calculateOverheadLinePhaseMatrix,
+        calculateOverheadLineImpedance
+    };
+}
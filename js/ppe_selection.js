@@ -224,11 +224,43 @@ function getDetailedPPERecommendations(incidentEnergyCalCm2) {
 
 /**
  * NFPA 70E Approach Boundaries
+ * @param {number} voltage - Nominal voltage (V)
+ * @param {string} systemType - 'ac' (default) or 'dc'
  */
-function calculateNFPA70EBoundaries(voltage) {
+function calculateNFPA70EBoundaries(voltage, systemType = 'ac') {
     // Shock protection boundaries in mm
     let limited, restricted, prohibited;
     
+    // Based on NFPA 70E-2024 Table 130.4(E)(b), exposed movable conductors
+    if (String(systemType).toLowerCase() === 'dc') {
+        if (voltage < 50) {
+            limited = 0;
+            restricted = 0;
+        } else if (voltage <= 300) {
+            limited = 3050; // 10 ft
+            restricted = 0; // Avoid contact
+        } else if (voltage <= 1000) {
+            limited = 3050; // 10 ft
+            restricted = 305; // 1 ft
+        } else if (voltage <= 5000) {
+            limited = 3050;
+            restricted = 430; // 1 ft 5 in
+        } else if (voltage <= 15000) {
+            limited = 3050;
+            restricted = 660; // 2 ft 2 in
+        } else {
+            limited = 3050;
+            restricted = 790; // 2 ft 7 in
+        }
+        
+        return {
+            limited: limited,
+            restricted: restricted,
+            prohibited: 0,
+            unit: 'mm'
+        };
+    }
+    
     // Based on NFPA 70E-2024 Table 130.4(D)(a)
     if (voltage <= 50) {
         limited = 0;
@@ -280,7 +312,11 @@ function generatePPEReport(arcFlashResults) {
                                   arcFlashResults.incidentEnergy / 4.184;
     
     const ppeRecommendations = getDetailedPPERecommendations(incidentEnergyCalCm2);
-    const boundaries = calculateNFPA70EBoundaries(arcFlashResults.voltage);
+    const boundaries = calculateNFPA70EBoundaries(arcFlashResults.voltage, arcFlashResults.systemType);
+    const notes = [];
+    if (arcFlashResults.systemType === 'DC') {
+        notes.push(`DC arc flash: ${arcFlashResults.method}. PPE category from the calculated incident energy (NFPA 70E Annex D.5)`);
+    }
     
     return {
         arcFlashResults: {
@@ -295,7 +331,7 @@ function generatePPEReport(arcFlashResults) {
         compliance: {
             standard: 'NFPA 70E-2024',
             applicable: true,
-            notes: []
+            notes: notes
         }
     };
 }
@@ -0,0 +1,170 @@
+/**
+ * reactor_sizing.js
+ * Current-limiting reactor sizing
+ * Finds the smallest series reactor that holds the symmetrical three-phase fault current at a bus to a
+ * target level. The reactor branch of the nodal network is re-solved for each trial reactance, so parallel
+ * infeeds that bypass the reactor are accounted for. The reactor's steady-state voltage drop and losses
+ * at normal load follow from its load current: ΔV = √3·I·(R·cosφ + X·sinφ), P = 3·I²·R.
+ */
+
+/**
+ * Search limits of the sizing
+ */
+const REACTOR_SIZING = {
+    maxOhms: 100,           // Ω per phase, largest reactance tried
+    resolution: 0.001,      // Ω, required reactance rounded up to this step
+    iterations: 60,
+    defaultPowerFactor: 0.85
+};
+
+/**
+ * Reactor type that is sized and modelled in series with the network
+ */
+function isCurrentLimitingReactor(component) {
+    return component.type === 'reactor' && (component.reactorType || 'current_limiting') === 'current_limiting';
+}
+
+/**
+ * Network of the reactor's branch with the reactor taken out, ready for trial reactances
+ * @param {Object} topology - Result of TopologyManager.buildFromProject
+ * @param {Object} reactor - Current-limiting reactor component of the topology
+ * @param {Object} targetBus - Bus whose fault level is limited
+ * @returns {Object|null} Sizing network, null when the reactor is not in the network
+ */
+function buildReactorSizingNetwork(topology, reactor, targetBus) {
+    const model = buildNetworkModel(topology);
+    const branch = model.branches.find(b => b.components.includes(reactor));
+    if (!branch) {
+        return null;
+    }
+    
+    const reactorBus = topology.topologyManager.getBus(reactor.fromBus);
+    const reactorZ = getBranchImpedancePU(reactor, reactorBus, topology.topologyManager, model.baseMVA);
+    return {
+        model: model,
+        branch: branch,
+        otherZ: cSub(branch.z, reactorZ),
+        reactorBus: reactorBus,
+        targetBus: targetBus,
+        xr: reactor.xr || 100
+    };
+}
+
+/**
+ * Three-phase fault current (kA) at the target bus with a reactor of the given reactance
+ * @param {Object} sizing - From buildReactorSizingNetwork
+ * @param {number} ohms - Reactor reactance (Ω per phase); zero bypasses the reactor
+ */
+function calculateFaultWithReactor(sizing, ohms) {
+    const model = sizing.model;
+    const zBase = (sizing.reactorBus.voltage * sizing.reactorBus.voltage) / (model.baseMVA * 1e6);
+    const reactorZ = complex(ohms / sizing.xr / zBase, Math.max(ohms / zBase, SWITCH_IMPEDANCE_PU));
+    const branches = model.branches.map(b => (b === sizing.branch ? { ...b, z: cAdd(sizing.otherZ, reactorZ) } : b));
+    
+    const zPU = solveNetwork({ ...model, branches: branches }).getDrivingPointImpedance(sizing.targetBus.id);
+    if (!zPU) {
+        return 0;
+    }
+    const voltage = sizing.targetBus.voltage;
+    const z = cAbs(zPU) * (voltage * voltage) / (model.baseMVA * 1e6);
+    return voltage / (Math.sqrt(3) * z) / 1000;
+}
+
+/**
+ * Smallest reactor that limits the three-phase fault current at the target bus
+ * @param {Object} topology - Result of TopologyManager.buildFromProject
+ * @param {Object} reactor - Current-limiting reactor (targetFaultCurrent in kA, optional targetBus name or id)
+ * @returns {Object|null} { targetBusId, targetBusName, targetKA, withoutReactorKA, enteredOhms, enteredKA,
+ *   achievable, minimumKA (when not achievable), requiredOhms, requiredPercent, limitedKA, meetsTarget }, null when the reactor is not in the network
+ */
+function sizeCurrentLimitingReactor(topology, reactor) {
+    const topologyManager = topology.topologyManager;
+    const targetBus = reactor.targetBus !== undefined
+        ? topologyManager.resolveBus(reactor.targetBus, reactor.name || 'reactor')
+        : topologyManager.getBus(reactor.toBus || reactor.fromBus);
+    const sizing = buildReactorSizingNetwork(topology, reactor, targetBus);
+    if (!sizing) {
+        return null;
+    }
+    
+    const targetKA = reactor.targetFaultCurrent;
+    const entered = topologyManager.getReactorImpedanceOhms(reactor, sizing.reactorBus.voltage);
+    const result = {
+        targetBusId: targetBus.id,
+        targetBusName: targetBus.name,
+        targetKA: targetKA,
+        withoutReactorKA: calculateFaultWithReactor(sizing, 0),
+        enteredOhms: entered.x,
+        enteredKA: calculateFaultWithReactor(sizing, entered.x),
+        achievable: true,
+        minimumKA: null,
+        requiredOhms: 0,
+        requiredPercent: 0,
+        limitedKA: null,
+        meetsTarget: null
+    };
+    
+    if (result.withoutReactorKA > targetKA) {
+        // Infeeds that bypass the reactor may keep the fault level above the target
+        const minimumKA = calculateFaultWithReactor(sizing, REACTOR_SIZING.maxOhms);
+        if (minimumKA > targetKA) {
+            result.achievable = false;
+            result.minimumKA = minimumKA;
+            result.requiredOhms = null;
+            result.requiredPercent = null;
+            result.meetsTarget = result.enteredKA <= targetKA;
+            return result;
+        }
+        
+        let low = 0;
+        let high = REACTOR_SIZING.maxOhms;
+        for (let i = 0; i < REACTOR_SIZING.iterations; i++) {
+            const mid = (low + high) / 2;
+            if (calculateFaultWithReactor(sizing, mid) <= targetKA) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+        result.requiredOhms = Math.ceil(high / REACTOR_SIZING.resolution) * REACTOR_SIZING.resolution;
+    }
+    
+    // Percent on the reactor's rated power and voltage, when given
+    const kV = reactor.voltage || sizing.reactorBus.voltage / 1000;
+    result.requiredPercent = reactor.power ? result.requiredOhms * reactor.power / (kV * kV) * 100 : null;
+    result.limitedKA = calculateFaultWithReactor(sizing, result.requiredOhms);
+    result.meetsTarget = result.enteredKA <= targetKA;
+    return result;
+}
+
+/**
+ * Steady-state effect of a series reactor at normal load
+ * @param {Object} impedance - { r, x } in Ω per phase
+ * @param {number} current - Load current through the reactor (A)
+ * @param {number} voltage - Line-to-line voltage (V)
+ * @param {number} powerFactor - Load power factor (lagging)
+ * @returns {Object} { voltageDrop (V line-to-line), voltageDropPercent, lossesKW, reactiveKVAR }
+ */
+function calculateReactorLoadEffect(impedance, current, voltage, powerFactor = REACTOR_SIZING.defaultPowerFactor) {
+    const cosPhi = Math.min(1, Math.abs(powerFactor));
+    const sinPhi = Math.sqrt(1 - cosPhi * cosPhi);
+    const voltageDrop = Math.sqrt(3) * current * (impedance.r * cosPhi + impedance.x * sinPhi);
+    return {
+        voltageDrop: voltageDrop,
+        voltageDropPercent: voltageDrop / voltage * 100,
+        lossesKW: 3 * current * current * impedance.r / 1000,
+        reactiveKVAR: 3 * current * current * impedance.x / 1000
+    };
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        REACTOR_SIZING,
+        isCurrentLimitingReactor,
+        buildReactorSizingNetwork,
+        calculateFaultWithReactor,
+        sizeCurrentLimitingReactor,
+        calculateReactorLoadEffect
+    };
+}
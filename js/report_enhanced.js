@@ -423,7 +423,7 @@ async function generateEnhancedPDF(results, projectData) {
             'Transformer X/R ratio: 10 (if not specified)',
             'Motor X/R ratio at locked rotor: 15 (typical for induction motors)',
             'Motors modeled as parallel current sources per IEEE 141',
-            'Cable temperature correction: 75\u00B0C copper, factor 1.216',
+            'Cable temperature correction: 75\u00B0C, R20\u00B7(T + \u03B8)/(T + 20) with T = 234.5 (copper) or 228 (aluminum)',
             'Arc flash working distance: 450mm (typical for low voltage equipment)',
             'Arc flash duration: 100ms (6 cycles at 60Hz)',
             'Voltage drop power factor: 0.85 (typical)',
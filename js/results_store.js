@@ -40,6 +40,9 @@ class ResultsStore {
                 hasVoltageDrop: !!results.voltageDrop,
                 hasArcFlash: !!results.arcFlash,
                 hasMotorContribution: !!results.motorContribution,
+                hasDCShortCircuit: !!results.dcShortCircuit,
+                hasCapacitorSwitching: !!results.capacitorSwitching,
+                hasReactorSizing: !!results.reactorSizing,
                 busCount: results.topology?.buses?.length || 0
             };
             localStorage.setItem(this.metadataKey, JSON.stringify(metadata));
@@ -0,0 +1,175 @@
+/**
+ * scenario_manager.js
+ * Named operating scenarios for a single project
+ * A scenario sets breaker/tie status, source availability and motor running status;
+ * applying it yields the project data for one analysis run, so configurations never need separate files.
+ *
+ * Project format:
+ *   scenarios: [{ name, description, breakers: { 'TIE-1': 'closed' }, sources: { 'Utility': false }, motors: { 'M1': false } }]
+ * Components keep their normal state: breakers/ties status 'closed' (default) or 'open',
+ * sources inService (default true), motors running (default true).
+ */
+
+/**
+ * Component types controlled by each scenario section
+ */
+const SCENARIO_SWITCH_TYPES = ['breaker', 'tie', 'switch'];
+const SCENARIO_SOURCE_TYPES = ['utility', 'utility_isc', 'utility_mva', 'utility_impedance', 'generator', 'inverter'];
+const SCENARIO_MOTOR_TYPES = ['motor', 'motor_load'];
+
+/**
+ * Check whether a project defines operating scenarios
+ */
+function hasScenarios(projectData) {
+    return !!projectData && Array.isArray(projectData.scenarios) && projectData.scenarios.length > 0;
+}
+
+/**
+ * Get the project's scenarios, or a single scenario for the normal configuration
+ */
+function getScenarios(projectData) {
+    if (hasScenarios(projectData)) {
+        return projectData.scenarios;
+    }
+    return [{ name: 'Normal', description: 'Normal configuration as defined by the components' }];
+}
+
+/**
+ * Scenario switch status as 'open' or 'closed' (accepts booleans: true = closed)
+ */
+function normalizeSwitchStatus(status) {
+    if (status === true) return 'closed';
+    if (status === false) return 'open';
+    return status;
+}
+
+/**
+ * Validate a scenario against the project's components
+ * @returns {Object} { valid, errors, warnings }
+ */
+function validateScenario(projectData, scenario) {
+    const errors = [];
+    const warnings = [];
+    const components = projectData.components || [];
+    const label = scenario.name || 'Unnamed scenario';
+    
+    if (!scenario.name) {
+        errors.push('Scenario without a name');
+    }
+    
+    const checkSection = (section, types, kind) => {
+        Object.keys(scenario[section] || {}).forEach(name => {
+            const comp = components.find(c => c.name === name);
+            if (!comp) {
+                errors.push(`Scenario ${label}: ${kind} '${name}' not found`);
+            } else if (!types.includes(comp.type)) {
+                errors.push(`Scenario ${label}: '${name}' is a ${comp.type}, not a ${kind}`);
+            }
+        });
+    };
+    checkSection('breakers', SCENARIO_SWITCH_TYPES, 'breaker/tie');
+    checkSection('sources', SCENARIO_SOURCE_TYPES, 'source');
+    checkSection('motors', SCENARIO_MOTOR_TYPES, 'motor');
+    
+    Object.entries(scenario.breakers || {}).forEach(([name, status]) => {
+        const normalized = normalizeSwitchStatus(status);
+        if (normalized !== 'open' && normalized !== 'closed') {
+            errors.push(`Scenario ${label}: breaker/tie '${name}' status must be 'open' or 'closed' (got ${status})`);
+        }
+    });
+    
+    if (errors.length === 0) {
+        const applied = applyScenario(projectData, scenario);
+        if (!applied.components.some(c => SCENARIO_SOURCE_TYPES.includes(c.type) && c.inService)) {
+            warnings.push(`Scenario ${label}: no source in service - all buses de-energized`);
+        }
+    }
+    
+    return {
+        valid: errors.length === 0,
+        errors: errors,
+        warnings: warnings
+    };
+}
+
+/**
+ * Effective state of a component in a scenario
+ * @returns {string|null} 'open'/'closed' (breakers, ties), 'in service'/'out of service' (sources),
+ *                        'running'/'stopped' (motors), null for components a scenario does not control
+ */
+function getComponentScenarioState(comp, scenario) {
+    const overrides = scenario || {};
+    
+    if (SCENARIO_SWITCH_TYPES.includes(comp.type)) {
+        const status = (overrides.breakers || {})[comp.name];
+        return status !== undefined ? normalizeSwitchStatus(status) : (comp.status || 'closed');
+    }
+    if (SCENARIO_SOURCE_TYPES.includes(comp.type)) {
+        const available = (overrides.sources || {})[comp.name];
+        const inService = available !== undefined ? available : comp.inService !== false;
+        return inService ? 'in service' : 'out of service';
+    }
+    if (SCENARIO_MOTOR_TYPES.includes(comp.type)) {
+        const running = (overrides.motors || {})[comp.name];
+        return (running !== undefined ? running : comp.running !== false) ? 'running' : 'stopped';
+    }
+    return null;
+}
+
+/**
+ * Apply a scenario to the project data
+ * Breakers/ties carry their status and sources their inService flag (the network solver leaves out
+ * open switches and unavailable sources, keeping the topology intact); stopped motors are removed.
+ * @param {Object} projectData - Project with components (sequential or network format)
+ * @param {Object|null} scenario - Scenario definition; null applies the components' normal states
+ * @returns {Object} Project data for one analysis run, without the scenario list
+ */
+function applyScenario(projectData, scenario) {
+    const components = [];
+    (projectData.components || []).forEach(comp => {
+        const state = getComponentScenarioState(comp, scenario);
+        if (state === 'stopped') {
+            return;
+        }
+        if (SCENARIO_SWITCH_TYPES.includes(comp.type)) {
+            components.push({ ...comp, status: state });
+        } else if (SCENARIO_SOURCE_TYPES.includes(comp.type)) {
+            components.push({ ...comp, inService: state === 'in service' });
+        } else {
+            components.push({ ...comp });
+        }
+    });
+    
+    const { scenarios, ...data } = projectData;
+    return {
+        ...data,
+        activeScenario: scenario ? scenario.name : null,
+        components: components
+    };
+}
+
+/**
+ * State of every switchable component in a scenario (for reports)
+ * @returns {Array} [{ name, type, state }]
+ */
+function getScenarioComponentStates(projectData, scenario) {
+    return (projectData.components || [])
+        .map(comp => ({ name: comp.name, type: comp.type, state: getComponentScenarioState(comp, scenario) }))
+        .filter(entry => entry.state !== null);
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SCENARIO_SWITCH_TYPES,
+        SCENARIO_SOURCE_TYPES,
+        SCENARIO_MOTOR_TYPES,
+        hasScenarios,
+        getScenarios,
+        normalizeSwitchStatus,
+        validateScenario,
+        getComponentScenarioState,
+        applyScenario,
+        getScenarioComponentStates
+    };
+}
@@ -0,0 +1,874 @@
+/**
+ * sequence_fault_analysis.js
+ * Symmetrical-component fault analysis
+ * Solves three-phase, line-to-ground, line-to-line and double line-to-ground faults from the
+ * positive-, negative- and zero-sequence impedances at the fault bus (Z1, Z2, Z0).
+ * Convention: L-G faults on phase a, L-L and 2L-G faults on phases b and c.
+ */
+
+/**
+ * Fault types supported by the sequence fault solver
+ */
+const SEQUENCE_FAULT_TYPES = ['threePhase', 'lineToGround', 'lineToLine', 'doubleLineToGround'];
+
+/**
+ * Map calculator faultType selector values to sequence fault types
+ */
+const FAULT_TYPE_ALIASES = {
+    '3phase': 'threePhase',
+    'line-to-ground': 'lineToGround',
+    'line-to-line': 'lineToLine',
+    'double-line-to-ground': 'doubleLineToGround'
+};
+
+/**
+ * Symmetrical component operator a = 1∠120°
+ */
+const SEQUENCE_OPERATOR_A = { re: -0.5, im: Math.sqrt(3) / 2 };
+const SEQUENCE_OPERATOR_A2 = { re: -0.5, im: -Math.sqrt(3) / 2 };
+
+/**
+ * Convert sequence quantities to phase quantities
+ * Xa = X0 + X1 + X2, Xb = X0 + a²X1 + aX2, Xc = X0 + aX1 + a²X2
+ * @param {Object} seq - { zero, positive, negative } complex values
+ * @returns {Object} { a, b, c } complex values
+ */
+function sequenceToPhase(seq) {
+    return {
+        a: cAdd(seq.zero, cAdd(seq.positive, seq.negative)),
+        b: cAdd(seq.zero, cAdd(cMul(SEQUENCE_OPERATOR_A2, seq.positive), cMul(SEQUENCE_OPERATOR_A, seq.negative))),
+        c: cAdd(seq.zero, cAdd(cMul(SEQUENCE_OPERATOR_A, seq.positive), cMul(SEQUENCE_OPERATOR_A2, seq.negative)))
+    };
+}
+
+/**
+ * Solve a fault from the sequence impedances at the fault point
+ * Works in any consistent unit system (pu, or Ω with prefault voltage in V line-to-neutral).
+ * @param {Object} z1 - Positive-sequence impedance (complex)
+ * @param {Object} z2 - Negative-sequence impedance (complex)
+ * @param {Object|null} z0 - Zero-sequence impedance (complex), null when there is no ground path
+ * @param {string} faultType - 'threePhase', 'lineToGround', 'lineToLine', 'doubleLineToGround'
+ *                             (calculator selector values are also accepted)
+ * @param {Object} options - { prefaultVoltage (complex, default 1∠0), faultImpedance (complex, default 0),
+ *                            negativeVoltage (complex open-circuit negative-sequence voltage from
+ *                            inverter injection, default 0) }
+ * @returns {Object} Sequence and phase currents and voltages
+ */
+function calculateSequenceFault(z1, z2, z0, faultType, options = {}) {
+    const type = FAULT_TYPE_ALIASES[faultType] || faultType;
+    const e = options.prefaultVoltage || complex(1, 0);
+    const zf = options.faultImpedance || complex(0, 0);
+    const zero = complex(0, 0);
+    const e2 = options.negativeVoltage || zero;
+    
+    let i0 = zero;
+    let i1 = zero;
+    let i2 = zero;
+    let faultedPhases;
+    
+    if (type === 'threePhase') {
+        i1 = cDiv(e, cAdd(z1, zf));
+        i2 = cDiv(e2, cAdd(z2, zf));
+        faultedPhases = ['a', 'b', 'c'];
+    } else if (type === 'lineToGround') {
+        // Sequence networks in series: I0 = I1 = I2 = (E + E2)/(Z1 + Z2 + Z0 + 3Zf)
+        if (z0) {
+            i1 = cDiv(cAdd(e, e2), cAdd(cAdd(z1, z2), cAdd(z0, cScale(zf, 3))));
+            i0 = i1;
+            i2 = i1;
+        }
+        faultedPhases = ['a'];
+    } else if (type === 'lineToLine') {
+        // Positive and negative networks in parallel: I1 = -I2 = (E - E2)/(Z1 + Z2 + Zf)
+        i1 = cDiv(cSub(e, e2), cAdd(cAdd(z1, z2), zf));
+        i2 = cNeg(i1);
+        faultedPhases = ['b', 'c'];
+    } else if (type === 'doubleLineToGround') {
+        if (z0) {
+            // I1 = (E - E2·(Z0 + 3Zf)/(Z2 + Z0 + 3Zf))/(Z1 + Z2∥(Z0 + 3Zf))
+            const z0f = cAdd(z0, cScale(zf, 3));
+            const sum = cAdd(z2, z0f);
+            i1 = cDiv(cSub(e, cDiv(cMul(e2, z0f), sum)), cAdd(z1, cDiv(cMul(z2, z0f), sum)));
+            i0 = cNeg(cDiv(cAdd(e2, cMul(i1, z2)), sum));
+            i2 = cNeg(cAdd(i1, i0));
+        } else {
+            // No ground path: behaves as a line-to-line fault
+            i1 = cDiv(cSub(e, e2), cAdd(z1, z2));
+            i2 = cNeg(i1);
+        }
+        faultedPhases = ['b', 'c'];
+    } else {
+        throw new Error(`Unknown fault type: ${faultType}`);
+    }
+    
+    // Without a ground path an L-G fault only displaces the neutral: V0 = -E, healthy phases rise to √3 pu
+    let v0 = z0 ? cNeg(cMul(z0, i0)) : zero;
+    if (!z0 && type === 'lineToGround') {
+        v0 = cNeg(e);
+    }
+    
+    const sequenceCurrents = { zero: i0, positive: i1, negative: i2 };
+    const sequenceVoltages = {
+        zero: v0,
+        positive: cSub(e, cMul(z1, i1)),
+        negative: cSub(e2, cMul(z2, i2))
+    };
+    
+    const phaseCurrents = sequenceToPhase(sequenceCurrents);
+    const phaseVoltages = sequenceToPhase(sequenceVoltages);
+    const groundCurrent = cScale(i0, 3);
+    const faultCurrent = Math.max(...faultedPhases.map(phase => cAbs(phaseCurrents[phase])));
+    
+    return {
+        faultType: type,
+        faultedPhases: faultedPhases,
+        unfaultedPhases: ['a', 'b', 'c'].filter(phase => !faultedPhases.includes(phase)),
+        sequenceCurrents: sequenceCurrents,
+        sequenceVoltages: sequenceVoltages,
+        phaseCurrents: phaseCurrents,
+        phaseVoltages: phaseVoltages,
+        groundCurrent: groundCurrent,
+        faultCurrent: faultCurrent
+    };
+}
+
+/**
+ * Refer sequence currents from the secondary to the primary side of a transformer
+ * Positive-sequence currents shift by the vector group angle, negative-sequence by the opposite
+ * angle; zero-sequence current only transfers through grounded wye-wye (YNyn) windings.
+ * @param {Object} sequenceCurrents - Secondary { zero, positive, negative } complex currents
+ * @param {string} connectionType - Vector group (default 'Dyn11')
+ * @param {number} currentRatio - Primary/secondary current ratio (Vsec/Vpri for amperes, 1 for pu)
+ * @returns {Object} { phaseShift, sequenceCurrents, phaseCurrents } on the primary side
+ */
+function referSequenceCurrentsAcrossTransformer(sequenceCurrents, connectionType, currentRatio = 1) {
+    const phaseShift = typeof getVectorGroupPhaseShift !== 'undefined'
+        ? getVectorGroupPhaseShift(connectionType || 'Dyn11') : 30;
+    const zeroModel = getTransformerZeroSequenceModel({ connectionType: connectionType });
+    
+    const primary = {
+        zero: zeroModel.series ? cScale(sequenceCurrents.zero, currentRatio) : complex(0, 0),
+        positive: cScale(cMul(sequenceCurrents.positive, cPolar(1, -phaseShift)), currentRatio),
+        negative: cScale(cMul(sequenceCurrents.negative, cPolar(1, phaseShift)), currentRatio)
+    };
+    
+    return {
+        phaseShift: phaseShift,
+        sequenceCurrents: primary,
+        phaseCurrents: sequenceToPhase(primary)
+    };
+}
+
+/**
+ * Sequence voltage at a network node during a fault drawing current I at the fault node
+ * V = Vprefault − Z(node, fault) × I + Σ Z(node, j) × Jj for the inverter injections Jj of the network;
+ * the prefault voltage is scaled by the node's open-circuit voltage where transformer taps are modelled
+ */
+function getFaultNodeVoltage(network, node, faultNode, current, prefault) {
+    const zTransfer = network.getNodeTransferImpedance(node, faultNode);
+    if (!zTransfer) return prefault;
+    
+    let voltage = cSub(cMul(prefault, network.getNodeOpenCircuitVoltage(node)), cMul(zTransfer, current));
+    (network.injections || []).forEach(injection => {
+        const z = network.getNodeTransferImpedance(node, injection.node);
+        if (z) voltage = cAdd(voltage, cMul(z, injection.current));
+    });
+    return voltage;
+}
+
+/**
+ * Solve a fault with the current-limited injection of inverter-based sources
+ * Injections raise the open-circuit voltages at the fault (E1 = E + Σ Z1fj·J1j, E2 = Σ Z2fj·J2j) and
+ * depend on the inverter terminal voltages. The solution is linear in each injection, so inverters are
+ * updated one at a time (Gauss-Seidel) with their control law solved exactly against the affine
+ * terminal voltage response, until the injections settle.
+ * @param {Object} networks - Solved sequence networks from solveSequenceNetworks
+ * @param {Object} bus - Faulted bus
+ * @param {string} faultType - Sequence fault type
+ * @param {Object} options - { prefault (complex pu), faultImpedance (complex pu), tolerance, maxIterations }
+ * @returns {Object} { fault, networks (with injections), inverters, iterations, converged }
+ */
+function calculateInverterSequenceFault(networks, bus, faultType, options = {}) {
+    const prefault = options.prefault || complex(1, 0);
+    const zero = complex(0, 0);
+    const model = networks.positive.model;
+    const faultNode = model.busNode.get(bus.id);
+    const z1 = networks.positive.getDrivingPointImpedance(bus.id);
+    const z2 = networks.negative.getDrivingPointImpedance(bus.id) || z1;
+    const z0 = networks.zero.getDrivingPointImpedance(bus.id);
+    const faultPrefault = cMul(prefault, networks.positive.getNodeOpenCircuitVoltage(faultNode));
+    const faultOptions = { prefaultVoltage: faultPrefault, faultImpedance: options.faultImpedance || zero };
+    
+    const inverters = typeof calculateInverterFaultCurrent === 'undefined' ? [] : model.shunts
+        .filter(shunt => shunt.type === 'inverter' && networks.positive.position.has(shunt.node))
+        .map(shunt => ({
+            node: shunt.node,
+            component: shunt.component,
+            ratedCurrent: getInverterRatedMVA(shunt.component) / model.baseMVA,
+            positive: zero,
+            negative: zero
+        }));
+    if (inverters.length === 0) {
+        return { fault: calculateSequenceFault(z1, z2, z0, faultType, faultOptions), networks: networks, inverters: [], iterations: 0, converged: true };
+    }
+    
+    // Fault and inverter terminal voltages for the present injections
+    const openCircuit = (network, start, sequence) => inverters.reduce((sum, inv) =>
+        cAdd(sum, cMul(network.getNodeTransferImpedance(faultNode, inv.node), inv[sequence])), start);
+    const solve = () => {
+        const fault = calculateSequenceFault(z1, z2, z0, faultType, {
+            ...faultOptions,
+            prefaultVoltage: openCircuit(networks.positive, faultPrefault, 'positive'),
+            negativeVoltage: openCircuit(networks.negative, zero, 'negative')
+        });
+        const faultNetworks = {
+            positive: { ...networks.positive, injections: inverters.map(inv => ({ node: inv.node, current: inv.positive })) },
+            negative: { ...networks.negative, injections: inverters.map(inv => ({ node: inv.node, current: inv.negative })) },
+            zero: networks.zero
+        };
+        return {
+            fault: fault,
+            networks: faultNetworks,
+            voltage: (inv, sequence) => sequence === 'positive' ?
+                getFaultNodeVoltage(faultNetworks.positive, inv.node, faultNode, fault.sequenceCurrents.positive, prefault) :
+                getFaultNodeVoltage(faultNetworks.negative, inv.node, faultNode, fault.sequenceCurrents.negative, zero)
+        };
+    };
+    // Terminal voltages of one inverter as affine functions of its own injection: V = a + b1·J1 + b2·J2
+    const response = inv => {
+        const present = { positive: inv.positive, negative: inv.negative };
+        const terminal = injected => {
+            inv.positive = injected.positive;
+            inv.negative = injected.negative;
+            const solved = solve();
+            return { positive: solved.voltage(inv, 'positive'), negative: solved.voltage(inv, 'negative') };
+        };
+        const base = terminal({ positive: zero, negative: zero });
+        const unitPositive = terminal({ positive: complex(1, 0), negative: zero });
+        const unitNegative = terminal({ positive: zero, negative: complex(1, 0) });
+        inv.positive = present.positive;
+        inv.negative = present.negative;
+        const affine = sequence => ({
+            a: base[sequence],
+            b1: cSub(unitPositive[sequence], base[sequence]),
+            b2: cSub(unitNegative[sequence], base[sequence])
+        });
+        return { positive: affine('positive'), negative: affine('negative') };
+    };
+    
+    const tolerance = options.tolerance || 1e-9;
+    const maxIterations = options.maxIterations || 50;
+    let iterations = 0;
+    let converged = false;
+    
+    while (iterations < maxIterations && !converged) {
+        iterations++;
+        let change = 0;
+        inverters.forEach(inv => {
+            const injected = solveInverterFaultCurrent(inv.component, response(inv), inv.ratedCurrent, prefault);
+            change = Math.max(change, cAbs(cSub(injected.positive, inv.positive)), cAbs(cSub(injected.negative, inv.negative)));
+            inv.positive = injected.positive;
+            inv.negative = injected.negative;
+        });
+        converged = change < tolerance;
+    }
+    
+    const solved = solve();
+    inverters.forEach(inv => {
+        inv.terminalVoltage = cAbs(solved.voltage(inv, 'positive'));
+    });
+    return { fault: solved.fault, networks: solved.networks, inverters: inverters, iterations: iterations, converged: converged };
+}
+
+/**
+ * Currents through the transformers feeding a faulted bus, on both sides
+ * @param {Object} networks - Solved sequence networks from solveSequenceNetworks
+ * @param {Object} bus - Faulted bus
+ * @param {Object} fault - Result of calculateSequenceFault (pu)
+ * @param {Object} prefault - Prefault positive-sequence voltage (pu)
+ * @returns {Array} Per-transformer secondary and primary currents in kA
+ */
+function calculateTransformerFaultCurrents(networks, bus, fault, prefault) {
+    const baseMVA = networks.positive.model.baseMVA;
+    const faultNode = networks.positive.model.busNode.get(bus.id);
+    const zero = complex(0, 0);
+    const results = [];
+    
+    networks.positive.model.branches
+        .filter(branch => branch.type === 'transformer' && branch.components[0].toBus === bus.id)
+        .forEach(branch => {
+            const comp = branch.components[0];
+            
+            const branchCurrent = (network, current, pre) => {
+                const seqBranch = network.model.branches.find(b => b.components[0] === comp);
+                if (!seqBranch) return zero;
+                const vFrom = getFaultNodeVoltage(network, seqBranch.from, faultNode, current, pre);
+                const vTo = getFaultNodeVoltage(network, seqBranch.to, faultNode, current, pre);
+                return cDiv(cSub(cScale(vFrom, seqBranch.tap || 1), vTo), seqBranch.z);
+            };
+            
+            // Zero sequence: series branch (YNyn) or grounding shunt on the secondary side
+            let i0 = branchCurrent(networks.zero, fault.sequenceCurrents.zero, zero);
+            const groundingShunt = networks.zero.model.shunts.find(sh => sh.component === comp && sh.side === 'secondary');
+            if (groundingShunt) {
+                const v0 = getFaultNodeVoltage(networks.zero, groundingShunt.node, faultNode, fault.sequenceCurrents.zero, zero);
+                i0 = cDiv(cNeg(v0), groundingShunt.z);
+            }
+            
+            const secondary = {
+                zero: i0,
+                positive: branchCurrent(networks.positive, fault.sequenceCurrents.positive, prefault),
+                negative: branchCurrent(networks.negative, fault.sequenceCurrents.negative, zero)
+            };
+            const primary = referSequenceCurrentsAcrossTransformer(secondary, comp.connectionType, branch.tap || 1);
+            
+            const fromBus = networks.positive.model.nodes[branch.from];
+            const iBaseSecondary = (baseMVA * 1e6) / (Math.sqrt(3) * bus.voltage) / 1000;
+            const iBasePrimary = (baseMVA * 1e6) / (Math.sqrt(3) * fromBus.voltage) / 1000;
+            
+            results.push({
+                name: comp.name,
+                connectionType: comp.connectionType || 'Dyn11',
+                phaseShift: primary.phaseShift,
+                secondary: {
+                    voltage: bus.voltage,
+                    phaseCurrentsKA: toPolarSet(sequenceToPhase(secondary), iBaseSecondary),
+                    sequenceCurrentsKA: toPolarSet(secondary, iBaseSecondary),
+                    neutralCurrentKA: cAbs(i0) * 3 * iBaseSecondary
+                },
+                primary: {
+                    voltage: fromBus.voltage,
+                    phaseCurrentsKA: toPolarSet(primary.phaseCurrents, iBasePrimary),
+                    sequenceCurrentsKA: toPolarSet(primary.sequenceCurrents, iBasePrimary)
+                }
+            });
+        });
+    
+    return results;
+}
+
+/**
+ * Neutral currents of the grounded transformer windings and generators during a fault
+ * Each grounding shunt of the zero-sequence network carries 3·I0 through its neutral (and NGR); the
+ * common neutral of an autotransformer carries 3·(IH0 + IX0) of its two terminals (side 'neutral').
+ * @param {Object} networks - Solved sequence networks from solveSequenceNetworks
+ * @param {Object} bus - Faulted bus
+ * @param {Object} fault - Result of calculateSequenceFault (pu)
+ * @returns {Array} Per-neutral currents in A
+ */
+function calculateNeutralFaultCurrents(networks, bus, fault) {
+    const model = networks.zero.model;
+    const faultNode = model.busNode.get(bus.id);
+    const zero = complex(0, 0);
+    
+    const neutralCurrent = (comp, type, side, node, i0) => ({
+        name: comp.name,
+        type: type,
+        side: side,
+        voltage: node.voltage,
+        neutralCurrent: cAbs(i0) * 3 * (model.baseMVA * 1e6) / (Math.sqrt(3) * node.voltage)
+    });
+    
+    const shuntNeutrals = model.shunts
+        .filter(shunt => shunt.type === 'transformer' || shunt.type === 'generator')
+        .filter(shunt => networks.zero.position.has(shunt.node))
+        .map(shunt => {
+            const v0 = getFaultNodeVoltage(networks.zero, shunt.node, faultNode, fault.sequenceCurrents.zero, zero);
+            return neutralCurrent(shunt.component, shunt.type, shunt.side || null, model.nodes[shunt.node], cDiv(cNeg(v0), shunt.z));
+        });
+    
+    // Grounded wye windings of three-winding transformers: 3·I0 of the winding branch
+    const windingNeutrals = model.branches
+        .filter(branch => branch.type === 'transformer_3w' && networks.zero.position.has(branch.from) && networks.zero.position.has(branch.to))
+        .map(branch => {
+            const vFrom = getFaultNodeVoltage(networks.zero, branch.from, faultNode, fault.sequenceCurrents.zero, zero);
+            const vTo = getFaultNodeVoltage(networks.zero, branch.to, faultNode, fault.sequenceCurrents.zero, zero);
+            const i0 = cDiv(cSub(cScale(vFrom, branch.tap || 1), vTo), branch.z);
+            const busNode = branch.winding === 'primary' ? branch.from : branch.to;
+            return neutralCurrent(branch.components[0], branch.type, branch.winding, model.nodes[busNode], i0);
+        });
+    
+    // Common neutral of autotransformers: 3·(IH0 + IX0), the terminal currents summed in amperes
+    const seriesCurrent = branch => {
+        const vFrom = getFaultNodeVoltage(networks.zero, branch.from, faultNode, fault.sequenceCurrents.zero, zero);
+        const vTo = getFaultNodeVoltage(networks.zero, branch.to, faultNode, fault.sequenceCurrents.zero, zero);
+        return cDiv(cSub(cScale(vFrom, branch.tap || 1), vTo), branch.z);
+    };
+    const autotransformers = new Set(model.branches
+        .filter(branch => branch.type === 'autotransformer' && networks.zero.position.has(branch.from) && networks.zero.position.has(branch.to))
+        .map(branch => branch.components[0]));
+    const autoNeutrals = Array.from(autotransformers).map(comp => {
+        // One branch between the terminals, or the high- and low-voltage legs of the star
+        const high = model.branches.find(branch => branch.components[0] === comp && branch.winding !== 'secondary' && branch.winding !== 'tertiary');
+        const low = model.branches.find(branch => branch.components[0] === comp && branch.winding !== 'primary' && branch.winding !== 'tertiary');
+        const highNode = model.nodes[high.from];
+        const lowNode = model.nodes[low.to];
+        
+        // Currents into the terminals: t·i at the high-voltage end, -i at the low-voltage end (pu, low-voltage base)
+        const highCurrent = cScale(seriesCurrent(high), (high.tap || 1) * lowNode.voltage / highNode.voltage);
+        return neutralCurrent(comp, comp.type, 'neutral', lowNode, cSub(highCurrent, seriesCurrent(low)));
+    });
+    
+    return shuntNeutrals.concat(windingNeutrals, autoNeutrals);
+}
+
+/**
+ * Phase shift (degrees, positive sequence) from the from-node to the to-node of a branch
+ * Three-winding transformer branches shift by their winding's vector group (primary: none); the terminals
+ * of an autotransformer are in phase and only its delta tertiary shifts.
+ */
+function getBranchPhaseShift(branch) {
+    const comp = branch.components[0];
+    if (branch.type === 'transformer') {
+        return typeof getVectorGroupPhaseShift !== 'undefined' ? getVectorGroupPhaseShift(comp.connectionType || 'Dyn11') : 30;
+    }
+    if (branch.type === 'transformer_3w') {
+        return typeof getThreeWindingPhaseShifts !== 'undefined' ? getThreeWindingPhaseShifts(comp.connectionType)[branch.winding] : 0;
+    }
+    if (branch.type === 'autotransformer' && branch.winding === 'tertiary') {
+        return typeof parseAutotransformerVectorGroup !== 'undefined'
+            ? getVectorGroupPhaseShift(parseAutotransformerVectorGroup(comp.connectionType).tertiaryGroup) : 30;
+    }
+    return 0;
+}
+
+/**
+ * Reference frame of every node relative to a faulted node
+ * shift: vector-group phase shift (degrees, positive sequence) accumulated across transformers;
+ * galvanic: nodes connected to the faulted node without crossing a transformer.
+ */
+function getFaultNodeFrames(model, faultNode) {
+    const shift = new Map([[faultNode, 0]]);
+    const galvanic = new Set([faultNode]);
+    const queue = [faultNode];
+    while (queue.length > 0) {
+        const node = queue.shift();
+        model.branches.forEach(branch => {
+            // Series and common windings of an autotransformer are galvanically connected
+            const isTransformer = branch.type === 'transformer' || branch.type === 'transformer_3w' ||
+                (branch.type === 'autotransformer' && branch.winding === 'tertiary');
+            const phaseShift = getBranchPhaseShift(branch);
+            let next = null;
+            if (branch.to === node && !shift.has(branch.from)) {
+                next = branch.from;
+                shift.set(next, shift.get(node) - phaseShift);
+            } else if (branch.from === node && !shift.has(branch.to)) {
+                next = branch.to;
+                shift.set(next, shift.get(node) + phaseShift);
+            }
+            if (next !== null) {
+                if (!isTransformer && galvanic.has(node)) {
+                    galvanic.add(next);
+                }
+                queue.push(next);
+            }
+        });
+    }
+    return { shift: shift, galvanic: galvanic };
+}
+
+/**
+ * Retained voltages at every energized bus while one bus is faulted
+ * Sequence voltages follow from the transfer impedances to the faulted bus (V = E - Zkf·If), shifted
+ * by the vector groups in between. Without a zero-sequence path at the fault, the L-G neutral
+ * displacement appears on every bus of the same galvanic section.
+ * @param {Object} networks - Solved sequence networks from solveSequenceNetworks
+ * @param {Object} bus - Faulted bus
+ * @param {Object} fault - Result of calculateSequenceFault (pu)
+ * @param {Object} prefault - Prefault positive-sequence voltage (pu)
+ * @returns {Array} Per-bus phase and line voltages (pu and V), lowest phase and line voltage in pu
+ */
+function calculateFaultVoltageProfile(networks, bus, fault, prefault) {
+    const model = networks.positive.model;
+    const faultNode = model.busNode.get(bus.id);
+    const zero = complex(0, 0);
+    const { shift, galvanic } = getFaultNodeFrames(model, faultNode);
+    const faultZeroPath = networks.zero.getNodeTransferImpedance(faultNode, faultNode) !== null;
+    const results = [];
+    
+    model.busNode.forEach((nodeIndex, busId) => {
+        if (!networks.positive.position.has(nodeIndex)) return;
+        const node = model.nodes[nodeIndex];
+        const angle = shift.get(nodeIndex) || 0;
+        
+        let v0;
+        if (faultZeroPath) {
+            v0 = getFaultNodeVoltage(networks.zero, nodeIndex, faultNode, fault.sequenceCurrents.zero, zero);
+        } else {
+            v0 = galvanic.has(nodeIndex) ? fault.sequenceVoltages.zero : zero;
+        }
+        const sequenceVoltages = {
+            zero: v0,
+            positive: cMul(getFaultNodeVoltage(networks.positive, nodeIndex, faultNode, fault.sequenceCurrents.positive, prefault), cPolar(1, angle)),
+            negative: cMul(getFaultNodeVoltage(networks.negative, nodeIndex, faultNode, fault.sequenceCurrents.negative, zero), cPolar(1, -angle))
+        };
+        const phaseVoltages = sequenceToPhase(sequenceVoltages);
+        const lineVoltages = {
+            ab: cScale(cSub(phaseVoltages.a, phaseVoltages.b), 1 / Math.sqrt(3)),
+            bc: cScale(cSub(phaseVoltages.b, phaseVoltages.c), 1 / Math.sqrt(3)),
+            ca: cScale(cSub(phaseVoltages.c, phaseVoltages.a), 1 / Math.sqrt(3))
+        };
+        
+        results.push({
+            busId: busId,
+            busName: node.name,
+            voltage: node.voltage,
+            faulted: nodeIndex === faultNode,
+            phaseVoltagesPU: toPolarSet(phaseVoltages, 1),
+            phaseVoltages: toPolarSet(phaseVoltages, node.voltage / Math.sqrt(3)),
+            lineVoltagesPU: toPolarSet(lineVoltages, 1),
+            sequenceVoltagesPU: toPolarSet(sequenceVoltages, 1),
+            minPhaseVoltagePU: Math.min(...Object.values(phaseVoltages).map(cAbs)),
+            minLineVoltagePU: Math.min(...Object.values(lineVoltages).map(cAbs))
+        });
+    });
+    
+    return results;
+}
+
+/**
+ * Fault current contributions of every branch and source toward a faulted bus
+ * Branch currents follow from the sequence voltages at both ends, source currents from the
+ * voltage behind the source impedance. Each branch is oriented toward the fault (from the end with
+ * the higher retained positive-sequence voltage) and its current is given at the receiving end.
+ * Positive- and negative-sequence currents beyond a transformer are shifted by its vector group,
+ * so phase currents on the far side of delta-wye transformers are the actual ones.
+ * @param {Object} networks - Solved sequence networks from solveSequenceNetworks
+ * @param {Object} bus - Faulted bus
+ * @param {Object} fault - Result of calculateSequenceFault (pu)
+ * @param {Object} prefault - Prefault positive-sequence voltage (pu)
+ * @returns {Array} Per-branch and per-source currents in kA (largest phase, with its angle)
+ */
+function calculateBranchContributions(networks, bus, fault, prefault) {
+    const model = networks.positive.model;
+    const baseMVA = model.baseMVA;
+    const faultNode = model.busNode.get(bus.id);
+    const zero = complex(0, 0);
+    const results = [];
+    
+    const voltage = {
+        positive: node => getFaultNodeVoltage(networks.positive, node, faultNode, fault.sequenceCurrents.positive, prefault),
+        negative: node => getFaultNodeVoltage(networks.negative, node, faultNode, fault.sequenceCurrents.negative, zero),
+        zero: node => getFaultNodeVoltage(networks.zero, node, faultNode, fault.sequenceCurrents.zero, zero)
+    };
+    const { shift } = getFaultNodeFrames(model, faultNode);
+    
+    // Current at the to-end of a branch (t·Vfrom - Vto)/z; the from-end carries t times this
+    const seriesCurrent = (sequence, positiveBranch) => {
+        const comp = positiveBranch.components[0];
+        const branch = networks[sequence].model.branches.find(b => b.components[0] === comp && b.winding === positiveBranch.winding);
+        if (!branch) return zero;
+        return cDiv(cSub(cScale(voltage[sequence](branch.from), branch.tap || 1), voltage[sequence](branch.to)), branch.z);
+    };
+    
+    const addContribution = (entry, networkCurrents, node) => {
+        const angle = shift.get(node.index) || 0;
+        const sequenceCurrents = {
+            zero: networkCurrents.zero,
+            positive: cMul(networkCurrents.positive, cPolar(1, angle)),
+            negative: cMul(networkCurrents.negative, cPolar(1, -angle))
+        };
+        const phaseCurrents = sequenceToPhase(sequenceCurrents);
+        const phase = ['a', 'b', 'c'].reduce((max, p) => (cAbs(phaseCurrents[p]) > cAbs(phaseCurrents[max]) * (1 + 1e-9) ? p : max), 'a');
+        if (cAbs(phaseCurrents[phase]) < 1e-9) return;
+        
+        const iBase = (baseMVA * 1e6) / (Math.sqrt(3) * node.voltage) / 1000;
+        results.push({
+            ...entry,
+            voltage: node.voltage,
+            phase: phase,
+            currentKA: cAbs(phaseCurrents[phase]) * iBase,
+            angleDeg: cArg(phaseCurrents[phase]),
+            phaseCurrentsKA: toPolarSet(phaseCurrents, iBase),
+            sequenceCurrentsKA: toPolarSet(sequenceCurrents, iBase)
+        });
+    };
+    
+    model.branches.forEach(branch => {
+        if (!networks.positive.position.has(branch.from) || !networks.positive.position.has(branch.to)) return;
+        const comp = branch.components[0];
+        
+        let i0 = seriesCurrent('zero', branch);
+        if (comp.type === 'transformer') {
+            // Grounding shunts of the transformer: current drawn from ground into the winding's node
+            networks.zero.model.shunts.filter(sh => sh.component === comp).forEach(sh => {
+                const injection = cDiv(cNeg(voltage.zero(sh.node)), sh.z);
+                i0 = sh.side === 'secondary' ? cAdd(i0, injection) : cSub(i0, injection);
+            });
+        }
+        let currents = {
+            zero: i0,
+            positive: seriesCurrent('positive', branch),
+            negative: seriesCurrent('negative', branch)
+        };
+        
+        let from = model.nodes[branch.from];
+        let to = model.nodes[branch.to];
+        if (cAbs(voltage.positive(branch.from)) < cAbs(voltage.positive(branch.to))) {
+            const t = -(branch.tap || 1);
+            [from, to] = [to, from];
+            currents = { zero: cScale(currents.zero, t), positive: cScale(currents.positive, t), negative: cScale(currents.negative, t) };
+        }
+        
+        addContribution({
+            element: 'branch',
+            name: branch.components.map(c => c.name || c.type).join(' + ') + (branch.winding ? ` (${branch.winding})` : ''),
+            type: branch.type,
+            fromBus: from.name,
+            toBus: to.name,
+            fromBusId: from.busId,
+            toBusId: to.busId
+        }, currents, to);
+    });
+    
+    // Sources (and motors when included): current delivered into their node
+    model.shunts.forEach(shunt => {
+        if (!networks.positive.position.has(shunt.node) || shunt.type === 'inverter') return;
+        const comp = shunt.component;
+        const node = model.nodes[shunt.node];
+        const shuntCurrent = (sequence, pre) => {
+            const seqShunt = networks[sequence].model.shunts.find(sh => sh.component === comp);
+            return seqShunt ? cDiv(cSub(pre, voltage[sequence](seqShunt.node)), seqShunt.z) : zero;
+        };
+        
+        addContribution({
+            element: 'source',
+            name: comp.name || comp.type,
+            type: comp.type,
+            fromBus: null,
+            toBus: node.name,
+            fromBusId: null,
+            toBusId: node.busId
+        }, {
+            zero: shuntCurrent('zero', zero),
+            positive: shuntCurrent('positive', prefault),
+            negative: shuntCurrent('negative', zero)
+        }, node);
+    });
+    
+    // Inverter-based sources: their injected currents
+    (networks.positive.injections || []).forEach((injection, index) => {
+        const shunt = model.shunts.find(sh => sh.type === 'inverter' && sh.node === injection.node);
+        const comp = shunt ? shunt.component : { type: 'inverter' };
+        const node = model.nodes[injection.node];
+        const negative = (networks.negative.injections || [])[index];
+        addContribution({
+            element: 'source',
+            name: comp.name || comp.type,
+            type: comp.type,
+            fromBus: null,
+            toBus: node.name,
+            fromBusId: null,
+            toBusId: node.busId
+        }, {
+            zero: zero,
+            positive: injection.current,
+            negative: negative ? negative.current : zero
+        }, node);
+    });
+    
+    return results;
+}
+
+/**
+ * Express a set of complex phase/sequence quantities as magnitude (scaled) and angle
+ */
+function toPolarSet(values, scale) {
+    const result = {};
+    Object.keys(values).forEach(key => {
+        result[key] = {
+            magnitude: cAbs(values[key]) * scale,
+            angle: cAbs(values[key]) > 1e-12 ? cArg(values[key]) : 0
+        };
+    });
+    return result;
+}
+
+/**
+ * Build and solve the positive-, negative- and zero-sequence networks
+ * @param {Object} topology - Result of TopologyManager.buildFromProject
+ * @param {Object} options - { baseMVA, includeMotors, taps }
+ * @returns {Object} { positive, negative, zero } solved networks
+ */
+function solveSequenceNetworks(topology, options = {}) {
+    return {
+        positive: solveNetwork(buildNetworkModel(topology, { ...options, sequence: 'positive' })),
+        negative: solveNetwork(buildNetworkModel(topology, { ...options, sequence: 'negative' })),
+        zero: solveNetwork(buildNetworkModel(topology, { ...options, sequence: 'zero' }))
+    };
+}
+
+/**
+ * Calculate all fault types at every bus from its sequence impedances
+ * @param {Object} topology - Result of TopologyManager.buildFromProject
+ * @param {Object} options - { baseMVA, includeMotors, taps, prefaultVoltage (pu), faultImpedance (Ω) }
+ * @returns {Array} Per-bus results with currents in A and kA and line-to-neutral voltages in V
+ */
+function calculateBusSequenceFaults(topology, options = {}) {
+    const networks = solveSequenceNetworks(topology, options);
+    const model = networks.positive.model;
+    const baseMVA = model.baseMVA;
+    const prefault = complex(options.prefaultVoltage || 1.0, 0);
+    
+    return topology.buses.map(bus => {
+        const z1 = networks.positive.getDrivingPointImpedance(bus.id);
+        if (!z1) {
+            return { busId: bus.id, busName: bus.name, voltage: bus.voltage, energized: false };
+        }
+        const z2 = networks.negative.getDrivingPointImpedance(bus.id) || z1;
+        const z0 = networks.zero.getDrivingPointImpedance(bus.id);
+        
+        const zBase = (bus.voltage * bus.voltage) / (baseMVA * 1e6);
+        const iBase = (baseMVA * 1e6) / (Math.sqrt(3) * bus.voltage);
+        const vBase = bus.voltage / Math.sqrt(3);
+        const zf = options.faultImpedance ? cScale(options.faultImpedance, 1 / zBase) : complex(0, 0);
+        
+        const faults = {};
+        SEQUENCE_FAULT_TYPES.forEach(type => {
+            const solved = calculateInverterSequenceFault(networks, bus, type, { prefault: prefault, faultImpedance: zf });
+            const fault = solved.fault;
+            const faultNetworks = solved.networks;
+            faults[type] = {
+                faultedPhases: fault.faultedPhases,
+                unfaultedPhases: fault.unfaultedPhases,
+                faultCurrent: fault.faultCurrent * iBase,
+                faultCurrentKA: fault.faultCurrent * iBase / 1000,
+                groundCurrentKA: cAbs(fault.groundCurrent) * iBase / 1000,
+                phaseCurrentsKA: toPolarSet(fault.phaseCurrents, iBase / 1000),
+                sequenceCurrentsKA: toPolarSet(fault.sequenceCurrents, iBase / 1000),
+                phaseVoltages: toPolarSet(fault.phaseVoltages, vBase),
+                phaseVoltagesPU: toPolarSet(fault.phaseVoltages, 1),
+                sequenceVoltagesPU: toPolarSet(fault.sequenceVoltages, 1),
+                transformers: calculateTransformerFaultCurrents(faultNetworks, bus, fault, prefault),
+                neutralCurrents: calculateNeutralFaultCurrents(faultNetworks, bus, fault),
+                contributions: calculateBranchContributions(faultNetworks, bus, fault, prefault),
+                voltageProfile: calculateFaultVoltageProfile(faultNetworks, bus, fault, prefault),
+                // Inverter-based sources: injected currents at their terminals and iteration status
+                inverters: solved.inverters.map(inv => {
+                    const iBaseInverter = (baseMVA * 1e6) / (Math.sqrt(3) * model.nodes[inv.node].voltage) / 1000;
+                    const limit = getInverterSettings(inv.component).faultCurrentMultiple * inv.ratedCurrent;
+                    return {
+                        name: inv.component.name || inv.component.type,
+                        resourceType: inv.component.resourceType || null,
+                        positiveKA: cAbs(inv.positive) * iBaseInverter,
+                        negativeKA: cAbs(inv.negative) * iBaseInverter,
+                        terminalVoltagePU: inv.terminalVoltage,
+                        currentLimited: cAbs(inv.positive) + cAbs(inv.negative) >= limit * (1 - 1e-6)
+                    };
+                }),
+                inverterIterations: solved.iterations,
+                inverterConverged: solved.converged
+            };
+        });
+        
+        const toOhms = z => (z ? { r: z.re * zBase, x: z.im * zBase, z: cAbs(z) * zBase } : null);
+        
+        return {
+            busId: bus.id,
+            busName: bus.name,
+            voltage: bus.voltage,
+            energized: true,
+            grounded: z0 !== null,
+            impedancePU: { z1: z1, z2: z2, z0: z0 },
+            impedanceOhms: { z1: toOhms(z1), z2: toOhms(z2), z0: toOhms(z0) },
+            faults: faults
+        };
+    });
+}
+
+/**
+ * Create accumulator for series-chain sequence impedances (calculator single-line chain)
+ */
+function createChainSequenceImpedance() {
+    return {
+        z2: { r: 0, x: 0 },
+        z0: { r: 0, x: 0 },
+        z0Open: false
+    };
+}
+
+/**
+ * Add a chain component to the negative- and zero-sequence totals
+ * Components are processed source-first; a transformer whose secondary is a grounding source
+ * (grounded wye opposite a delta, grounded zig-zag) restarts the zero-sequence chain at its own impedance.
+ * @param {Object} totals - Accumulator from createChainSequenceImpedance
+ * @param {Object} comp - Calculator component
+ * @param {Object} referred - Positive-sequence { r, x } of the component referred to the fault voltage
+ *                            (for a neutral grounding device: its own Zn referred to the fault voltage)
+ * @param {Object} referredZero - Zero-sequence { r, x } referred to the fault voltage, for cables with
+ *                                zero-sequence data (entered r0/x0 or a library size) and busways (ground
+ *                                path); typical Z0/Z1 otherwise
+ */
+function accumulateChainSequenceImpedance(totals, comp, referred, referredZero = null) {
+    let x2Ratio = 1.0;
+    let z0Ratio = null;
+    
+    if (comp.type === 'utility_isc' || comp.type === 'utility_mva' || comp.type === 'utility_impedance' || comp.type === 'utility') {
+        z0Ratio = comp.z0z1 || SEQUENCE_IMPEDANCE_RATIOS.utilityZ0;
+    } else if (comp.type === 'cable' || comp.type === 'busway') {
+        if (referredZero) {
+            totals.z0.r += referredZero.r;
+            totals.z0.x += referredZero.x;
+        } else {
+            z0Ratio = SEQUENCE_IMPEDANCE_RATIOS.cableZ0;
+        }
+    } else if (comp.type === 'generator') {
+        // X"d as in the network solver: reactance, else xdSubtransient, else typical 15%
+        const xd = comp.reactance || comp.xdSubtransient || 15;
+        x2Ratio = comp.x2 ? comp.x2 / xd : SEQUENCE_IMPEDANCE_RATIOS.generatorX2;
+        z0Ratio = comp.grounding === 'ungrounded' ? null
+            : (comp.x0 ? comp.x0 / xd : SEQUENCE_IMPEDANCE_RATIOS.generatorX0);
+        if (z0Ratio === null) totals.z0Open = true;
+    } else if (comp.type === 'transformer') {
+        const ratio = comp.z0z1 || SEQUENCE_IMPEDANCE_RATIOS.transformerZ0;
+        const zeroModel = getTransformerZeroSequenceModel(comp);
+        if (zeroModel.secondaryShunt) {
+            const shuntRatio = ratio * zeroModel.secondaryRatio;
+            totals.z0 = { r: referred.r * shuntRatio, x: referred.x * shuntRatio };
+            totals.z0Open = false;
+        } else if (zeroModel.series) {
+            z0Ratio = ratio;
+        } else {
+            totals.z0Open = true;
+        }
+    } else if (comp.type === 'ngr') {
+        // Neutral grounding device: 3·Zn in the zero-sequence path only
+        x2Ratio = 0;
+        z0Ratio = 3;
+    }
+    // Motors: negative sequence ≈ locked-rotor impedance, ungrounded neutral adds no zero-sequence path
+    
+    totals.z2.r += referred.r * x2Ratio;
+    totals.z2.x += referred.x * x2Ratio;
+    if (z0Ratio !== null) {
+        totals.z0.r += referred.r * z0Ratio;
+        totals.z0.x += referred.x * z0Ratio;
+    }
+    
+    return totals;
+}
+
+// Export functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEQUENCE_FAULT_TYPES,
+        FAULT_TYPE_ALIASES,
+        SEQUENCE_OPERATOR_A,
+        SEQUENCE_OPERATOR_A2,
+        sequenceToPhase,
+        calculateSequenceFault,
+        referSequenceCurrentsAcrossTransformer,
+        calculateTransformerFaultCurrents,
+        calculateNeutralFaultCurrents,
+        getBranchPhaseShift,
+        getFaultNodeFrames,
+        getFaultNodeVoltage,
+        calculateInverterSequenceFault,
+        calculateFaultVoltageProfile,
+        calculateBranchContributions,
+        solveSequenceNetworks,
+        calculateBusSequenceFaults,
+        createChainSequenceImpedance,
+        accumulateChainSequenceImpedance
+    };
+}
@@ -44,6 +44,37 @@ const IEC_VOLTAGE_FACTORS = {
     }
 };
 
+/**
+ * IEC 60909-0 factors for peak, breaking, steady-state and thermal-equivalent currents
+ */
+const IEC_60909_FACTORS = {
+    // Decay of synchronous machine currents: μ = a + b·e^(c·I"kG/IrG) for minimum time delay tmin (s)
+    mu: [
+        { tmin: 0.02, a: 0.84, b: 0.26, c: -0.26 },
+        { tmin: 0.05, a: 0.71, b: 0.51, c: -0.30 },
+        { tmin: 0.10, a: 0.62, b: 0.72, c: -0.32 },
+        { tmin: 0.25, a: 0.56, b: 0.94, c: -0.38 }
+    ],
+    // Additional decay of asynchronous motor currents: q = a + b·ln(m), m = PrM/p in MW per pair of poles
+    q: [
+        { tmin: 0.02, a: 1.03, b: 0.12 },
+        { tmin: 0.05, a: 0.79, b: 0.12 },
+        { tmin: 0.10, a: 0.57, b: 0.12 },
+        { tmin: 0.25, a: 0.26, b: 0.10 }
+    ],
+    // Highest excitation voltage relative to the rated-load excitation (λmax, series one / series two)
+    excitationCeiling: { one: 1.3, two: 1.6 },
+    // Method B: factor 1.15 on κ, κ limited to 1.8 (LV) and 2.0 (MV/HV)
+    methodBFactor: 1.15,
+    methodBKappaLimit: { LV: 1.8, HV: 2.0 },
+    // Method C: equivalent frequency fc (20 Hz for 50 Hz systems, 24 Hz for 60 Hz systems)
+    methodCFrequencyRatio: 0.4,
+    // Typical generator time constants (s) and I"k/I'k for the heat factor n
+    thermalDecay: { subtransientTime: 0.03, transientTime: 1.26, subtransientRatio: 1.12 },
+    // Minimum currents: cable resistance at the end-of-fault temperature θe (°C), default the PVC short-circuit limit
+    conductorEndTemperature: 160
+};
+
 /**
  * IEEE/ANSI Multiplying Factors
  */
@@ -96,7 +127,31 @@ const ANSI_C37_STANDARDS = {
         standard: 3, // 3 cycles = 0.05s at 60Hz
         fast: 2,
         slow: 5
-    }
+    },
+    // C37.010 minimum contact parting times (cycles) of 2-, 3-, 5- and 8-cycle breakers
+    contactPartingTimes: [1.5, 2, 3, 4],
+    // Symmetrical ratings cover the DC component of a fault with X/R 17 (C37.04)
+    testXR: 17,
+    // Local multiplying factors read from C37.010 Figure 9 (three-phase faults fed predominantly
+    // from generators through no more than one transformation), by contact parting time
+    localFactors: {
+        xr: [10, 20, 30, 40, 50, 60, 80, 100, 120],
+        1.5: [1.00, 1.00, 1.04, 1.09, 1.13, 1.16, 1.21, 1.24, 1.26],
+        2: [1.00, 1.00, 1.02, 1.06, 1.10, 1.13, 1.17, 1.20, 1.22],
+        3: [1.00, 1.00, 1.00, 1.02, 1.05, 1.08, 1.12, 1.15, 1.17],
+        4: [1.00, 1.00, 1.00, 1.00, 1.02, 1.04, 1.08, 1.11, 1.13]
+    },
+    // A generator behind an external reactance of at least this multiple of its X"d is remote (C37.010)
+    remoteGeneratorReactance: 1.5,
+    // Rotating machine impedance multipliers of the first-cycle, interrupting and 30-cycle networks
+    // (C37.010, IEEE 551); Infinity leaves the machine out of the network
+    machineMultipliers: {
+        firstCycle: { generator: 1.0, synchronousMotor: 1.0, largeInductionMotor: 1.0, mediumInductionMotor: 1.2, smallInductionMotor: Infinity },
+        interrupting: { generator: 1.0, synchronousMotor: 1.5, largeInductionMotor: 1.5, mediumInductionMotor: 3.0, smallInductionMotor: Infinity },
+        thirtyCycle: { generator: 1.0, synchronousMotor: Infinity, largeInductionMotor: Infinity, mediumInductionMotor: Infinity, smallInductionMotor: Infinity }
+    },
+    // Induction motor classes (hp): large above 1000 hp (above 250 hp for two-pole motors), small below 50 hp
+    motorClasses: { large: 1000, largeTwoPole: 250, small: 50 }
 };
 
 /**
@@ -149,22 +204,186 @@ function getIEEEAsymmetryFactor(xrRatio) {
     return 1.0; // default
 }
 
+/**
+ * IEC 60909-0 peak factor κ = 1.02 + 0.98 × e^(-3R/X)
+ */
+function calculateIECKappa(xrRatio) {
+    return 1.02 + 0.98 * Math.exp(-3 / xrRatio);
+}
+
 /**
  * Calculate peak fault current using IEC method
+ * ip = κ × √2 × I"k with κ from:
+ *   'A' - R/X at the fault location (default)
+ *   'B' - 1.15 × κ(R/X at the fault), limited to 1.8 (LV) or 2.0 (MV/HV); 1.15 not applied when R/X < 0.3
+ *   'C' - equivalent frequency: R/X = (Rc/Xc)·(fc/f), Rc + jXc from the network solved at fc
+ * @param {Object} options - { peakMethod, voltage (V), equivalentXR (Xc/Rc at fc) }
  */
-function calculateIECPeakCurrent(symmetricalCurrent, xrRatio) {
-    // IEC 60909-0 equation: ip = κ × √2 × I"k
-    // where κ = 1.02 + 0.98 × e^(-3R/X)
-    const kappa = 1.02 + 0.98 * Math.exp(-3 / xrRatio);
+function calculateIECPeakCurrent(symmetricalCurrent, xrRatio, options = {}) {
+    const peakMethod = options.peakMethod || 'A';
+    let kappa = calculateIECKappa(xrRatio);
+    
+    if (peakMethod === 'B') {
+        const limit = (options.voltage || 0) <= 1000 ? IEC_60909_FACTORS.methodBKappaLimit.LV : IEC_60909_FACTORS.methodBKappaLimit.HV;
+        if (1 / xrRatio >= 0.3) {
+            kappa = Math.min(IEC_60909_FACTORS.methodBFactor * kappa, limit);
+        }
+    } else if (peakMethod === 'C') {
+        if (!options.equivalentXR) {
+            throw new Error('IEC peak method C requires the X/R ratio at the equivalent frequency');
+        }
+        kappa = calculateIECKappa(options.equivalentXR / IEC_60909_FACTORS.methodCFrequencyRatio);
+    }
     const peakCurrent = kappa * Math.sqrt(2) * symmetricalCurrent;
     
     return {
         kappa: kappa,
         peakCurrent: peakCurrent,
+        peakMethod: peakMethod,
         method: 'IEC 60909-0'
     };
 }
 
+/**
+ * Correction factor KT for network transformers
+ * KT = 0.95 × cmax / (1 + 0.6 × xT), xT = relative reactance of the transformer (pu)
+ */
+function calculateIECTransformerCorrection(xT, cmax = 1.1) {
+    return 0.95 * cmax / (1 + 0.6 * xT);
+}
+
+/**
+ * Correction factor KG for generators connected directly to the network
+ * KG = (Un / UrG) × cmax / (1 + x"d × sin φrG)
+ * @param {Object} params - { nominalVoltage, ratedVoltage (V), xdSubtransient (pu), sinPhi, cmax }
+ */
+function calculateIECGeneratorCorrection(params) {
+    const { nominalVoltage, ratedVoltage, xdSubtransient, sinPhi = 0.6, cmax = 1.1 } = params;
+    return (nominalVoltage / ratedVoltage) * cmax / (1 + xdSubtransient * sinPhi);
+}
+
+/**
+ * Correction factor for a power station unit (generator with unit transformer)
+ * With on-load tap changer:    KS  = (UnQ²/UrG²)(UrTLV²/UrTHV²) × cmax / (1 + |x"d - xT| × sin φrG)
+ * Without on-load tap changer: KSO = UnQ/(UrG(1 + pG)) × (UrTLV/UrTHV) × (1 - pT) × cmax / (1 + x"d × sin φrG)
+ * The factor applies to the generator and unit transformer impedances referred to the HV side.
+ * @param {Object} params - { networkVoltage (UnQ), generatorVoltage (UrG), transformerHV, transformerLV (V),
+ *                            xdSubtransient, xT (pu), sinPhi, cmax, onLoadTapChanger, pG, pT }
+ * @returns {Object} { factor, type: 'KS' | 'KSO' }
+ */
+function calculateIECPowerStationCorrection(params) {
+    const {
+        networkVoltage, generatorVoltage, transformerHV, transformerLV,
+        xdSubtransient, xT, sinPhi = 0.6, cmax = 1.1,
+        onLoadTapChanger = true, pG = 0, pT = 0
+    } = params;
+    const transformerRatio = transformerLV / transformerHV;
+    
+    if (onLoadTapChanger) {
+        return {
+            factor: Math.pow(networkVoltage / generatorVoltage, 2) * Math.pow(transformerRatio, 2) *
+                cmax / (1 + Math.abs(xdSubtransient - xT) * sinPhi),
+            type: 'KS'
+        };
+    }
+    return {
+        factor: networkVoltage / (generatorVoltage * (1 + pG)) * transformerRatio * (1 - pT) *
+            cmax / (1 + xdSubtransient * sinPhi),
+        type: 'KSO'
+    };
+}
+
+/**
+ * Interpolate an IEC 60909-0 decrement factor table in the minimum time delay
+ */
+function interpolateIECFactor(table, tmin, evaluate) {
+    if (tmin <= table[0].tmin) return evaluate(table[0]);
+    const last = table[table.length - 1];
+    if (tmin >= last.tmin) return evaluate(last);
+    
+    const upper = table.findIndex(row => row.tmin >= tmin);
+    const lo = table[upper - 1];
+    const hi = table[upper];
+    const fraction = (tmin - lo.tmin) / (hi.tmin - lo.tmin);
+    return evaluate(lo) + fraction * (evaluate(hi) - evaluate(lo));
+}
+
+/**
+ * Factor μ for the symmetrical breaking current of synchronous machines and motors
+ * @param {number} currentRatio - I"kG/IrG (or I"kM/IrM) at the machine terminals
+ * @param {number} tmin - Minimum time delay (s)
+ */
+function getIECDecrementFactorMu(currentRatio, tmin = 0.1) {
+    if (currentRatio <= 2) return 1.0;
+    const mu = interpolateIECFactor(IEC_60909_FACTORS.mu, tmin, row => row.a + row.b * Math.exp(row.c * currentRatio));
+    return Math.min(1.0, mu);
+}
+
+/**
+ * Factor q for the symmetrical breaking current of asynchronous motors
+ * @param {number} powerPerPolePairMW - Rated active power per pair of poles PrM/p (MW)
+ * @param {number} tmin - Minimum time delay (s)
+ */
+function getIECMotorFactorQ(powerPerPolePairMW, tmin = 0.1) {
+    const q = interpolateIECFactor(IEC_60909_FACTORS.q, tmin, row => row.a + row.b * Math.log(powerPerPolePairMW));
+    return Math.max(0, Math.min(1.0, q));
+}
+
+/**
+ * Factor λ for the steady-state short-circuit current of a generator (Ik = λ × IrG)
+ * Uses the excitation model the IEC 60909-0 curves are based on: the steady-state current is
+ * driven through the saturated synchronous reactance plus the external reactance to the fault,
+ * by the ceiling excitation (λmax) or the no-load excitation (λmin).
+ * @param {Object} params - { currentRatio (I"kG/IrG), xdSat, xdSubtransient (pu), sinPhi,
+ *                            excitationSeries ('one' | 'two'), type ('max' | 'min') }
+ */
+function getIECSteadyStateFactorLambda(params) {
+    const { currentRatio, xdSat = 1.6, xdSubtransient = 0.15, sinPhi = 0.6, excitationSeries = 'one', type = 'max' } = params;
+    const cosPhi = Math.sqrt(1 - sinPhi * sinPhi);
+    const externalReactance = Math.max(0, 1 / currentRatio - xdSubtransient);
+    
+    let excitation = 1.0;
+    if (type === 'max') {
+        const ratedExcitation = Math.sqrt(Math.pow(1 + xdSat * sinPhi, 2) + Math.pow(xdSat * cosPhi, 2));
+        excitation = (IEC_60909_FACTORS.excitationCeiling[excitationSeries] || IEC_60909_FACTORS.excitationCeiling.one) * ratedExcitation;
+    }
+    return Math.min(excitation / (xdSat + externalReactance), currentRatio);
+}
+
+/**
+ * Heat factors m (DC component) and n (AC decay) for the thermal-equivalent current
+ * Ith = I"k × √(m + n)
+ * @param {number} kappa - Peak factor κ
+ * @param {number} frequency - System frequency (Hz)
+ * @param {number} faultDuration - Short-circuit duration Tk (s)
+ * @param {number} currentRatio - I"k/Ik (1 far from generators)
+ */
+function calculateIECThermalFactors(kappa, frequency, faultDuration, currentRatio = 1) {
+    const lnKappa = Math.log(kappa - 1);
+    const m = (Math.exp(4 * frequency * faultDuration * lnKappa) - 1) / (2 * frequency * faultDuration * lnKappa);
+    
+    if (currentRatio <= 1) {
+        return { m: m, n: 1.0 };
+    }
+    
+    // n = (1/(I"k²·Tk))∫ iac² dt with iac = (I"k - I'k)e^(-t/T"d) + (I'k - Ik)e^(-t/T'd) + Ik (Ik = 1)
+    const decay = IEC_60909_FACTORS.thermalDecay;
+    const subtransient = currentRatio;
+    const transient = Math.max(currentRatio / decay.subtransientRatio, 1);
+    const terms = [
+        { amplitude: subtransient - transient, rate: 1 / decay.subtransientTime },
+        { amplitude: transient - 1, rate: 1 / decay.transientTime },
+        { amplitude: 1, rate: 0 }
+    ];
+    const integral = (rate) => (rate === 0 ? faultDuration : (1 - Math.exp(-rate * faultDuration)) / rate);
+    let energy = 0;
+    terms.forEach(a => terms.forEach(b => {
+        energy += a.amplitude * b.amplitude * integral(a.rate + b.rate);
+    }));
+    
+    return { m: m, n: energy / (subtransient * subtransient * faultDuration) };
+}
+
 /**
  * Calculate first-cycle RMS asymmetrical current multiplier
  * Per ANSI/IEEE C37.010 and IEEE 141
@@ -214,15 +433,56 @@ function calculateIEEEPeakCurrent(symmetricalCurrent, xrRatio) {
     };
 }
 
+/**
+ * Check a relay pickup against the minimum short-circuit current of a bus envelope
+ * @param {Object} envelope - Bus envelope { maxKA, minKA } from the IEC 60909 minimum study
+ * @param {number} pickupCurrent - Relay pickup referred to the bus voltage (A)
+ * @param {Object} options - { faultType (default: lowest of all fault types), margin (default 1.5) }
+ * @returns {Object} { faultType, minimumCurrent (A), ratio (minimum current / pickup), sensitive }
+ */
+function checkIECPickupSensitivity(envelope, pickupCurrent, options = {}) {
+    const { margin = 1.5 } = options;
+    let faultType = options.faultType;
+    if (!faultType) {
+        // Lowest non-zero current (no ground fault current on an ungrounded bus)
+        const types = Object.keys(envelope.minKA).filter(type => envelope.minKA[type] > 0);
+        faultType = types.sort((a, b) => envelope.minKA[a] - envelope.minKA[b])[0] || 'threePhase';
+    }
+    const minimumCurrent = (envelope.minKA[faultType] || 0) * 1000;
+    const ratio = pickupCurrent > 0 ? minimumCurrent / pickupCurrent : Infinity;
+    
+    return {
+        faultType: faultType,
+        minimumCurrent: minimumCurrent,
+        ratio: ratio,
+        sensitive: ratio >= margin
+    };
+}
+
 /**
  * Calculate short circuit current per IEC 60909-0
+ * I"k = c × Un / (√3 × Zk) with Zk from corrected impedances (KT, KG, KS/KSO). With the partial
+ * currents of the sources feeding the fault, also the breaking current Ib (μ, q), the steady-state
+ * current Ik (λ) and, with a fault duration, the thermal-equivalent current Ith (m, n).
+ * @param {Object} params - { voltage (V), impedanceR, impedanceX (Ω), faultType ('max' | 'min'),
+ *   peakMethod ('A' | 'B' | 'C'), equivalentXR, frequency, minTimeDelay (s), faultDuration (s), contributions }
+ *   contributions: [{ type: 'network' | 'generator' | 'motor', current (A, at the fault voltage),
+ *   ratedCurrent (A, at the fault voltage), currentRatio (I"k/Ir at the machine terminals),
+ *   voltageDropRatio (ΔU"/(cUn/√3) at the machine terminals, 1 at the fault), powerPerPolePairMW,
+ *   xdSat, xdSubtransient, sinPhi, excitationSeries }]
  */
 function calculateIECShortCircuit(params) {
     const {
         voltage,
         impedanceR,
         impedanceX,
-        faultType = 'max'
+        faultType = 'max',
+        peakMethod = 'A',
+        equivalentXR,
+        frequency = 50,
+        minTimeDelay = 0.1,
+        faultDuration,
+        contributions
     } = params;
     
     // Get voltage factor
@@ -232,22 +492,175 @@ function calculateIECShortCircuit(params) {
     const impedanceTotal = Math.sqrt(impedanceR * impedanceR + impedanceX * impedanceX);
     const xrRatio = impedanceR > 0 ? impedanceX / impedanceR : 20;
     
-    // Calculate initial symmetrical short-circuit current
-    const initialCurrent = (correctedVoltage / Math.sqrt(3)) / impedanceTotal;
+    // Calculate initial symmetrical short-circuit current (correctedVoltage is line-to-neutral)
+    const initialCurrent = correctedVoltage / impedanceTotal;
     
     // Calculate peak short-circuit current
-    const peak = calculateIECPeakCurrent(initialCurrent, xrRatio);
+    const peak = calculateIECPeakCurrent(initialCurrent, xrRatio, { peakMethod, voltage, equivalentXR });
     
-    return {
+    const result = {
         standard: 'IEC 60909-0',
         voltageFactor: cFactor,
         correctedVoltage: correctedVoltage,
         symmetricalCurrent: initialCurrent,
         peakCurrent: peak.peakCurrent,
+        peakMethod: peak.peakMethod,
         kappa: peak.kappa,
         xrRatio: xrRatio,
         impedanceTotal: impedanceTotal
     };
+    if (!contributions) {
+        return result;
+    }
+    
+    // Breaking current: Ib = I"k - Σ ΔU"/(cUn/√3)·(1 - μ(q))·I"k,i (equals Σ μ(q)·I"k,i for machines at the fault)
+    // Steady-state current: network feeders keep I"k, generators λ·IrG, motors nothing
+    let breakingCurrent = initialCurrent;
+    let steadyStateCurrent = 0;
+    const sources = contributions.map(source => {
+        const entry = { ...source, mu: 1.0, q: 1.0, lambda: null, breakingCurrent: source.current, steadyStateCurrent: source.current };
+        if (source.type === 'generator' || source.type === 'motor') {
+            entry.mu = getIECDecrementFactorMu(source.currentRatio, minTimeDelay);
+            if (source.type === 'motor') {
+                entry.q = getIECMotorFactorQ(source.powerPerPolePairMW, minTimeDelay);
+            }
+            const decay = (1 - entry.mu * entry.q) * source.current * (source.voltageDropRatio === undefined ? 1 : source.voltageDropRatio);
+            entry.breakingCurrent = source.current - decay;
+            breakingCurrent -= decay;
+        }
+        if (source.type === 'generator') {
+            entry.lambda = getIECSteadyStateFactorLambda({ ...source, type: faultType });
+            entry.steadyStateCurrent = Math.min(entry.lambda * source.ratedCurrent, source.current);
+        } else if (source.type === 'motor') {
+            entry.steadyStateCurrent = 0;
+        }
+        steadyStateCurrent += entry.steadyStateCurrent;
+        return entry;
+    });
+    
+    result.breakingCurrent = breakingCurrent;
+    result.steadyStateCurrent = Math.min(steadyStateCurrent, initialCurrent);
+    result.minTimeDelay = minTimeDelay;
+    result.sources = sources;
+    
+    if (faultDuration) {
+        const ratio = result.steadyStateCurrent > 0 ? initialCurrent / result.steadyStateCurrent : 1;
+        const { m, n } = calculateIECThermalFactors(peak.kappa, frequency, faultDuration, ratio);
+        result.faultDuration = faultDuration;
+        result.m = m;
+        result.n = n;
+        result.thermalCurrent = initialCurrent * Math.sqrt(m + n);
+    }
+    
+    return result;
+}
+
+/**
+ * Machine class of a component for the IEEE C37 cycle-specific networks
+ * @returns {string|null} 'generator', 'synchronousMotor', 'largeInductionMotor', 'mediumInductionMotor',
+ *                        'smallInductionMotor', or null for components that are not rotating machines
+ */
+function getANSIMachineClass(component) {
+    if (component.type === 'generator') {
+        return 'generator';
+    }
+    if (component.type !== 'motor' && component.type !== 'motor_load') {
+        return null;
+    }
+    if (component.motorType === 'synchronous') {
+        return 'synchronousMotor';
+    }
+    
+    const hp = (component.powerUnit || '').toLowerCase() === 'kw' ? component.power / 0.746 : (component.hp || component.power || 100);
+    const classes = ANSI_C37_STANDARDS.motorClasses;
+    if (hp > classes.large || (component.poles === 2 && hp > classes.largeTwoPole)) {
+        return 'largeInductionMotor';
+    }
+    return hp < classes.small ? 'smallInductionMotor' : 'mediumInductionMotor';
+}
+
+/**
+ * Impedance multiplier of a component in an IEEE C37 network
+ * Generators sit behind X'd (xdTransient, %) in the 30-cycle network when it is given.
+ * @param {Object} component - Network component
+ * @param {string} network - 'firstCycle', 'interrupting' or 'thirtyCycle'
+ * @returns {number} Factor on the subtransient impedance (Infinity: machine left out)
+ */
+function getANSIImpedanceMultiplier(component, network) {
+    const machineClass = getANSIMachineClass(component);
+    if (!machineClass) {
+        return 1.0;
+    }
+    if (machineClass === 'generator' && network === 'thirtyCycle' && component.xdTransient) {
+        return component.xdTransient / (component.reactance || component.xdSubtransient || 15);
+    }
+    return ANSI_C37_STANDARDS.machineMultipliers[network][machineClass];
+}
+
+/**
+ * ANSI C37.010 remote multiplying factor (DC decrement only) for a symmetrically rated breaker
+ * MF = √(1 + 2e^(-4πC/(X/R))) / √(1 + 2e^(-4πC/17)), not below 1.0
+ * @param {number} xrRatio - X/R from the separate R and X networks
+ * @param {number} contactPartingTime - Contact parting time C (cycles)
+ */
+function getC37RemoteMultiplyingFactor(xrRatio, contactPartingTime) {
+    const asymmetry = xr => Math.sqrt(1 + 2 * Math.exp(-4 * Math.PI * contactPartingTime / xr));
+    return Math.max(1.0, asymmetry(xrRatio) / asymmetry(ANSI_C37_STANDARDS.testXR));
+}
+
+/**
+ * ANSI C37.010 local multiplying factor (AC and DC decrement of nearby generators)
+ * Interpolated in X/R and contact parting time, held at the curve ends
+ */
+function getC37LocalMultiplyingFactor(xrRatio, contactPartingTime) {
+    const table = ANSI_C37_STANDARDS.localFactors;
+    const times = ANSI_C37_STANDARDS.contactPartingTimes;
+    const interpolate = (xs, ys, x) => {
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+        const i = xs.findIndex(value => value >= x);
+        return ys[i - 1] + (ys[i] - ys[i - 1]) * (x - xs[i - 1]) / (xs[i] - xs[i - 1]);
+    };
+    const factors = times.map(time => interpolate(table.xr, table[time], xrRatio));
+    return interpolate(times, factors, contactPartingTime);
+}
+
+/**
+ * ANSI C37.010 interrupting duty by the E/X method
+ * MF = MFlocal + NACD·(MFremote - MFlocal), with NACD the remote share of the E/X current
+ * @param {Object} params - { symmetricalCurrent (E/X, A), xrRatio (X/R from separate networks),
+ *                            remoteRatio (NACD, 0-1), contactPartingTimes (cycles) }
+ * @returns {Object} { symmetricalCurrent, xrRatio, remoteRatio, duties: [{ contactPartingTime, remoteFactor,
+ *                    localFactor, multiplyingFactor, interruptingCurrent }] }
+ */
+function calculateC37InterruptingDuty(params) {
+    const {
+        symmetricalCurrent,
+        xrRatio,
+        remoteRatio = 1.0,
+        contactPartingTimes = ANSI_C37_STANDARDS.contactPartingTimes
+    } = params;
+    
+    const duties = contactPartingTimes.map(time => {
+        const remoteFactor = getC37RemoteMultiplyingFactor(xrRatio, time);
+        const localFactor = getC37LocalMultiplyingFactor(xrRatio, time);
+        const multiplyingFactor = localFactor + remoteRatio * (remoteFactor - localFactor);
+        return {
+            contactPartingTime: time,
+            remoteFactor: remoteFactor,
+            localFactor: localFactor,
+            multiplyingFactor: multiplyingFactor,
+            interruptingCurrent: symmetricalCurrent * multiplyingFactor
+        };
+    });
+    
+    return {
+        standard: 'ANSI/IEEE C37.010',
+        symmetricalCurrent: symmetricalCurrent,
+        xrRatio: xrRatio,
+        remoteRatio: remoteRatio,
+        duties: duties
+    };
 }
 
 /**
@@ -383,16 +796,31 @@ function compareStandards(iecResults, ieeeResults) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         IEC_VOLTAGE_FACTORS,
+        IEC_60909_FACTORS,
         IEEE_MULTIPLYING_FACTORS,
         ANSI_C37_STANDARDS,
         getIECVoltageFactor,
         calculateIECImpedanceCorrection,
         getIEEEAsymmetryFactor,
         calculateFirstCycleAsymmetricalMultiplier,
+        calculateIECKappa,
         calculateIECPeakCurrent,
+        calculateIECTransformerCorrection,
+        calculateIECGeneratorCorrection,
+        calculateIECPowerStationCorrection,
+        getIECDecrementFactorMu,
+        getIECMotorFactorQ,
+        getIECSteadyStateFactorLambda,
+        calculateIECThermalFactors,
+        checkIECPickupSensitivity,
         calculateIEEEPeakCurrent,
         calculateIECShortCircuit,
         calculateIEEEShortCircuit,
+        getANSIMachineClass,
+        getANSIImpedanceMultiplier,
+        getC37RemoteMultiplyingFactor,
+        getC37LocalMultiplyingFactor,
+        calculateC37InterruptingDuty,
         verifyCalculationResults,
         compareStandards
     };
@@ -541,7 +541,16 @@ function gatherProjectData() {
             voltage: parseFloat(document.getElementById('systemVoltage')?.value) || 480,
             frequency: parseFloat(document.getElementById('systemFrequency')?.value) || 60,
             standard: document.getElementById('calcStandard')?.value || 'ieee',
-            components: components
+            iecPeakMethod: document.getElementById('iecPeakMethod')?.value || undefined,
+            iecMinTimeDelay: parseFloat(document.getElementById('iecMinTimeDelay')?.value) || undefined,
+            iecFaultDuration: parseFloat(document.getElementById('iecFaultDuration')?.value) || undefined,
+            iecMinimumStudy: document.getElementById('iecMinimumStudy')?.value === 'yes',
+            iecConductorEndTemperature: parseFloat(document.getElementById('iecConductorEndTemperature')?.value) || undefined,
+            shortCircuitTaps: document.getElementById('shortCircuitTaps')?.value || undefined,
+            components: components,
+            buses: typeof networkBuses !== 'undefined' && networkBuses ? networkBuses : undefined,
+            scenarios: typeof projectScenarios !== 'undefined' && projectScenarios ? projectScenarios : undefined,
+            dcSystem: typeof dcSystem !== 'undefined' && dcSystem ? dcSystem : undefined
         };
     }
     
@@ -589,6 +598,40 @@ function displayComprehensiveResults(results) {
             <h3 style="color: #1e3a8a; margin-bottom: 15px;">🔍 Comprehensive Analysis Results</h3>
     `;
     
+    // Operating scenarios (top-level results belong to the first scenario)
+    if (results.scenarios) {
+        html += `
+            <div style="margin-bottom: 20px;">
+                <h4 style="color: #0c4a6e;">🔀 Operating Scenarios</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Scenario</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Switching / Sources / Motors</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Max I<sub>3φ</sub> (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Max Incident Energy (cal/cm²)</th>
+                    </tr>
+        `;
+        
+        Object.values(results.scenarios).forEach(scenario => {
+            const states = scenario.componentStates.map(s => `${s.name}: ${s.state}`).join(', ');
+            const maxFault = scenario.success ? scenario.results.summary.maxFaultCurrent.toFixed(2) : `⚠️ ${scenario.error}`;
+            const maxEnergy = scenario.success ? scenario.results.summary.maxIncidentEnergy.toFixed(2) : '-';
+            const isBase = scenario.name === results.activeScenario ? ' (shown below)' : '';
+            html += `
+                <tr>
+                    <td style="padding: 8px; border: 1px solid #ddd;"><strong>${scenario.name}</strong>${isBase}<br><small>${scenario.description}</small></td>
+                    <td style="padding: 8px; border: 1px solid #ddd;"><small>${states}</small></td>
+                    <td style="padding: 8px; border: 1px solid #ddd;">${maxFault}</td>
+                    <td style="padding: 8px; border: 1px solid #ddd;">${maxEnergy}</td>
+                </tr>
+            `;
+        });
+        
+        html += `</table>
+                <p style="margin-top: 8px;"><strong>Worst case:</strong> ${results.summary.worstCaseScenario} (${results.summary.worstCaseFaultCurrent.toFixed(2)} kA)</p>
+            </div>`;
+    }
+    
     // Short Circuit Results
     if (results.shortCircuit && results.shortCircuit.length > 0) {
         html += `
@@ -614,7 +657,393 @@ function displayComprehensiveResults(results) {
             `;
         });
         
-        html += `</table></div>`;
+        html += `</table>`;
+        
+        // IEC 60909-0 currents (projects calculated to IEC)
+        if (results.shortCircuit.some(scResult => scResult.iec)) {
+            const iecMethod = results.shortCircuit.find(scResult => scResult.iec).iec;
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">📐 IEC 60909-0 (ip method ${iecMethod.peakMethod}, tmin = ${iecMethod.minTimeDelay} s, Tk = ${iecMethod.faultDuration} s)</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">I"<sub>k</sub> (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">κ</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">i<sub>p</sub> (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">I<sub>b</sub> (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">I<sub>k</sub> (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">I<sub>th</sub> (kA)</th>
+                    </tr>
+            `;
+            results.shortCircuit.filter(scResult => scResult.iec).forEach(scResult => {
+                const iec = scResult.iec;
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${(iec.symmetricalCurrent / 1000).toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${iec.kappa.toFixed(3)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${(iec.peakCurrent / 1000).toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${(iec.breakingCurrent / 1000).toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${(iec.steadyStateCurrent / 1000).toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${(iec.thermalCurrent / 1000).toFixed(2)}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // Generator fault current decrement
+        if (results.shortCircuit.some(scResult => scResult.generatorDecrement)) {
+            const times = [0, 0.1, 0.5, 1, 2, 5];
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">📉 Generator Fault Current Decrement (symmetrical kA)</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        ${times.map(time => `<th style="padding: 8px; border: 1px solid #ddd;">${time} s</th>`).join('')}
+                        <th style="padding: 8px; border: 1px solid #ddd;">Below Pickup</th>
+                    </tr>
+            `;
+            results.shortCircuit.filter(scResult => scResult.generatorDecrement).forEach(scResult => {
+                const decrement = scResult.generatorDecrement;
+                const pickup = decrement.generators.filter(gen => gen.pickupTime !== null)
+                    .map(gen => `${gen.name}: ${isFinite(gen.pickupTime) ? gen.pickupTime.toFixed(2) + ' s ⚠️' : 'never ✓'}`).join('<br>');
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.busName}</td>
+                        ${times.map(time => {
+                            const point = decrement.curve.find(entry => entry.time === time);
+                            return `<td style="padding: 8px; border: 1px solid #ddd;">${point ? point.symmetricalKA.toFixed(2) : '—'}</td>`;
+                        }).join('')}
+                        <td style="padding: 8px; border: 1px solid #ddd;">${pickup || '—'}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // Inverter-based sources: current-limited injection per fault type
+        const inverterFaults = results.shortCircuit.filter(scResult => scResult.faultCurrentsKA.inverterContribution > 0);
+        if (inverterFaults.length > 0) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">🔆 Inverter-Based Source Contribution</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">3Ø Added (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Inverter</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">I1 / I2 at Terminals (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Terminal V1 (pu)</th>
+                    </tr>
+            `;
+            inverterFaults.forEach(scResult => {
+                scResult.sequence.faults.threePhase.inverters.forEach((inverter, index) => {
+                    html += `
+                        <tr>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${index === 0 ? scResult.busName : ''}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${index === 0 ? scResult.faultCurrentsKA.inverterContribution.toFixed(3) : ''}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${inverter.name}${inverter.resourceType ? ` (${inverter.resourceType.toUpperCase()})` : ''}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${inverter.positiveKA.toFixed(3)} / ${inverter.negativeKA.toFixed(3)}${inverter.currentLimited ? ' (limit)' : ''}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${inverter.terminalVoltagePU.toFixed(3)}</td>
+                        </tr>
+                    `;
+                });
+            });
+            html += `</table>`;
+        }
+        
+        // DC system short circuit (IEC 61660-1)
+        if (results.dcShortCircuit && results.dcShortCircuit.length > 0) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">🔋 DC Short Circuit (IEC 61660-1)</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">DC Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Voltage (V)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Peak ip (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Time to Peak (ms)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">τ1 / τ2 (ms)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Quasi-Steady Ik (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Sources (ip kA)</th>
+                    </tr>
+            `;
+            results.dcShortCircuit.forEach(dcResult => {
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${dcResult.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${dcResult.voltage}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${dcResult.peakCurrentKA.toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${dcResult.timeToPeakMs.toFixed(1)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${dcResult.riseTimeConstantMs.toFixed(2)} / ${dcResult.decayTimeConstantMs.toFixed(1)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${dcResult.quasiSteadyCurrentKA.toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${dcResult.sources.map(source => `${source.name}: ${source.peakCurrentKA.toFixed(2)}`).join('<br>') || '—'}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // Capacitor bank back-to-back switching (IEEE C37.012)
+        if (results.capacitorSwitching && results.capacitorSwitching.length > 0) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">🔌 Capacitor Bank Switching (IEEE C37.012)</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bank</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Steps × MVAR</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Inrush Peak (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Frequency (kHz)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Breaker Rating</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Status</th>
+                    </tr>
+            `;
+            results.capacitorSwitching.forEach(bank => {
+                const status = !bank.worst ? 'Isolated switching' :
+                    (bank.check.withinCapability ? '✓ Within rating' : `✗ Exceeded - add ${bank.recommendedReactor} µH/step reactor`);
+                html += `
+                    <tr${bank.check && !bank.check.withinCapability ? ' style="background: #fef2f2;"' : ''}>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${bank.name}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${bank.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${bank.steps} × ${bank.stepMVAR.toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${bank.worst ? bank.worst.peakKA.toFixed(2) : '—'}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${bank.worst ? bank.worst.frequencyKHz.toFixed(2) : '—'}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${bank.capability.peakKA} kA / ${bank.capability.frequencyKHz} kHz</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${status}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // Fault level at both ends of the transformer tap ranges
+        if (results.shortCircuit.some(scResult => scResult.tapEnvelope)) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">🔀 Transformer Tap Envelope</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Maximum 3Φ (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Minimum 3Φ (kA)</th>
+                    </tr>
+            `;
+            results.shortCircuit.filter(scResult => scResult.tapEnvelope).forEach(scResult => {
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.tapEnvelope.maximumKA.toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.tapEnvelope.minimumKA.toFixed(2)}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // Capacitor outrush into faults
+        if (results.shortCircuit.some(scResult => scResult.capacitorOutrush)) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">⚡ Capacitor Outrush into Faults</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Faulted Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Total Outrush Peak (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Banks (kA peak at kHz)</th>
+                    </tr>
+            `;
+            results.shortCircuit.filter(scResult => scResult.capacitorOutrush).forEach(scResult => {
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.capacitorOutrush.peakKA.toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.capacitorOutrush.banks.map(bank => `${bank.name}: ${bank.peakKA.toFixed(2)} at ${bank.frequencyKHz.toFixed(2)}`).join('<br>')}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // Current-limiting reactor sizing
+        if (results.reactorSizing && results.reactorSizing.length > 0) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">🌀 Current-Limiting Reactor Sizing</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Reactor</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Target Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Target / Without (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Required X</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Limited (kA)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Load ΔV / Losses</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">As Entered</th>
+                    </tr>
+            `;
+            results.reactorSizing.forEach(reactor => {
+                const required = !reactor.achievable ? `Not achievable (min ${reactor.minimumKA.toFixed(2)} kA)` :
+                    `${reactor.requiredOhms.toFixed(3)} Ω${reactor.requiredPercent !== null ? ` (${reactor.requiredPercent.toFixed(2)}%)` : ''}`;
+                html += `
+                    <tr${!reactor.meetsTarget ? ' style="background: #fef2f2;"' : ''}>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${reactor.name}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${reactor.targetBusName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${reactor.targetKA} / ${reactor.withoutReactorKA.toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${required}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${reactor.limitedKA !== null ? reactor.limitedKA.toFixed(2) : '—'}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${reactor.loadEffect ? `${reactor.loadEffect.voltageDropPercent.toFixed(2)}% / ${reactor.loadEffect.lossesKW.toFixed(1)} kW at ${reactor.loadCurrent.toFixed(0)} A` : '—'}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${reactor.enteredOhms.toFixed(3)} Ω, ${reactor.enteredKA.toFixed(2)} kA ${reactor.meetsTarget ? '✓' : '✗'}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // IEEE C37 cycle-specific duties (first-cycle, interrupting, 30-cycle networks)
+        if (results.shortCircuit.some(scResult => scResult.cycleDuties)) {
+            const dutyCell = (duty, field) => `<td style="padding: 8px; border: 1px solid #ddd;">${duty ? duty[field].toFixed(2) : '—'}</td>`;
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">⏱️ IEEE C37 Cycle Duties (kA)</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">First-Cycle Sym</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">First-Cycle Asym</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">First-Cycle Peak</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Interrupting Sym</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">30-Cycle Sym</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Motors (1st / Int)</th>
+                    </tr>
+            `;
+            results.shortCircuit.filter(scResult => scResult.cycleDuties).forEach(scResult => {
+                const duties = scResult.cycleDuties;
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.busName}</td>
+                        ${dutyCell(duties.firstCycle, 'symmetricalKA')}
+                        ${dutyCell(duties.firstCycle, 'asymmetricalKA')}
+                        ${dutyCell(duties.firstCycle, 'peakKA')}
+                        ${dutyCell(duties.interrupting, 'symmetricalKA')}
+                        ${dutyCell(duties.thirtyCycle, 'symmetricalKA')}
+                        <td style="padding: 8px; border: 1px solid #ddd;">${duties.firstCycle ? duties.firstCycle.motorCurrentKA.toFixed(2) : '—'} / ${duties.interrupting ? duties.interrupting.motorCurrentKA.toFixed(2) : '—'}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // ANSI C37.010 interrupting duty at MV buses (E/X method)
+        if (results.shortCircuit.some(scResult => scResult.ansi)) {
+            const contactPartingTimes = results.shortCircuit.find(scResult => scResult.ansi).ansi.duties.map(duty => duty.contactPartingTime);
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">🔌 Breaker Interrupting Duty (ANSI C37.010 E/X method, kA)</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">E/X</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">X/R</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">NACD</th>
+                        ${contactPartingTimes.map(time => `<th style="padding: 8px; border: 1px solid #ddd;">${time} cycle parting</th>`).join('')}
+                    </tr>
+            `;
+            results.shortCircuit.filter(scResult => scResult.ansi).forEach(scResult => {
+                const ansi = scResult.ansi;
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${(ansi.symmetricalCurrent / 1000).toFixed(2)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${ansi.xrRatio.toFixed(1)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${ansi.remoteRatio.toFixed(2)}</td>
+                        ${ansi.duties.map(duty => `<td style="padding: 8px; border: 1px solid #ddd;">${(duty.interruptingCurrent / 1000).toFixed(2)} (MF ${duty.multiplyingFactor.toFixed(3)})</td>`).join('')}
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+            
+            if (results.breakerDuty && results.breakerDuty.length > 0) {
+                html += `
+                    <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                        <tr style="background: #f0f9ff; font-weight: 600;">
+                            <th style="padding: 8px; border: 1px solid #ddd;">Breaker</th>
+                            <th style="padding: 8px; border: 1px solid #ddd;">Contact Parting (cycles)</th>
+                            <th style="padding: 8px; border: 1px solid #ddd;">Duty (kA)</th>
+                            <th style="padding: 8px; border: 1px solid #ddd;">Rating (kA)</th>
+                            <th style="padding: 8px; border: 1px solid #ddd;">Utilization</th>
+                        </tr>
+                        ${results.breakerDuty.map(check => `
+                            <tr${check.adequate ? '' : ' style="background: #fee2e2;"'}>
+                                <td style="padding: 8px; border: 1px solid #ddd;">${check.name}</td>
+                                <td style="padding: 8px; border: 1px solid #ddd;">${check.contactPartingTime}</td>
+                                <td style="padding: 8px; border: 1px solid #ddd;">${check.interruptingDuty.toFixed(2)}</td>
+                                <td style="padding: 8px; border: 1px solid #ddd;">${check.interruptingRating}</td>
+                                <td style="padding: 8px; border: 1px solid #ddd;">${check.utilization.toFixed(0)}% ${check.adequate ? '✓' : '⚠️ Exceeded'}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                `;
+            }
+        }
+        
+        // IEC 60909-0 minimum/maximum envelope for relay pickup checks
+        if (results.shortCircuit.some(scResult => scResult.envelope)) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">↕️ Short-Circuit Envelope (IEC 60909-0 max / min, kA)</h4>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">3-Phase</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">L-G</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">L-L</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">2L-G</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">I<sub>k min</sub></th>
+                    </tr>
+            `;
+            results.shortCircuit.filter(scResult => scResult.envelope).forEach(scResult => {
+                const envelope = scResult.envelope;
+                const range = type => envelope.maxKA[type] !== undefined
+                    ? `${envelope.maxKA[type].toFixed(2)} / ${envelope.minKA[type].toFixed(2)}`
+                    : '-';
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${scResult.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${range('threePhase')}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${range('lineToGround')}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${range('lineToLine')}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${range('doubleLineToGround')}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${envelope.minSteadyStateKA.toFixed(2)}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+        }
+        
+        // Branch and source contributions for a selected faulted bus
+        if (results.shortCircuit.some(scResult => scResult.contributions && scResult.contributions.length > 0)) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">➡️ Fault Contributions</h4>
+                <select id="faultContributionBus" onchange="showFaultContributions(this.value)" style="margin-top: 8px;">
+                    ${results.shortCircuit.map((scResult, index) => `<option value="${index}">${scResult.busName}</option>`).join('')}
+                </select>
+                <div id="faultContributionTable"></div>
+                <div id="faultContributionDiagram" style="margin-top: 10px;"></div>
+            `;
+        }
+        
+        // Retained voltages at every bus for a selected faulted bus and fault type
+        if (results.shortCircuit.some(scResult => scResult.sequence)) {
+            html += `
+                <h4 style="color: #0c4a6e; margin-top: 15px;">📊 Fault Voltage Profile</h4>
+                <select id="faultVoltageProfileBus" onchange="showFaultVoltageProfile()" style="margin-top: 8px;">
+                    ${results.shortCircuit.map((scResult, index) => `<option value="${index}">${scResult.busName}</option>`).join('')}
+                </select>
+                <select id="faultVoltageProfileType" onchange="showFaultVoltageProfile()" style="margin-top: 8px;">
+                    <option value="threePhase">Three-phase</option>
+                    <option value="lineToGround">Line-to-ground</option>
+                    <option value="lineToLine">Line-to-line</option>
+                    <option value="doubleLineToGround">Double line-to-ground</option>
+                </select>
+                <div id="faultVoltageProfileTable" style="margin-top: 10px;"></div>
+                <div style="height: 300px; margin-top: 10px;"><canvas id="faultVoltageProfileCanvas"></canvas></div>
+            `;
+        }
+        
+        html += `</div>`;
     }
     
     // Motor Contribution
@@ -644,6 +1073,15 @@ function displayComprehensiveResults(results) {
         `;
         
         results.voltageDrop.forEach(vdResult => {
+            if (vdResult.energized === false) {
+                html += `
+                    <tr>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${vdResult.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;" colspan="3">De-energized</td>
+                    </tr>
+                `;
+                return;
+            }
             const compliance = vdResult.compliance?.nec ? '✓ Pass' : '✗ Fail';
             html += `
                 <tr>
@@ -655,7 +1093,67 @@ function displayComprehensiveResults(results) {
             `;
         });
         
-        html += `</table></div>`;
+        html += `</table>`;
+        
+        // Load flow summary (branch flows, losses, overloads)
+        if (results.loadFlow) {
+            const loadFlow = results.loadFlow;
+            html += `
+                <p style="margin-top: 10px;"><strong>Load Flow:</strong> ${loadFlow.converged ? `converged (${loadFlow.method}, ${loadFlow.iterations} iterations)` : '⚠️ did not converge'}
+                    &nbsp;|&nbsp; <strong>Losses:</strong> ${(loadFlow.losses.mw * 1000).toFixed(1)} kW, ${(loadFlow.losses.mvar * 1000).toFixed(1)} kvar</p>
+                <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                    <tr style="background: #f0f9ff; font-weight: 600;">
+                        <th style="padding: 8px; border: 1px solid #ddd;">Branch</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">From → To</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">P (kW)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Q (kvar)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Current (A)</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Loading (%)</th>
+                    </tr>
+            `;
+            loadFlow.branches.forEach(branch => {
+                const loading = branch.loadingPercent !== null ? branch.loadingPercent.toFixed(1) : '-';
+                html += `
+                    <tr${branch.overloaded ? ' style="background: #fee2e2;"' : ''}>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${branch.name}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${branch.fromBus} → ${branch.toBus}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${(branch.pFromMW * 1000).toFixed(1)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${(branch.qFromMVAR * 1000).toFixed(1)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${Math.max(branch.currentFromA, branch.currentToA).toFixed(1)}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${branch.overloaded ? '⚠️ ' : ''}${loading}</td>
+                    </tr>
+                `;
+            });
+            html += `</table>`;
+            
+            // On-load tap changer positions
+            if (loadFlow.tapChangers && loadFlow.tapChangers.length > 0) {
+                html += `
+                    <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+                        <tr style="background: #f0f9ff; font-weight: 600;">
+                            <th style="padding: 8px; border: 1px solid #ddd;">On-Load Tap Changer</th>
+                            <th style="padding: 8px; border: 1px solid #ddd;">Regulated Bus</th>
+                            <th style="padding: 8px; border: 1px solid #ddd;">Tap (%)</th>
+                            <th style="padding: 8px; border: 1px solid #ddd;">Target (pu)</th>
+                            <th style="padding: 8px; border: 1px solid #ddd;">Voltage (pu)</th>
+                        </tr>
+                `;
+                loadFlow.tapChangers.forEach(changer => {
+                    html += `
+                        <tr${changer.regulated ? '' : ' style="background: #fef3c7;"'}>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${changer.name}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${changer.busName}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${changer.tapPercent > 0 ? '+' : ''}${changer.tapPercent}${changer.atLimit ? ' (limit)' : ''}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${changer.targetPU.toFixed(3)}</td>
+                            <td style="padding: 8px; border: 1px solid #ddd;">${changer.voltagePU !== null ? changer.voltagePU.toFixed(3) : '-'}</td>
+                        </tr>
+                    `;
+                });
+                html += `</table>`;
+            }
+        }
+        
+        html += `</div>`;
     }
     
     // Arc Flash Results
@@ -666,6 +1164,7 @@ function displayComprehensiveResults(results) {
                 <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
                     <tr style="background: #f0f9ff; font-weight: 600;">
                         <th style="padding: 8px; border: 1px solid #ddd;">Bus</th>
+                        <th style="padding: 8px; border: 1px solid #ddd;">Method</th>
                         <th style="padding: 8px; border: 1px solid #ddd;">Incident Energy (cal/cm²)</th>
                         <th style="padding: 8px; border: 1px solid #ddd;">AFB (mm)</th>
                         <th style="padding: 8px; border: 1px solid #ddd;">PPE Category</th>
@@ -677,7 +1176,8 @@ function displayComprehensiveResults(results) {
                 const ppeCategory = afResult.ppe?.category || 'N/A';
                 html += `
                     <tr>
-                        <td style="padding: 8px; border: 1px solid #ddd;">${afResult.busName}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${afResult.busName}${afResult.systemType === 'DC' ? ' (DC)' : ''}</td>
+                        <td style="padding: 8px; border: 1px solid #ddd;">${afResult.method || 'N/A'}</td>
                         <td style="padding: 8px; border: 1px solid #ddd;">${(afResult.incidentEnergy || 0).toFixed(2)}</td>
                         <td style="padding: 8px; border: 1px solid #ddd;">${(afResult.arcFlashBoundary || 0).toFixed(0)}</td>
                         <td style="padding: 8px; border: 1px solid #ddd;">${ppeCategory}</td>
@@ -703,6 +1203,77 @@ function displayComprehensiveResults(results) {
     
     html += `</div>`;
     container.innerHTML = html;
+    
+    displayedShortCircuitResults = results.shortCircuit || [];
+    if (document.getElementById('faultContributionBus')) {
+        showFaultContributions(0);
+    }
+    if (document.getElementById('faultVoltageProfileBus')) {
+        showFaultVoltageProfile();
+    }
+}
+
+/**
+ * Show the retained voltage profile for the selected faulted bus and fault type
+ */
+function showFaultVoltageProfile() {
+    const scResult = displayedShortCircuitResults[document.getElementById('faultVoltageProfileBus').value];
+    const faultType = document.getElementById('faultVoltageProfileType').value;
+    if (!scResult || !scResult.sequence) {
+        document.getElementById('faultVoltageProfileTable').innerHTML = '<p>Bus de-energized</p>';
+        return;
+    }
+    
+    const profile = scResult.sequence.faults[faultType].voltageProfile;
+    createFaultVoltageProfileTable(profile, 'faultVoltageProfileTable');
+    if (typeof Chart !== 'undefined') {
+        createFaultVoltageProfileChart(profile, 'faultVoltageProfileCanvas');
+    }
+}
+
+/**
+ * Short-circuit results shown in the comprehensive results (for the contribution selector)
+ */
+let displayedShortCircuitResults = [];
+
+/**
+ * Show the branch and source contributions for one faulted bus as a table and on the system diagram
+ */
+function showFaultContributions(index) {
+    const scResult = displayedShortCircuitResults[index];
+    const tableContainer = document.getElementById('faultContributionTable');
+    if (!scResult || !tableContainer) return;
+    
+    let html = `
+        <table style="width: 100%; border-collapse: collapse; margin-top: 10px;">
+            <tr style="background: #f0f9ff; font-weight: 600;">
+                <th style="padding: 8px; border: 1px solid #ddd;">Contribution</th>
+                <th style="padding: 8px; border: 1px solid #ddd;">Direction</th>
+                <th style="padding: 8px; border: 1px solid #ddd;">Current (kA)</th>
+                <th style="padding: 8px; border: 1px solid #ddd;">Angle (°)</th>
+            </tr>
+    `;
+    (scResult.contributions || []).forEach(contribution => {
+        const direction = contribution.element === 'source'
+            ? `Source → ${contribution.toBus}`
+            : `${contribution.fromBus} → ${contribution.toBus}`;
+        html += `
+            <tr>
+                <td style="padding: 8px; border: 1px solid #ddd;">${contribution.name} (${contribution.type})</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${direction}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${contribution.currentKA.toFixed(3)}</td>
+                <td style="padding: 8px; border: 1px solid #ddd;">${contribution.angleDeg.toFixed(1)}</td>
+            </tr>
+        `;
+    });
+    html += `</table>`;
+    tableContainer.innerHTML = html;
+    
+    const orchestrator = window.calculationOrchestrator;
+    const topology = orchestrator && orchestrator.state.topology;
+    if (topology && topology.busSystem && typeof drawSystemDiagram !== 'undefined') {
+        drawSystemDiagram(topology.busSystem, 'faultContributionDiagram', scResult);
+    }
 }
 
 /**
@@ -794,6 +1365,8 @@ if (typeof module !== 'undefined' && module.exports) {
         showToast,
         displayShortCircuitResults,
         displayArcFlashResults,
-        displayVoltageDropResults
+        displayVoltageDropResults,
+        showFaultContributions,
+        showFaultVoltageProfile
     };
 }
@@ -43,11 +43,41 @@ function calculateMultiBusThevenin(buses, sourceVoltage) {
 
 /**
  * Build impedance matrix (Z-bus)
+ * When the BusSystem was produced by a TopologyManager and the nodal solver is loaded,
+ * returns the true Z-bus (inverse of Y-bus) in Ω.
+ * Otherwise falls back to the legacy approximation (bus series impedance on the
+ * diagonal, branch impedance off-diagonal), which is only meaningful for radial chains.
  */
 function buildImpedanceMatrix(busSystem) {
     const buses = busSystem.getAllBuses();
     const n = buses.length;
     
+    if (busSystem.topologyManager && typeof solveNetwork !== 'undefined') {
+        const topologyManager = busSystem.topologyManager;
+        const network = solveNetwork(buildNetworkModel({
+            topologyManager: topologyManager,
+            buses: topologyManager.getAllBuses(),
+            components: topologyManager.components
+        }));
+        const baseMVA = network.model.baseMVA;
+        
+        const matrix = buses.map(busA => buses.map(busB => {
+            const zPU = network.getTransferImpedance(busA.id, busB.id);
+            if (!zPU) {
+                return { r: 0, x: 0 };
+            }
+            // Ohmic base Va·Vb/S (reduces to V²/S on the diagonal)
+            const zBase = (busA.voltage * busB.voltage) / (baseMVA * 1e6);
+            return { r: zPU.re * zBase, x: zPU.im * zBase };
+        }));
+        
+        return {
+            matrix: matrix,
+            buses: buses.map(b => ({ id: b.id, name: b.name })),
+            method: 'nodal'
+        };
+    }
+    
     // Initialize Z-bus matrix
     const zMatrix = Array(n).fill(null).map(() => Array(n).fill({ r: 0, x: 0 }));
     
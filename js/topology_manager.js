@@ -14,6 +14,7 @@ class TopologyManager {
         this.connections = [];
         this.components = [];
         this.nextBusId = 1;
+        this.frequency = 60;
     }
     
     /**
@@ -55,10 +56,12 @@ class TopologyManager {
     
     /**
      * Add component with fromBus/toBus connectivity
+     * Three-winding transformers also name their tertiary bus; they connect the primary to both other buses.
      */
-    addComponent(component, fromBusId, toBusId) {
+    addComponent(component, fromBusId, toBusId, tertiaryBusId = null) {
         const fromBus = this.getBus(fromBusId);
         const toBus = toBusId ? this.getBus(toBusId) : null;
+        const tertiaryBus = tertiaryBusId ? this.getBus(tertiaryBusId) : null;
         
         if (!fromBus) {
             throw new Error(`FromBus ${fromBusId} not found for component ${component.name}`);
@@ -71,117 +74,189 @@ class TopologyManager {
             fromBusName: fromBus.name,
             toBusName: toBus ? toBus.name : null
         };
+        if (tertiaryBus) {
+            componentWithTopology.tertiaryBus = tertiaryBusId;
+            componentWithTopology.tertiaryBusName = tertiaryBus.name;
+        }
         
         this.components.push(componentWithTopology);
         fromBus.components.push(componentWithTopology);
         
-        if (toBus) {
-            toBus.components.push(componentWithTopology);
+        [toBus, tertiaryBus].filter(bus => bus).forEach(bus => {
+            bus.components.push(componentWithTopology);
             
             // Add connection if not already present
-            if (!fromBus.connectedBuses.includes(toBusId)) {
-                fromBus.connectedBuses.push(toBusId);
+            if (!fromBus.connectedBuses.includes(bus.id)) {
+                fromBus.connectedBuses.push(bus.id);
             }
-            if (!toBus.connectedBuses.includes(fromBusId)) {
-                toBus.connectedBuses.push(fromBusId);
+            if (!bus.connectedBuses.includes(fromBusId)) {
+                bus.connectedBuses.push(fromBusId);
             }
             
             this.connections.push({
                 fromBus: fromBusId,
-                toBus: toBusId,
+                toBus: bus.id,
                 component: componentWithTopology
             });
-        }
+        });
         
         return componentWithTopology;
     }
     
     /**
      * Build topology from project data
+     * Accepts the explicit network format (bus list with nominal voltages, branches naming
+     * fromBus/toBus, shunt elements naming their bus); the sequential format is converted first.
      */
     buildFromProject(projectData) {
         this.reset();
+        this.frequency = projectData.frequency || 60;
+        
+        const network = this.isNetworkFormat(projectData) ? projectData : this.convertSequentialProject(projectData);
+        
+        const declaredTypes = new Map();
+        network.buses.forEach(busData => {
+            if (this.getBusByName(busData.name)) {
+                throw new Error(`Duplicate bus name: ${busData.name}`);
+            }
+            if (!busData.voltage || busData.voltage <= 0) {
+                throw new Error(`Bus ${busData.name}: invalid nominal voltage (${busData.voltage} V)`);
+            }
+            const bus = this.addBus(busData.name, busData.voltage, busData.type || 'load');
+            declaredTypes.set(bus.id, busData.type);
+        });
+        
+        (network.components || []).forEach((component, index) => {
+            const label = component.name || `${component.type} ${index + 1}`;
+            
+            const loadedTertiary = component.type === 'autotransformer' &&
+                component.tertiaryBus !== undefined && component.tertiaryBus !== null;
+            if (component.type === 'transformer_3w' || loadedTertiary) {
+                // Three-winding transformer or autotransformer with a loaded tertiary: primary, secondary and tertiary buses
+                const fromBus = this.resolveBus(component.fromBus, label);
+                const toBus = this.resolveBus(component.toBus, label);
+                const tertiaryBus = this.resolveBus(component.tertiaryBus, label);
+                this.addComponent(component, fromBus.id, toBus.id, tertiaryBus.id);
+                return;
+            }
+            
+            if (component.toBus !== undefined && component.toBus !== null) {
+                // Branch between two buses
+                const fromBus = this.resolveBus(component.fromBus, label);
+                const toBus = this.resolveBus(component.toBus, label);
+                this.addComponent(component, fromBus.id, toBus.id);
+                return;
+            }
+            
+            // Shunt element (source, motor, load, grounding) or in-bus feeder cable
+            const bus = this.resolveBus(component.bus !== undefined ? component.bus : component.fromBus, label);
+            this.addComponent(component, bus.id, null);
+            
+            // Buses hosting a source are source buses unless declared otherwise
+            const isSource = component.type && (component.type.startsWith('utility') || component.type === 'generator');
+            if (isSource && !declaredTypes.get(bus.id)) {
+                bus.type = 'source';
+            }
+        });
         
+        // Build bus system for compatibility
+        const busSystem = this.toBusSystem();
+        
+        return {
+            topologyManager: this,
+            busSystem: busSystem,
+            buses: Array.from(this.buses.values()),
+            connections: this.connections,
+            components: this.components
+        };
+    }
+    
+    /**
+     * Check whether project data uses the explicit bus/branch network format
+     */
+    isNetworkFormat(projectData) {
+        return Array.isArray(projectData.buses) && projectData.buses.length > 0;
+    }
+    
+    /**
+     * Find a bus referenced by name (or numeric ID) in the network format
+     */
+    resolveBus(reference, componentLabel) {
+        const bus = this.getBusByName(reference) || (typeof reference === 'number' ? this.getBus(reference) : null);
+        if (!bus) {
+            throw new Error(`Component ${componentLabel}: bus '${reference}' not found`);
+        }
+        return bus;
+    }
+    
+    /**
+     * Convert a sequential project (components chained in order) to the explicit network format
+     * Each transformer, and each cable, overhead line or busway with createsBus or toBus, starts a new
+     * bus fed from the previous one; every other component sits on the current bus.
+     */
+    convertSequentialProject(projectData) {
         const components = projectData.components || [];
+        const buses = [];
+        const converted = [];
         
-        // Create source bus
-        const sourceVoltage = projectData.voltage || 13800;
-        const sourceBus = this.addBus('Source', sourceVoltage, 'source');
+        const addBus = (name, voltage, type) => {
+            // Bus names identify buses in the network format
+            let uniqueName = name;
+            let suffix = 2;
+            while (buses.some(bus => bus.name === uniqueName)) {
+                uniqueName = `${name} (${suffix++})`;
+            }
+            buses.push({ name: uniqueName, voltage: voltage, type: type });
+            return uniqueName;
+        };
         
-        let currentBusId = sourceBus.id;
+        // Source bus at the utility voltage (projectData.voltage is the fault location voltage)
+        const utility = components.find(c => c.type && c.type.startsWith('utility'));
+        const sourceVoltage = (utility && this.getSourceVoltage(utility)) || projectData.voltage || 13800;
+        let currentBus = addBus('Source', sourceVoltage, 'source');
         let currentVoltage = sourceVoltage;
         
-        // Process components and create topology
         components.forEach((component, index) => {
-            if (component.type === 'utility') {
-                // Utility source stays at source bus
-                this.addComponent(component, currentBusId, null);
-                
-            } else if (component.type === 'transformer') {
-                // Create new bus at secondary voltage
+            const { fromBus, toBus, bus, ...data } = component;
+            
+            if (component.type === 'transformer_3w') {
+                throw new Error(`Three-winding transformer ${component.name || index + 1} needs the bus/branch project format (fromBus, toBus, tertiaryBus)`);
+            }
+            if (component.type === 'autotransformer' && component.tertiaryBus) {
+                throw new Error(`Autotransformer ${component.name || index + 1} with a loaded tertiary needs the bus/branch project format`);
+            }
+            
+            if (component.type === 'transformer' || component.type === 'autotransformer') {
+                // New bus at secondary voltage
                 const secondaryVoltage = (component.secondaryV || component.voltage || 480) * 
                     (component.secondaryV ? 1000 : 1); // Convert kV to V if needed
+                const secondaryBus = addBus(component.name || `Bus ${index + 1}`, secondaryVoltage, 'load');
                 
-                const secondaryBus = this.addBus(
-                    component.name || `Bus ${index + 1}`,
-                    secondaryVoltage,
-                    'load'
-                );
-                
-                // Add transformer connecting buses
-                this.addComponent(component, currentBusId, secondaryBus.id);
-                
-                // Update current bus
-                currentBusId = secondaryBus.id;
+                converted.push({ ...data, fromBus: currentBus, toBus: secondaryBus });
+                currentBus = secondaryBus;
                 currentVoltage = secondaryVoltage;
                 
-            } else if (component.type === 'cable') {
-                // Cable typically doesn't create a new bus, just adds impedance
-                // But we can create a bus at the end if needed
+            } else if (['cable', 'overhead_line', 'busway'].includes(component.type) && (toBus || component.createsBus)) {
                 const cableVoltage = component.voltage || currentVoltage;
                 
-                if (component.toBus) {
-                    // Explicit toBus specified
-                    let toBus = this.getBusByName(component.toBus);
-                    if (!toBus) {
-                        toBus = this.addBus(component.toBus, cableVoltage, 'load');
-                    }
-                    this.addComponent(component, currentBusId, toBus.id);
-                    currentBusId = toBus.id;
-                } else if (component.createsBus) {
-                    // Cable creates a new bus
-                    const cableBus = this.addBus(
-                        component.name || `Bus ${index + 1}`,
-                        cableVoltage,
-                        'load'
-                    );
-                    this.addComponent(component, currentBusId, cableBus.id);
-                    currentBusId = cableBus.id;
-                } else {
-                    // Cable on current bus
-                    this.addComponent(component, currentBusId, null);
-                }
+                // Explicit toBus joins an existing bus of that name
+                let cableBus = toBus ? buses.find(b => b.name === toBus) : null;
+                cableBus = cableBus ? cableBus.name
+                    : addBus(toBus || component.name || `Bus ${index + 1}`, cableVoltage, 'load');
                 
-            } else if (component.type === 'generator' || component.type === 'motor' || 
-                       component.type === 'motor_load') {
-                // Add to current bus
-                this.addComponent(component, currentBusId, null);
+                converted.push({ ...data, fromBus: currentBus, toBus: cableBus });
+                currentBus = cableBus;
                 
             } else {
-                // Other components - add to current bus
-                this.addComponent(component, currentBusId, null);
+                // Sources, motors, loads and in-bus cables stay on the current bus
+                converted.push({ ...data, bus: currentBus });
             }
         });
         
-        // Build bus system for compatibility
-        const busSystem = this.toBusSystem();
-        
         return {
-            topologyManager: this,
-            busSystem: busSystem,
-            buses: Array.from(this.buses.values()),
-            connections: this.connections,
-            components: this.components
+            ...projectData,
+            buses: buses,
+            components: converted
         };
     }
     
@@ -214,11 +289,143 @@ class TopologyManager {
         return powerUnit === 'kVA' ? (transformer.power || 1) / 1000 : (transformer.power || 1);
     }
     
+    /**
+     * Winding ratings and winding-pair impedance bases (MVA) of a three-winding transformer
+     * power, secondaryPower and tertiaryPower rate the windings (kVA with powerUnit 'kVA'); the secondary
+     * defaults to the primary rating and the tertiary to the secondary. Each pair impedance is on its own
+     * base (basePS, basePT, baseST), by default the smaller rating of the two windings.
+     */
+    getThreeWindingRatingsMVA(transformer) {
+        const scale = transformer.powerUnit === 'kVA' ? 1 / 1000 : 1;
+        const primary = (transformer.power || 1) * scale;
+        const secondary = (transformer.secondaryPower || transformer.power || 1) * scale;
+        const tertiary = (transformer.tertiaryPower || transformer.secondaryPower || transformer.power || 1) * scale;
+        const base = (given, a, b) => (given ? given * scale : Math.min(a, b));
+        return {
+            primary: primary,
+            secondary: secondary,
+            tertiary: tertiary,
+            primarySecondary: base(transformer.basePS, primary, secondary),
+            primaryTertiary: base(transformer.basePT, primary, tertiary),
+            secondaryTertiary: base(transformer.baseST, secondary, tertiary)
+        };
+    }
+    
+    /**
+     * Get source component voltage in V
+     * The unit is voltageUnit ('V' or 'kV') when given; otherwise project-file utilities ('utility')
+     * carry V and the calculator's utility entries (utility_isc/mva/impedance, entered in kV) carry kV.
+     * @throws {Error} Unknown unit, or a voltage outside 100 V - 1000 kV in the stated unit
+     */
+    getSourceVoltage(source) {
+        if (!source.voltage) {
+            return null;
+        }
+        const unit = source.voltageUnit || (source.type === 'utility' ? 'V' : 'kV');
+        const scale = { V: 1, kV: 1000 }[unit];
+        if (!scale) {
+            throw new Error(`Source ${source.name || source.type}: unknown voltage unit ${unit} (use V or kV)`);
+        }
+        const voltage = source.voltage * scale;
+        if (!(voltage >= 100 && voltage <= 1e6)) {
+            throw new Error(`Source ${source.name || source.type}: voltage ${source.voltage} ${unit} is not a system voltage (100 V - 1000 kV), check the unit`);
+        }
+        return voltage;
+    }
+    
+    /**
+     * Get cable impedance in ohms (total length, parallel sets per phase combined)
+     * Cables with a library size take R and X from their construction (cable_library.js). Otherwise
+     * resistance is entered at 20°C and corrected with the material's inferred zero-resistance temperature,
+     * R = R20·(T + θ)/(T + 20), T = 234.5 (copper) or 228 (aluminum). The conductor temperature θ is
+     * conductorTemperature, else operatingTemp, else 75°C.
+     * @param {string} sequence - 'positive' (default) or 'zero'; null for the zero sequence of a cable without r0/x0
+     */
+    getCableImpedanceOhms(cable, sequence = 'positive') {
+        const km = (cable.length || 0) / 1000;
+        const temperature = [cable.conductorTemperature, cable.operatingTemp, 75].find(t => t !== undefined && t !== null);
+        
+        if (cable.size !== undefined && typeof calculateCableImpedance !== 'undefined') {
+            const fromBus = this.getBus(cable.fromBus);
+            const perKm = calculateCableImpedance(cable, {
+                temperature: temperature,
+                frequency: this.frequency,
+                voltage: cable.voltage || (fromBus ? fromBus.voltage : null)
+            });
+            return sequence === 'zero'
+                ? { r: perKm.r0 * km, x: perKm.x0 * km }
+                : { r: perKm.r1 * km, x: perKm.x1 * km };
+        }
+        
+        const sets = Math.max(1, Math.round(cable.sets || 1));
+        const tempFactor = typeof getConductorTemperatureFactor !== 'undefined'
+            ? getConductorTemperatureFactor(cable.material, temperature)
+            : (234.5 + temperature) / (234.5 + 20); // Cable library not loaded: copper
+        if (sequence === 'zero') {
+            if (cable.r0 === undefined || cable.x0 === undefined) {
+                return null;
+            }
+            return { r: cable.r0 * km * tempFactor / sets, x: cable.x0 * km / sets };
+        }
+        return {
+            r: (cable.resistance || 0) * km * tempFactor / sets,
+            x: (cable.reactance || 0) * km / sets
+        };
+    }
+    
+    /**
+     * Get overhead line impedance in ohms from the tower geometry (overhead_line.js), length in km
+     * Conductor temperature is conductorTemperature, else operatingTemp, else the line default (50°C).
+     * @param {string} sequence - 'positive' (default) or 'zero'
+     */
+    getOverheadLineImpedanceOhms(line, sequence = 'positive') {
+        const km = line.length || 0;
+        const temperature = [line.conductorTemperature, line.operatingTemp].find(t => t !== undefined && t !== null);
+        const perKm = calculateOverheadLineImpedance(line, { temperature: temperature, frequency: this.frequency });
+        return sequence === 'zero'
+            ? { r: perKm.r0 * km, x: perKm.x0 * km }
+            : { r: perKm.r1 * km, x: perKm.x1 * km };
+    }
+    
+    /**
+     * Get busway impedance in ohms (busway_library.js), length in m
+     * Conductor temperature is conductorTemperature, else operatingTemp, else the busway default (75°C).
+     * @param {string} sequence - 'positive' (default) or 'zero' (phase plus three times the ground path)
+     */
+    getBuswayImpedanceOhms(busway, sequence = 'positive') {
+        const km = (busway.length || 0) / 1000;
+        const temperature = [busway.conductorTemperature, busway.operatingTemp].find(t => t !== undefined && t !== null);
+        const perKm = calculateBuswayImpedance(busway, { temperature: temperature });
+        return sequence === 'zero'
+            ? { r: perKm.r0 * km, x: perKm.x0 * km }
+            : { r: perKm.r1 * km, x: perKm.x1 * km };
+    }
+    
+    /**
+     * Get series reactor impedance in ohms per phase
+     * Reactance from ohms, or from % on the reactor rating (power in MVA, voltage in kV, bus voltage
+     * when not given); resistance from the X/R ratio, typically 100 for air-core reactors
+     */
+    getReactorImpedanceOhms(reactor, busVoltage) {
+        let x = 0;
+        if (reactor.ohms !== undefined) {
+            x = reactor.ohms;
+        } else if (reactor.reactance && reactor.power) {
+            const kV = reactor.voltage || busVoltage / 1000;
+            x = reactor.reactance / 100 * kV * kV / reactor.power;
+        }
+        return {
+            r: x / (reactor.xr || 100),
+            x: x
+        };
+    }
+    
     /**
      * Convert to BusSystem for compatibility
      */
     toBusSystem() {
         const busSystem = new BusSystem();
+        busSystem.topologyManager = this;
         
         // Create buses
         const busMap = new Map();
@@ -237,11 +444,22 @@ class TopologyManager {
                 fromBus.addComponent(comp);
                 
                 // Add impedance to bus if applicable
-                if (comp.type === 'cable' && comp.resistance && comp.reactance) {
-                    const length = comp.length || 0;
-                    const tempFactor = 1.216; // 75°C copper temperature correction
-                    fromBus.impedance.r += (comp.resistance * length / 1000) * tempFactor;
-                    fromBus.impedance.x += comp.reactance * length / 1000;
+                if (comp.type === 'cable' && (comp.size !== undefined || (comp.resistance && comp.reactance))) {
+                    const cableZ = this.getCableImpedanceOhms(comp);
+                    fromBus.impedance.r += cableZ.r;
+                    fromBus.impedance.x += cableZ.x;
+                }
+                
+                if (comp.type === 'overhead_line' && !comp.toBus) {
+                    const lineZ = this.getOverheadLineImpedanceOhms(comp);
+                    fromBus.impedance.r += lineZ.r;
+                    fromBus.impedance.x += lineZ.x;
+                }
+                
+                if (comp.type === 'busway' && !comp.toBus) {
+                    const buswayZ = this.getBuswayImpedanceOhms(comp);
+                    fromBus.impedance.r += buswayZ.r;
+                    fromBus.impedance.x += buswayZ.x;
                 }
                 
                 if (comp.type === 'utility') {
@@ -309,12 +527,11 @@ class TopologyManager {
                 let impedance = null;
                 
                 if (conn.component.type === 'cable') {
-                    const length = conn.component.length || 0;
-                    const tempFactor = 1.216;
-                    impedance = {
-                        r: (conn.component.resistance * length / 1000) * tempFactor,
-                        x: conn.component.reactance * length / 1000
-                    };
+                    impedance = this.getCableImpedanceOhms(conn.component);
+                } else if (conn.component.type === 'overhead_line') {
+                    impedance = this.getOverheadLineImpedanceOhms(conn.component);
+                } else if (conn.component.type === 'busway') {
+                    impedance = this.getBuswayImpedanceOhms(conn.component);
                 } else if (conn.component.type === 'transformer') {
                     const secondaryV = (conn.component.secondaryV || 0.48) * 1000;
                     const powerMVA = this.getTransformerPowerMVA(conn.component);
@@ -357,6 +574,23 @@ class TopologyManager {
             }
         });
         
+        // Transformer ratings must match the nominal voltages of the buses they connect
+        this.connections.forEach(conn => {
+            const comp = conn.component;
+            if (!['transformer', 'transformer_3w', 'autotransformer'].includes(comp.type)) return;
+            const toField = comp.tertiaryBus !== undefined && conn.toBus === comp.tertiaryBus ? 'tertiaryV' : 'secondaryV';
+            // The primary of a three-winding transformer is checked with its secondary connection only
+            const fields = toField === 'tertiaryV' ? [[toField, conn.toBus]] : [['primaryV', conn.fromBus], [toField, conn.toBus]];
+            fields.forEach(([field, busId]) => {
+                const bus = this.getBus(busId);
+                if (!comp[field] || !bus) return;
+                const mismatch = Math.abs(comp[field] * 1000 - bus.voltage) / bus.voltage;
+                if (mismatch > 0.05) {
+                    warnings.push(`Transformer ${comp.name || ''} ${field} ${comp[field]} kV does not match bus ${bus.name} nominal voltage ${bus.voltage} V`);
+                }
+            });
+        });
+        
         // Check for source bus
         let hasSourceBus = false;
         this.buses.forEach(bus => {
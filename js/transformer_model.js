@@ -49,6 +49,27 @@ class Transformer {
         this.tapPosition = config.tapPosition || 0; // ± percent
     }
     
+    /**
+     * Get parsed vector group
+     */
+    getVectorGroup() {
+        return parseVectorGroup(this.connectionType);
+    }
+    
+    /**
+     * Get secondary phase shift relative to primary (degrees)
+     */
+    getPhaseShift() {
+        return getVectorGroupPhaseShift(this.connectionType);
+    }
+    
+    /**
+     * Get zero-sequence connectivity
+     */
+    getZeroSequenceModel() {
+        return getVectorGroupZeroSequence(this.connectionType);
+    }
+    
     /**
      * Calculate transformer impedance in ohms (referred to secondary)
      */
@@ -233,34 +254,137 @@ function calculateInrushCurrent(transformer) {
     };
 }
 
+/**
+ * Typical zero-sequence impedance of a grounded zig-zag winding as a fraction of the
+ * positive-sequence leakage impedance (zero-sequence fluxes cancel between the two half-windings)
+ */
+const ZIGZAG_ZERO_SEQUENCE_RATIO = 0.1;
+
+/**
+ * Parse an IEC 60076-1 vector group (e.g. 'Dyn11', 'YNd1', 'YNyn0', 'Yzn11', 'ZNy5')
+ * @param {string} connectionType - Vector group, defaults to 'Dyn11'
+ * @returns {Object} { primary, secondary, clockNumber, vectorGroup }
+ *                   winding = { connection: 'D' | 'Y' | 'Z', grounded: boolean }
+ */
+function parseVectorGroup(connectionType) {
+    const vectorGroup = (connectionType || 'Dyn11').trim();
+    const match = /^(YN|ZN|Y|D|Z)(yn|zn|y|d|z)(\d{1,2})$/.exec(vectorGroup);
+    if (!match) {
+        throw new Error(`Unknown transformer vector group: ${vectorGroup}`);
+    }
+    
+    const winding = code => ({
+        connection: code.charAt(0).toUpperCase(),
+        grounded: code.length === 2
+    });
+    const clockNumber = parseInt(match[3], 10);
+    if (clockNumber > 11) {
+        throw new Error(`Invalid clock number in vector group: ${vectorGroup}`);
+    }
+    
+    return {
+        vectorGroup: vectorGroup,
+        primary: winding(match[1]),
+        secondary: winding(match[2]),
+        clockNumber: clockNumber
+    };
+}
+
+/**
+ * Phase shift of the secondary positive-sequence quantities relative to the primary (degrees)
+ * Clock number h: secondary lags primary by h × 30° (Dyn11 → +30°, Dyn1 → -30°).
+ * Negative-sequence quantities shift by the opposite angle.
+ */
+function getVectorGroupPhaseShift(connectionType) {
+    const { clockNumber } = parseVectorGroup(connectionType);
+    const shift = (360 - 30 * clockNumber) % 360;
+    return shift > 180 ? shift - 360 : shift;
+}
+
+/**
+ * Zero-sequence connectivity of a two-winding transformer
+ *
+ * - Grounded wye on both sides (YNyn): series path between the two networks
+ * - Grounded wye opposite a delta (YNd, Dyn): zero-sequence current circulates in the delta,
+ *   transformer is a shunt to ground on the wye side and open on the delta side
+ * - Grounded zig-zag (zn/ZN): low-impedance shunt to ground on the zig-zag side, no transfer
+ * - Ungrounded wye, delta or zig-zag: open
+ *
+ * @param {string} connectionType - Vector group
+ * @returns {Object} { series, primaryShunt, secondaryShunt, primaryRatio, secondaryRatio }
+ *                   ratios scale the positive-sequence leakage impedance
+ */
+function getVectorGroupZeroSequence(connectionType) {
+    const { primary, secondary } = parseVectorGroup(connectionType);
+    
+    const groundedWye = w => w.connection === 'Y' && w.grounded;
+    const groundedZigzag = w => w.connection === 'Z' && w.grounded;
+    
+    const series = groundedWye(primary) && groundedWye(secondary);
+    const shunt = (side, other) => groundedZigzag(side) || (groundedWye(side) && other.connection === 'D');
+    
+    return {
+        series: series,
+        primaryShunt: !series && shunt(primary, secondary),
+        secondaryShunt: !series && shunt(secondary, primary),
+        primaryRatio: groundedZigzag(primary) ? ZIGZAG_ZERO_SEQUENCE_RATIO : 1.0,
+        secondaryRatio: groundedZigzag(secondary) ? ZIGZAG_ZERO_SEQUENCE_RATIO : 1.0
+    };
+}
+
 /**
  * Determine transformer connection type impact
+ * An unrecognized vector group gives an 'Unknown' result with the parse error instead of another group's data.
  */
 function getConnectionTypeImpact(connectionType) {
-    const impacts = {
-        'Dyn11': {
-            description: 'Delta-Wye, 30° phase shift',
-            zeroSequence: 'blocks',
-            applications: 'Distribution, grounding'
-        },
-        'Yyn0': {
-            description: 'Wye-Wye, no phase shift',
-            zeroSequence: 'passes',
-            applications: 'Transmission'
-        },
-        'Dd0': {
-            description: 'Delta-Delta, no phase shift',
-            zeroSequence: 'blocks',
-            applications: 'Industrial'
-        },
-        'Yd11': {
-            description: 'Wye-Delta, 30° phase shift',
-            zeroSequence: 'blocks',
-            applications: 'Step-down'
-        }
+    const applications = {
+        'Dyn': 'Distribution, grounding',
+        'Yyn': 'Transmission',
+        'YNyn': 'Transmission, grounded systems',
+        'Dd': 'Industrial',
+        'Yd': 'Step-down',
+        'YNd': 'Generator step-up, grounding',
+        'Dzn': 'Distribution with unbalanced loads',
+        'Yzn': 'Distribution with unbalanced loads',
+        'ZNy': 'Grounding',
+        'Dy': 'Ungrounded distribution',
+        'Yy': 'Transmission'
     };
+    const names = { D: 'Delta', Y: 'Wye', Z: 'Zig-zag' };
+    
+    let group;
+    try {
+        group = parseVectorGroup(connectionType);
+    } catch (error) {
+        return {
+            description: `Unknown vector group: ${connectionType}`,
+            zeroSequence: 'unknown',
+            zeroSequenceModel: null,
+            phaseShift: null,
+            applications: 'Unknown',
+            error: error.message
+        };
+    }
+    
+    const zeroSequence = getVectorGroupZeroSequence(group.vectorGroup);
+    const phaseShift = getVectorGroupPhaseShift(group.vectorGroup);
+    const windingName = w => names[w.connection] + (w.grounded ? ' (grounded)' : '');
+    const family = group.vectorGroup.replace(/\d+$/, '');
     
-    return impacts[connectionType] || impacts['Dyn11'];
+    let zeroSequenceText = 'blocks';
+    if (zeroSequence.series) {
+        zeroSequenceText = 'passes';
+    } else if (zeroSequence.primaryShunt || zeroSequence.secondaryShunt) {
+        zeroSequenceText = `blocks, grounding source on ${zeroSequence.secondaryShunt ? 'secondary' : 'primary'}`;
+    }
+    
+    return {
+        description: `${windingName(group.primary)}-${windingName(group.secondary)}, ${Math.abs(phaseShift)}° phase shift`,
+        zeroSequence: zeroSequenceText,
+        zeroSequenceModel: zeroSequence,
+        phaseShift: phaseShift,
+        applications: applications[family] || 'General'
+    };
 }
 
 /**
@@ -372,17 +496,252 @@ function calculateTapChangerEffect(nominalVoltage, tapStep, tapPosition) {
     };
 }
 
+/**
+ * Typical tap step (% per step) of off-circuit (DETC) and on-load (OLTC) tap changers
+ */
+const TRANSFORMER_TAP_STEPS = {
+    detc: 2.5,
+    oltc: 0.625
+};
+
+/**
+ * Tap range of a transformer in percent; positive taps raise the secondary voltage
+ * tapRange: ± percent around nominal (a single value, or { min, max }); tapStep: percent per step;
+ * tapPosition: present tap. Without a range the transformer stays at its present tap.
+ * @returns {Object} { min, max, step, position, oltc }
+ */
+function getTransformerTapRange(transformer) {
+    const position = transformer.tapPosition || 0;
+    const oltc = transformer.tapChanger === 'oltc';
+    let min = position;
+    let max = position;
+    if (typeof transformer.tapRange === 'number') {
+        min = -Math.abs(transformer.tapRange);
+        max = Math.abs(transformer.tapRange);
+    } else if (transformer.tapRange) {
+        min = transformer.tapRange.min;
+        max = transformer.tapRange.max;
+    }
+    return {
+        min: Math.min(min, position),
+        max: Math.max(max, position),
+        step: transformer.tapStep || (oltc ? TRANSFORMER_TAP_STEPS.oltc : TRANSFORMER_TAP_STEPS.detc),
+        position: position,
+        oltc: oltc
+    };
+}
+
+/**
+ * Parse the vector group of a three-winding transformer (e.g. 'YNyn0d1', 'YNd1d1', 'Dyn1yn1')
+ * @param {string} connectionType - Vector group, defaults to 'YNyn0d1'
+ * @returns {Object} { primary, secondary, tertiary, secondaryClock, tertiaryClock, vectorGroup,
+ *                   secondaryGroup, tertiaryGroup } (two-winding groups of each secondary against the primary)
+ */
+function parseThreeWindingVectorGroup(connectionType) {
+    const vectorGroup = (connectionType || 'YNyn0d1').trim();
+    const match = /^(YN|ZN|Y|D|Z)(yn|zn|y|d|z)(\d{1,2})(yn|zn|y|d|z)(\d{1,2})$/.exec(vectorGroup);
+    if (!match) {
+        throw new Error(`Unknown three-winding vector group: ${vectorGroup}`);
+    }
+    
+    // Each secondary winding against the primary is a two-winding vector group
+    const secondary = parseVectorGroup(match[1] + match[2] + match[3]);
+    const tertiary = parseVectorGroup(match[1] + match[4] + match[5]);
+    return {
+        vectorGroup: vectorGroup,
+        primary: secondary.primary,
+        secondary: secondary.secondary,
+        tertiary: tertiary.secondary,
+        secondaryClock: secondary.clockNumber,
+        tertiaryClock: tertiary.clockNumber,
+        secondaryGroup: secondary.vectorGroup,
+        tertiaryGroup: tertiary.vectorGroup
+    };
+}
+
+/**
+ * Phase shifts (degrees) of the secondary and tertiary windings relative to the primary
+ */
+function getThreeWindingPhaseShifts(connectionType) {
+    const group = parseThreeWindingVectorGroup(connectionType);
+    return {
+        primary: 0,
+        secondary: getVectorGroupPhaseShift(group.secondaryGroup),
+        tertiary: getVectorGroupPhaseShift(group.tertiaryGroup)
+    };
+}
+
+/**
+ * Zero-sequence connection of each winding of a three-winding transformer (star equivalent)
+ * - 'series': grounded wye, the winding branch joins its bus to the star point
+ * - 'delta': the star point is grounded through the winding branch, the bus side is open
+ * - 'zigzag': grounded zig-zag, shunt to ground on the bus side (ratio × leakage impedance)
+ * - 'open': ungrounded wye or zig-zag
+ * @returns {Object} { primary, secondary, tertiary } → { path, ratio }
+ */
+function getThreeWindingZeroSequence(connectionType) {
+    const group = parseThreeWindingVectorGroup(connectionType);
+    const path = w => {
+        if (w.connection === 'D') return { path: 'delta', ratio: 1.0 };
+        if (!w.grounded) return { path: 'open', ratio: 1.0 };
+        return w.connection === 'Y' ? { path: 'series', ratio: 1.0 } : { path: 'zigzag', ratio: ZIGZAG_ZERO_SEQUENCE_RATIO };
+    };
+    return {
+        primary: path(group.primary),
+        secondary: path(group.secondary),
+        tertiary: path(group.tertiary)
+    };
+}
+
+/**
+ * Star equivalent of the three winding-pair impedances (same base for all three)
+ * Zp = (Zps + Zpt - Zst)/2, Zs = (Zps + Zst - Zpt)/2, Zt = (Zpt + Zst - Zps)/2; one branch may be negative.
+ * @returns {Object} { primary, secondary, tertiary }
+ */
+function getThreeWindingStarImpedances(primarySecondary, primaryTertiary, secondaryTertiary) {
+    return {
+        primary: (primarySecondary + primaryTertiary - secondaryTertiary) / 2,
+        secondary: (primarySecondary + secondaryTertiary - primaryTertiary) / 2,
+        tertiary: (primaryTertiary + secondaryTertiary - primarySecondary) / 2
+    };
+}
+
+/**
+ * Parse the vector group of an autotransformer: 'YNa0', or 'YNa0d1' / 'YNa0d11' with a delta tertiary
+ * @param {string} connectionType - Vector group, defaults to 'YNa0'
+ * @returns {Object} { vectorGroup, tertiary, tertiaryClock, tertiaryGroup } (two-winding group of the
+ *                   tertiary against the series and common windings, null without a tertiary)
+ */
+function parseAutotransformerVectorGroup(connectionType) {
+    const vectorGroup = (connectionType || 'YNa0').trim();
+    const match = /^YNa0(?:d(\d{1,2}))?$/.exec(vectorGroup);
+    if (!match) {
+        throw new Error(`Unknown autotransformer vector group: ${vectorGroup} (use YNa0 or YNa0d1)`);
+    }
+    
+    const tertiaryGroup = match[1] !== undefined ? `YNd${match[1]}` : null;
+    return {
+        vectorGroup: vectorGroup,
+        tertiary: tertiaryGroup !== null,
+        tertiaryClock: tertiaryGroup ? parseVectorGroup(tertiaryGroup).clockNumber : null,
+        tertiaryGroup: tertiaryGroup
+    };
+}
+
+/**
+ * Co-ratio of an autotransformer: share of the throughput power transformed by the windings,
+ * the rest is conducted through the series winding (1 - VX/VH)
+ */
+function getAutotransformerCoRatio(highVoltage, lowVoltage) {
+    return 1 - lowVoltage / highVoltage;
+}
+
+/**
+ * Zero-sequence effect of the common neutral impedance of an autotransformer
+ * With the neutral grounded through Zn, the T equivalent between the high (H) and low (X) voltage
+ * terminals and the delta tertiary gains multiples of 3·Zn (Zn in per-unit on the low-voltage base,
+ * n = VH/VX): H leg -(n-1)/n², X leg (n-1)/n, tertiary leg 1/n. Without a tertiary only the series
+ * path remains: ZHX + 3·Zn·(n-1)²/n².
+ * @param {number} ratio - Voltage ratio n = VH/VX (> 1)
+ * @returns {Object} { high, low, tertiary, series } multipliers of 3·Zn
+ */
+function getAutotransformerNeutralFactors(ratio) {
+    return {
+        high: -(ratio - 1) / (ratio * ratio),
+        low: (ratio - 1) / ratio,
+        tertiary: 1 / ratio,
+        series: (ratio - 1) * (ratio - 1) / (ratio * ratio)
+    };
+}
+
+/**
+ * Autotransformer: series winding between the high- and low-voltage terminals, common winding
+ * between the low-voltage terminal and the shared neutral, optional delta tertiary
+ */
+class Autotransformer extends Transformer {
+    constructor(config) {
+        super({ ...config, connectionType: config.connectionType || 'YNa0' });
+    }
+    
+    /**
+     * Get parsed vector group
+     */
+    getVectorGroup() {
+        return parseAutotransformerVectorGroup(this.connectionType);
+    }
+    
+    /**
+     * High- and low-voltage terminals are in phase
+     */
+    getPhaseShift() {
+        return 0;
+    }
+    
+    /**
+     * Zero sequence passes between the terminals through the grounded common neutral; a delta
+     * tertiary adds a path to ground
+     */
+    getZeroSequenceModel() {
+        return { series: true, tertiary: this.getVectorGroup().tertiary };
+    }
+    
+    /**
+     * Co-ratio (1 - VX/VH)
+     */
+    getCoRatio() {
+        return getAutotransformerCoRatio(this.primaryVoltage, this.secondaryVoltage);
+    }
+    
+    /**
+     * Throughput rating and the equivalent two-winding rating of the series and common windings (MVA)
+     */
+    getWindingRatingsMVA() {
+        return {
+            throughput: this.powerMVA,
+            series: this.powerMVA * this.getCoRatio(),
+            common: this.powerMVA * this.getCoRatio()
+        };
+    }
+    
+    /**
+     * Rated winding currents (A): the series winding carries the high-voltage line current,
+     * the common winding the difference of the low- and high-voltage line currents
+     */
+    getRatedWindingCurrents() {
+        const highCurrent = this.powerMVA * 1e6 / (Math.sqrt(3) * this.primaryVoltage);
+        const lowCurrent = this.powerMVA * 1e6 / (Math.sqrt(3) * this.secondaryVoltage);
+        return {
+            series: highCurrent,
+            common: lowCurrent - highCurrent
+        };
+    }
+}
+
 // Export classes and functions
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         Transformer,
         TransformerBank,
+        Autotransformer,
         referImpedanceBetweenLevels,
         referImpedanceAcrossTransformer,
         getTypicalTransformerXR,
         calculateInrushCurrent,
+        ZIGZAG_ZERO_SEQUENCE_RATIO,
+        parseVectorGroup,
+        getVectorGroupPhaseShift,
+        getVectorGroupZeroSequence,
         getConnectionTypeImpact,
         calculateShortCircuitWithstand,
-        calculateTapChangerEffect
+        calculateTapChangerEffect,
+        TRANSFORMER_TAP_STEPS,
+        getTransformerTapRange,
+        parseThreeWindingVectorGroup,
+        getThreeWindingPhaseShifts,
+        getThreeWindingZeroSequence,
+        getThreeWindingStarImpedances,
+        parseAutotransformerVectorGroup,
+        getAutotransformerCoRatio,
+        getAutotransformerNeutralFactors
     };
 }
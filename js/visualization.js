@@ -6,8 +6,10 @@
 
 /**
  * Draw system diagram using SVG
+ * With a short-circuit result (entry of the orchestrator's shortCircuit results) the faulted bus is
+ * highlighted and its branch and source contributions are drawn as arrows toward the fault.
  */
-function drawSystemDiagram(busSystem, containerId) {
+function drawSystemDiagram(busSystem, containerId, faultResult = null) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
@@ -28,6 +30,7 @@ function drawSystemDiagram(busSystem, containerId) {
     
     // Calculate positions for buses
     const spacing = width / (buses.length + 1);
+    const isFaulted = bus => !!faultResult && (bus.id === faultResult.busId || bus.name === faultResult.busName);
     
     buses.forEach((bus, index) => {
         const x = spacing * (index + 1);
@@ -39,7 +42,7 @@ function drawSystemDiagram(busSystem, containerId) {
         busRect.setAttribute('y', y - 20);
         busRect.setAttribute('width', 60);
         busRect.setAttribute('height', 40);
-        busRect.setAttribute('fill', bus.type === 'source' ? '#10b981' : '#3b82f6');
+        busRect.setAttribute('fill', isFaulted(bus) ? '#dc2626' : (bus.type === 'source' ? '#10b981' : '#3b82f6'));
         busRect.setAttribute('stroke', '#1e3a8a');
         busRect.setAttribute('stroke-width', 2);
         busRect.setAttribute('rx', 5);
@@ -87,9 +90,78 @@ function drawSystemDiagram(busSystem, containerId) {
         });
     });
     
+    if (faultResult && faultResult.contributions) {
+        drawFaultContributionArrows(svg, buses, spacing, height / 2, faultResult.contributions);
+    }
+    
     container.appendChild(svg);
 }
 
+/**
+ * Draw fault current contributions as arrows labelled with magnitude and angle
+ * Branch arrows run between their buses below the diagram line; source arrows enter their bus from above.
+ */
+function drawFaultContributionArrows(svg, buses, spacing, y, contributions) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const busX = busId => {
+        const index = buses.findIndex(b => b.id === busId);
+        return index >= 0 ? spacing * (index + 1) : null;
+    };
+    
+    // Arrowhead marker
+    const defs = document.createElementNS(svgNS, 'defs');
+    const marker = document.createElementNS(svgNS, 'marker');
+    marker.setAttribute('id', 'faultArrowHead');
+    marker.setAttribute('markerWidth', 10);
+    marker.setAttribute('markerHeight', 10);
+    marker.setAttribute('refX', 8);
+    marker.setAttribute('refY', 3);
+    marker.setAttribute('orient', 'auto');
+    const head = document.createElementNS(svgNS, 'path');
+    head.setAttribute('d', 'M0,0 L0,6 L9,3 z');
+    head.setAttribute('fill', '#dc2626');
+    marker.appendChild(head);
+    defs.appendChild(marker);
+    svg.appendChild(defs);
+    
+    const drawArrow = (x1, y1, x2, y2, labelX, labelY, contribution) => {
+        const line = document.createElementNS(svgNS, 'line');
+        line.setAttribute('x1', x1);
+        line.setAttribute('y1', y1);
+        line.setAttribute('x2', x2);
+        line.setAttribute('y2', y2);
+        line.setAttribute('stroke', '#dc2626');
+        line.setAttribute('stroke-width', 2);
+        line.setAttribute('marker-end', 'url(#faultArrowHead)');
+        svg.appendChild(line);
+        
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('x', labelX);
+        label.setAttribute('y', labelY);
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('fill', '#dc2626');
+        label.setAttribute('font-size', '10');
+        label.textContent = `${contribution.name}: ${contribution.currentKA.toFixed(2)} kA ∠${contribution.angleDeg.toFixed(0)}°`;
+        svg.appendChild(label);
+    };
+    
+    contributions.forEach((contribution, index) => {
+        const x2 = busX(contribution.toBusId);
+        if (x2 === null) return;
+        
+        if (contribution.element === 'source') {
+            drawArrow(x2, y - 110, x2, y - 45, x2, y - 115, contribution);
+            return;
+        }
+        
+        const x1 = busX(contribution.fromBusId);
+        if (x1 === null || x1 === x2) return;
+        const direction = x2 > x1 ? 1 : -1;
+        const arrowY = y + 70 + (index % 3) * 25;
+        drawArrow(x1 + direction * 30, arrowY, x2 - direction * 30, arrowY, (x1 + x2) / 2, arrowY - 5, contribution);
+    });
+}
+
 /**
  * Create fault current profile chart
  */
@@ -148,6 +220,111 @@ function createFaultCurrentChart(faultData, canvasId) {
     });
 }
 
+let faultVoltageProfileChart = null;
+
+/**
+ * Create retained voltage profile chart for one faulted bus
+ * @param {Array} profile - voltageProfile of a fault (calculateFaultVoltageProfile)
+ */
+function createFaultVoltageProfileChart(profile, canvasId) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+    
+    if (faultVoltageProfileChart) {
+        faultVoltageProfileChart.destroy();
+    }
+    
+    const ctx = canvas.getContext('2d');
+    const phaseColors = { a: 'rgba(239, 68, 68, 0.7)', b: 'rgba(245, 158, 11, 0.7)', c: 'rgba(59, 130, 246, 0.7)' };
+    
+    faultVoltageProfileChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: profile.map(d => d.busName),
+            datasets: ['a', 'b', 'c'].map(phase => ({
+                label: `V${phase} (pu)`,
+                data: profile.map(d => d.phaseVoltagesPU[phase].magnitude),
+                backgroundColor: phaseColors[phase]
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    suggestedMax: 1.2,
+                    title: {
+                        display: true,
+                        text: 'Retained Voltage (pu)'
+                    }
+                },
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Bus Location'
+                    }
+                }
+            },
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Fault Voltage Profile',
+                    font: { size: 16 }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Create retained voltage profile table for one faulted bus
+ * Rows below 0.8 pu (typical contactor drop-out) are highlighted.
+ */
+function createFaultVoltageProfileTable(profile, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    
+    let html = `
+        <table style="width: 100%; border-collapse: collapse;">
+            <thead>
+                <tr style="background: #1e3a8a; color: white;">
+                    <th style="padding: 10px; text-align: left;">Bus</th>
+                    <th style="padding: 10px; text-align: center;">Va (pu)</th>
+                    <th style="padding: 10px; text-align: center;">Vb (pu)</th>
+                    <th style="padding: 10px; text-align: center;">Vc (pu)</th>
+                    <th style="padding: 10px; text-align: center;">Min V<sub>LL</sub> (pu)</th>
+                    <th style="padding: 10px; text-align: center;">Min V<sub>LN</sub> (V)</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+    
+    profile.forEach(row => {
+        const sag = Math.min(row.minPhaseVoltagePU, row.minLineVoltagePU) < 0.8;
+        const bgColor = row.faulted ? '#fee2e2' : (sag ? '#fef3c7' : 'white');
+        const cell = phase => `${row.phaseVoltagesPU[phase].magnitude.toFixed(3)} ∠${row.phaseVoltagesPU[phase].angle.toFixed(0)}°`;
+        
+        html += `
+            <tr style="background: ${bgColor};">
+                <td style="padding: 8px; border: 1px solid #e1e8ed;">${row.busName}${row.faulted ? ' (faulted)' : ''}</td>
+                <td style="padding: 8px; border: 1px solid #e1e8ed; text-align: center;">${cell('a')}</td>
+                <td style="padding: 8px; border: 1px solid #e1e8ed; text-align: center;">${cell('b')}</td>
+                <td style="padding: 8px; border: 1px solid #e1e8ed; text-align: center;">${cell('c')}</td>
+                <td style="padding: 8px; border: 1px solid #e1e8ed; text-align: center;">${row.minLineVoltagePU.toFixed(3)}</td>
+                <td style="padding: 8px; border: 1px solid #e1e8ed; text-align: center;">${(row.minPhaseVoltagePU * row.voltage / Math.sqrt(3)).toFixed(0)}</td>
+            </tr>
+        `;
+    });
+    
+    html += `
+            </tbody>
+        </table>
+    `;
+    
+    container.innerHTML = html;
+}
+
 /**
  * Create voltage drop profile chart
  */
@@ -424,7 +601,10 @@ function createComparisonTable(data, containerId) {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         drawSystemDiagram,
+        drawFaultContributionArrows,
         createFaultCurrentChart,
+        createFaultVoltageProfileChart,
+        createFaultVoltageProfileTable,
         createVoltageDropChart,
         createArcFlashChart,
         displayCalculationSteps,
@@ -0,0 +1,276 @@
+/**
+ * test_autotransformer.js
+ * Tests for the autotransformer with a common neutral (autotransformer):
+ * 1. Vector group, co-ratio and series/common winding ratings
+ * 2. Positive-sequence equivalent with a delta tertiary
+ * 3. Zero-sequence equivalent with the common neutral impedance
+ * 4. Common neutral current during ground faults
+ * 5. Loaded tertiary, sequential projects and on-load taps
+ * 6. Orchestrator results and NGR duty
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/load_flow.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 138/69 kV, 150 MVA, YNa0d1: Zhx 7.5%, Zht 25%, Zxt 18% on 150 MVA; 138 kV grid and 69 kV system
+const project = require('./Test_Autotransformer_Example.json');
+const withAuto = (changes, components = project.components) => ({
+    ...project,
+    components: components.map(c => (c.type === 'autotransformer' ? { ...c, ...changes } : c))
+});
+const build = data => new TopologyManager().buildFromProject(data);
+const busFaults = (topology, name) => calculateBusSequenceFaults(topology).find(r => r.busName === name);
+const neutralOf = fault => fault.neutralCurrents.find(n => n.name === 'AT1' && n.side === 'neutral');
+
+// Single infeeds: the 138 kV grid alone, or the 69 kV system alone
+const gridOnly = project.components.filter(c => c.name !== '69 kV System');
+const systemOnly = {
+    ...project,
+    buses: [{ ...project.buses[0], type: 'load' }, { ...project.buses[1], type: 'source' }],
+    components: project.components.filter(c => c.name !== '138 kV Grid')
+};
+
+console.log('\n' + '='.repeat(80));
+console.log('AUTOTRANSFORMER TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Vector group and windings
+console.log('\n--- Test 1: Vector group and windings ---');
+{
+    const plain = parseAutotransformerVectorGroup('YNa0');
+    const tertiary = parseAutotransformerVectorGroup('YNa0d1');
+    assert(!plain.tertiary && plain.tertiaryGroup === null, 'YNa0 without a tertiary');
+    assert(tertiary.tertiary && tertiary.tertiaryGroup === 'YNd1' && tertiary.tertiaryClock === 1, 'YNa0d1 with a delta tertiary');
+    assert(parseAutotransformerVectorGroup(undefined).vectorGroup === 'YNa0', 'Defaults to YNa0');
+    let threw = false;
+    try {
+        parseAutotransformerVectorGroup('YNyn0');
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Two-winding group rejected');
+    
+    const auto = new Autotransformer({ power: 150, powerUnit: 'MVA', primaryVoltage: 138000, secondaryVoltage: 69000, impedancePercent: 7.5 });
+    assertAlmostEqual(auto.getCoRatio(), 0.5, 1e-12, 'Co-ratio 1 - 69/138');
+    assertAlmostEqual(auto.getWindingRatingsMVA().series, 75, 1e-9, 'Series and common windings rated at co-ratio × throughput');
+    const currents = auto.getRatedWindingCurrents();
+    assertAlmostEqual(currents.series, 150e6 / (Math.sqrt(3) * 138000), 1e-9, 'Series winding carries the 138 kV line current');
+    assertAlmostEqual(currents.common, 150e6 / (Math.sqrt(3) * 69000) - currents.series, 1e-9, 'Common winding carries the difference');
+    assert(auto.getPhaseShift() === 0 && auto.getZeroSequenceModel().series, 'Terminals in phase, zero sequence passes through');
+}
+
+// Test 2: Positive sequence
+console.log('\n--- Test 2: Positive sequence ---');
+{
+    const topology = build(project);
+    const model = buildNetworkModel(topology);
+    const auto = topology.components.find(c => c.type === 'autotransformer');
+    const legs = model.branches.filter(b => b.components.includes(auto));
+    assert(legs.map(b => b.winding).join() === 'primary,secondary', 'Unloaded tertiary: high- and low-voltage legs only');
+    
+    // Zhx 0.05, Zht 0.1667, Zxt 0.12 pu → Zh 0.0483, Zx 0.0017 pu
+    assertAlmostEqual(cAbs(legs[0].z), (0.05 + 0.25 / 1.5 - 0.12) / 2, 1e-9, 'High-voltage leg of the star');
+    assertAlmostEqual(cAbs(legs[1].z), (0.05 + 0.12 - 0.25 / 1.5) / 2, 1e-9, 'Low-voltage leg of the star');
+    assertAlmostEqual(cAbs(cAdd(legs[0].z, legs[1].z)), 0.05, 1e-9, 'Legs add up to the high-to-low impedance');
+    
+    const hv = model.busNode.get(topology.buses.find(b => b.name === '138 kV Bus').id);
+    const lv = model.busNode.get(topology.buses.find(b => b.name === '69 kV Bus').id);
+    assert(getTransformationCount(model, hv, lv) === 1, 'One transformation between the terminals');
+    
+    const plain = buildNetworkModel(build(withAuto({ connectionType: 'YNa0' })));
+    const branch = plain.branches.find(b => b.type === 'autotransformer');
+    assert(!branch.winding && Math.abs(cAbs(branch.z) - 0.05) < 1e-9, 'YNa0: one branch of the high-to-low impedance');
+    
+    const fault = busFaults(build(withAuto({ connectionType: 'YNa0' }, gridOnly)), '69 kV Bus').faults.threePhase;
+    assertAlmostEqual(fault.faultCurrentKA, 100 / (Math.sqrt(3) * 69 * (0.02 + 0.05)), 0.01, '69 kV fault through the grid and autotransformer');
+}
+
+// Test 3: Zero sequence
+console.log('\n--- Test 3: Zero sequence ---');
+{
+    const n = 2;
+    const factors = getAutotransformerNeutralFactors(n);
+    assertAlmostEqual(factors.low + factors.tertiary, 1, 1e-12, 'High side open: full 3Zn seen from the low side');
+    assertAlmostEqual(factors.high + factors.tertiary, 1 / (n * n), 1e-12, 'Low side open: 3Zn/n² seen from the high side');
+    assertAlmostEqual(factors.high + factors.low, factors.series, 1e-12, 'Series path: 3Zn·(n-1)²/n²');
+    
+    const solid = buildNetworkModel(build(project), { sequence: 'zero' });
+    const tertiary = solid.shunts.find(sh => sh.type === 'autotransformer');
+    assert(tertiary && tertiary.side === 'tertiary' && solid.nodes[tertiary.node].internal, 'Delta tertiary grounds the star point');
+    assertAlmostEqual(cAbs(tertiary.z), (0.25 / 1.5 + 0.12 - 0.05) / 2, 1e-9, 'Solid neutral: tertiary leg unchanged');
+    
+    // 5 Ω reactor on the common neutral: 3Zn = 3·5/47.61 pu on the 69 kV base
+    const ngr = { type: 'ngr', name: 'NGR-AT1', neutralOf: 'AT1', bus: '69 kV Bus', element: 'reactor', ohms: 5 };
+    const grounded = buildNetworkModel(build({ ...project, components: project.components.concat([ngr]) }), { sequence: 'zero' });
+    const zn3 = 3 * 5 / (69000 * 69000 / 100e6);
+    const legs = grounded.branches.filter(b => b.type === 'autotransformer');
+    const solidLegs = solid.branches.filter(b => b.type === 'autotransformer');
+    const shift = (a, b) => Math.sign(a.im - b.im) * cAbs(cSub(a, b));
+    assertAlmostEqual(shift(legs[0].z, solidLegs[0].z), zn3 * factors.high, 1e-6, 'High-voltage leg: -3Zn·(n-1)/n²');
+    assertAlmostEqual(shift(legs[1].z, solidLegs[1].z), zn3 * factors.low, 1e-6, 'Low-voltage leg: +3Zn·(n-1)/n');
+    const groundedTertiary = grounded.shunts.find(sh => sh.type === 'autotransformer');
+    assertAlmostEqual(shift(groundedTertiary.z, tertiary.z), zn3 * factors.tertiary, 1e-6, 'Tertiary leg: +3Zn/n');
+    
+    const plain = buildNetworkModel(build(withAuto({ connectionType: 'YNa0' })), { sequence: 'zero' });
+    assert(!plain.shunts.some(sh => sh.type === 'autotransformer'), 'YNa0: no ground path of its own');
+}
+
+// Test 4: Neutral current
+console.log('\n--- Test 4: Common neutral current ---');
+{
+    // Fed from one side only, the neutral carries the ground current scaled by the ratio
+    const lvFault = busFaults(build(withAuto({ connectionType: 'YNa0' }, gridOnly)), '69 kV Bus').faults.lineToGround;
+    assertAlmostEqual(neutralOf(lvFault).neutralCurrent / 1000, lvFault.faultCurrentKA * (1 - 69 / 138), 1e-6, '69 kV fault: In = Ig × (1 - VX/VH)');
+    
+    const hvTopology = build({ ...systemOnly, components: systemOnly.components.map(c => (c.type === 'autotransformer' ? { ...c, connectionType: 'YNa0' } : c)) });
+    const hvFault = busFaults(hvTopology, '138 kV Bus').faults.lineToGround;
+    assertAlmostEqual(neutralOf(hvFault).neutralCurrent / 1000, hvFault.faultCurrentKA * (138 / 69 - 1), 1e-6, '138 kV fault: In = Ig × (VH/VX - 1)');
+    
+    const solid = busFaults(build(project), '69 kV Bus').faults.lineToGround;
+    const plain = busFaults(build(withAuto({ connectionType: 'YNa0' })), '69 kV Bus').faults.lineToGround;
+    assert(solid.faultCurrentKA > plain.faultCurrentKA, 'Delta tertiary raises the 69 kV ground-fault current');
+    assert(neutralOf(solid).voltage === 69000, 'Neutral current reported at the common winding voltage');
+    
+    const ngr = { type: 'ngr', name: 'NGR-AT1', neutralOf: 'AT1', bus: '69 kV Bus', element: 'reactor', ohms: 5 };
+    const limited = busFaults(build({ ...project, components: project.components.concat([ngr]) }), '69 kV Bus').faults.lineToGround;
+    assert(limited.faultCurrentKA < solid.faultCurrentKA && neutralOf(limited).neutralCurrent < neutralOf(solid).neutralCurrent,
+        'Neutral reactor limits the ground fault and the neutral current');
+}
+
+// Test 5: Loaded tertiary, sequential projects and taps
+console.log('\n--- Test 5: Loaded tertiary, sequential projects and taps ---');
+{
+    const loaded = {
+        ...project,
+        buses: project.buses.concat([{ name: 'Tertiary Bus', voltage: 13800 }]),
+        components: project.components
+            .map(c => (c.type === 'autotransformer' ? { ...c, tertiaryBus: 'Tertiary Bus' } : c))
+            .concat([{ type: 'load', name: 'Station Service', bus: 'Tertiary Bus', power: 10, powerUnit: 'MW', pf: 0.9 }])
+    };
+    const topology = build(loaded);
+    const model = buildNetworkModel(topology);
+    assert(model.branches.filter(b => b.type === 'autotransformer').length === 3, 'Loaded tertiary: three legs');
+    
+    const tertiaryFault = busFaults(topology, 'Tertiary Bus');
+    assert(tertiaryFault.faults.lineToGround.faultCurrentKA === 0, 'No ground-fault current on the delta tertiary');
+    
+    // Fed from the 138 kV grid alone, the fault current passes the high-voltage and tertiary legs
+    const fedFromGrid = build({ ...loaded, components: loaded.components.filter(c => c.name !== '69 kV System') });
+    const contributions = busFaults(fedFromGrid, 'Tertiary Bus').faults.threePhase.contributions;
+    const high = contributions.find(c => c.name === 'AT1 (primary)');
+    const winding = contributions.find(c => c.name === 'AT1 (tertiary)');
+    assertAlmostEqual(high.currentKA, winding.currentKA * 13.8 / 138, 1e-6, 'High-voltage current referred by the voltage ratio');
+    assertAlmostEqual(high.angleDeg - winding.angleDeg, 30, 1e-6, 'High-voltage current shifted 30° from the d1 tertiary');
+    
+    const result = runLoadFlow(topology);
+    const leg = name => result.branches.find(b => b.name === `AT1 (${name})`);
+    assert(result.converged, 'Load flow converges with the tertiary load');
+    assertAlmostEqual(-leg('tertiary').pToMW, 10, 1e-4, 'Tertiary delivers the station service load');
+    assertAlmostEqual(leg('tertiary').loadingPercent, Math.hypot(leg('tertiary').pFromMW, leg('tertiary').qFromMVAR) / 50 * 100, 1e-6,
+        'Tertiary loading on its 50 MVA rating');
+    
+    // Sequential projects: an autotransformer starts a bus at its low voltage
+    const sequential = new TopologyManager().buildFromProject({
+        components: [
+            { type: 'utility', name: 'Grid', voltage: 138000, shortCircuitMVA: 5000, xr: 20 },
+            { type: 'autotransformer', name: 'AT1', power: 150, powerUnit: 'MVA', primaryV: 138, secondaryV: 69, impedance: 7.5, connectionType: 'YNa0' }
+        ]
+    });
+    assert(sequential.buses.length === 2 && sequential.buses[1].voltage === 69000, 'Sequential autotransformer creates the 69 kV bus');
+    let threw = false;
+    try {
+        build({ components: [{ type: 'autotransformer', name: 'AT1', tertiaryBus: 'T', connectionType: 'YNa0d1' }] });
+    } catch (e) {
+        threw = e.message.includes('bus/branch');
+    }
+    assert(threw, 'Loaded tertiary needs the bus/branch format');
+    
+    // On-load taps on the high-voltage leg hold the 69 kV bus
+    const oltc = runLoadFlow(build({
+        ...systemOnly,
+        buses: project.buses,
+        components: gridOnly.map(c => (c.type === 'autotransformer' ? { ...c, tapChanger: 'oltc', tapRange: 10, regulatedVoltage: 1.0 } : c))
+    }));
+    const changer = oltc.tapChangers.find(t => t.name === 'AT1');
+    assert(changer && changer.regulated && changer.tapPercent !== 0, `OLTC moved to ${changer && changer.tapPercent}% holding the 69 kV bus`);
+}
+
+// Test 6: Orchestrator
+console.log('\n--- Test 6: Orchestrator ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const ngr = { type: 'ngr', name: 'NGR-AT1', neutralOf: 'AT1', bus: '69 kV Bus', element: 'reactor', ohms: 5, timeRating: '10s', clearingTime: 1 };
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis({ ...project, components: project.components.concat([ngr]) }),
+        new CalculationOrchestrator().runAllAnalysis(withAuto({ primaryV: 69, secondaryV: 138 }))
+    ]).then(([result, invalid]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        assert(result.success, 'Analysis succeeds');
+        const lv = result.results.shortCircuit.find(sc => sc.busName === '69 kV Bus');
+        assert(lv.sequence && neutralOf(lv.sequence.faults.lineToGround), 'Neutral current in the short circuit results');
+        const duty = result.results.grounding.find(d => d.name === 'NGR-AT1');
+        assertAlmostEqual(duty.faultCurrent, Math.max(...result.results.shortCircuit.map(sc =>
+            Math.max(neutralOf(sc.sequence.faults.lineToGround).neutralCurrent, neutralOf(sc.sequence.faults.doubleLineToGround).neutralCurrent))),
+        1e-6, 'NGR duty from the largest common-neutral current');
+        assert(result.results.loadFlow && result.results.loadFlow.converged, 'Load flow through the autotransformer');
+        assert(!invalid.success, 'Low voltage above the high voltage rejected');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,259 @@
+/**
+ * test_busway_library.js
+ * Tests for busway impedances from the rating library (busway_library.js):
+ * 1. Library ratings, materials and busway types
+ * 2. Phase and ground-path impedances, temperature correction
+ * 3. Busway voltage drop
+ * 4. Busways in the topology and network model
+ * 5. Faults and load flow through busways
+ * 6. Calculator chain and orchestrator
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/cable_library.js'));
+Object.assign(global, require('./js/busway_library.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/load_flow.js'));
+Object.assign(global, require('./js/standard_specific_calcs.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+function assertThrows(fn, text, message) {
+    try {
+        fn();
+        assert(false, message);
+    } catch (e) {
+        assert(e.message.includes(text), `${message} (${e.message})`);
+    }
+}
+
+// 480 V switchboard with a 2000 A copper feeder riser and an 800 A aluminum plug-in run
+const project = require('./Test_Busway_Example.json');
+const riser = project.components.find(c => c.name === 'Riser Busway');
+const floorRun = project.components.find(c => c.name === 'Floor Plug-in Busway');
+
+console.log('\n' + '='.repeat(80));
+console.log('BUSWAY LIBRARY TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Library
+console.log('\n--- Test 1: Library ---');
+{
+    assert(BUSWAY_RATINGS[0] === 225 && BUSWAY_RATINGS[BUSWAY_RATINGS.length - 1] === 5000, 'Ratings from 225 A to 5000 A');
+    const complete = ['copper', 'aluminum'].every(material => ['feeder', 'plug-in'].every(type =>
+        BUSWAY_RATINGS.every(rating => BUSWAY_IMPEDANCE_DATA[material][type][rating].length === 4)));
+    assert(complete, 'Phase and ground-path R and X for every rating, material and type');
+    
+    const decreasing = BUSWAY_RATINGS.slice(1).every((rating, i) =>
+        getBuswayData(rating).resistance < getBuswayData(BUSWAY_RATINGS[i]).resistance);
+    assert(decreasing, 'Resistance falls with the rating');
+    const cu = getBuswayData(800, 'copper', 'feeder');
+    const al = getBuswayData(800, 'aluminum', 'feeder');
+    const plugIn = getBuswayData(800, 'copper', 'plug-in');
+    assert(al.resistance > cu.resistance, 'Aluminum busway has more resistance than copper of the same rating');
+    assert(plugIn.reactance > cu.reactance && plugIn.resistance === cu.resistance, 'Plug-in busway: same bars, more reactance');
+    assert(cu.groundResistance > cu.resistance && cu.groundReactance > cu.reactance, 'Ground path impedance above the phase impedance');
+    
+    assert(getBuswayData('1600', 'Al', 'Plug In').material === 'aluminum', 'Rating as text, material and type aliases');
+    assert(getBuswayType('plugin') === 'plug-in' && getBuswayType(undefined) === 'feeder', 'Feeder by default');
+    assertThrows(() => getBuswayData(700), 'Unknown busway rating', 'Rating outside the library rejected');
+    assertThrows(() => getBuswayData(800, 'copper', 'trolley'), 'Unknown busway type', 'Unknown busway type rejected');
+    assertThrows(() => getBuswayData(800, 'steel'), 'Unknown conductor material', 'Unknown material rejected');
+}
+
+// Test 2: Impedance
+console.log('\n--- Test 2: Impedance ---');
+{
+    const data = getBuswayData(2000);
+    const at20 = calculateBuswayImpedance(riser, { temperature: 20 });
+    assertAlmostEqual(at20.r1, data.resistance, 1e-12, 'Library resistance at 20°C');
+    assertAlmostEqual(at20.x1, data.reactance, 1e-12, 'Library reactance');
+    
+    const hot = calculateBuswayImpedance(riser);
+    assert(hot.temperature === 75, 'Default conductor temperature 75°C');
+    assertAlmostEqual(hot.r1, data.resistance * (234.5 + 75) / (234.5 + 20), 1e-12, 'Copper busway corrected with T = 234.5°C');
+    assertAlmostEqual(hot.rGround, data.groundResistance * (234.5 + 75) / (234.5 + 20), 1e-12, 'Ground path corrected with the phase');
+    const aluminum = calculateBuswayImpedance(floorRun);
+    assertAlmostEqual(aluminum.r1, getBuswayData(800, 'aluminum', 'plug-in').resistance * (228 + 75) / (228 + 20), 1e-12, 'Aluminum busway corrected with T = 228°C');
+    
+    assertAlmostEqual(hot.r0, hot.r1 + 3 * hot.rGround, 1e-12, 'R0 = R1 + 3·Rground');
+    assertAlmostEqual(hot.x0, hot.x1 + 3 * hot.xGround, 1e-12, 'X0 = X1 + 3·Xground');
+    
+    const entered = calculateBuswayImpedance({ resistance: 0.02, reactance: 0.01, length: 10 }, { temperature: 20 });
+    assert(entered.r1 === 0.02 && entered.x0 === 0.04, 'Entered R and X; ground path equal to the phase when not given');
+    const override = calculateBuswayImpedance({ ...riser, groundResistance: 0.1, groundReactance: 0.05 }, { temperature: 20 });
+    assert(override.rGround === 0.1 && override.x1 === data.reactance, 'Entered ground path with library phase impedance');
+    assertThrows(() => calculateBuswayImpedance({ length: 10 }), 'library rating', 'Busway without data rejected');
+}
+
+// Test 3: Voltage drop
+console.log('\n--- Test 3: Voltage drop ---');
+{
+    const params = { voltage: 480, current: 600, length: 60, rating: 800, material: 'aluminum', buswayType: 'plug-in', powerFactor: 0.85 };
+    const endLoad = calculateBuswayVoltageDrop(params);
+    const perKm = calculateBuswayImpedance(params);
+    const expected = Math.sqrt(3) * 600 * (perKm.r1 * 0.85 + perKm.x1 * Math.sqrt(1 - 0.85 * 0.85)) * 0.06;
+    assertAlmostEqual(endLoad.voltageDrop, expected, 1e-12, 'Vd = √3·I·(R·cos φ + X·sin φ)');
+    assertAlmostEqual(endLoad.voltageDropPercent, expected / 480 * 100, 1e-12, 'Drop in percent of the system voltage');
+    assertAlmostEqual(endLoad.loadingPercent, 75, 1e-12, 'Loading against the busway rating');
+    
+    const distributed = calculateBuswayVoltageDrop({ ...params, distributed: true });
+    assertAlmostEqual(distributed.voltageDrop, endLoad.voltageDrop / 2, 1e-12, 'Distributed plug-in loads: half the end-load drop');
+    const feeder = calculateBuswayVoltageDrop({ ...params, buswayType: 'feeder' });
+    assert(feeder.voltageDrop < endLoad.voltageDrop, 'Feeder busway drops less than plug-in of the same rating');
+}
+
+// Test 4: Topology and network model
+console.log('\n--- Test 4: Topology and network model ---');
+{
+    const tm = new TopologyManager();
+    const topology = tm.buildFromProject(project);
+    const branch = topology.components.find(c => c.name === 'Riser Busway');
+    const perKm = calculateBuswayImpedance(branch);
+    const ohms = tm.getBuswayImpedanceOhms(branch);
+    assertAlmostEqual(ohms.r, perKm.r1 * 0.045, 1e-12, 'Busway length in m');
+    assertAlmostEqual(tm.getBuswayImpedanceOhms({ ...branch, operatingTemp: 20 }).r, getBuswayData(2000).resistance * 0.045, 1e-12, 'Operating temperature applied');
+    
+    const zBase = 480 * 480 / 100e6;
+    const z1 = getBranchImpedancePU(branch, tm.getBus(branch.fromBus), tm, 100);
+    const z0 = getBranchImpedancePU(branch, tm.getBus(branch.fromBus), tm, 100, 'zero');
+    const z2 = getBranchImpedancePU(branch, tm.getBus(branch.fromBus), tm, 100, 'negative');
+    assertAlmostEqual(z1.im, perKm.x1 * 0.045 / zBase, 1e-12, 'Branch X1 from the library');
+    assert(z2.re === z1.re && z2.im === z1.im, 'Z2 = Z1');
+    assertAlmostEqual(z0.re, perKm.r0 * 0.045 / zBase, 1e-12, 'Branch R0 through the ground path');
+    assertAlmostEqual(z0.im, perKm.x0 * 0.045 / zBase, 1e-12, 'Branch X0 through the ground path');
+    
+    const switchboard = [...tm.toBusSystem().buses.values()].find(b => b.name === '480 V Switchboard');
+    assert(switchboard.connections.length > 0, 'Busway converted to a bus system connection');
+    
+    const sequential = tm.convertSequentialProject({
+        voltage: 480,
+        components: [{ type: 'utility', shortCircuitMVA: 50, voltage: 480 }, { ...riser, fromBus: undefined, toBus: undefined, createsBus: true }]
+    });
+    assert(sequential.buses.length === 2 && sequential.components[1].toBus === 'Riser Busway', 'Sequential busway with createsBus starts a new bus');
+    
+    // In-bus busway (sequential format without toBus) is a series element
+    assert(isNetworkSeriesElement({ type: 'busway' }), 'Busway without toBus is an in-bus series element');
+}
+
+// Test 5: Faults and load flow
+console.log('\n--- Test 5: Faults and load flow ---');
+{
+    const faults = calculateBusSequenceFaults(new TopologyManager().buildFromProject(project));
+    const at = name => faults.find(r => r.busName === name).faults;
+    assert(at('Riser Top').threePhase.faultCurrentKA < at('480 V Switchboard').threePhase.faultCurrentKA, 'Riser busway lowers the three-phase fault current');
+    assert(at('Floor Run End').threePhase.faultCurrentKA < at('Riser Top').threePhase.faultCurrentKA, 'Plug-in run lowers it further');
+    
+    const groundRun = at('Floor Run End');
+    assert(groundRun.lineToGround.faultCurrentKA < groundRun.threePhase.faultCurrentKA, 'Ground path limits the line-to-ground fault at the end of the run');
+    const poorGround = calculateBusSequenceFaults(new TopologyManager().buildFromProject({
+        ...project,
+        components: project.components.map(c => (c.type === 'busway' ? { ...c, groundResistance: 1.0, groundReactance: 0.2 } : c))
+    })).find(r => r.busName === 'Floor Run End').faults;
+    assert(poorGround.lineToGround.faultCurrentKA < groundRun.lineToGround.faultCurrentKA, 'Higher ground-path impedance lowers the ground-fault current');
+    assertAlmostEqual(poorGround.threePhase.faultCurrentKA, groundRun.threePhase.faultCurrentKA, 1e-9, 'Three-phase fault independent of the ground path');
+    
+    const flow = runLoadFlow(new TopologyManager().buildFromProject(project));
+    const riserFlow = flow.branches.find(b => b.name === 'Riser Busway');
+    const riserTop = flow.buses.find(b => b.busName === 'Riser Top');
+    const floorEnd = flow.buses.find(b => b.busName === 'Floor Run End');
+    assert(flow.converged, 'Load flow converges through the busways');
+    assertAlmostEqual(riserFlow.pFromMW, 1.0, 0.02, 'Riser carries both floors of load');
+    assert(riserFlow.loadingPercent > 50 && riserFlow.loadingPercent < 80, `Riser loading against the 2000 A rating (${riserFlow.loadingPercent.toFixed(1)}%)`);
+    assert(floorEnd.voltageDropPercent > riserTop.voltageDropPercent, 'Voltage drop grows along the run');
+}
+
+// Test 6: Calculator chain and orchestrator
+console.log('\n--- Test 6: Calculator chain and orchestrator ---');
+{
+    const totals = createChainSequenceImpedance();
+    accumulateChainSequenceImpedance(totals, { type: 'busway' }, { r: 0.001, x: 0.0005 }, { r: 0.004, x: 0.002 });
+    assert(totals.z0.r === 0.004 && totals.z0.x === 0.002 && totals.z2.x === 0.0005, 'Chain uses the busway ground-path zero sequence');
+    
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const withRiser = changes => ({
+        ...project,
+        components: project.components.map(c => (c.name === 'Riser Busway' ? { ...c, ...changes } : c))
+    });
+    const orchestrator = new CalculationOrchestrator();
+    const validation = new CalculationOrchestrator().validateInputs(withRiser({ voltage: 13800 }));
+    Promise.all([
+        orchestrator.runAllAnalysis(project),
+        new CalculationOrchestrator().runVoltageDropAnalysis(project),
+        new CalculationOrchestrator().runAllAnalysis(withRiser({ rating: 1900 })),
+        new CalculationOrchestrator().runAllAnalysis(withRiser({ length: 0 }))
+    ]).then(([result, voltageDrop, unknown, zeroLength]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        assert(result.success, 'Analysis succeeds with busways');
+        assert(result.assumptions.some(a => a.category === 'Busway'), 'Busway assumption recorded');
+        const floorEnd = result.results.shortCircuit.find(sc => sc.busName === 'Floor Run End');
+        const expected = calculateBusSequenceFaults(new TopologyManager().buildFromProject(project))
+            .find(r => r.busName === 'Floor Run End').faults.threePhase.faultCurrentKA;
+        assertAlmostEqual(floorEnd.faultCurrents.threePhase / 1000, expected, 0.01, 'Fault current at the end of the plug-in run');
+        
+        const dropEnd = voltageDrop.success && voltageDrop.voltageDrop.find(v => v.busName === 'Floor Run End');
+        assert(dropEnd && dropEnd.voltageDropPercent > 0, 'Voltage drop study through the busways');
+        assert(!unknown.success, 'Rating outside the library rejected');
+        assert(!zeroLength.success, 'Zero length rejected');
+        assert(validation.warnings.some(w => w.includes('Busway') && w.includes('1000 V')), 'Medium-voltage busway flagged');
+        
+        const minimum = orchestrator.getIECMinimumProject(project);
+        assert(minimum.components.filter(c => c.type === 'busway').every(c => c.conductorTemperature === IEC_60909_FACTORS.conductorEndTemperature),
+            'IEC 60909 minimum study: busways at the end temperature');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,297 @@
+/**
+ * test_c37_breaker_duty.js
+ * Tests for the ANSI/IEEE C37.010 interrupting duty (E/X method):
+ * 1. Remote multiplying factors
+ * 2. Local multiplying factors
+ * 3. NACD interpolation between local and remote curves
+ * 4. Separate R and X networks, transformations between source and fault
+ * 5. Machine classes and cycle-specific impedance multipliers
+ * 6. Orchestrator MV bus duty and breaker nameplate check
+ * 7. First-cycle, interrupting and 30-cycle networks with motors
+ * 8. Local and remote sources: motors and generators behind a reactor are remote
+ * 9. IEC projects take the motor contribution from the IEC 60909 network
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/standard_specific_calcs.js'));
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/motor_contribution.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 13.8 kV plant bus fed from a 69 kV utility, with a local generator and a feeder breaker
+const project = {
+    projectName: 'C37.010 Example',
+    frequency: 60,
+    standard: 'ieee',
+    buses: [
+        { name: 'Utility 69kV', voltage: 69000, type: 'source' },
+        { name: 'MV Main', voltage: 13800 },
+        { name: 'MV Feeder', voltage: 13800 },
+        { name: 'LV', voltage: 480 }
+    ],
+    components: [
+        { type: 'utility', name: 'Utility', bus: 'Utility 69kV', shortCircuitMVA: 2000, voltage: 69000, xr: 25 },
+        { type: 'transformer', name: 'T1', fromBus: 'Utility 69kV', toBus: 'MV Main', power: 20, powerUnit: 'MVA', impedance: 8, primaryV: 69, secondaryV: 13.8, rx: 0.03, connectionType: 'Dyn1' },
+        { type: 'generator', name: 'G1', bus: 'MV Main', power: 10, reactance: 12, voltage: 13.8, rx: 0.02 },
+        { type: 'breaker', name: '52-F1', fromBus: 'MV Main', toBus: 'MV Feeder', interruptingRating: 25, contactPartingTime: 2 },
+        { type: 'transformer', name: 'T2', fromBus: 'MV Feeder', toBus: 'LV', power: 2, powerUnit: 'MVA', impedance: 5.75, primaryV: 13.8, secondaryV: 0.48 }
+    ]
+};
+
+console.log('\n' + '='.repeat(80));
+console.log('ANSI C37.010 BREAKER DUTY TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Remote factors
+console.log('\n--- Test 1: Remote multiplying factors ---');
+{
+    ANSI_C37_STANDARDS.contactPartingTimes.forEach(time => {
+        assertAlmostEqual(getC37RemoteMultiplyingFactor(17, time), 1.0, 1e-12, `X/R 17 needs no adjustment at ${time} cycles`);
+    });
+    assert(getC37RemoteMultiplyingFactor(8, 2) === 1.0, 'Never below 1.0');
+    
+    const expected = Math.sqrt(1 + 2 * Math.exp(-4 * Math.PI * 3 / 40)) / Math.sqrt(1 + 2 * Math.exp(-4 * Math.PI * 3 / 17));
+    assertAlmostEqual(getC37RemoteMultiplyingFactor(40, 3), expected, 1e-12, 'X/R 40, 3 cycles: DC decrement relative to the X/R 17 basis');
+    assert(getC37RemoteMultiplyingFactor(60, 2) > getC37RemoteMultiplyingFactor(30, 2), 'Factor rises with X/R');
+}
+
+// Test 2: Local factors
+console.log('\n--- Test 2: Local multiplying factors ---');
+{
+    assertAlmostEqual(getC37LocalMultiplyingFactor(40, 2), 1.06, 1e-12, 'Table value at X/R 40, 2 cycles');
+    assertAlmostEqual(getC37LocalMultiplyingFactor(45, 2), 1.08, 1e-12, 'Interpolated in X/R');
+    assertAlmostEqual(getC37LocalMultiplyingFactor(60, 2.5), (1.13 + 1.08) / 2, 1e-12, 'Interpolated in contact parting time');
+    assert(getC37LocalMultiplyingFactor(5, 1.5) === 1.0 && getC37LocalMultiplyingFactor(200, 4) === 1.13, 'Held at the curve ends');
+    assert([20, 40, 80, 120].every(xr => ANSI_C37_STANDARDS.contactPartingTimes
+        .every(time => getC37LocalMultiplyingFactor(xr, time) <= getC37RemoteMultiplyingFactor(xr, time) + 1e-9)), 'Local curves below the remote curves');
+}
+
+// Test 3: NACD
+console.log('\n--- Test 3: Local/remote interpolation ---');
+{
+    const remote = calculateC37InterruptingDuty({ symmetricalCurrent: 20000, xrRatio: 50, remoteRatio: 1 });
+    const local = calculateC37InterruptingDuty({ symmetricalCurrent: 20000, xrRatio: 50, remoteRatio: 0 });
+    const mixed = calculateC37InterruptingDuty({ symmetricalCurrent: 20000, xrRatio: 50, remoteRatio: 0.25 });
+    
+    assert(remote.duties.map(duty => duty.contactPartingTime).join() === '1.5,2,3,4', 'Duty at 1.5, 2, 3 and 4 cycle contact parting');
+    assertAlmostEqual(remote.duties[1].multiplyingFactor, getC37RemoteMultiplyingFactor(50, 2), 1e-12, 'NACD 1: remote curve');
+    assertAlmostEqual(local.duties[1].multiplyingFactor, 1.10, 1e-12, 'NACD 0: local curve');
+    assertAlmostEqual(mixed.duties[1].multiplyingFactor, 1.10 + 0.25 * (remote.duties[1].multiplyingFactor - 1.10), 1e-12, 'MF = MFlocal + NACD·(MFremote - MFlocal)');
+    assertAlmostEqual(mixed.duties[1].interruptingCurrent, 20000 * mixed.duties[1].multiplyingFactor, 1e-9, 'Adjusted duty = MF × E/X');
+}
+
+// Test 4: Separate networks
+console.log('\n--- Test 4: Separate R and X networks ---');
+{
+    const z = complex(0.02, 0.5);
+    const options = { impedanceFactors: new Map([['T', 2]]) };
+    assert(adjustNetworkImpedance(z, 'T', { ...options, impedancePart: 'reactance' }).re === 0, 'X-only network drops resistance');
+    assertAlmostEqual(adjustNetworkImpedance(z, 'T', { ...options, impedancePart: 'resistance' }).re, 0.04, 1e-12, 'R-only network keeps corrected resistance');
+    assert(adjustNetworkImpedance(complex(0, 1e-6), 'S', { impedancePart: 'resistance' }).re === SWITCH_IMPEDANCE_PU, 'Zero resistance becomes a switch impedance');
+    
+    const topology = new TopologyManager().buildFromProject(project);
+    const model = buildNetworkModel(topology, { includeMotors: true });
+    const node = name => model.busNode.get(topology.buses.find(bus => bus.name === name).id);
+    assert(getTransformationCount(model, node('MV Main'), node('MV Feeder')) === 0, 'Closed breaker adds no transformation');
+    assert(getTransformationCount(model, node('Utility 69kV'), node('LV')) === 2, 'Two transformations from the utility to LV');
+    
+    // Radial utility feed: X/R of the separate networks equals the summed X over summed R
+    const utilityOnly = { ...project, components: project.components.filter(comp => comp.type !== 'generator') };
+    const radial = new TopologyManager().buildFromProject(utilityOnly);
+    const mvMain = radial.buses.find(bus => bus.name === 'MV Main').id;
+    const x = solveNetwork(buildNetworkModel(radial, { impedancePart: 'reactance' })).getDrivingPointImpedance(mvMain);
+    const r = solveNetwork(buildNetworkModel(radial, { impedancePart: 'resistance' })).getDrivingPointImpedance(mvMain);
+    const full = solveNetwork(buildNetworkModel(radial)).getDrivingPointImpedance(mvMain);
+    assertAlmostEqual(x.im / r.re, full.im / full.re, 1e-6, 'Radial network: separate-network X/R equals the complex X/R');
+}
+
+// Same plant with a large MV motor and medium and small LV motors
+const motorProject = {
+    ...project,
+    components: [
+        ...project.components,
+        { type: 'motor', name: 'M-Large', bus: 'MV Main', power: 1500, powerUnit: 'hp', voltage: 13800, lrc: 6, efficiency: 0.95, pf: 0.9 },
+        { type: 'motor', name: 'M-Medium', bus: 'LV', power: 100, powerUnit: 'hp', voltage: 480, lrc: 6, efficiency: 0.94, pf: 0.88 },
+        { type: 'motor', name: 'M-Small', bus: 'LV', power: 20, powerUnit: 'hp', voltage: 480, lrc: 6, efficiency: 0.9, pf: 0.85 }
+    ]
+};
+
+// Utility-fed MV bus with a large motor and no generator
+const motorOnlyProject = {
+    ...project,
+    components: project.components
+        .filter(comp => comp.type !== 'generator')
+        .concat([{ type: 'motor', name: 'M-Large', bus: 'MV Main', power: 1500, powerUnit: 'hp', voltage: 13800, lrc: 6, efficiency: 0.95, pf: 0.9 }])
+};
+
+// G1 behind a 4 Ω reactor: external reactance 2.1 pu against 1.5 × X"d = 1.8 pu
+const reactorProject = {
+    ...project,
+    buses: project.buses.concat([{ name: 'Gen', voltage: 13800 }]),
+    components: project.components
+        .map(comp => (comp.name === 'G1' ? { ...comp, bus: 'Gen' } : comp))
+        .concat([{ type: 'reactor', name: 'X-G1', fromBus: 'Gen', toBus: 'MV Main', ohms: 4 }])
+};
+
+// Test 5: Machine multipliers
+console.log('\n--- Test 5: Machine classes and multipliers ---');
+{
+    const motor = name => motorProject.components.find(comp => comp.name === name);
+    assert(getANSIMachineClass(motor('M-Large')) === 'largeInductionMotor', '1500 hp induction motor is large');
+    assert(getANSIMachineClass(motor('M-Medium')) === 'mediumInductionMotor', '100 hp induction motor is medium');
+    assert(getANSIMachineClass(motor('M-Small')) === 'smallInductionMotor', '20 hp induction motor is small');
+    assert(getANSIMachineClass({ type: 'motor', power: 300, powerUnit: 'hp', poles: 2 }) === 'largeInductionMotor', 'Two-pole motor above 250 hp is large');
+    assert(getANSIMachineClass({ type: 'motor', power: 100, powerUnit: 'kW', motorType: 'synchronous' }) === 'synchronousMotor', 'Synchronous motor');
+    assert(getANSIMachineClass({ type: 'transformer' }) === null, 'Transformers carry no machine multiplier');
+    
+    assert(getANSIImpedanceMultiplier(motor('M-Medium'), 'firstCycle') === 1.2 && getANSIImpedanceMultiplier(motor('M-Medium'), 'interrupting') === 3.0,
+        'Medium motor: 1.2 first-cycle, 3.0 interrupting');
+    assert(getANSIImpedanceMultiplier(motor('M-Large'), 'interrupting') === 1.5, 'Large motor: 1.5 interrupting');
+    assert(getANSIImpedanceMultiplier(motor('M-Small'), 'firstCycle') === Infinity, 'Small motor left out of the networks');
+    assert(getANSIImpedanceMultiplier(motor('M-Large'), 'thirtyCycle') === Infinity, 'No motors in the 30-cycle network');
+    assertAlmostEqual(getANSIImpedanceMultiplier({ type: 'generator', reactance: 12, xdTransient: 20 }, 'thirtyCycle'), 20 / 12, 1e-12, 'Generator behind X\'d in the 30-cycle network');
+    assert(adjustNetworkImpedance(complex(0.1, 1), 'M', { impedanceFactors: new Map([['M', Infinity]]) }) === null, 'Infinite multiplier removes the element');
+}
+
+// Test 6: Orchestrator
+console.log('\n--- Test 6: Orchestrator MV breaker duty ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const overrated = {
+        ...project,
+        components: project.components.map(comp => (comp.name === '52-F1' ? { ...comp, interruptingRating: 12 } : comp))
+    };
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(project),
+        new CalculationOrchestrator().runAllAnalysis(overrated),
+        new CalculationOrchestrator().runAllAnalysis({ ...project, standard: 'iec' }),
+        new CalculationOrchestrator().runAllAnalysis(motorProject),
+        new CalculationOrchestrator().runAllAnalysis(motorOnlyProject),
+        new CalculationOrchestrator().runAllAnalysis(reactorProject),
+        new CalculationOrchestrator().runAllAnalysis({ ...motorProject, standard: 'iec' })
+    ]).then(([result, exceeded, iec, motors, motorOnly, reactor, iecMotors]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        const at = name => result.results.shortCircuit.find(entry => entry.busName === name);
+        assert(result.success, 'Analysis completed');
+        assert(at('MV Main').ansi && at('Utility 69kV').ansi && !at('LV').ansi, 'Duty at MV and HV buses only');
+        
+        const main = at('MV Main').ansi;
+        const iBase = 100e6 / (Math.sqrt(3) * 13800);
+        assert(main.symmetricalCurrent > at('MV Main').faultCurrents.threePhase * 0.98, 'E/X close to the complex-impedance current');
+        assert(main.remoteRatio > 0 && main.remoteRatio < 1, 'Local generator and remote utility both contribute (0 < NACD < 1)');
+        assert(at('Utility 69kV').ansi.remoteRatio > main.remoteRatio, 'Generator one transformation away: local, but a smaller share of the 69 kV current');
+        assert(main.xrRatio > 30, 'High X/R at the generator bus');
+        assertAlmostEqual(main.symmetricalCurrent / iBase * main.duties[0].multiplyingFactor,
+            main.duties[0].interruptingCurrent / iBase, 1e-9, 'Adjusted duty consistent with E/X');
+        
+        const breaker = result.results.breakerDuty.find(check => check.name === '52-F1');
+        assertAlmostEqual(breaker.interruptingDuty * 1000, main.duties[1].interruptingCurrent, 1e-6, 'Breaker duty at its 2-cycle contact parting time');
+        assert(breaker.adequate && breaker.utilization < 100, 'Feeder breaker adequate for its 25 kA rating');
+        
+        const failed = exceeded.results.breakerDuty.find(check => check.name === '52-F1');
+        assert(!failed.adequate && exceeded.log.some(entry => entry.message.includes('52-F1 interrupting duty')), 'Underrated breaker flagged');
+        assert(iec.results.shortCircuit.every(entry => !entry.ansi) && iec.results.breakerDuty === null, 'IEC projects use IEC 60909 instead');
+        
+        // Test 7: Cycle-specific networks
+        console.log('\n--- Test 7: First-cycle, interrupting and 30-cycle networks ---');
+        const motorsAt = name => motors.results.shortCircuit.find(entry => entry.busName === name);
+        const lv = motorsAt('LV').cycleDuties;
+        assert(motors.success && lv.firstCycle && lv.interrupting && lv.thirtyCycle, 'All three networks solved');
+        assert(!lv.firstCycle.motors.some(motor => motor.name === 'M-Small'), 'Small motor not modelled');
+        
+        const medium = duty => duty.motors.find(motor => motor.name === 'M-Medium').currentKA;
+        const large = duty => duty.motors.find(motor => motor.name === 'M-Large').currentKA;
+        assertAlmostEqual(medium(lv.firstCycle) / medium(lv.interrupting), 3.0 / 1.2, 0.05, 'Medium motor current scales with 1.2 vs 3.0 multipliers');
+        assertAlmostEqual(large(lv.firstCycle) / large(lv.interrupting), 1.5, 0.05, 'Large motor current scales with 1.0 vs 1.5 multipliers');
+        assert(lv.thirtyCycle.motors.length === 0 && lv.thirtyCycle.motorCurrentKA === 0, 'No motor current in the 30-cycle network');
+        assert(lv.firstCycle.symmetricalKA > lv.interrupting.symmetricalKA && lv.interrupting.symmetricalKA > lv.thirtyCycle.symmetricalKA,
+            'First-cycle > interrupting > 30-cycle duty');
+        assertAlmostEqual(lv.thirtyCycle.symmetricalKA, result.results.shortCircuit.find(entry => entry.busName === 'LV').cycleDuties.thirtyCycle.symmetricalKA,
+            1e-9, '30-cycle duty unaffected by motors');
+        assertAlmostEqual(lv.firstCycle.peakKA, lv.firstCycle.symmetricalKA * Math.sqrt(2) * calculateFirstCycleAsymmetricalMultiplier(lv.firstCycle.xrRatio),
+            1e-9, 'First-cycle peak from the first-cycle X/R');
+        
+        const contribution = motorsAt('LV').motorContribution;
+        assertAlmostEqual(contribution.firstCycleKA, lv.firstCycle.motorCurrentKA, 1e-12, 'Motor contribution taken from the first-cycle network');
+        assert(contribution.count === 2 && contribution.sustainedKA === 0, 'Two modelled motors, no sustained contribution');
+        assertAlmostEqual(motorsAt('LV').faultCurrentsKA.interruptingWithMotors, lv.interrupting.symmetricalKA, 1e-12, 'Interrupting current with motors from the interrupting network');
+        
+        // Test 8: Local and remote sources
+        console.log('\n--- Test 8: Local and remote sources ---');
+        const motorOnlyMain = motorOnly.results.shortCircuit.find(entry => entry.busName === 'MV Main');
+        assert(motorOnlyMain.cycleDuties.interrupting.motors.some(motor => motor.name === 'M-Large'), 'MV motor feeds the interrupting network');
+        assert(motorOnlyMain.ansi.remoteRatio === 1, 'Motor-only MV bus: all contributions remote (NACD 1)');
+        assertAlmostEqual(motorOnlyMain.ansi.duties[1].multiplyingFactor, getC37RemoteMultiplyingFactor(motorOnlyMain.ansi.xrRatio, 2), 1e-12,
+            'Motor-only MV bus: remote multiplying factor');
+        assert(reactor.results.shortCircuit.find(entry => entry.busName === 'MV Main').ansi.remoteRatio === 1,
+            'Generator behind an external reactance above 1.5 × X"d is remote');
+        assert(reactor.results.shortCircuit.find(entry => entry.busName === 'Gen').ansi.remoteRatio < 1, 'Same generator is local at its own terminals');
+        
+        // Test 9: IEC motor contribution
+        console.log('\n--- Test 9: IEC motor contribution ---');
+        const iecLV = iecMotors.results.shortCircuit.find(entry => entry.busName === 'LV');
+        const iecSources = iecLV.iec.sources.filter(source => source.type === 'motor');
+        const c = iecLV.iec.voltageFactor;
+        assert(!iecLV.cycleDuties && iecLV.motorContribution && iecLV.motorContribution.count === iecSources.length, 'IEC project: motors taken from the IEC network');
+        assertAlmostEqual(iecLV.motorContribution.firstCycleKA, iecSources.reduce((sum, source) => sum + source.current, 0) / c / 1000, 1e-9,
+            'Motor current = Σ I"kM at 1.0 pu prefault voltage');
+        assertAlmostEqual(iecLV.faultCurrentsKA.threePhaseWithMotors, iecLV.iec.symmetricalCurrent / c / 1000, 1e-9, 'Fault current with motors from the IEC network');
+        assertAlmostEqual(iecLV.motorContribution.interruptingKA, iecSources.reduce((sum, source) => sum + source.breakingCurrent, 0) / c / 1000, 1e-9,
+            'Breaking current of the motors with μ and q');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
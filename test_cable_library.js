@@ -0,0 +1,243 @@
+/**
+ * test_cable_library.js
+ * Tests for cable impedances from construction data (cable_library.js):
+ * 1. Conductor sizes and material temperature constants
+ * 2. Conductor resistance with skin and proximity effects
+ * 3. Positive-sequence reactance from the installation geometry
+ * 4. Zero sequence with earth, screen and neutral return, parallel sets
+ * 5. Cable impedance in the topology and network model
+ * 6. Calculator chain and orchestrator
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/cable_library.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/load_flow.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+function assertThrows(fn, text, message) {
+    try {
+        fn();
+        assert(false, message);
+    } catch (e) {
+        assert(e.message.includes(text), `${message} (${e.message})`);
+    }
+}
+
+// 13.8 kV feeder of 1/C 500 kcmil EPR in trefoil, 480 V MCC feeder of 3 × 4/C 240 mm² aluminum XLPE
+const project = require('./Test_Cable_Library_Example.json');
+const omega = f => 2 * Math.PI * f * 2e-4;
+
+console.log('\n' + '='.repeat(80));
+console.log('CABLE LIBRARY TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Sizes and materials
+console.log('\n--- Test 1: Sizes and materials ---');
+{
+    const awg = parseCableSize('4/0 AWG');
+    assertAlmostEqual(awg.area, 107.2, 0.05, '4/0 AWG: 107.2 mm² from the AWG diameter formula');
+    assertAlmostEqual(parseCableSize('12 awg').area, 3.31, 0.01, '12 AWG: 3.31 mm²');
+    assertAlmostEqual(parseCableSize('500 MCM').area, 253.35, 0.01, '500 kcmil: 253.35 mm²');
+    assert(parseCableSize('95 mm2').label === '95 mm²' && parseCableSize(95).area === 95, 'IEC sizes in mm²');
+    assertThrows(() => parseCableSize('7 AWG'), 'Unknown cable size', 'Size outside the library rejected');
+    
+    assertAlmostEqual(getConductorTemperatureFactor('copper', 75), (234.5 + 75) / (234.5 + 20), 1e-12, 'Copper: T = 234.5°C');
+    assertAlmostEqual(getConductorTemperatureFactor('aluminum', 75), (228 + 75) / (228 + 20), 1e-12, 'Aluminum: T = 228°C');
+    assert(getConductorMaterial('Al').name === 'aluminum' && getConductorMaterial(undefined).name === 'copper', 'Material aliases, copper by default');
+    assertThrows(() => getConductorMaterial('steel'), 'Unknown conductor material', 'Unknown material rejected');
+    
+    assert(getCableInsulationThickness('PVC', 95, 0.48) === 1.6 && getCableInsulationThickness('XLPE', 95, 0.48) === 1.1, 'LV insulation by size (IEC 60502-1)');
+    assert(getCableInsulationThickness('EPR', 253, 13.8) === 6.1, 'MV insulation by voltage class (15 kV)');
+}
+
+// Test 2: Resistance
+console.log('\n--- Test 2: Resistance ---');
+{
+    const small = calculateCableImpedance({ size: '10 mm²', cores: 3 }, { temperature: 20, voltage: 400 });
+    assertAlmostEqual(small.rdc, 17.241 * 1.02 / 10, 1e-9, 'DC resistance ρ20·k/A at 20°C');
+    assert((small.r1 - small.rdc) / small.rdc < 1e-3, 'Skin and proximity negligible on small conductors');
+    
+    const hot = calculateCableImpedance({ size: '10 mm²', cores: 3 }, { temperature: 90, voltage: 400 });
+    assertAlmostEqual(hot.rdc, small.rdc * (234.5 + 90) / (234.5 + 20), 1e-9, 'Resistance at 90°C');
+    const aluminum = calculateCableImpedance({ size: '240 mm²', material: 'aluminum', cores: 4 }, { temperature: 75, voltage: 480 });
+    assertAlmostEqual(aluminum.rdc, 28.264 * 1.02 / 240 * (228 + 75) / (228 + 20), 1e-9, 'Aluminum resistance with T = 228°C');
+    
+    const large = calculateCableImpedance({ size: '500 kcmil' }, { voltage: 480 });
+    const ac = getConductorACResistance(large.rdc, 60, large.construction.diameter, large.construction.spacing);
+    assert(ac.skin > 0.01 && ac.skin < 0.05 && ac.proximity > 0, `500 kcmil at 60 Hz: skin ${(ac.skin * 100).toFixed(1)}%, proximity ${(ac.proximity * 100).toFixed(1)}%`);
+    assertAlmostEqual(large.r1, ac.rac, 1e-12, 'R1 is the AC resistance');
+}
+
+// Test 3: Reactance
+console.log('\n--- Test 3: Reactance ---');
+{
+    const trefoil = calculateCableImpedance({ size: '500 kcmil' }, { voltage: 13800 });
+    const c = trefoil.construction;
+    assertAlmostEqual(trefoil.x1, omega(60) * Math.log(c.spacing / c.gmr), 1e-12, 'Trefoil: X1 = ω·2·10⁻⁴·ln(s/GMR) Ω/km');
+    
+    const flat = calculateCableImpedance({ size: '500 kcmil', installation: 'flat' }, { voltage: 13800 });
+    assertAlmostEqual(flat.x1 - trefoil.x1, omega(60) * Math.log(Math.cbrt(2)), 1e-12, 'Flat: GMD = ∛2·s');
+    const spaced = calculateCableImpedance({ size: '500 kcmil', installation: 'flat', spacing: 150 }, { voltage: 13800 });
+    assert(spaced.x1 > flat.x1, 'Spaced cables have more reactance');
+    
+    const at50 = calculateCableImpedance({ size: '500 kcmil' }, { voltage: 13800, frequency: 50 });
+    assertAlmostEqual(at50.x1 / trefoil.x1, 50 / 60, 1e-12, 'Reactance proportional to frequency');
+    
+    const multicore = calculateCableImpedance({ size: '95 mm²', cores: 4 }, { voltage: 400, frequency: 50 });
+    assert(multicore.x1 > 0.06 && multicore.x1 < 0.1, `4-core 95 mm² LV: X1 = ${multicore.x1.toFixed(4)} Ω/km`);
+    assertThrows(() => calculateCableImpedance({ size: '95 mm²', cores: 3, installation: 'flat' }, {}), 'multicore', 'Multicore cable cannot lie flat');
+    assertThrows(() => calculateCableImpedance({ size: '95 mm²', cores: 2 }, {}), 'cores', 'Two-core cable rejected');
+}
+
+// Test 4: Zero sequence
+console.log('\n--- Test 4: Zero sequence ---');
+{
+    const earth = calculateCableImpedance({ size: '4/0 AWG', cores: 3 }, { voltage: 480 });
+    const re = Math.PI * Math.PI * 60 * 1e-4;
+    assert(earth.returnPath === 'earth', 'Three-core cable without screen returns through the earth');
+    assertAlmostEqual(earth.r0, earth.r1 + 3 * re, 1e-12, 'Earth return: R0 = R1 + 3·Re');
+    assert(earth.x0 > 10 * earth.x1, 'Earth return: X0 many times X1');
+    
+    const neutral = calculateCableImpedance({ size: '4/0 AWG', cores: 4 }, { voltage: 480 });
+    assert(neutral.returnPath === 'neutral' && Math.hypot(neutral.r0, neutral.x0) < Math.hypot(earth.r0, earth.x0), 'Neutral core lowers Z0');
+    
+    // Phases and neutral each with earth return (Carson), neutral eliminated: Z0 = Zc - Zcn²/Zn
+    const c = neutral.construction;
+    const de = 658.5 * Math.sqrt(100 / 60) * 1000;
+    const loop = (r, distance) => complex(r + 3 * re, 3 * omega(60) * Math.log(de / distance));
+    const zc = loop(neutral.r1, Math.cbrt(c.gmr * c.gmd * c.gmd));
+    const zn = loop(3 * neutral.rdc, c.gmr);
+    const zcn = loop(0, c.gmd);
+    const z0 = cSub(zc, cDiv(cMul(zcn, zcn), zn));
+    assertAlmostEqual(neutral.r0, z0.re, 1e-12, 'Neutral return: R0 with the neutral core eliminated');
+    assertAlmostEqual(neutral.x0, z0.im, 1e-12, 'Neutral return: X0 with the neutral core eliminated');
+    
+    const screened = calculateCableImpedance({ size: '500 kcmil', screenArea: 16 }, { voltage: 13800 });
+    const bare = calculateCableImpedance({ size: '500 kcmil' }, { voltage: 13800 });
+    assert(screened.returnPath === 'screen' && screened.x0 < bare.x0 && screened.r0 > bare.r0, 'Screen return: lower X0, screen resistance in R0');
+    
+    const sets = calculateCableImpedance({ size: '500 kcmil', screenArea: 16, sets: 3 }, { voltage: 13800 });
+    assert(['r1', 'x1', 'r0', 'x0'].every(k => Math.abs(sets[k] - screened[k] / 3) < 1e-12), 'Three parallel sets: every impedance divided by 3');
+}
+
+// Test 5: Topology and network model
+console.log('\n--- Test 5: Topology and network model ---');
+{
+    const tm = new TopologyManager();
+    const entered = { resistance: 0.2, reactance: 0.08, length: 1000 };
+    assertAlmostEqual(tm.getCableImpedanceOhms(entered).r, 0.2 * (234.5 + 75) / (234.5 + 20), 1e-12, 'Entered R: copper at 75°C by default');
+    assertAlmostEqual(tm.getCableImpedanceOhms({ ...entered, material: 'aluminum' }).r, 0.2 * (228 + 75) / (228 + 20), 1e-12, 'Entered R: aluminum constant');
+    assertAlmostEqual(tm.getCableImpedanceOhms({ ...entered, operatingTemp: 90 }).r, 0.2 * (234.5 + 90) / (234.5 + 20), 1e-12, 'Operating temperature applied');
+    assertAlmostEqual(tm.getCableImpedanceOhms({ ...entered, operatingTemp: 90, conductorTemperature: 20 }).r, 0.2, 1e-12, 'Conductor temperature takes precedence');
+    const twoSets = tm.getCableImpedanceOhms({ ...entered, sets: 2 });
+    assertAlmostEqual(twoSets.x, 0.04, 1e-12, 'Entered R and X divided by the parallel sets');
+    assert(tm.getCableImpedanceOhms(entered, 'zero') === null, 'No zero-sequence data without r0/x0');
+    
+    const topology = tm.buildFromProject(project);
+    const feeder = topology.components.find(c => c.name === 'MV Feeder');
+    const mcc = topology.components.find(c => c.name === 'MCC Feeder');
+    const perKm = calculateCableImpedance(feeder, { voltage: 13800 });
+    const zBase = 13800 * 13800 / 100e6;
+    const z1 = getBranchImpedancePU(feeder, tm.getBus(feeder.fromBus), tm, 100);
+    const z0 = getBranchImpedancePU(feeder, tm.getBus(feeder.fromBus), tm, 100, 'zero');
+    assertAlmostEqual(z1.re, perKm.r1 * 0.3 / zBase, 1e-12, 'Branch R1 from the construction at 75°C');
+    assertAlmostEqual(z1.im, perKm.x1 * 0.3 / zBase, 1e-12, 'Branch X1 from the construction');
+    assertAlmostEqual(z0.im, perKm.x0 * 0.3 / zBase, 1e-12, 'Branch X0 from the construction, not the typical 3 × Z1');
+    
+    const lv = tm.getCableImpedanceOhms(mcc);
+    const lvPerKm = calculateCableImpedance({ ...mcc, sets: 1 }, { voltage: 480 });
+    assertAlmostEqual(lv.r, lvPerKm.r1 * 0.06 / 3, 1e-12, 'Library sets in parallel');
+    const switchgear = [...tm.toBusSystem().buses.values()].find(b => b.name === '13.8 kV Switchgear');
+    assert(switchgear.impedance.r >= perKm.r1 * 0.3, 'Library cables converted to the bus system');
+    
+    const result = runLoadFlow(topology);
+    const mccFault = calculateBusSequenceFaults(topology).find(r => r.busName === 'MCC');
+    assert(result.converged && mccFault.faults.threePhase.faultCurrentKA > 0, 'Load flow and faults through library cables');
+}
+
+// Test 6: Calculator chain and orchestrator
+console.log('\n--- Test 6: Calculator chain and orchestrator ---');
+{
+    const totals = createChainSequenceImpedance();
+    accumulateChainSequenceImpedance(totals, { type: 'cable' }, { r: 0.01, x: 0.005 }, { r: 0.03, x: 0.04 });
+    assert(totals.z0.r === 0.03 && totals.z0.x === 0.04, 'Chain uses the cable zero-sequence impedance when given');
+    const typical = createChainSequenceImpedance();
+    accumulateChainSequenceImpedance(typical, { type: 'cable' }, { r: 0.01, x: 0.005 });
+    assertAlmostEqual(typical.z0.x, 0.005 * SEQUENCE_IMPEDANCE_RATIOS.cableZ0, 1e-12, 'Typical Z0/Z1 otherwise');
+    
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const invalid = {
+        ...project,
+        components: project.components.map(c => (c.name === 'MCC Feeder' ? { ...c, size: '7 AWG' } : c))
+    };
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(project),
+        new CalculationOrchestrator().runAllAnalysis(invalid)
+    ]).then(([result, invalidResult]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        assert(result.success, 'Analysis succeeds with library cables');
+        assert(result.assumptions.some(a => a.category === 'Cable Library'), 'Cable library assumption recorded');
+        const mcc = result.results.shortCircuit.find(sc => sc.busName === 'MCC');
+        const topology = new TopologyManager().buildFromProject(project);
+        const expected = calculateBusSequenceFaults(topology).find(r => r.busName === 'MCC').faults.threePhase.faultCurrentKA;
+        assertAlmostEqual(mcc.faultCurrents.threePhase / 1000, expected, 0.01, 'MCC fault current through the library cables');
+        assert(!invalidResult.success, 'Unknown cable size rejected');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,195 @@
+/**
+ * test_capacitor_switching.js
+ * Tests for capacitor bank transients (IEEE C37.012):
+ * 1. Capacitance and LC discharge
+ * 2. Back-to-back inrush of multi-step banks
+ * 3. Breaker capability and inrush reactor sizing
+ * 4. Outrush into nearby faults
+ * 5. Orchestrator switching duty and outrush results
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/capacitor_switching.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 13.8 kV bank of four 1.2 MVAR steps, 20 µH between steps
+const bank = { type: 'capacitor_bank', name: 'CAP-1', bus: 'Cap Bus', power: 4.8, voltage: 13.8, steps: 4, stepInductance: 20 };
+const stepCurrent = 1200 / (Math.sqrt(3) * 13.8); // A
+// Same bank with steps closely coupled (5 µH)
+const tight = { ...bank, stepInductance: 5 };
+
+// 13.8 kV switchgear feeding a capacitor bus over 200 m and a 480 V unit substation
+const project = {
+    frequency: 60,
+    buses: [{ name: 'MV Main', voltage: 13800 }, { name: 'Cap Bus', voltage: 13800 }, { name: 'LV', voltage: 480 }],
+    components: [
+        { type: 'utility', name: 'Utility', bus: 'MV Main', shortCircuitMVA: 500, voltage: 13800, xr: 15 },
+        { type: 'cable', name: 'Cap Feeder', fromBus: 'MV Main', toBus: 'Cap Bus', length: 200, resistance: 0.1, reactance: 0.12, voltage: 13800 },
+        {
+            type: 'transformer', name: 'TX-1', fromBus: 'MV Main', toBus: 'LV',
+            power: 1.5, powerUnit: 'MVA', impedance: 5.75, primaryV: 13.8, secondaryV: 0.48, rx: 0.1
+        },
+        tight,
+        { type: 'capacitor_bank', name: 'CAP-2', bus: 'Cap Bus', power: 1.2, voltage: 13.8, steps: 1 }
+    ]
+};
+
+console.log('\n' + '='.repeat(80));
+console.log('CAPACITOR SWITCHING TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Discharge
+console.log('\n--- Test 1: Capacitance and LC discharge ---');
+{
+    const c = getCapacitorCapacitance(1.2, 13.8, 60);
+    assertAlmostEqual(c * 2 * Math.PI * 60 * 13800 * 13800, 1.2e6, 1e-3, 'Q = ω·C·V² per phase (wye equivalent)');
+    assertAlmostEqual(getCapacitorCapacitance(1.2, 13.8, 50) / c, 60 / 50, 1e-12, 'Capacitance from rating scales with 1/f');
+    
+    const discharge = calculateCapacitorDischarge(13.8, c, 100e-6);
+    assertAlmostEqual(discharge.peakKA, Math.sqrt(2) * 13.8 / Math.sqrt(3) * Math.sqrt(c / 100e-6), 1e-9, 'Ipk = √2·V/√3·√(C/L)');
+    assertAlmostEqual(discharge.frequencyKHz, 1 / (2 * Math.PI * Math.sqrt(100e-6 * c)) / 1000, 1e-9, 'f = 1/(2π·√(LC))');
+}
+
+// Test 2: Back-to-back
+console.log('\n--- Test 2: Back-to-back inrush ---');
+{
+    // IEEE C37.012: Ipk = 1747·√(V·I1·I2/((I1 + I2)·L)) A, f = 9.5·√(fs·V·(I1 + I2)/(L·I1·I2)) kHz
+    const c = getCapacitorCapacitance(1.2, 13.8, 60);
+    const pair = calculateBackToBackInrush(13.8, c, c, 40e-6);
+    assertAlmostEqual(pair.peakKA, 1.747 * Math.sqrt(13.8 * stepCurrent * stepCurrent / (2 * stepCurrent * 40)), 0.005 * pair.peakKA, 'Peak matches the C37.012 formula');
+    assertAlmostEqual(pair.frequencyKHz, 9.5 * Math.sqrt(60 * 13.8 * 2 * stepCurrent / (40 * stepCurrent * stepCurrent)), 0.01 * pair.frequencyKHz, 'Frequency matches the C37.012 formula');
+    
+    const data = getCapacitorBankData(bank, 13800, 60);
+    const steps = calculateCapacitorStepInrush(data, 13.8);
+    assert(steps.length === 3 && steps[0].step === 2, 'Steps 2-4 switched back-to-back, step 1 isolated');
+    assertAlmostEqual(steps[0].peakKA, calculateBackToBackInrush(13.8, c, c, 40e-6).peakKA, 1e-9, 'Step 2 against step 1 through both leads');
+    const last = steps[2];
+    assertAlmostEqual(last.peakKA, calculateBackToBackInrush(13.8, c, 3 * c, 20e-6 + 20e-6 / 3).peakKA, 1e-9, 'Last step against three parallel steps');
+    assert(steps.every((step, i) => i === 0 || step.peakKA > steps[i - 1].peakKA), 'Inrush grows with each energized step');
+    
+    const withNeighbour = calculateCapacitorStepInrush(data, 13.8, [{ capacitance: c, inductance: 20e-6 }]);
+    assert(withNeighbour.length === 4 && withNeighbour[3].peakKA > last.peakKA, 'Energized neighbouring bank adds to the inrush');
+}
+
+// Test 3: Capability and reactor
+console.log('\n--- Test 3: Breaker capability and inrush reactor ---');
+{
+    const check = checkCapacitorInrushCapability({ peakKA: 10, frequencyKHz: 10 }, { peakKA: 20, frequencyKHz: 4.25 });
+    assert(check.peakOK && !check.productOK && !check.withinCapability, 'Peak × frequency product above 20 kA × 4.25 kHz fails');
+    
+    assert(calculateCapacitorSwitching(bank, 13800).check.withinCapability, '20 µH between steps within the default capability');
+    const duty = calculateCapacitorSwitching(tight, 13800);
+    assert(duty.worst.step === 4 && !duty.check.withinCapability, 'Closely coupled steps exceed the default capability');
+    assert(duty.recommendedReactor > 0, `Inrush reactor recommended (${duty.recommendedReactor} µH per step)`);
+    
+    const reactored = calculateCapacitorSwitching({ ...tight, reactor: duty.recommendedReactor }, 13800);
+    assert(reactored.check.withinCapability && reactored.recommendedReactor === null, 'Recommended reactor brings every step within capability');
+    const short = calculateCapacitorSwitching({ ...tight, reactor: duty.recommendedReactor - 2 }, 13800);
+    assert(!short.check.withinCapability, 'Reactor is the smallest that fits (to 1 µH)');
+    
+    const rated = calculateCapacitorSwitching({ ...tight, breakerInrushPeak: 50, breakerInrushFrequency: 20 }, 13800);
+    assert(rated.check.withinCapability && rated.capability.peakKA === 50, 'Breaker rating from the bank data');
+    assert(calculateCapacitorSwitching({ ...bank, steps: 1 }, 13800).worst === null, 'Single-step bank: no back-to-back duty');
+}
+
+// Test 4: Outrush
+console.log('\n--- Test 4: Outrush into nearby faults ---');
+{
+    const c = getCapacitorCapacitance(4.8, 13.8, 60);
+    const local = calculateCapacitorOutrush(bank, 13800, 0);
+    assertAlmostEqual(local.peakKA, calculateCapacitorDischarge(13.8, c, 5e-6).peakKA, 1e-9, 'Fault at the bank bus: four steps through their parallel leads');
+    const remote = calculateCapacitorOutrush(bank, 13800, 100e-6);
+    assert(remote.peakKA < local.peakKA && remote.frequencyKHz < local.frequencyKHz, 'Inductance to the fault lowers peak and frequency');
+    assertAlmostEqual(calculateCapacitorOutrush({ ...bank, stepsInService: 2 }, 13800, 0).peakKA, calculateCapacitorDischarge(13.8, c / 2, 10e-6).peakKA, 1e-9,
+        'Only steps in service discharge');
+    assert(calculateCapacitorOutrush({ ...bank, stepsInService: 0 }, 13800, 0) === null, 'De-energized bank: no outrush');
+}
+
+// Test 5: Orchestrator
+console.log('\n--- Test 5: Orchestrator switching duty and outrush ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const invalid = { ...project, components: [...project.components, { type: 'capacitor_bank', name: 'BAD', bus: 'LV', power: 0, steps: 1.5 }] };
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(project),
+        new CalculationOrchestrator().runShortCircuitAnalysis(invalid)
+    ]).then(([result, rejected]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        const switching = result.results.capacitorSwitching;
+        const cap1 = switching.find(entry => entry.name === 'CAP-1');
+        const cap2 = switching.find(entry => entry.name === 'CAP-2');
+        assert(result.success && switching.length === 2, 'Switching duty for every bank');
+        assert(cap1.inrush.length === 4 && cap2.worst !== null, 'Banks on the same bus switch back-to-back with each other');
+        assert(!cap1.check.withinCapability && cap1.recommendedReactor > 0, 'Exceeded capability reported with a reactor');
+        assert(result.log.some(entry => entry.message.includes('WARNING: Capacitor bank CAP-1') && entry.message.includes('inrush reactor')), 'Reactor recommendation logged');
+        
+        const capBus = result.results.shortCircuit.find(entry => entry.busName === 'Cap Bus');
+        const mvMain = result.results.shortCircuit.find(entry => entry.busName === 'MV Main');
+        const lv = result.results.shortCircuit.find(entry => entry.busName === 'LV');
+        assert(capBus.capacitorOutrush.banks.length === 2, 'Both banks discharge into a fault at their bus');
+        assertAlmostEqual(capBus.capacitorOutrush.banks[0].peakKA, calculateCapacitorOutrush(tight, 13800, 0).peakKA, 0.01, 'Negligible loop inductance at the bank bus');
+        const cableInductance = 0.12 * 0.2 / (2 * Math.PI * 60);
+        const feeder = mvMain.capacitorOutrush.banks.find(entry => entry.name === 'CAP-1');
+        assertAlmostEqual(feeder.inductanceUH, 1.25 + cableInductance * 1e6, 0.5, 'Feeder cable inductance in the outrush loop');
+        assert(mvMain.capacitorOutrush.peakKA < capBus.capacitorOutrush.peakKA, 'Outrush falls with distance to the fault');
+        assert(!lv.capacitorOutrush, 'No outrush through a transformer');
+        
+        assert(!rejected.success && rejected.error.includes('BAD: Invalid rating') && rejected.error.includes('positive integer'), 'Invalid bank data rejected');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,177 @@
+/**
+ * test_dc_arc_flash.js
+ * Tests for DC arc flash (NFPA 70E Annex D.5):
+ * 1. Maximum power method
+ * 2. Stokes & Oppenlander and Paukert arc models
+ * 3. Open-air and box enclosure factors
+ * 4. PPE selection and DC approach boundaries
+ * 5. Orchestrator DC arc flash results
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/dc_short_circuit.js'));
+Object.assign(global, require('./js/arc_flash_calculation.js'));
+Object.assign(global, require('./js/ppe_selection.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 125 V battery, 10 kA bolted, 100 ms arc at 455 mm
+const params = { voltage: 125, boltedFaultCurrent: 10, workingDistance: 455, arcDuration: 0.1, equipmentGap: 25 };
+const project = require('./Test_DC_System_Example.json');
+
+console.log('\n' + '='.repeat(80));
+console.log('DC ARC FLASH TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Maximum power method
+console.log('\n--- Test 1: Maximum power method ---');
+{
+    const open = calculateDCArcFlash({ ...params, model: 'maximum-power', enclosure: 'open' });
+    assertAlmostEqual(open.arcingCurrent, 5, 1e-12, 'Iarc = 0.5 × Ibf');
+    assertAlmostEqual(open.arcVoltage, 62.5, 1e-12, 'Varc = 0.5 × Vsys');
+    assertAlmostEqual(open.incidentEnergy, 62.5 * 5000 * 0.1 / (4 * Math.PI * 45.5 * 45.5), 1e-9, 'Open air E = P·t/(4π·d²)');
+    assertAlmostEqual(open.incidentEnergyCalCm2, 0.01 * 125 * 5000 * 0.1 / (45.5 * 45.5), 0.06 * open.incidentEnergyCalCm2, 'Within 6% of Doan 0.01·Vsys·Iarc·t/D²');
+    assert(open.method === 'DC Maximum Power (Open Air)' && open.systemType === 'DC', 'Result labelled with the DC method');
+    
+    assert(selectArcFlashMethod(125, 'dc') === 'DC Arc Flash', 'DC method selected for a 125 V DC system');
+    assert(selectArcFlashMethod(480, 'ac') === 'IEEE 1584-2018', 'AC selection unchanged');
+    assert(!calculateDCArcFlash({ ...params, voltage: 1500 }).applicable, 'DC methods limited to 1000 V');
+}
+
+// Test 2: Arc models
+console.log('\n--- Test 2: Stokes & Oppenlander and Paukert ---');
+{
+    const stokes = calculateDCArcFlash({ ...params, model: 'stokes-oppenlander' });
+    const rSystem = 125 / 10000;
+    assertAlmostEqual(stokes.arcingCurrent * 1000 * (rSystem + stokes.arcResistance), 125, 1e-6, 'Arc current satisfies Vsys = Iarc·(Rsys + Rarc)');
+    assertAlmostEqual(stokes.arcResistance, (20 + 0.534 * 25) / Math.pow(stokes.arcingCurrent * 1000, 0.88), 1e-12, 'Rarc = (20 + 0.534·G)/Iarc^0.88');
+    
+    const wider = calculateDCArcFlash({ ...params, model: 'stokes-oppenlander', equipmentGap: 100 });
+    assert(wider.arcingCurrent < stokes.arcingCurrent && wider.arcVoltage > stokes.arcVoltage, 'Longer gap: higher arc voltage, lower current');
+    
+    const paukert = calculateDCArcFlash({ ...params, model: 'paukert' });
+    assertAlmostEqual(paukert.arcingCurrent * 1000 * (rSystem + paukert.arcResistance), 125, 1e-6, 'Paukert arc current balances the system voltage');
+    const coefficients = getPaukertCoefficients(20);
+    assert(coefficients.a === 22 && coefficients.b === 0.88, 'Tabulated Paukert coefficients at 20 mm');
+    const between = getPaukertCoefficients(25);
+    assert(between.a > 22 && between.a < 30, 'Coefficients interpolated between gaps');
+    
+    const maxPower = calculateDCArcFlash({ ...params, model: 'maximum-power', enclosure: 'open' });
+    [stokes, paukert].forEach(result => {
+        assert(result.arcPower <= maxPower.arcPower + 1e-6, `${result.method}: arc power not above the maximum power`);
+    });
+    assert(calculateDCArcingCurrent(125, 10, 25, 'stokes-oppenlander').arcingCurrent < 10, 'Arc current below the bolted current');
+}
+
+// Test 3: Enclosure factors
+console.log('\n--- Test 3: Open air and box ---');
+{
+    const open = calculateDCArcFlash({ ...params, model: 'maximum-power', enclosure: 'open' });
+    const box = calculateDCArcFlash({ ...params, model: 'maximum-power', enclosure: 'box' });
+    assertAlmostEqual(box.incidentEnergy, 3 * open.incidentEnergy, 1e-9, 'Maximum power in a box: 3 × open air');
+    
+    const stokesBox = calculateDCArcFlash({ ...params, model: 'stokes-oppenlander', enclosure: 'box' });
+    const { a, k } = DC_ARC_FLASH.box;
+    assertAlmostEqual(stokesBox.incidentEnergy, k * stokesBox.arcPower * 0.1 / (a * a + 45.5 * 45.5), 1e-9, 'Box E = k·P·t/(a² + d²)');
+    assert(stokesBox.method === 'DC Stokes & Oppenlander (Arc in a Box)', 'Enclosure in the label');
+    
+    [open, box, stokesBox].forEach(result => {
+        const atBoundary = calculateDCArcFlash({ ...params, model: result.model, enclosure: result.enclosure, workingDistance: result.arcFlashBoundary });
+        assertAlmostEqual(atBoundary.incidentEnergy, 5, 1e-6, `${result.method}: 5 J/cm² at the arc flash boundary`);
+    });
+}
+
+// Test 4: PPE
+console.log('\n--- Test 4: PPE selection and DC boundaries ---');
+{
+    const long = calculateDCArcFlash({ ...params, boltedFaultCurrent: 20, arcDuration: 2, model: 'maximum-power', enclosure: 'box' });
+    const report = generatePPEReport(long);
+    assert(report.ppe.category === getPPECategory(long.incidentEnergyCalCm2) && report.ppe.category >= 2, 'PPE category from the DC incident energy');
+    assert(report.compliance.notes.some(note => note.includes('DC Maximum Power')), 'DC method noted in the PPE report');
+    assert(report.boundaries.limited === 3050 && report.boundaries.restricted === 0, '125 V DC: 10 ft limited, avoid contact');
+    assert(calculateNFPA70EBoundaries(600, 'dc').restricted === 305, '600 V DC restricted approach 1 ft');
+    assert(calculateNFPA70EBoundaries(48, 'dc').limited === 0, 'Below 50 V DC not specified');
+    assert(calculateNFPA70EBoundaries(125).restricted === 305, 'AC boundaries unchanged');
+}
+
+// Test 5: Orchestrator
+console.log('\n--- Test 5: Orchestrator DC arc flash ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const stokesProject = { ...project, arcFlashParams: { ...project.arcFlashParams, dcArcModel: 'stokes-oppenlander', arcDuration: 0.5 } };
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(project),
+        new CalculationOrchestrator().runArcFlashAnalysis(stokesProject)
+    ]).then(([result, arcFlashOnly]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        const dcArcFlash = result.results.arcFlash.filter(entry => entry.systemType === 'DC');
+        assert(result.success && dcArcFlash.length === 3, 'Arc flash at every DC bus');
+        assert(result.results.arcFlash.some(entry => entry.systemType !== 'DC'), 'AC arc flash results kept');
+        
+        const terminals = dcArcFlash.find(entry => entry.busName === 'Battery Terminals');
+        const dc = result.results.dcShortCircuit.find(entry => entry.busName === 'Battery Terminals');
+        assert(terminals.boltedFaultCurrent < dc.peakCurrentKA && terminals.boltedFaultCurrent > dc.quasiSteadyCurrentKA * 0.9,
+            'Bolted current averaged over the arc duration');
+        assert(terminals.method.startsWith('DC Maximum Power') && terminals.ppe && terminals.ppe.category >= 0, 'Labelled result with PPE');
+        assert(result.assumptions.some(a => a.category === 'Arc Flash' && a.description.includes('DC buses')), 'DC arc flash assumption recorded');
+        
+        const stokes = arcFlashOnly.arcFlash.find(entry => entry.busName === 'Battery Terminals');
+        assert(arcFlashOnly.success && stokes.method.startsWith('DC Stokes & Oppenlander'), 'Arc model from the arc flash parameters');
+        assert(stokes.arcDuration === 0.5 && stokes.boltedFaultCurrent < terminals.boltedFaultCurrent, 'Longer arc: lower average battery current');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
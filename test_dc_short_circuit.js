@@ -0,0 +1,209 @@
+/**
+ * test_dc_short_circuit.js
+ * Tests for DC short-circuit currents per IEC 61660-1:
+ * 1. DC cables and paths
+ * 2. Approximation function
+ * 3. Battery
+ * 4. Rectifiers (current-limited charger and IEC 61660-1 bridge)
+ * 5. DC motor
+ * 6. Total current at DC buses
+ * 7. Orchestrator results and validation
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/dc_short_circuit.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 125 V substation battery system
+const project = require('./Test_DC_System_Example.json');
+const dcSystem = project.dcSystem;
+const battery = dcSystem.components.find(comp => comp.type === 'dc_battery');
+
+console.log('\n' + '='.repeat(80));
+console.log('DC SHORT CIRCUIT TESTS (IEC 61660-1)');
+console.log('='.repeat(80));
+
+// Test 1: Cables and paths
+console.log('\n--- Test 1: DC cables and paths ---');
+{
+    const cable = getDCCableImpedance({ length: 100, resistance: 0.5, inductance: 0.3 });
+    assertAlmostEqual(cable.r, 0.1, 1e-12, 'Loop resistance of both conductors');
+    assertAlmostEqual(cable.l, 0.06e-3, 1e-15, 'Loop inductance in H');
+    
+    const path = findDCPath(dcSystem, 'Battery Terminals', 'DC Distribution Panel');
+    assert(path.length === 2 && path[0].name === 'BATT-CBL' && path[1].name === 'FDR-1', 'Path through both cables');
+    assert(findDCPath(dcSystem, 'Main DC Panel', 'Main DC Panel').length === 0, 'Same bus: empty path');
+    
+    const opened = { ...dcSystem, components: dcSystem.components.map(comp => (comp.name === 'FDR-1' ? { ...comp, status: 'open' } : comp)) };
+    assert(findDCPath(opened, 'Battery Terminals', 'DC Distribution Panel') === null, 'Open cable disconnects the panel');
+}
+
+// Test 2: Approximation function
+console.log('\n--- Test 2: Approximation function ---');
+{
+    const params = { ip: 1000, tp: 0.005, tau1: 0.002, tau2: 0.03, ik: 600 };
+    assertAlmostEqual(calculateDCApproximationCurrent(params, 0), 0, 1e-12, 'Zero at fault inception');
+    assertAlmostEqual(calculateDCApproximationCurrent(params, 0.005), 1000, 1e-9, 'ip at tp');
+    assertAlmostEqual(calculateDCApproximationCurrent(params, 0.035), 600 + 400 / Math.E, 1e-9, 'Decays with τ2 after the peak');
+    assertAlmostEqual(calculateDCApproximationCurrent(params, 5), 600, 1e-6, 'Quasi-steady current Ik');
+}
+
+// Test 3: Battery
+console.log('\n--- Test 3: Battery ---');
+{
+    const rb = battery.internalResistance;
+    const stiff = calculateBatteryShortCircuit({ ...battery, inductance: 0.0001 });
+    assertAlmostEqual(stiff.ip, 1.05 * 125 / (0.9 * rb), 0.01 * stiff.ip, 'ipB = EB/RBBr with negligible inductance');
+    assertAlmostEqual(stiff.ik, 0.95 * 1.05 * 125 / (1.1 * rb), 1e-9, 'IkB = 0.95·EB/(1.1·RB)');
+    assertAlmostEqual(stiff.tau2, DC_TYPICAL_DATA.batteryTimeConstant, 0.002, 'Decay with TB = 30 ms');
+    
+    const terminals = calculateBatteryShortCircuit(battery);
+    assert(terminals.tp > 0.001 && terminals.tp < 0.05 && terminals.ip < stiff.ip, 'Inductance delays and lowers the peak');
+    assertAlmostEqual(terminals.ip / (terminals.tau1 * (1 - Math.exp(-terminals.tp / terminals.tau1))), 1.05 * 125 / terminals.inductance, 1e-6 * terminals.ip / terminals.tau1,
+        'τ1 matches the initial rate of rise EB/LBBr');
+    
+    const remote = calculateBatteryShortCircuit(battery, getDCBranchImpedance(dcSystem, 'Battery Terminals', 'DC Distribution Panel'));
+    assert(remote.ip < terminals.ip / 5, 'Feeder cable limits the battery current');
+    assertAlmostEqual(calculateBatteryShortCircuit({ voltage: 125, capacity: 400 }).ik, 0.95 * 1.05 * 125 / (1.1 * 125 / 8000), 1e-6, 'Internal resistance from capacity (20 A/Ah)');
+    assert(calculateBatteryShortCircuit({ voltage: 125 }) === null, 'No battery data: no contribution');
+}
+
+// Test 4: Rectifiers
+console.log('\n--- Test 4: Rectifiers ---');
+{
+    const charger = calculateRectifierShortCircuit({ voltage: 130, ratedCurrent: 100, currentLimit: 1.5 });
+    assert(charger.ip === 150 && charger.ik === 150 && charger.currentLimited, 'Charger delivers its current limit');
+    const limited = calculateRectifierShortCircuit({ voltage: 130, ratedCurrent: 100, currentLimit: 1.5 }, { r: 2, l: 0 });
+    assertAlmostEqual(limited.ik, 65, 1e-9, 'Branch resistance below the current limit');
+    
+    const bridge = { voltage: 125, acVoltage: 208, acShortCircuitMVA: 1, acXR: 5 };
+    const stiff = calculateRectifierShortCircuit(bridge, { r: 1e-6, l: 0 }, 50);
+    const zN = 208 * 208 / 1e6;
+    assertAlmostEqual(stiff.ik, (3 * Math.sqrt(2) / Math.PI) * 1.05 * 208 / (Math.sqrt(3) * zN), 0.01 * stiff.ik, 'IkD of a bolted bridge fault (λD ≈ 1)');
+    assert(stiff.kappaD > 1.05 && stiff.kappaD < 2 && stiff.ip > stiff.ik, 'Peak factor κD between 1 and 2');
+    
+    const smoothed = calculateRectifierShortCircuit({ ...bridge, smoothingInductance: 5 }, { r: 1e-6, l: 0 }, 50);
+    assert(smoothed.kappaD < stiff.kappaD && smoothed.tp > stiff.tp, 'Smoothing reactor lowers and delays the peak');
+    const resistive = calculateRectifierShortCircuit({ ...bridge, smoothingResistance: 0.05 }, { r: 0, l: 0 }, 50);
+    assert(resistive.lambdaD < 0.9 && resistive.ik < stiff.ik, 'DC resistance reduces λD');
+    assert(calculateRectifierShortCircuit(bridge, { r: 1e-6, l: 0 }, 60).tp < stiff.tp, 'Times scale with the supply frequency');
+}
+
+// Test 5: DC motor
+console.log('\n--- Test 5: DC motor ---');
+{
+    const motor = { voltage: 250, ratedCurrent: 100, armatureResistance: 0.125, armatureInductance: 0.025, mechanicalTimeConstant: 2 };
+    const terminals = calculateDCMotorShortCircuit(motor);
+    assertAlmostEqual(terminals.ip, (250 - 100 * 0.125) / 0.125, 0.02 * terminals.ip, 'ipM = (UrM - IrM·RM)/RMBr');
+    assert(terminals.ik === 0, 'Decelerating motor: no quasi-steady current');
+    assert(terminals.tau2 > 1 && terminals.tau2 < 3, 'Decay with the mechanical time constant');
+    
+    const typical = calculateDCMotorShortCircuit({ voltage: 125, power: 7.5, efficiency: 85 });
+    assertAlmostEqual(typical.resistance, 0.05 * 125 / (7500 / (125 * 0.85)), 1e-9, 'Typical armature resistance from rating');
+}
+
+// Test 6: Total current
+console.log('\n--- Test 6: Total current at DC buses ---');
+{
+    const results = calculateDCShortCircuit(dcSystem);
+    const terminals = results.find(r => r.busName === 'Battery Terminals');
+    const panel = results.find(r => r.busName === 'DC Distribution Panel');
+    
+    assert(terminals.sources.length === 3, 'Battery, charger and motor contribute');
+    assertAlmostEqual(terminals.ik, terminals.sources.reduce((sum, s) => sum + s.ik, 0), 1e-9, 'Ik is the sum of the partial quasi-steady currents');
+    assert(terminals.ip >= Math.max(...terminals.sources.map(s => s.ip)), 'Total peak at least the largest partial peak');
+    assert(terminals.ip <= terminals.sources.reduce((sum, s) => sum + s.ip, 0) + 1e-6, 'Total peak at most the sum of partial peaks');
+    assert(panel.ip < terminals.ip / 2, 'Lower peak at the remote panel');
+    
+    assertAlmostEqual(terminals.curve[0].current, 0, 1e-12, 'Curve starts at zero');
+    const peakSample = Math.max(...terminals.curve.map(point => point.current));
+    assert(peakSample <= terminals.ip + 1e-6, 'Curve never exceeds ip');
+    
+    const motorAtPanel = panel.sources.find(s => s.type === 'dc_motor');
+    const motorAtTerminals = terminals.sources.find(s => s.type === 'dc_motor');
+    assert(motorAtPanel.ip > motorAtTerminals.ip, 'Motor contributes more to a fault at its own panel');
+}
+
+// Test 7: Orchestrator
+console.log('\n--- Test 7: Orchestrator results and validation ---');
+{
+    const invalid = validateDCSystem({ buses: [{ name: 'DC', voltage: 125 }], components: [{ type: 'dc_battery', name: 'B', bus: 'Missing', voltage: 125 }] });
+    assert(invalid.errors.some(e => e.includes('bus must be a DC bus')), 'Unknown DC bus rejected');
+    assert(invalid.errors.some(e => e.includes('internal resistance')), 'Battery without data rejected');
+    
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(project),
+        new CalculationOrchestrator().runAllAnalysis({ ...project, dcSystem: undefined }),
+        new CalculationOrchestrator().runShortCircuitAnalysis(project)
+    ]).then(([result, acOnly, shortCircuit]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        assert(result.success && result.results.shortCircuit.length > 0, 'AC results alongside the DC results');
+        const dc = result.results.dcShortCircuit;
+        const direct = calculateDCShortCircuit(dcSystem).find(r => r.busName === 'Battery Terminals');
+        const terminals = dc.find(r => r.busName === 'Battery Terminals');
+        assertAlmostEqual(terminals.peakCurrentKA, direct.ip / 1000, 1e-9, 'Peak current in kA');
+        assertAlmostEqual(terminals.timeToPeakMs, direct.tp * 1000, 1e-9, 'Time to peak in ms');
+        assertAlmostEqual(result.results.summary.maxDCPeakCurrent, Math.max(...dc.map(r => r.peakCurrentKA)), 1e-12, 'Maximum DC peak in the summary');
+        assert(result.assumptions.some(a => a.category === 'DC Short Circuit'), 'DC assumptions recorded');
+        assert(result.log.some(entry => entry.message.startsWith('DC bus Battery Terminals')), 'DC results logged');
+        assert(acOnly.success && acOnly.results.dcShortCircuit === null && acOnly.results.summary.maxDCPeakCurrent === null, 'No DC results without a DC system');
+        assert(shortCircuit.success && shortCircuit.dcShortCircuit.length === 3, 'Short-circuit-only run includes the DC system');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,179 @@
+/**
+ * test_generator_model.js
+ * Tests for the generator fault current decrement:
+ * 1. Terminal fault decrement from X"d to Xd
+ * 2. Excitation systems and external reactance
+ * 3. Average current and time below pickup
+ * 4. Decrement curve in amperes
+ * 5. Orchestrator decrement, arc flash current and protection pickup
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/generator_model.js'));
+Object.assign(global, require('./js/scenario_manager.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 2 MVA, 480 V standby generator
+const generator = {
+    type: 'generator', name: 'GEN', power: 2, voltage: 0.48, reactance: 14, xdTransient: 22, xdSat: 200,
+    tdSubtransient: 0.015, tdTransient: 0.25, ta: 0.04
+};
+const project = require('./Test_Operating_Scenarios_Example.json');
+const scenario = name => project.scenarios.find(s => s.name === name);
+
+console.log('\n' + '='.repeat(80));
+console.log('GENERATOR DECREMENT TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Terminal fault
+console.log('\n--- Test 1: Terminal fault decrement ---');
+{
+    const params = getGeneratorDecrementParameters(generator);
+    assertAlmostEqual(calculateGeneratorCurrentAtTime(params, 0).symmetrical, 1 / 0.14, 1e-12, 'I"d = 1/X"d at fault inception');
+    assertAlmostEqual(calculateGeneratorCurrentAtTime(params, 0).asymmetrical, Math.sqrt(3) / 0.14, 1e-12, 'Fully offset first current √3 × I"d');
+    assertAlmostEqual(calculateGeneratorCurrentAtTime(params, 0.1).symmetrical,
+        (1 / 0.22 - 0.5) * Math.exp(-0.1 / 0.25) + 0.5 + (1 / 0.14 - 1 / 0.22) * Math.exp(-0.1 / 0.015), 1e-12, 'Subtransient and transient terms at 100 ms');
+    assertAlmostEqual(calculateGeneratorCurrentAtTime(params, 60).symmetrical, 1 / 2.0, 1e-9, 'Constant excitation settles at 1/Xd');
+    assert(calculateGeneratorCurrentAtTime(params, 1).dc < 1e-9, 'DC offset gone after 1 s');
+    
+    const typical = getGeneratorDecrementParameters({ type: 'generator', power: 1, voltage: 0.48, reactance: 15 });
+    assert(typical.xdTransient === GENERATOR_TYPICAL_DATA.xdTransient / 100 && typical.tdTransient === GENERATOR_TYPICAL_DATA.tdTransient,
+        'Typical data used when only X"d is given');
+    assert(typical.excitation === 'constant', 'Constant field voltage by default');
+}
+
+// Test 2: Excitation and external reactance
+console.log('\n--- Test 2: Excitation systems and external reactance ---');
+{
+    const shunt = getGeneratorDecrementParameters({ ...generator, excitation: 'shunt' });
+    const forcing = getGeneratorDecrementParameters({ ...generator, excitation: 'forcing' });
+    assert(calculateGeneratorCurrentAtTime(shunt, 5).symmetrical < 0.01, 'Shunt excitation collapses for a terminal fault');
+    assertAlmostEqual(calculateGeneratorCurrentAtTime(forcing, 10).symmetrical, 3.0, 1e-9, 'Field forcing sustains 3 × rated current');
+    assertAlmostEqual(getGeneratorDecrementParameters({ ...generator, excitation: 'forcing', forcingMultiple: 2.5 }).sustainedCurrent, 2.5, 1e-12, 'Forcing multiple from generator data');
+    
+    const remote = getGeneratorDecrementParameters(generator, 0.3);
+    assertAlmostEqual(remote.subtransientCurrent, 1 / 0.44, 1e-12, 'External reactance in series with X"d');
+    assertAlmostEqual(remote.tdTransient, 0.25 * (2.0 / 0.22) * (0.22 + 0.3) / (2.0 + 0.3), 1e-12, "T'd lengthens toward T'do with external reactance");
+    assertAlmostEqual(getGeneratorDecrementParameters({ ...generator, excitation: 'forcing' }, 0.3).sustainedCurrent, 3.0 * 2.0 / 2.3, 1e-12, 'Forcing current reduced by external reactance');
+}
+
+// Test 3: Average current and pickup time
+console.log('\n--- Test 3: Average current and time below pickup ---');
+{
+    const params = getGeneratorDecrementParameters(generator);
+    const steps = 20000;
+    let integral = 0;
+    for (let i = 0; i < steps; i++) {
+        integral += calculateGeneratorCurrentAtTime(params, (i + 0.5) * 0.5 / steps).symmetrical * 0.5 / steps;
+    }
+    assertAlmostEqual(calculateGeneratorAverageCurrent(params, 0.5), integral / 0.5, 1e-6, 'Average over 0.5 s matches numerical integration');
+    assert(calculateGeneratorAverageCurrent(params, 0.1) < params.subtransientCurrent, 'Average below the subtransient current');
+    
+    const time = getGeneratorDecrementTime(params, 2.0);
+    assertAlmostEqual(calculateGeneratorCurrentAtTime(params, time).symmetrical, 2.0, 1e-9, 'Current equals pickup at the reported time');
+    assert(getGeneratorDecrementTime(params, 0.4) === Infinity, 'Pickup below the sustained current is never lost');
+    assert(getGeneratorDecrementTime(params, 10) === 0, 'Pickup above the subtransient current never reached');
+    assert(getGeneratorDecrementTime(getGeneratorDecrementParameters({ ...generator, excitation: 'forcing' }), 2.0) === Infinity, 'Field forcing holds the current above a 2 × rated pickup');
+}
+
+// Test 4: Curve
+console.log('\n--- Test 4: Decrement curve ---');
+{
+    const curve = calculateGeneratorDecrement(generator);
+    const ratedCurrent = 2e6 / (Math.sqrt(3) * 480);
+    assertAlmostEqual(curve.ratedCurrent, ratedCurrent, 1e-9, 'Rated current from MVA and kV');
+    assert(curve.points.length === GENERATOR_DECREMENT_TIMES.length && curve.points[curve.points.length - 1].time === 5, 'Curve from 0 to 5 s');
+    assertAlmostEqual(curve.points[0].symmetrical, ratedCurrent / 0.14, 1e-6, 'Curve starts at I"d in amperes');
+    assert(curve.points.every((point, i) => i === 0 || point.symmetrical < curve.points[i - 1].symmetrical), 'Constant-excitation current decreases monotonically');
+}
+
+// Test 5: Orchestrator
+console.log('\n--- Test 5: Orchestrator decrement, arc flash and pickup ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const islanded = applyScenario(project, scenario('Generator only'));
+    islanded.components = islanded.components.map(comp => (comp.name === 'GEN-1' ? { ...comp, pickupCurrent: 2500 } : comp));
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(islanded),
+        new CalculationOrchestrator().runAllAnalysis(applyScenario(project, { name: 'Gen paralleled', sources: { 'GEN-1': true } })),
+        new CalculationOrchestrator().runAllAnalysis(applyScenario(project, scenario('Normal')))
+    ]).then(([result, paralleled, normal]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        const busA = result.results.shortCircuit.find(entry => entry.busName === 'Bus A');
+        const decrement = busA.generatorDecrement;
+        const ratedCurrent = 1e6 / (Math.sqrt(3) * 480);
+        assert(result.success && decrement, 'Decrement reported at generator-fed buses');
+        assert(decrement.otherSourcesKA < 1e-6, 'Generator is the only source');
+        assertAlmostEqual(decrement.curve[0].symmetricalKA, busA.faultCurrentsKA.threePhase, 1e-6, 'Curve starts at the three-phase fault current');
+        assertAlmostEqual(decrement.curve[decrement.curve.length - 1].symmetricalKA, ratedCurrent / 1.6 / 1000, 0.01, 'Decays to the Xd-limited current (typical 160%)');
+        
+        const arcFlash = result.results.arcFlash.find(entry => entry.busName === 'Bus A');
+        assert(arcFlash.boltedFaultCurrent < busA.faultCurrentsKA.threePhase * 0.8, 'Arc flash uses the current averaged over the arc duration');
+        
+        const gen = decrement.generators[0];
+        assert(gen.pickupTime > 0.1 && gen.pickupTime < 1, 'Time below the 2500 A pickup reported');
+        assert(result.log.some(entry => entry.message.includes('GEN-1 current for a fault at Bus A falls below')), 'Pickup loss logged');
+        
+        const parallel = paralleled.results.shortCircuit.find(entry => entry.busName === 'Bus B').generatorDecrement;
+        assert(parallel.otherSourcesKA > 0 && parallel.generators[0].externalReactance < 0.01, 'Utility held constant alongside a terminal-fault generator');
+        assert(parallel.curve[parallel.curve.length - 1].symmetricalKA > parallel.otherSourcesKA, 'Sustained generator current added to the utility');
+        assert(normal.results.shortCircuit.every(entry => !entry.generatorDecrement), 'No decrement without a generator in service');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
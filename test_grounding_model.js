@@ -0,0 +1,259 @@
+/**
+ * test_grounding_model.js
+ * Tests for neutral grounding resistor/reactor (NGR) modeling:
+ * 1. NGR impedance from ohmic value or let-through current
+ * 2. Resistance-grounded transformer limits L-G fault current
+ * 3. Generator neutral reactor
+ * 4. Time and current rating checks
+ * 5. Orchestrator flags an exceeded time rating and rates the NGR at the grounded bus voltage
+ * 6. Calculator chain and system grounding method (all source types, invalid vector groups)
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+/**
+ * Build topology result in the same shape as TopologyManager.buildFromProject
+ */
+function snapshot(topologyManager) {
+    return {
+        topologyManager: topologyManager,
+        busSystem: topologyManager.toBusSystem(),
+        buses: topologyManager.getAllBuses(),
+        connections: topologyManager.connections,
+        components: topologyManager.components
+    };
+}
+
+const utility = { type: 'utility', name: 'Utility', shortCircuitMVA: 500, voltage: 13800, xr: 10 };
+const transformer = {
+    type: 'transformer', name: 'T1', power: 5, powerUnit: 'MVA', impedance: 6,
+    primaryV: 13.8, secondaryV: 4.16, rx: 0.1, connectionType: 'Dyn11'
+};
+
+/**
+ * Utility - Dyn11 transformer - 4.16 kV bus, optionally with grounding devices
+ */
+function buildSystem(extraComponents = []) {
+    const tm = new TopologyManager();
+    const mv = tm.addBus('MV', 13800, 'source');
+    const lv = tm.addBus('LV', 4160, 'load');
+    tm.addComponent(utility, mv.id, null);
+    tm.addComponent(transformer, mv.id, lv.id);
+    extraComponents.forEach(comp => tm.addComponent(comp, lv.id, null));
+    return { topology: snapshot(tm), lv: lv };
+}
+
+console.log('\n' + '='.repeat(80));
+console.log('GROUNDING MODEL TESTS');
+console.log('='.repeat(80));
+
+// Test 1: NGR impedance
+console.log('\n--- Test 1: NGR impedance ---');
+{
+    const fromCurrent = calculateNGRImpedanceOhms({ letThroughCurrent: 400 }, 4160);
+    assertAlmostEqual(fromCurrent.z, 4160 / Math.sqrt(3) / 400, 1e-9, 'Zn = V_LN / I_let-through');
+    assertAlmostEqual(fromCurrent.x, 0, 1e-12, 'Resistor is purely resistive by default');
+    
+    const fromOhms = calculateNGRImpedanceOhms({ ohms: 6 }, 4160);
+    assertAlmostEqual(fromOhms.ratedCurrent, 4160 / Math.sqrt(3) / 6, 1e-9, 'Rated current from ohmic value');
+    
+    const reactor = calculateNGRImpedanceOhms({ element: 'reactor', ohms: 3, xr: 30 }, 4160);
+    assertAlmostEqual(Math.hypot(reactor.r, reactor.x), 3, 1e-9, 'Reactor |Z| equals ohmic value');
+    assertAlmostEqual(reactor.x / reactor.r, 30, 1e-9, 'Reactor X/R applied');
+    
+    let threw = false;
+    try {
+        calculateNGRImpedanceOhms({ name: 'NGR' }, 4160);
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'NGR without ohms or let-through current raises an error');
+    
+    assert(getNGRTimeRating({ timeRating: '10min' }) === 600, '10-minute rating = 600 s');
+    assert(getNGRTimeRating({ timeRating: 'continuous' }) === Infinity, 'Continuous rating has no time limit');
+}
+
+// Test 2: Low-resistance grounded transformer secondary
+console.log('\n--- Test 2: Resistance-grounded transformer ---');
+{
+    const solid = buildSystem();
+    const solidFaults = calculateBusSequenceFaults(solid.topology).find(r => r.busId === solid.lv.id);
+    
+    const ngr = { type: 'ngr', name: 'NGR-1', neutralOf: 'T1', letThroughCurrent: 400, timeRating: '10s' };
+    const grounded = buildSystem([ngr]);
+    const faults = calculateBusSequenceFaults(grounded.topology).find(r => r.busId === grounded.lv.id);
+    
+    const lg = faults.faults.lineToGround;
+    assert(lg.faultCurrent < 400 && lg.faultCurrent > 390, `L-G current ${lg.faultCurrent.toFixed(1)} A limited to just below the 400 A rating`);
+    assert(solidFaults.faults.lineToGround.faultCurrent > 10000, 'Solidly grounded L-G current is in the kA range');
+    assertAlmostEqual(faults.faults.threePhase.faultCurrent, solidFaults.faults.threePhase.faultCurrent, 1e-6,
+        'Three-phase fault unaffected by neutral grounding');
+    
+    const neutral = lg.neutralCurrents.find(n => n.name === 'T1' && n.side === 'secondary');
+    assertAlmostEqual(neutral.neutralCurrent, lg.faultCurrent, 1e-6, 'Transformer neutral carries the full ground-fault current');
+    
+    // Unfaulted phases rise towards line-to-line voltage on a resistance-grounded system
+    assert(lg.phaseVoltagesPU.b.magnitude > 1.65, `Unfaulted phase voltage ${lg.phaseVoltagesPU.b.magnitude.toFixed(3)} pu approaches √3`);
+    
+    // NGR on the primary winding does not ground the secondary
+    const primary = buildSystem([{ ...ngr, winding: 'primary' }]);
+    const primaryFaults = calculateBusSequenceFaults(primary.topology).find(r => r.busId === primary.lv.id);
+    assertAlmostEqual(primaryFaults.faults.lineToGround.faultCurrent, solidFaults.faults.lineToGround.faultCurrent, 1e-6,
+        'NGR on the other winding leaves the secondary solidly grounded');
+}
+
+// Test 3: Generator neutral reactor
+console.log('\n--- Test 3: Generator neutral reactor ---');
+{
+    const generator = { type: 'generator', name: 'G1', power: 2, reactance: 15, voltage: 4.16, rx: 0.05 };
+    const buildGenerator = extra => {
+        const tm = new TopologyManager();
+        const bus = tm.addBus('Gen Bus', 4160, 'source');
+        tm.addComponent(generator, bus.id, null);
+        extra.forEach(comp => tm.addComponent(comp, bus.id, null));
+        return { faults: calculateBusSequenceFaults(snapshot(tm)).find(r => r.busId === bus.id) };
+    };
+    
+    const solid = buildGenerator([]).faults;
+    const reactorGrounded = buildGenerator([{ type: 'ngr', name: 'GNR', element: 'reactor', neutralOf: 'G1', ohms: 2 }]).faults;
+    
+    // Solidly grounded generator: L-G exceeds three-phase (X0 < X1); a neutral reactor brings it below
+    assert(solid.faults.lineToGround.faultCurrent > solid.faults.threePhase.faultCurrent, 'Solidly grounded generator L-G exceeds three-phase');
+    assert(reactorGrounded.faults.lineToGround.faultCurrent < reactorGrounded.faults.threePhase.faultCurrent,
+        'Neutral reactor limits L-G below three-phase');
+    
+    const zBase = 4160 * 4160 / 100e6;
+    const expected = 3 * 4160 / Math.sqrt(3) / Math.hypot(
+        (2 * solid.impedancePU.z1.re + solid.impedancePU.z0.re) * zBase + 3 * 2 / Math.sqrt(1 + 30 * 30),
+        (2 * solid.impedancePU.z1.im + solid.impedancePU.z0.im) * zBase + 3 * 2 * 30 / Math.sqrt(1 + 30 * 30));
+    assertAlmostEqual(reactorGrounded.faults.lineToGround.faultCurrent, expected, 1e-6, 'I_LG = 3E / (Z1 + Z2 + Z0 + 3Zn)');
+}
+
+// Test 4: Duty checks
+console.log('\n--- Test 4: Time and current ratings ---');
+{
+    const ngr = { name: 'NGR-1', letThroughCurrent: 400, timeRating: '10s' };
+    
+    const ok = checkNGRDuty(ngr, 395, 0.5, 4160);
+    assert(ok.status === 'OK' && ok.warnings.length === 0, 'Fault cleared in 0.5 s within 10 s rating');
+    assertAlmostEqual(ok.energyKJ, 395 * 395 * ok.ohms * 0.5 / 1000, 1e-9, 'Resistor energy I²Rt');
+    
+    const slow = checkNGRDuty(ngr, 395, 30, 4160);
+    assert(slow.timeRatingExceeded && slow.status === 'EXCEEDED', '30 s fault exceeds 10 s time rating');
+    
+    const hrg = checkNGRDuty({ name: 'HRG', letThroughCurrent: 5, timeRating: '10s' }, 5, undefined, 480);
+    assert(hrg.timeRatingExceeded, 'Untripped high-resistance ground fault exceeds a short-time rating');
+    
+    const hrgContinuous = checkNGRDuty({ name: 'HRG', letThroughCurrent: 5, timeRating: 'continuous' }, 5, undefined, 480);
+    assert(hrgContinuous.status === 'OK', 'Continuous-rated HRG resistor may stay in service');
+    
+    const overloaded = checkNGRDuty({ name: 'NGR-2', ohms: 6, timeRating: '10s' }, 800, 0.5, 4160);
+    assert(overloaded.currentExceeded, 'Neutral current above the resistor rating is flagged');
+}
+
+// Test 5: Orchestrator flags the resistor time rating
+console.log('\n--- Test 5: Orchestrator grounding check ---');
+{
+    const project = JSON.parse(JSON.stringify(require('./Test_Project_IV_2025-10-12.json')));
+    project.components.splice(3, 0, {
+        type: 'ngr', name: 'NGR-1', neutralOf: 'Main Transformer',
+        letThroughCurrent: 400, timeRating: '10s', clearingTime: 30
+    });
+    
+    const log = console.log;
+    console.log = () => {};
+    new CalculationOrchestrator().runShortCircuitAnalysis(project).then(result => {
+        console.log = log;
+        
+        assert(result.success, 'Short circuit analysis succeeds with an NGR');
+        const lvBus = result.shortCircuit[result.shortCircuit.length - 1];
+        assert(lvBus.faultCurrentsKA.lineToGround < 0.4, `LV ground-fault current ${(lvBus.faultCurrentsKA.lineToGround * 1000).toFixed(1)} A limited by NGR`);
+        
+        const duty = result.grounding[0];
+        assert(duty.timeRatingExceeded, 'NGR time rating exceeded by 30 s clearing time');
+        assert(result.log.some(entry => entry.message.startsWith('WARNING: NGR-1')), 'Warning logged for exceeded time rating');
+        
+        // Transformer without winding voltages: NGR rated at the voltage of its 4.16 kV bus
+        const { primaryV, secondaryV, ...unrated } = transformer;
+        const tm = new TopologyManager();
+        const mv = tm.addBus('MV', 13800, 'source');
+        const lv = tm.addBus('LV', 4160, 'load');
+        tm.addComponent(utility, mv.id, null);
+        tm.addComponent(unrated, mv.id, lv.id);
+        tm.addComponent({ type: 'ngr', name: 'NGR-2', neutralOf: 'T1', letThroughCurrent: 400 }, lv.id, null);
+        const orchestrator = new CalculationOrchestrator();
+        orchestrator.projectData = {};
+        const unratedDuty = orchestrator.checkGroundingDevices(snapshot(tm), [])[0];
+        assertAlmostEqual(unratedDuty.ohms, 4160 / Math.sqrt(3) / 400, 1e-9, 'Winding voltage from the grounded bus, not 480 V');
+        
+        // Test 6: Calculator chain
+        console.log('\n--- Test 6: Calculator chain and grounding method ---');
+        const totals = createChainSequenceImpedance();
+        accumulateChainSequenceImpedance(totals, { type: 'transformer', connectionType: 'Dyn11' }, { r: 0.01, x: 0.05 });
+        accumulateChainSequenceImpedance(totals, { type: 'ngr' }, { r: 6, x: 0 });
+        assertAlmostEqual(totals.z0.r, 0.01 + 18, 1e-12, 'Chain Z0 includes 3·Zn');
+        assertAlmostEqual(totals.z2.r, 0.01, 1e-12, 'Chain Z2 excludes the grounding device');
+        
+        assert(getSystemGroundingMethod([transformer]) === 'solidly', 'Dyn11 without NGR is solidly grounded');
+        assert(getSystemGroundingMethod([{ ...transformer, connectionType: 'Dd0' }]) === 'ungrounded', 'Delta secondary is ungrounded');
+        assert(getSystemGroundingMethod([transformer, { type: 'ngr', letThroughCurrent: 400 }]) === 'resistance', 'NGR makes the system resistance grounded');
+        assert(getSystemGroundingMethod([transformer, { type: 'ngr', element: 'reactor', ohms: 1 }]) === 'reactance', 'Neutral reactor makes the system reactance grounded');
+        assert(getSystemGroundingMethod([transformer, { type: 'transformer_3w', connectionType: 'Dyn1d1' }]) === 'solidly', 'Last source is a three-winding transformer: Dyn1d1 secondary is solidly grounded');
+        assert(getSystemGroundingMethod([{ type: 'transformer_3w', connectionType: 'YNd1d1' }]) === 'ungrounded', 'Three-winding delta secondary is ungrounded');
+        assert(getSystemGroundingMethod([{ ...transformer, connectionType: 'Dd0' }, { type: 'autotransformer', connectionType: 'YNa0' }]) === 'solidly', 'Autotransformer shares its grounded neutral');
+        assert(getSystemGroundingMethod([{ ...transformer, connectionType: 'Dyn13' }]) === null, 'Invalid vector group gives no grounding method instead of throwing');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
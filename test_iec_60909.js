@@ -0,0 +1,276 @@
+/**
+ * test_iec_60909.js
+ * Tests for the IEC 60909-0 calculation engine:
+ * 1. Initial current and voltage factor
+ * 2. Impedance correction factors KT, KG, KS and KSO
+ * 3. Peak current methods B and C
+ * 4. Breaking current factors μ and q
+ * 5. Steady-state factor λ and heat factors m and n
+ * 6. Breaking, steady-state and thermal currents from source contributions
+ * 7. Orchestrator network study
+ * 8. Minimum short-circuit study and min/max envelope
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/standard_specific_calcs.js'));
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/scenario_manager.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/motor_contribution.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+console.log('\n' + '='.repeat(80));
+console.log('IEC 60909-0 TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Initial symmetrical current
+console.log('\n--- Test 1: Initial current I"k = c·Un/(√3·Zk) ---');
+{
+    const result = calculateIECShortCircuit({ voltage: 400, impedanceR: 0.001, impedanceX: 0.01 });
+    const z = Math.sqrt(0.001 * 0.001 + 0.01 * 0.01);
+    assertAlmostEqual(result.voltageFactor, 1.05, 1e-12, 'LV cmax = 1.05');
+    assertAlmostEqual(result.symmetricalCurrent, 1.05 * 400 / (Math.sqrt(3) * z), 1e-6, 'I"k from cmax·Un/(√3·Zk)');
+    assertAlmostEqual(result.kappa, 1.02 + 0.98 * Math.exp(-0.3), 1e-12, 'Default κ from R/X at the fault');
+    assert(result.breakingCurrent === undefined, 'No breaking current without source contributions');
+    
+    const min = calculateIECShortCircuit({ voltage: 11000, impedanceR: 0.1, impedanceX: 1, faultType: 'min' });
+    assertAlmostEqual(min.voltageFactor, 1.0, 1e-12, 'MV cmin = 1.00');
+}
+
+// Test 2: Correction factors
+console.log('\n--- Test 2: Correction factors ---');
+{
+    assertAlmostEqual(calculateIECTransformerCorrection(0.06, 1.05), 0.95 * 1.05 / 1.036, 1e-12, 'KT = 0.95·cmax/(1 + 0.6·xT)');
+    assertAlmostEqual(calculateIECGeneratorCorrection({ nominalVoltage: 10000, ratedVoltage: 10500, xdSubtransient: 0.17, sinPhi: 0.6, cmax: 1.1 }),
+        (10000 / 10500) * 1.1 / (1 + 0.17 * 0.6), 1e-12, 'KG = (Un/UrG)·cmax/(1 + x"d·sinφ)');
+    
+    const unit = {
+        networkVoltage: 110000, generatorVoltage: 10500, transformerHV: 115000, transformerLV: 10500,
+        xdSubtransient: 0.17, xT: 0.12, sinPhi: 0.6, cmax: 1.1
+    };
+    const ks = calculateIECPowerStationCorrection(unit);
+    assert(ks.type === 'KS', 'On-load tap changer: KS');
+    assertAlmostEqual(ks.factor, Math.pow(110000 / 10500, 2) * Math.pow(10500 / 115000, 2) * 1.1 / (1 + 0.05 * 0.6), 1e-12,
+        'KS = (UnQ/UrG)²(UrTLV/UrTHV)²·cmax/(1 + |x"d - xT|·sinφ)');
+    const kso = calculateIECPowerStationCorrection({ ...unit, onLoadTapChanger: false, pT: 0.05 });
+    assert(kso.type === 'KSO', 'No on-load tap changer: KSO');
+    assertAlmostEqual(kso.factor, (110000 / 10500) * (10500 / 115000) * 0.95 * 1.1 / (1 + 0.17 * 0.6), 1e-12,
+        'KSO = UnQ/UrG·(UrTLV/UrTHV)(1 - pT)·cmax/(1 + x"d·sinφ)');
+}
+
+// Test 3: Peak current
+console.log('\n--- Test 3: Peak current methods ---');
+{
+    const methodA = calculateIECPeakCurrent(10000, 3);
+    const methodB = calculateIECPeakCurrent(10000, 3, { peakMethod: 'B', voltage: 400 });
+    assertAlmostEqual(methodB.kappa, 1.15 * methodA.kappa, 1e-12, 'Method B: 1.15·κ');
+    assertAlmostEqual(calculateIECPeakCurrent(10000, 50, { peakMethod: 'B', voltage: 400 }).kappa, 1.02 + 0.98 * Math.exp(-3 / 50), 1e-12,
+        'Method B: no 1.15 factor for R/X < 0.3');
+    
+    // Method C: R/X = (Rc/Xc)·(fc/f)
+    const methodC = calculateIECPeakCurrent(10000, 5, { peakMethod: 'C', equivalentXR: 4 });
+    assertAlmostEqual(methodC.kappa, calculateIECKappa(4 / 0.4), 1e-12, 'Method C: X/R from the equivalent-frequency network');
+    let threw = false;
+    try {
+        calculateIECPeakCurrent(10000, 5, { peakMethod: 'C' });
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Method C without equivalent X/R raises an error');
+}
+
+// Test 4: μ and q
+console.log('\n--- Test 4: Breaking current factors ---');
+{
+    assert(getIECDecrementFactorMu(2, 0.02) === 1.0, 'μ = 1 for I"kG/IrG ≤ 2');
+    assertAlmostEqual(getIECDecrementFactorMu(5, 0.1), 0.62 + 0.72 * Math.exp(-0.32 * 5), 1e-12, 'μ at tmin = 0.1 s');
+    assertAlmostEqual(getIECDecrementFactorMu(5, 0.075), (getIECDecrementFactorMu(5, 0.05) + getIECDecrementFactorMu(5, 0.1)) / 2, 1e-12,
+        'μ interpolated between tabulated delays');
+    assert(getIECDecrementFactorMu(8, 0.25) < getIECDecrementFactorMu(8, 0.02), 'μ decreases with the time delay');
+    
+    assertAlmostEqual(getIECMotorFactorQ(0.1, 0.1), 0.57 + 0.12 * Math.log(0.1), 1e-12, 'q at tmin = 0.1 s');
+    assert(getIECMotorFactorQ(5, 0.02) === 1.0, 'q limited to 1');
+    assert(getIECMotorFactorQ(0.001, 0.25) === 0, 'q not negative for small motors');
+}
+
+// Test 5: λ, m and n
+console.log('\n--- Test 5: Steady-state and heat factors ---');
+{
+    const terminal = { currentRatio: 10, xdSat: 1.2, xdSubtransient: 0.12, sinPhi: 0.6 };
+    assertAlmostEqual(getIECSteadyStateFactorLambda({ ...terminal, type: 'min' }), 1 / 1.2, 1e-12, 'λmin at the terminals = 1/xd sat');
+    const lambdaMax = getIECSteadyStateFactorLambda(terminal);
+    assert(lambdaMax > 1 / 1.2 && lambdaMax < 2.5, 'λmax above λmin with series-one excitation');
+    assert(getIECSteadyStateFactorLambda({ ...terminal, excitationSeries: 'two' }) > lambdaMax, 'Series-two excitation raises λmax');
+    assert(getIECSteadyStateFactorLambda({ ...terminal, currentRatio: 1.5 }) <= 1.5, 'λ not above I"kG/IrG');
+    
+    const farFromGenerator = calculateIECThermalFactors(1.8, 50, 1, 1);
+    const lnKappa = Math.log(0.8);
+    assertAlmostEqual(farFromGenerator.m, (Math.exp(200 * lnKappa) - 1) / (100 * lnKappa), 1e-12, 'm = (e^(4fTk·ln(κ-1)) - 1)/(2fTk·ln(κ-1))');
+    assert(farFromGenerator.n === 1.0, 'n = 1 far from generators');
+    const nearGenerator = calculateIECThermalFactors(1.8, 50, 1, 3);
+    assert(nearGenerator.n < 1 && nearGenerator.n > 1 / 9, 'Decaying AC current: 1/(I"k/Ik)² < n < 1');
+    assert(calculateIECThermalFactors(1.8, 50, 0.1, 3).n > nearGenerator.n, 'n closer to 1 for short durations');
+}
+
+// Test 6: Currents from source contributions
+console.log('\n--- Test 6: Ib, Ik and Ith ---');
+{
+    // Generator at the fault plus a network feeder
+    const result = calculateIECShortCircuit({
+        voltage: 10000,
+        impedanceR: 0.05,
+        impedanceX: 1.0,
+        minTimeDelay: 0.1,
+        faultDuration: 1,
+        contributions: [
+            { type: 'network', current: 4000 },
+            { type: 'generator', current: 2000, ratedCurrent: 400, currentRatio: 5, xdSat: 1.6, xdSubtransient: 0.15, sinPhi: 0.6 },
+            { type: 'motor', current: 300, currentRatio: 6, powerPerPolePairMW: 0.5 }
+        ]
+    });
+    const i2k = result.symmetricalCurrent;
+    const generator = result.sources[1];
+    const motor = result.sources[2];
+    assertAlmostEqual(result.breakingCurrent, i2k - (1 - generator.mu) * 2000 - (1 - motor.mu * motor.q) * 300, 1e-9,
+        'Ib = I"k - Σ(1 - μq)·I"k,i for machines at the fault');
+    assertAlmostEqual(result.steadyStateCurrent, 4000 + generator.lambda * 400, 1e-9, 'Ik: network current plus λ·IrG, no motor current');
+    assertAlmostEqual(result.thermalCurrent, i2k * Math.sqrt(result.m + result.n), 1e-9, 'Ith = I"k·√(m + n)');
+    
+    // Remote machine: only its voltage drop share decays
+    const remote = calculateIECShortCircuit({
+        voltage: 10000, impedanceR: 0.05, impedanceX: 1.0,
+        contributions: [{ type: 'generator', current: 2000, ratedCurrent: 400, currentRatio: 5, voltageDropRatio: 0.5 }]
+    });
+    assertAlmostEqual(remote.breakingCurrent, remote.symmetricalCurrent - 0.5 * (1 - remote.sources[0].mu) * 2000, 1e-9,
+        'Remote generator: decay scaled by ΔU"/(cUn/√3)');
+}
+
+// Test 7: Orchestrator
+console.log('\n--- Test 7: Orchestrator network study ---');
+{
+    const base = require('./Test_Operating_Scenarios_Example.json');
+    const run = (scenarioName, options = {}) => {
+        const project = applyScenario({ ...base, standard: 'iec', frequency: 50, ...options }, base.scenarios.find(s => s.name === scenarioName));
+        return new CalculationOrchestrator().runAllAnalysis(project);
+    };
+    const withMinimumUtility = base.components.map(comp => (comp.type === 'utility' ? { ...comp, minShortCircuitMVA: 100 } : comp));
+    const islanded = base.scenarios.find(s => s.name === 'Generator only');
+    
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    Promise.all([
+        run('Normal'),
+        run('Generator only'),
+        run('Normal', { iecMinimumStudy: true, components: withMinimumUtility }),
+        run('Normal', { iecMinimumStudy: true, minimumConfiguration: { breakers: islanded.breakers, sources: islanded.sources } })
+    ]).then(([normal, generatorOnly, minimum, islandedMinimum]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        const at = (result, name) => result.results.shortCircuit.find(entry => entry.busName === name);
+        assert(normal.success && normal.results.shortCircuit.every(entry => entry.iec), 'IEC currents at every bus');
+        
+        // cQ correction: the utility bus sees exactly the specified fault level
+        const utility = at(normal, 'MV Switchgear').iec.sources.find(source => source.type === 'network');
+        assertAlmostEqual(utility.current / 1000, 250 / (Math.sqrt(3) * 13.2), 1e-9, 'Utility feeds exactly S"kQ/(√3·UnQ) into its own bus');
+        assert(at(normal, 'Bus A').iec.peakMethod === 'C', 'Method C by default');
+        assert(at(normal, 'Bus A').iec.symmetricalCurrent > at(normal, 'Bus A').faultCurrents.threePhase, 'cmax and KT raise the LV current');
+        
+        // Generator only: KG-corrected generator, λ-limited steady state
+        const gen = at(generatorOnly, 'Bus B').iec;
+        const irG = 1e6 / (Math.sqrt(3) * 480);
+        const kg = calculateIECGeneratorCorrection({ nominalVoltage: 480, ratedVoltage: 480, xdSubtransient: 0.15, sinPhi: 0.6, cmax: 1.05 });
+        const xG = 0.15 * kg;
+        assertAlmostEqual(gen.symmetricalCurrent, 1.05 / Math.sqrt(xG * xG + Math.pow(0.05 * xG, 2)) * irG, 1e-3,
+            'Generator feed: I"k = cmax/(KG·Z"G)');
+        assertAlmostEqual(gen.steadyStateCurrent, gen.sources[0].lambda * irG, 1e-6, 'Generator feed: Ik = λ·IrG');
+        assert(gen.breakingCurrent < gen.symmetricalCurrent && gen.n < 1, 'Generator feed: Ib below I"k, n below 1');
+        
+        // Test 8: Minimum study
+        console.log('\n--- Test 8: Minimum study and envelope ---');
+        assert(!at(normal, 'Bus A').envelope, 'Envelope only when the minimum study is requested');
+        assert(minimum.success && minimum.results.shortCircuit.every(entry => entry.iecMin && entry.envelope), 'Minimum currents and envelope at every bus');
+        
+        const mv = at(minimum, 'MV Switchgear');
+        assertAlmostEqual(mv.envelope.minKA.threePhase, 100 / (Math.sqrt(3) * 13.2), 1e-9, 'Utility bus: minimum from S"kQmin with cmin');
+        assertAlmostEqual(mv.envelope.maxKA.threePhase, mv.iec.symmetricalCurrent / 1000, 1e-9, 'Envelope maximum equals the IEC I"k');
+        assert(minimum.results.shortCircuit.every(entry => ['threePhase', 'lineToGround', 'lineToLine', 'doubleLineToGround']
+            .every(type => entry.envelope.minKA[type] > 0 && entry.envelope.minKA[type] < entry.envelope.maxKA[type])), 'Minimum below maximum for every bus and fault type');
+        
+        // Motors neglected: both LV buses see the same minimum, only Bus A has the motor at maximum
+        const busA = at(minimum, 'Bus A').envelope;
+        const busB = at(minimum, 'Bus B').envelope;
+        assertAlmostEqual(busA.minKA.threePhase, busB.minKA.threePhase, 1e-6, 'Motor contribution left out of the minimum');
+        assert(busA.maxKA.threePhase > busB.maxKA.threePhase, 'Motor contribution included in the maximum');
+        assert(at(minimum, 'Bus A').iecMin.voltageFactor === 0.95, 'LV minimum with cmin = 0.95');
+        
+        // Minimum generation: utility out, generator only
+        assert(at(islandedMinimum, 'MV Switchgear').envelope.minKA.threePhase === 0, 'Bus de-energized in the minimum configuration has zero minimum current');
+        const islandedA = at(islandedMinimum, 'Bus A');
+        assertAlmostEqual(islandedA.envelope.minSteadyStateKA * 1000, islandedA.iecMin.sources[0].lambda * irG, 1e-6, 'Generator minimum steady state Ik = λmin·IrG');
+        assert(islandedA.iecMin.sources[0].lambda < gen.sources[0].lambda, 'λmin below λmax');
+        
+        // Relay pickup checks
+        const pickup = checkIECPickupSensitivity(busA, 10000);
+        assert(pickup.faultType === 'lineToLine' && pickup.sensitive, 'Pickup checked against the lowest minimum fault current');
+        assertAlmostEqual(pickup.ratio, busA.minKA.lineToLine * 1000 / 10000, 1e-9, 'Sensitivity ratio = minimum current / pickup');
+        assert(!checkIECPickupSensitivity(islandedA.envelope, 6000, { faultType: 'threePhase' }).sensitive, 'Pickup above the minimum generator current is not sensitive');
+        
+        // Cable resistance at the end-of-fault temperature
+        const cable = { resistance: 0.2, reactance: 0.08, length: 1000 };
+        const hot = new TopologyManager().getCableImpedanceOhms({ ...cable, conductorTemperature: 160 });
+        assertAlmostEqual(hot.r, 0.2 * (234.5 + 160) / (234.5 + 20), 1e-12, 'Cable resistance at 160 °C: R20·(234.5 + θe)/(234.5 + 20)');
+        assertAlmostEqual(hot.x, new TopologyManager().getCableImpedanceOhms(cable).x, 1e-12, 'Cable reactance unchanged');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,203 @@
+/**
+ * test_inverter_model.js
+ * Tests for current-limited inverter-based sources:
+ * 1. Control law and current limit
+ * 2. Sequence faults with an open-circuit negative-sequence voltage
+ * 3. Iterative solution at a grid-connected bus
+ * 4. Inverter-only island
+ * 5. Orchestrator three-phase current and IEC exclusion
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/standard_specific_calcs.js'));
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/generator_model.js'));
+Object.assign(global, require('./js/inverter_model.js'));
+Object.assign(global, require('./js/scenario_manager.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 500 kVA PV inverter on the 480 V Bus A of the operating scenarios example
+const project = require('./Test_Operating_Scenarios_Example.json');
+const withInverter = (injection, extra = {}) => ({
+    ...project,
+    components: project.components.concat([
+        { type: 'inverter', name: 'PV-1', bus: 'Bus A', power: 500, resourceType: 'pv', injection: injection, ...extra }
+    ])
+});
+const island = injection => {
+    const data = withInverter(injection);
+    return { ...data, components: data.components.filter(comp => comp.type !== 'utility') };
+};
+const busFaults = (data, busName) => calculateBusSequenceFaults(new TopologyManager().buildFromProject(data)).find(r => r.busName === busName);
+const ratedKA = 500e3 / (Math.sqrt(3) * 480) / 1000;
+
+console.log('\n' + '='.repeat(80));
+console.log('INVERTER-BASED SOURCE TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Control law
+console.log('\n--- Test 1: Control law and current limit ---');
+{
+    const inverter = { type: 'inverter', power: 500, faultCurrentMultiple: 1.5, kFactor: 2 };
+    const partial = calculateInverterFaultCurrent(inverter, complex(0.8, 0), complex(0, 0), 1);
+    assertAlmostEqual(partial.positive.im, -0.4, 1e-12, 'I1 = k·(1 - V1)·Ir below the limit');
+    assertAlmostEqual(partial.positive.re, 0, 1e-12, 'I1 reactive, lagging the prefault voltage');
+    assertAlmostEqual(cAbs(calculateInverterFaultCurrent(inverter, complex(0.1, 0), complex(0, 0), 1).positive), 1.5, 1e-12, 'I1 held at the current limit');
+    assert(cAbs(calculateInverterFaultCurrent(inverter, complex(0.5, 0), complex(0.3, 0), 1).negative) === 0, 'No I2 with positive-sequence injection');
+    
+    const negative = calculateInverterFaultCurrent({ ...inverter, injection: 'negative' }, complex(0.5, 0), complex(0.3, 0), 1);
+    assertAlmostEqual(cAbs(negative.negative), 0.5, 1e-12, 'I2 limited to the headroom left by I1');
+    assertAlmostEqual(negative.negative.im, 0.5, 1e-12, 'I2 leads V2 by 90°');
+    
+    const settings = getInverterSettings({ type: 'inverter' });
+    assert(settings.faultCurrentMultiple === 1.2 && settings.kFactor === 2.0 && settings.injection === 'positive', 'Typical settings when not given');
+    assertAlmostEqual(getInverterRatedMVA({ power: 500 }), 0.5, 1e-12, 'Rated power in kVA');
+    
+    // Exact solution against an affine terminal response V1 = 1 - 0.5·j·J1 (J1 lagging raises V1)
+    const terminal = { positive: { a: complex(0.2, 0), b1: complex(0, 0.5), b2: complex(0, 0) }, negative: { a: complex(0, 0), b1: complex(0, 0), b2: complex(0, 0) } };
+    const solved = solveInverterFaultCurrent(inverter, terminal, 1);
+    const v1 = cAdd(terminal.positive.a, cMul(terminal.positive.b1, solved.positive));
+    assertAlmostEqual(cAbs(solved.positive), 2 * (1 - cAbs(v1)), 1e-9, 'Solved current satisfies the control law');
+}
+
+// Test 2: Generalized sequence fault
+console.log('\n--- Test 2: Sequence faults with negative-sequence open-circuit voltage ---');
+{
+    const z = complex(0.01, 0.1);
+    const z0 = complex(0.02, 0.3);
+    ['threePhase', 'lineToGround', 'lineToLine', 'doubleLineToGround'].forEach(type => {
+        const base = calculateSequenceFault(z, z, z0, type);
+        const zeroE2 = calculateSequenceFault(z, z, z0, type, { negativeVoltage: complex(0, 0) });
+        assertAlmostEqual(zeroE2.faultCurrent, base.faultCurrent, 1e-12, `${type}: E2 = 0 leaves the fault unchanged`);
+    });
+    
+    // Superposition: with E2, the fault-node conditions still hold
+    const e2 = complex(0.1, 0.05);
+    const ll = calculateSequenceFault(z, z, z0, 'lineToLine', { negativeVoltage: e2 });
+    assertAlmostEqual(cAbs(cSub(ll.phaseVoltages.b, ll.phaseVoltages.c)), 0, 1e-12, 'L-L: Vb = Vc with E2');
+    const dlg = calculateSequenceFault(z, z, z0, 'doubleLineToGround', { negativeVoltage: e2 });
+    assertAlmostEqual(cAbs(dlg.phaseCurrents.a), 0, 1e-12, '2L-G: no current in phase a with E2');
+    assertAlmostEqual(cAbs(dlg.phaseVoltages.b) + cAbs(dlg.phaseVoltages.c), 0, 1e-12, '2L-G: faulted phase voltages zero with E2');
+}
+
+// Test 3: Grid-connected inverter
+console.log('\n--- Test 3: Iterative solution at a grid-connected bus ---');
+{
+    const without = busFaults(project, 'Bus A');
+    const positive = busFaults(withInverter('positive'), 'Bus A');
+    const threePhase = positive.faults.threePhase;
+    assert(threePhase.inverterConverged && threePhase.inverters.length === 1, 'Inverter injection converged');
+    assert(threePhase.inverters[0].currentLimited, 'Bolted fault at the terminals drives the inverter to its limit');
+    assertAlmostEqual(threePhase.inverters[0].positiveKA, 1.2 * ratedKA, 1e-6, 'Injected current = 1.2 × rated');
+    assert(threePhase.faultCurrentKA > without.faults.threePhase.faultCurrentKA + 0.5 * ratedKA, 'Inverter adds to the three-phase current');
+    assert(threePhase.contributions.some(c => c.type === 'inverter'), 'Inverter listed among the fault contributions');
+    
+    const ll = positive.faults.lineToLine.inverters[0];
+    assert(!ll.currentLimited && ll.terminalVoltagePU > 0.4, 'L-L fault: partial dip, current below the limit');
+    assertAlmostEqual(ll.positiveKA, 2.0 * (1 - ll.terminalVoltagePU) * ratedKA, 1e-6, 'L-L fault: injection follows the terminal voltage');
+    assert(positive.faults.lineToGround.inverters[0].negativeKA === 0, 'Positive-sequence mode injects no I2');
+    
+    const negative = busFaults(withInverter('negative'), 'Bus A').faults.lineToLine;
+    assert(negative.inverters[0].negativeKA > 0 && negative.inverters[0].currentLimited, 'Negative-sequence mode injects I2 within the limit');
+    assert(negative.faultCurrentKA > positive.faults.lineToLine.faultCurrentKA, 'Negative-sequence injection raises the L-L current');
+    
+    const remote = busFaults(withInverter('positive'), 'Bus B').faults.threePhase.inverters[0];
+    assert(remote.terminalVoltagePU > 0.8 && !remote.currentLimited, 'Fault on the other transformer: small injection');
+}
+
+// Test 4: Island
+console.log('\n--- Test 4: Inverter-only island ---');
+{
+    const positive = busFaults(island('positive'), 'Bus A').faults;
+    assertAlmostEqual(positive.threePhase.faultCurrentKA, 1.2 * ratedKA, 0.002 * ratedKA, 'Three-phase fault current equals the inverter limit');
+    assert(positive.threePhase.inverterConverged, 'Island three-phase solution converged');
+    assert(positive.lineToLine.faultCurrentKA < 0.01 * ratedKA, 'No L-L current without a negative-sequence source');
+    
+    const negative = busFaults(island('negative'), 'Bus A').faults.lineToLine;
+    assert(negative.inverterConverged, 'Island L-L solution converged with negative-sequence injection');
+    assertAlmostEqual(negative.inverters[0].positiveKA + negative.inverters[0].negativeKA, 1.2 * ratedKA, 1e-6, 'I1 + I2 share the current limit');
+    assertAlmostEqual(negative.faultCurrentKA, Math.sqrt(3) * negative.inverters[0].positiveKA, 0.002 * ratedKA, 'L-L current = √3 × I1');
+}
+
+// Test 5: Orchestrator
+console.log('\n--- Test 5: Orchestrator three-phase current and IEC exclusion ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(withInverter('positive')),
+        new CalculationOrchestrator().runAllAnalysis(project),
+        new CalculationOrchestrator().runAllAnalysis(island('positive')),
+        new CalculationOrchestrator().runAllAnalysis({ ...withInverter('positive'), standard: 'iec' })
+    ]).then(([result, base, islanded, iec]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        const busA = result.results.shortCircuit.find(entry => entry.busName === 'Bus A');
+        const baseA = base.results.shortCircuit.find(entry => entry.busName === 'Bus A');
+        assert(result.success, 'Analysis completes with an inverter');
+        assertAlmostEqual(busA.faultCurrentsKA.inverterContribution, busA.faultCurrentsKA.threePhase - baseA.faultCurrentsKA.threePhase, 0.002 * ratedKA,
+            'Inverter contribution reported with the three-phase current');
+        assert(busA.faultCurrentsKA.threePhaseWithMotors >= busA.faultCurrentsKA.threePhase - 1e-9, 'First-cycle duty includes the inverter current');
+        
+        const islandA = islanded.results.shortCircuit.find(entry => entry.busName === 'Bus A');
+        assertAlmostEqual(islandA.faultCurrentsKA.threePhase, 1.2 * ratedKA, 0.002 * ratedKA, 'Island three-phase current from the inverter limit');
+        
+        const iecA = iec.results.shortCircuit.find(entry => entry.busName === 'Bus A');
+        assert(iecA.iec && iecA.iec.sources.length > 0 && !iecA.iec.sources.some(source => source.name === 'PV-1'), 'Inverter excluded from IEC 60909 source contributions');
+        assert(result.assumptions.some(a => a.description.includes('Inverter-based sources')), 'Inverter assumption recorded');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
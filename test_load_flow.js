@@ -0,0 +1,236 @@
+/**
+ * test_load_flow.js
+ * Tests for the Newton-Raphson / fast-decoupled load flow:
+ * 1. Load demand from load and motor components
+ * 2. Source-and-load bus against the closed-form solution
+ * 3. Fast-decoupled method agrees with Newton-Raphson
+ * 4. Transformer taps, on-load tap changers and capacitor banks
+ * 5. Generator voltage control and reactive limits
+ * 6. Branch flows, losses and overloads
+ * 7. Orchestrator voltage drop from the load flow
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/load_flow.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+const loadFlowOf = (project, options) => runLoadFlow(new TopologyManager().buildFromProject(project), options);
+const busOf = (result, name) => result.buses.find(bus => bus.busName === name);
+
+// 13.2 kV bus fed from a 50 MVA source (Z = 2 pu on 100 MVA) feeding a 1.5 MVA unit substation
+const utility = { type: 'utility', name: 'Utility', bus: 'MV', shortCircuitMVA: 50, voltage: 13200, xr: 10 };
+const transformer = {
+    type: 'transformer', name: 'TX-1', fromBus: 'MV', toBus: 'LV',
+    power: 1.5, powerUnit: 'MVA', impedance: 5.75, primaryV: 13.2, secondaryV: 0.48, rx: 0.1
+};
+const buses = [{ name: 'MV', voltage: 13200 }, { name: 'LV', voltage: 480 }];
+
+console.log('\n' + '='.repeat(80));
+console.log('LOAD FLOW TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Load demand
+console.log('\n--- Test 1: Load demand ---');
+{
+    const motor = getLoadDemandMW({ type: 'motor', power: 200, powerUnit: 'hp', efficiency: 94, pf: 0.88 }, 480);
+    assertAlmostEqual(motor.mw, 200 * 0.746 / 0.94 / 1000, 1e-12, 'Motor input power = hp × 0.746 / efficiency');
+    assertAlmostEqual(motor.mvar / motor.mw, Math.tan(Math.acos(0.88)), 1e-12, 'Motor reactive power from its power factor');
+    
+    const kva = getLoadDemandMW({ type: 'load', power: 500, powerUnit: 'kVA', pf: 0.9, loadFactor: 0.5 }, 480);
+    assertAlmostEqual(kva.mw, 0.5 * 0.5 * 0.9, 1e-12, 'kVA load × power factor × load factor');
+    
+    const amps = getLoadDemandMW({ type: 'load', current: 100 }, 480);
+    assert(amps.pfAssumed, 'Missing power factor reported');
+    assertAlmostEqual(amps.mw, Math.sqrt(3) * 480 * 100 * LOAD_FLOW_DEFAULT_PF / 1e6, 1e-12, 'Load entered as current');
+}
+
+// Test 2: Closed-form check
+console.log('\n--- Test 2: Source and load against closed form ---');
+{
+    const result = loadFlowOf({
+        buses: [{ name: 'MV', voltage: 13200 }],
+        components: [utility, { type: 'load', name: 'Plant', bus: 'MV', power: 5, powerUnit: 'MW', pf: 0.8 }]
+    });
+    
+    // |V|⁴ + (2(RP + XQ) - 1)|V|² + |Z|²(P² + Q²) = 0 for a load behind Z from a 1.0 pu source
+    const z = impedanceFromXR(2, 10);
+    const P = 0.05;
+    const Q = 0.0375;
+    const b = 2 * (z.re * P + z.im * Q) - 1;
+    const c = (z.re * z.re + z.im * z.im) * (P * P + Q * Q);
+    const expected = Math.sqrt((-b + Math.sqrt(b * b - 4 * c)) / 2);
+    
+    assert(result.converged && result.method === 'newton-raphson', 'Newton-Raphson converges');
+    assert(result.iterations <= 5, `Quadratic convergence (${result.iterations} iterations)`);
+    assertAlmostEqual(busOf(result, 'MV').voltagePU, expected, 1e-6, 'Bus voltage matches the closed-form solution');
+    assertAlmostEqual(busOf(result, 'MV').voltageDropPercent, (1 - expected) * 100, 1e-4, 'Voltage drop in percent of nominal');
+}
+
+// Test 3: Fast-decoupled
+console.log('\n--- Test 3: Fast-decoupled method ---');
+{
+    const project = require('./Test_Branching_Network_Example.json');
+    const nr = loadFlowOf(project);
+    const fd = loadFlowOf(project, { method: 'fast-decoupled' });
+    
+    assert(fd.converged && fd.method === 'fast-decoupled', 'Fast-decoupled method converges');
+    assertAlmostEqual(busOf(fd, 'MCC-1').voltagePU, busOf(nr, 'MCC-1').voltagePU, 1e-5, 'Same MCC voltage from both methods');
+    assertAlmostEqual(busOf(fd, 'MCC-1').angleDeg, busOf(nr, 'MCC-1').angleDeg, 1e-3, 'Same MCC angle from both methods');
+}
+
+// Test 4: Taps and capacitor banks
+console.log('\n--- Test 4: Transformer taps and capacitor banks ---');
+{
+    const noLoad = loadFlowOf({ buses: buses, components: [utility, { ...transformer, tapPosition: 2.5 }] });
+    assertAlmostEqual(busOf(noLoad, 'LV').voltagePU, 1.025, 1e-6, '+2.5% tap raises the no-load secondary voltage by 2.5%');
+    
+    const load = { type: 'load', name: 'Panel', bus: 'LV', power: 1000, powerUnit: 'kW', pf: 0.8 };
+    const base = loadFlowOf({ buses: buses, components: [utility, transformer, load] });
+    const tapped = loadFlowOf({ buses: buses, components: [utility, { ...transformer, tapPosition: 2.5 }, load] });
+    assert(busOf(tapped, 'LV').voltagePU > busOf(base, 'LV').voltagePU + 0.02, 'Tap boost carries through under load');
+    
+    const oltc = { ...transformer, tapChanger: 'oltc', tapRange: 10, regulatedVoltage: 1.0 };
+    const regulated = loadFlowOf({ buses: buses, components: [utility, oltc, load] });
+    const changer = regulated.tapChangers[0];
+    assert(changer.regulated && Math.abs(busOf(regulated, 'LV').voltagePU - 1.0) <= 0.625 / 200, 'OLTC holds the secondary within half a step of 1.0 pu');
+    assert(changer.tapPercent > 0 && Math.abs(changer.tapPercent / 0.625 - Math.round(changer.tapPercent / 0.625)) < 1e-9, 'Tap moved up in whole 0.625% steps');
+    assertAlmostEqual(regulated.branches.find(branch => branch.name === 'TX-1').tap, 1 + changer.tapPercent / 100, 1e-12, 'Branch ratio from the final tap');
+    
+    const limitedRange = loadFlowOf({ buses: buses, components: [utility, { ...oltc, tapRange: 1.25 }, load] });
+    assert(limitedRange.tapChangers[0].atLimit && limitedRange.tapChangers[0].tapPercent === 1.25, 'Tap stops at the end of its range');
+    assert(limitedRange.warnings.some(w => w.includes('TX-1') && w.includes('limit')), 'Regulation outside the band reported');
+    
+    const fixed = loadFlowOf({ buses: buses, components: [utility, oltc, load] }, { regulateTaps: false });
+    assert(fixed.tapChangers.length === 0 && busOf(fixed, 'LV').voltagePU < 0.95, 'Tap regulation can be switched off');
+    
+    const capacitor = { type: 'capacitor_bank', name: 'PFC', bus: 'LV', power: 0.6, voltage: 0.48, steps: 4 };
+    const corrected = loadFlowOf({ buses: buses, components: [utility, transformer, load, capacitor] });
+    assert(busOf(corrected, 'LV').voltagePU > busOf(base, 'LV').voltagePU, 'Capacitor bank raises the bus voltage');
+    const tx = corrected.branches.find(branch => branch.name === 'TX-1');
+    assertAlmostEqual(busOf(corrected, 'LV').loadMVAR + tx.qToMVAR, 0.6 * Math.pow(busOf(corrected, 'LV').voltagePU, 2), 1e-4,
+        'Capacitor supplies Q = Qrated·V² at the bus');
+    
+    const halfBank = loadFlowOf({ buses: buses, components: [utility, transformer, load, { ...capacitor, stepsInService: 2 }] });
+    assert(busOf(halfBank, 'LV').voltagePU < busOf(corrected, 'LV').voltagePU, 'Fewer steps in service, less voltage support');
+    
+    const switchedOut = loadFlowOf({ buses: buses, components: [utility, transformer, load, { ...capacitor, inService: false }] });
+    assertAlmostEqual(busOf(switchedOut, 'LV').voltagePU, busOf(base, 'LV').voltagePU, 1e-12, 'Bank out of service adds no susceptance');
+}
+
+// Test 5: Generator voltage control
+console.log('\n--- Test 5: Generator PV bus and reactive limits ---');
+{
+    const load = { type: 'load', name: 'Panel', bus: 'LV', power: 1000, powerUnit: 'kW', pf: 0.8 };
+    const generator = { type: 'generator', name: 'G1', bus: 'LV', power: 3, reactance: 15, dispatchMW: 0.5, voltageSetpoint: 1.02 };
+    
+    const held = loadFlowOf({ buses: buses, components: [utility, transformer, load, generator] });
+    assert(busOf(held, 'LV').type === 'PV', 'Generator bus is a PV bus');
+    assertAlmostEqual(busOf(held, 'LV').voltagePU, 1.02, 1e-9, 'Generator holds its voltage setpoint');
+    assertAlmostEqual(busOf(held, 'LV').generationMW, 0.5, 1e-6, 'Generator delivers its dispatch');
+    
+    const limited = loadFlowOf({ buses: buses, components: [utility, transformer, load, { ...generator, qMax: 0.1 }] });
+    assert(busOf(limited, 'LV').type === 'PQ', 'Generator at its reactive limit becomes a PQ bus');
+    assertAlmostEqual(busOf(limited, 'LV').generationMVAR, 0.1, 1e-6, 'Reactive output held at the limit');
+    assert(busOf(limited, 'LV').voltagePU < 1.02, 'Voltage setpoint not held at the limit');
+    assert(limited.warnings.some(w => w.includes('reactive limit')), 'Reactive limit reported');
+    
+    const island = loadFlowOf({ buses: buses.slice(1), components: [load, generator] });
+    assert(island.converged && busOf(island, 'LV').type === 'slack', 'Generator alone is the slack bus');
+    assertAlmostEqual(busOf(island, 'LV').generationMW, 1, 1e-6, 'Slack generator picks up the whole load');
+}
+
+// Test 6: Branch flows
+console.log('\n--- Test 6: Branch flows, losses and overloads ---');
+{
+    const load = { type: 'load', name: 'Panel', bus: 'LV', power: 1000, powerUnit: 'kW', pf: 0.8 };
+    const result = loadFlowOf({ buses: buses, components: [utility, transformer, load] });
+    const tx = result.branches.find(branch => branch.name === 'TX-1');
+    
+    assertAlmostEqual(tx.pFromMW - tx.lossMW, 1, 1e-6, 'Sending-end power = load + transformer losses');
+    assertAlmostEqual(result.losses.mw, tx.lossMW, 1e-12, 'System losses summed over branches');
+    const lvVoltage = busOf(result, 'LV').voltage;
+    assertAlmostEqual(tx.currentToA, 1.25e6 / (Math.sqrt(3) * lvVoltage), 1e-3, 'Secondary current from load MVA and bus voltage');
+    assertAlmostEqual(tx.loadingPercent, Math.hypot(tx.pFromMW, tx.qFromMVAR) / 1.5 * 100, 1e-9, 'Transformer loading on its MVA rating');
+    assert(!tx.overloaded && result.overloads.length === 0, '1.25 MVA load within 1.5 MVA rating');
+    
+    const heavy = loadFlowOf({ buses: buses, components: [utility, transformer, { ...load, power: 1500 }] });
+    assert(heavy.overloads.length === 1 && heavy.overloads[0].name === 'TX-1', 'Overloaded transformer reported');
+    
+    const tieProject = require('./Test_Operating_Scenarios_Example.json');
+    const tieClosed = loadFlowOf({
+        ...tieProject,
+        components: tieProject.components.map(comp => (comp.name === 'TIE-AB' ? { ...comp, status: 'closed' } : comp))
+    });
+    const flowOf = name => tieClosed.branches.find(branch => branch.name === name).pFromMW;
+    assertAlmostEqual(flowOf('TX-A'), flowOf('TX-B'), 1e-6, 'Identical transformers share the load through the closed tie');
+}
+
+// Test 7: Orchestrator
+console.log('\n--- Test 7: Orchestrator voltage drop ---');
+{
+    const log = console.log;
+    console.log = () => {};
+    new CalculationOrchestrator().runAllAnalysis(require('./Test_Branching_Network_Example.json')).then(result => {
+        console.log = log;
+        
+        assert(result.success, 'Analysis succeeds');
+        const loadFlow = result.results.loadFlow;
+        assert(loadFlow && loadFlow.converged, 'Load flow results persisted');
+        const mcc = result.results.voltageDrop.find(vd => vd.busName === 'MCC-1');
+        assertAlmostEqual(mcc.voltageDropPercent, busOf(loadFlow, 'MCC-1').voltageDropPercent, 1e-12, 'Voltage drop taken from the load flow');
+        assert(mcc.loadMW > 0.12 && mcc.compliance.recommended, 'Pump motor load drawn at the MCC within 3%');
+        const switchboardB = result.results.voltageDrop.find(vd => vd.busName === 'LV Switchboard B');
+        assert(switchboardB.voltageDropPercent < mcc.voltageDropPercent, 'Unloaded switchboard sees only the upstream drop');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
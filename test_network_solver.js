@@ -0,0 +1,316 @@
+/**
+ * test_network_solver.js
+ * Tests for the nodal Y-bus/Z-bus network solver:
+ * 1. Complex matrix inversion
+ * 2. Radial chain matches series impedance sum
+ * 3. Parallel transformers (meshed network)
+ * 4. Multiple sources and transfer impedances
+ * 5. De-energized buses
+ * 6. Sequential project format with in-bus cables
+ * 7. Transformer taps (off-nominal ratio and open-circuit voltage)
+ * 8. Arc flash at the source bus of a shipped example
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+const solver = require('./js/network_solver.js');
+
+// toBusSystem() expects BusSystem as a browser global; tap ranges come from transformer_model.js
+global.BusSystem = BusSystem;
+global.getTransformerTapRange = require('./js/transformer_model.js').getTransformerTapRange;
+global.TopologyManager = TopologyManager;
+Object.assign(global, solver);
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/arc_flash_calculation.js'));
+Object.assign(global, require('./js/ppe_selection.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+const {
+    complex,
+    cMul,
+    cAbs,
+    invertComplexMatrix,
+    buildNetworkModel,
+    solveNetwork,
+    calculateNetworkThevenin
+} = solver;
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+/**
+ * Build topology result in the same shape as TopologyManager.buildFromProject
+ */
+function snapshot(topologyManager) {
+    return {
+        topologyManager: topologyManager,
+        busSystem: topologyManager.toBusSystem(),
+        buses: topologyManager.getAllBuses(),
+        connections: topologyManager.connections,
+        components: topologyManager.components
+    };
+}
+
+const utility = { type: 'utility', name: 'Utility', shortCircuitMVA: 500, voltage: 13800, xr: 10 };
+const transformer = {
+    type: 'transformer', name: 'T', power: 2, powerUnit: 'MVA',
+    impedance: 6, primaryV: 13.8, secondaryV: 0.48, rx: 0.1
+};
+
+console.log('\n' + '='.repeat(80));
+console.log('NETWORK SOLVER TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Complex matrix inversion
+console.log('\n--- Test 1: Complex matrix inversion ---');
+{
+    const a = [
+        [complex(4, 1), complex(-1, 0.5), complex(0, -2)],
+        [complex(-1, 0.5), complex(3, -1), complex(1, 1)],
+        [complex(0, -2), complex(1, 1), complex(5, 2)]
+    ];
+    const inv = invertComplexMatrix(a);
+    
+    let maxError = 0;
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            let sum = complex(0, 0);
+            for (let k = 0; k < 3; k++) {
+                const p = cMul(a[i][k], inv[k][j]);
+                sum = { re: sum.re + p.re, im: sum.im + p.im };
+            }
+            const expected = complex(i === j ? 1 : 0, 0);
+            maxError = Math.max(maxError, cAbs({ re: sum.re - expected.re, im: sum.im - expected.im }));
+        }
+    }
+    assertAlmostEqual(maxError, 0, 1e-12, 'A × A⁻¹ = I');
+    
+    let threw = false;
+    try {
+        invertComplexMatrix([[complex(1, 0), complex(1, 0)], [complex(1, 0), complex(1, 0)]]);
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Singular matrix raises an error');
+}
+
+// Test 2: Radial chain equals series sum
+console.log('\n--- Test 2: Radial chain (utility + transformer) ---');
+{
+    const tm = new TopologyManager();
+    const mv = tm.addBus('MV', 13800, 'source');
+    const lv = tm.addBus('LV', 480, 'load');
+    tm.addComponent(utility, mv.id, null);
+    tm.addComponent(transformer, mv.id, lv.id);
+    
+    const { equivalents } = calculateNetworkThevenin(snapshot(tm));
+    const lvEq = equivalents.find(e => e.busId === lv.id);
+    
+    // Series sum in pu on 100 MVA (both at X/R 10): utility 0.2 pu, transformer 0.06 × 100/2 = 3.0 pu
+    const zUtility = 100 / 500;
+    const zTransformer = 0.06 * 100 / 2;
+    const expectedZ = Math.abs(zUtility + zTransformer);
+    assertAlmostEqual(cAbs(lvEq.zPU), expectedZ, 1e-9, 'LV driving-point |Z| equals series sum (pu)');
+    
+    const iscKA = 480 / (Math.sqrt(3) * lvEq.z) / 1000;
+    assertAlmostEqual(iscKA, 100 / (Math.sqrt(3) * 0.48 * expectedZ), 1e-6, 'LV fault current from ohmic Thevenin impedance');
+}
+
+// Test 3: Parallel feeders halve the branch impedance
+console.log('\n--- Test 3: Parallel transformers (meshed) ---');
+{
+    const tm = new TopologyManager();
+    const mv = tm.addBus('MV', 13800, 'source');
+    const lv = tm.addBus('LV', 480, 'load');
+    tm.addComponent(utility, mv.id, null);
+    tm.addComponent({ ...transformer, name: 'T1' }, mv.id, lv.id);
+    tm.addComponent({ ...transformer, name: 'T2' }, mv.id, lv.id);
+    
+    const { equivalents } = calculateNetworkThevenin(snapshot(tm));
+    const lvEq = equivalents.find(e => e.busId === lv.id);
+    assertAlmostEqual(cAbs(lvEq.zPU), 0.2 + 1.5, 1e-9, 'Two parallel transformers: Z = Zu + Zt/2');
+}
+
+// Test 4: Two LV buses fed from a common MV bus, generator on one
+console.log('\n--- Test 4: Ring with two sources ---');
+{
+    const tm = new TopologyManager();
+    const mv = tm.addBus('MV', 13800, 'source');
+    const lvA = tm.addBus('LV-A', 480, 'load');
+    const lvB = tm.addBus('LV-B', 480, 'load');
+    tm.addComponent(utility, mv.id, null);
+    tm.addComponent({ ...transformer, name: 'TA' }, mv.id, lvA.id);
+    tm.addComponent({ ...transformer, name: 'TB' }, mv.id, lvB.id);
+    tm.addComponent({ type: 'generator', name: 'G', power: 1, reactance: 15, rx: 0.1 }, lvB.id, null);
+    
+    const network = solveNetwork(buildNetworkModel(snapshot(tm)));
+    const zA = network.getDrivingPointImpedance(lvA.id);
+    const zB = network.getDrivingPointImpedance(lvB.id);
+    
+    // Generator at LV-B in parallel with (utility + TB): LV-B must be stiffer than LV-A
+    assert(cAbs(zB) < cAbs(zA), 'Generator bus has lower driving-point impedance');
+    
+    // Z-bus symmetry for a reciprocal network
+    const zAB = network.getTransferImpedance(lvA.id, lvB.id);
+    const zBA = network.getTransferImpedance(lvB.id, lvA.id);
+    assertAlmostEqual(cAbs(zAB), cAbs(zBA), 1e-12, 'Transfer impedance is symmetric');
+    assert(cAbs(zAB) < cAbs(zA), 'Transfer impedance smaller than driving-point impedance');
+}
+
+// Test 5: De-energized bus
+console.log('\n--- Test 5: Bus without a source path ---');
+{
+    const tm = new TopologyManager();
+    const mv = tm.addBus('MV', 13800, 'source');
+    const lv = tm.addBus('LV', 480, 'load');
+    tm.addBus('Island', 480, 'load');
+    tm.addComponent(utility, mv.id, null);
+    tm.addComponent(transformer, mv.id, lv.id);
+    
+    const { equivalents } = calculateNetworkThevenin(snapshot(tm));
+    const island = equivalents.find(e => e.busName === 'Island');
+    assert(island.energized === false, 'Isolated bus reported as de-energized');
+    assert(equivalents.find(e => e.busId === lv.id).energized === true, 'Connected bus remains energized');
+}
+
+// Test 6: Sequential project format (in-bus cables)
+console.log('\n--- Test 6: Sequential project with in-bus cables ---');
+{
+    const project = require('./Test_Project_IV_2025-10-12.json');
+    const tm = new TopologyManager();
+    const topology = tm.buildFromProject(project);
+    const { equivalents } = calculateNetworkThevenin(topology);
+    
+    const source = equivalents[0];
+    assertAlmostEqual(source.voltage, 13200, 1e-9, 'Source bus created at utility voltage');
+    
+    const lvEq = equivalents[1];
+    const iscKA = 440 / (Math.sqrt(3) * lvEq.z) / 1000;
+    assert(iscKA > 15 && iscKA < 20, `LV fault current ${iscKA.toFixed(2)} kA in expected 15-20 kA range`);
+    
+    // Source voltage unit: explicit voltageUnit, else V for project utilities and kV for calculator entries
+    assert(tm.getSourceVoltage({ type: 'utility', voltage: 13800 }) === 13800, 'Project utility voltage in V');
+    assert(tm.getSourceVoltage({ type: 'utility_isc', voltage: 13.8 }) === 13800, 'Calculator utility voltage in kV');
+    assert(tm.getSourceVoltage({ type: 'utility_mva', voltage: 480, voltageUnit: 'V' }) === 480, 'Explicit voltageUnit takes precedence');
+    const rejected = source => {
+        try {
+            tm.getSourceVoltage(source);
+            return false;
+        } catch (error) {
+            return error.message.includes('check the unit') || error.message.includes('unknown voltage unit');
+        }
+    };
+    assert(rejected({ type: 'utility', voltage: 13.8 }) && rejected({ type: 'utility_isc', voltage: 13800 }),
+        'Voltage entered in the wrong unit rejected, not rescaled');
+    assert(rejected({ type: 'utility', voltage: 13.8, voltageUnit: 'MV' }), 'Unknown voltage unit rejected');
+}
+
+// Test 7: Transformer taps
+console.log('\n--- Test 7: Transformer taps ---');
+{
+    const tm = new TopologyManager();
+    const mv = tm.addBus('MV', 13800, 'source');
+    const lv = tm.addBus('LV', 480, 'load');
+    tm.addComponent(utility, mv.id, null);
+    tm.addComponent({ ...transformer, tapRange: 10, tapPosition: 2.5 }, mv.id, lv.id);
+    const topology = snapshot(tm);
+    
+    const nominal = calculateNetworkThevenin(topology).equivalents.find(e => e.busId === lv.id);
+    assertAlmostEqual(nominal.prefaultPU, 1, 1e-12, 'Nominal ratio without a tap selection');
+    
+    // Ratio t on the primary: Voc = t, Z = Zt + t²·Zu, so the LV fault current rises with the tap
+    const lvFault = taps => {
+        const eq = calculateNetworkThevenin(topology, { taps: taps }).equivalents.find(e => e.busId === lv.id);
+        return { prefault: eq.prefaultPU, z: cAbs(eq.zPU), current: eq.prefaultPU / cAbs(eq.zPU) };
+    };
+    const maximum = lvFault('maximum');
+    const minimum = lvFault('minimum');
+    assertAlmostEqual(maximum.prefault, 1.1, 1e-9, '+10% tap: open-circuit voltage 1.1 pu');
+    assertAlmostEqual(maximum.z, 0.2 * 1.1 * 1.1 + 3.0, 1e-9, '+10% tap: Z = Zt + t²·Zu');
+    assertAlmostEqual(lvFault('current').prefault, 1.025, 1e-9, 'Present tap position');
+    assert(maximum.current > 1 / 3.2 && minimum.current < 1 / 3.2, 'Highest tap raises, lowest tap lowers the LV fault level');
+    
+    const mvEq = calculateNetworkThevenin(topology, { taps: 'maximum' }).equivalents.find(e => e.busId === mv.id);
+    assertAlmostEqual(mvEq.prefaultPU, 1, 1e-9, 'Source bus prefault voltage unchanged by the tap');
+}
+
+// Test 8: Arc flash at the MV source bus (sequential projects put it at the utility voltage)
+console.log('\n--- Test 8: Arc flash at the MV source bus ---');
+{
+    // IEEE 1584-2018 Annex D: 480 V and 4160 V VCB examples
+    const lv = calculateIEEE1584ArcingCurrents(480, 45, 32, 'VCB');
+    assertAlmostEqual(lv.testVoltageCurrents[600], 32.449, 1e-3, '480 V: arcing current at 600 V');
+    assertAlmostEqual(lv.arcingCurrent, 28.793, 1e-3, '480 V: arcing current scaled to the system voltage');
+    assertAlmostEqual(lv.reducedArcingCurrent, 25.244, 1e-3, '480 V: reduced arcing current');
+    
+    const mv = calculateArcFlashIEEE1584_2018({
+        voltage: 4160, boltedFaultCurrent: 15, workingDistance: 914.4, arcDuration: 0.197,
+        equipmentGap: 104, enclosure: { height: 1143, width: 762, depth: 762 }
+    });
+    assert(mv.applicable && mv.warnings.length === 0, '4160 V evaluated within the model ranges');
+    assertAlmostEqual(mv.arcingCurrent, 12.979, 1e-3, '4160 V: arcing current interpolated between 2700 V and 14300 V');
+    assertAlmostEqual(mv.incidentEnergy, 12.95, 0.05, '4160 V: incident energy');
+    
+    const energyAt = voltage => calculateArcFlashIEEE1584_2018({ voltage: voltage, boltedFaultCurrent: 20, equipmentGap: 104 }).incidentEnergy;
+    assertAlmostEqual(energyAt(2700.001), energyAt(2700), 1e-3, 'Continuous across the 2700 V interpolation break');
+    assertAlmostEqual(energyAt(600.001), energyAt(600), 1e-3, 'Continuous across the 600 V model break');
+    
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    new CalculationOrchestrator().runAllAnalysis(require('./Test_Branching_Network_Example.json')).then(result => {
+        console.log = log;
+        console.warn = warn;
+        
+        const arcFlash = result.results.arcFlash;
+        const source = arcFlash.find(entry => entry.busName === 'MV Switchgear');
+        assert(source.voltage === 13200 && source.evaluated && source.equipmentGap === 152, 'MV switchgear evaluated with the 15 kV switchgear gap');
+        assert(source.incidentEnergy > 1 && source.incidentEnergy < 100 && source.ppe,
+            `MV switchgear incident energy in a plausible range (${source.incidentEnergy.toFixed(1)} J/cm²)`);
+        const lvBuses = arcFlash.filter(entry => entry.voltage <= 1000);
+        assert(lvBuses.length === 3 && lvBuses.every(entry => entry.evaluated), 'LV buses evaluated');
+        assert(lvBuses.every(entry => entry.incidentEnergy > 1 && entry.incidentEnergy < 100),
+            `LV incident energies in a plausible range (${lvBuses.map(entry => entry.incidentEnergy.toFixed(1)).join(', ')} J/cm²)`);
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,268 @@
+/**
+ * test_overhead_line.js
+ * Tests for overhead line impedances from tower geometry (overhead_line.js):
+ * 1. Conductor data and bundled phases
+ * 2. Modified Carson's equations
+ * 3. Shield wires and Kron reduction
+ * 4. Sequence impedances
+ * 5. Overhead lines in the topology and network model
+ * 6. Orchestrator validation and IEC 60909 minimum study
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/cable_library.js'));
+Object.assign(global, require('./js/overhead_line.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/load_flow.js'));
+Object.assign(global, require('./js/standard_specific_calcs.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+function assertThrows(fn, text, message) {
+    try {
+        fn();
+        assert(false, message);
+    } catch (e) {
+        assert(e.message.includes(text), `${message} (${e.message})`);
+    }
+}
+
+// 138 kV Drake tie-line on an H-frame with two 3/8 EHS shield wires, 40 km
+const project = require('./Test_Overhead_Line_Example.json');
+const tieLine = project.components.find(c => c.type === 'overhead_line');
+const bare = { ...tieLine, shieldWires: [] };
+const omega = f => 2 * Math.PI * f * 2e-4;
+const re60 = Math.PI * Math.PI * 60 * 1e-4;
+const de60 = 658.5 * Math.sqrt(100 / 60) * 1000;
+
+console.log('\n' + '='.repeat(80));
+console.log('OVERHEAD LINE TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Conductors and bundles
+console.log('\n--- Test 1: Conductors and bundles ---');
+{
+    const drake = getOverheadConductor('Drake');
+    assert(drake.diameter === 28.14 && drake.gmr === 11.43 && drake.material === 'aluminum', 'Drake ACSR from the library');
+    assertThrows(() => getOverheadConductor('Condor'), 'Unknown overhead conductor', 'Conductor outside the library rejected');
+    const custom = getOverheadConductor({ diameter: 20, resistance: 0.1 });
+    assertAlmostEqual(custom.gmr, OVERHEAD_LINE_TYPICAL_DATA.gmrFactor * 10, 1e-12, 'Custom conductor without GMR: stranded GMR from the radius');
+    assertThrows(() => getOverheadConductor({ diameter: 20 }), 'resistance', 'Custom conductor needs a resistance');
+    
+    assert(getBundleGMR(11.43, 1, 0.457) === 11.43, 'Single conductor: own GMR');
+    assertAlmostEqual(getBundleGMR(11.43, 2, 0.457), Math.sqrt(11.43 * 457), 1e-9, 'Twin bundle: √(GMR·d)');
+    assertAlmostEqual(getBundleGMR(11.43, 3, 0.457), Math.cbrt(11.43 * 457 * 457), 1e-9, 'Triple bundle: ∛(GMR·d²)');
+    assertAlmostEqual(getBundleGMR(11.43, 4, 0.457), 1.0905 * Math.pow(11.43 * 457 ** 3, 0.25), 0.01, 'Quad bundle: 1.09·∜(GMR·d³)');
+    
+    const single = calculateOverheadLineImpedance(bare);
+    const twin = calculateOverheadLineImpedance({ ...bare, bundle: 2 });
+    assertAlmostEqual(twin.r1, single.r1 / 2, 1e-4, 'Bundle shares the phase resistance');
+    assertAlmostEqual(single.x1 - twin.x1, omega(60) * Math.log(getBundleGMR(11.43, 2, 0.457) / 11.43), 1e-12, 'Bundle lowers X1 through its GMR');
+}
+
+// Test 2: Carson's equations
+console.log('\n--- Test 2: Carson\'s equations ---');
+{
+    assertAlmostEqual(re60, 0.0592, 1e-4, 'Earth return resistance π²·f·10⁻⁴ = 0.0592 Ω/km at 60 Hz');
+    assertAlmostEqual(de60 / 1000, 850.1, 0.1, 'Earth return depth 658.5·√(ρ/f) = 850 m for 100 Ω·m');
+    
+    const z = calculateOverheadLinePhaseMatrix(bare, { temperature: 20 });
+    const rac = getConductorACResistance(0.0717, 60, 28.14, Infinity).rac;
+    assertAlmostEqual(z[0][0].re, rac + re60, 1e-12, 'Self resistance: conductor AC resistance plus earth return');
+    assertAlmostEqual(z[0][0].im, omega(60) * Math.log(de60 / 11.43), 1e-12, 'Self reactance: ω·2·10⁻⁴·ln(De/GMR)');
+    assertAlmostEqual(z[0][1].re, re60, 1e-12, 'Mutual resistance: earth return only');
+    assertAlmostEqual(z[0][1].im, omega(60) * Math.log(de60 / 7300), 1e-12, 'Mutual reactance: ω·2·10⁻⁴·ln(De/D)');
+    assertAlmostEqual(z[0][2].im, omega(60) * Math.log(de60 / 14600), 1e-12, 'Outer phases at twice the spacing');
+    assert(z[1][0].im === z[0][1].im, 'Phase matrix symmetric');
+    
+    const hot = calculateOverheadLinePhaseMatrix(bare, { temperature: 75 });
+    const rHot = getConductorACResistance(0.0717 * (228 + 75) / (228 + 20), 60, 28.14, Infinity).rac;
+    assertAlmostEqual(hot[0][0].re - re60, rHot, 1e-12, 'ACSR resistance corrected as aluminum (T = 228°C)');
+    const skin = rHot / (0.0717 * (228 + 75) / (228 + 20)) - 1;
+    assert(skin > 0.005 && skin < 0.05, `Skin effect on Drake at 60 Hz: ${(skin * 100).toFixed(1)}%`);
+    
+    const raised = calculateOverheadLinePhaseMatrix({ ...bare, phases: bare.phases.map(p => ({ ...p, y: p.y + 5 })) });
+    assertAlmostEqual(raised[0][1].im, calculateOverheadLinePhaseMatrix(bare)[0][1].im, 1e-12, 'Only the distances between conductors enter the modified equations');
+}
+
+// Test 3: Shield wires
+console.log('\n--- Test 3: Shield wires ---');
+{
+    const oneShield = { ...bare, shieldWires: [{ x: 0, y: 22 }] };
+    const reduced = calculateOverheadLinePhaseMatrix(oneShield);
+    const primitive = calculateOverheadLinePhaseMatrix(bare);
+    // Shield self and phase-shield mutual impedances
+    const zss = complex(4.0 + re60, omega(60) * Math.log(de60 / 0.61));
+    const mutual = p => complex(re60, omega(60) * Math.log(de60 / (Math.hypot(p.x, p.y - 22) * 1000)));
+    const expected = cSub(primitive[0][1], cDiv(cMul(mutual(bare.phases[0]), mutual(bare.phases[1])), zss));
+    assertAlmostEqual(reduced[0][1].re, expected.re, 1e-12, 'Kron reduction: Zab - Zas·Zsb/Zss (R)');
+    assertAlmostEqual(reduced[0][1].im, expected.im, 1e-12, 'Kron reduction: Zab - Zas·Zsb/Zss (X)');
+    
+    const without = calculateOverheadLineImpedance(bare);
+    const withShields = calculateOverheadLineImpedance(tieLine);
+    assert(withShields.x0 < without.x0, `Shield wires lower X0 (${without.x0.toFixed(3)} → ${withShields.x0.toFixed(3)} Ω/km)`);
+    assert(withShields.r0 > without.r0, 'Steel shield wires raise R0');
+    assertAlmostEqual(withShields.x1, without.x1, 0.005, 'Shield wires barely change Z1');
+    const alumoweld = calculateOverheadLineImpedance({ ...tieLine, shieldConductor: '7#8 Alumoweld' });
+    assert(alumoweld.x0 < withShields.x0, 'Lower-resistance shield wires carry more return current');
+    assert(withShields.shieldWires === 2, 'Shield wire count reported');
+}
+
+// Test 4: Sequence impedances
+console.log('\n--- Test 4: Sequence impedances ---');
+{
+    const z = calculateOverheadLineImpedance(tieLine);
+    const m = z.phaseMatrix;
+    const zs = (m[0][0].im + m[1][1].im + m[2][2].im) / 3;
+    const zm = (m[0][1].im + m[1][2].im + m[0][2].im) / 3;
+    assertAlmostEqual(z.x1, zs - zm, 1e-12, 'X1 = Xs - Xm');
+    assertAlmostEqual(z.x0, zs + 2 * zm, 1e-12, 'X0 = Xs + 2·Xm');
+    
+    const gmd = 7.3 * Math.cbrt(2) * 1000;
+    const bareZ = calculateOverheadLineImpedance(bare);
+    assertAlmostEqual(bareZ.x1, omega(60) * Math.log(gmd / 11.43), 1e-12, 'Without shield wires X1 = ω·2·10⁻⁴·ln(GMD/GMR)');
+    assertAlmostEqual(z.x1, 0.504, 0.01, '138 kV Drake H-frame: X1 ≈ 0.50 Ω/km');
+    assert(z.x0 / z.x1 > 2 && z.x0 / z.x1 < 4, `X0/X1 = ${(z.x0 / z.x1).toFixed(2)}, typical of shielded lines`);
+    
+    const dry = calculateOverheadLineImpedance({ ...tieLine, earthResistivity: 1000 });
+    assert(dry.x0 > z.x0, 'Higher earth resistivity raises X0');
+    assertAlmostEqual(dry.x1, z.x1, 1e-3, 'Earth resistivity does not affect Z1');
+    const at50 = calculateOverheadLineImpedance(bare, { frequency: 50 });
+    assertAlmostEqual(at50.x1 / bareZ.x1, 50 / 60, 1e-12, 'X1 proportional to frequency');
+    assert(z.temperature === OVERHEAD_LINE_TYPICAL_DATA.conductorTemperature && z.conductor === 'Drake', 'Line default temperature and conductor reported');
+    
+    assertThrows(() => calculateOverheadLineImpedance({ ...tieLine, phases: tieLine.phases.slice(0, 2) }), 'three phase positions', 'Three phase positions required');
+    assertThrows(() => calculateOverheadLineImpedance({ ...tieLine, shieldWires: [{ x: 0, y: 15 }] }), 'same position', 'Coincident conductors rejected');
+    assertThrows(() => calculateOverheadLineImpedance({ ...tieLine, shieldWires: [{ x: 0, y: -2 }] }), 'height', 'Conductors below ground rejected');
+}
+
+// Test 5: Topology and network model
+console.log('\n--- Test 5: Topology and network model ---');
+{
+    const tm = new TopologyManager();
+    const topology = tm.buildFromProject(project);
+    const line = topology.components.find(c => c.type === 'overhead_line');
+    const perKm = calculateOverheadLineImpedance(line);
+    const ohms = tm.getOverheadLineImpedanceOhms(line);
+    assertAlmostEqual(ohms.x, perKm.x1 * 40, 1e-12, 'Line length in km');
+    const hot = tm.getOverheadLineImpedanceOhms({ ...line, operatingTemp: 75 });
+    assertAlmostEqual(hot.r, calculateOverheadLineImpedance(line, { temperature: 75 }).r1 * 40, 1e-12, 'Operating temperature applied');
+    
+    const zBase = 138000 * 138000 / 100e6;
+    const z1 = getBranchImpedancePU(line, tm.getBus(line.fromBus), tm, 100);
+    const z0 = getBranchImpedancePU(line, tm.getBus(line.fromBus), tm, 100, 'zero');
+    assertAlmostEqual(z1.im, perKm.x1 * 40 / zBase, 1e-12, 'Branch X1 from the tower geometry');
+    assertAlmostEqual(z0.re, perKm.r0 * 40 / zBase, 1e-12, 'Branch R0 from Carson\'s equations');
+    assertAlmostEqual(z0.im, perKm.x0 * 40 / zBase, 1e-12, 'Branch X0 from Carson\'s equations, not the typical 3 × Z1');
+    
+    const stationA = [...tm.toBusSystem().buses.values()].find(b => b.name === 'Station A 138 kV');
+    assert(stationA.connections.length > 0, 'Line converted to a bus system connection');
+    
+    const sequential = tm.convertSequentialProject({
+        voltage: 138000,
+        components: [project.components[0], { ...tieLine, fromBus: undefined, toBus: undefined, createsBus: true }]
+    });
+    assert(sequential.buses.length === 2 && sequential.components[1].toBus === 'Tie Line A-B', 'Sequential line with createsBus starts a new bus');
+    
+    const flow = runLoadFlow(topology);
+    const branch = flow.branches.find(b => b.name === 'Tie Line A-B');
+    assert(flow.converged && branch && branch.loadingPercent > 0, 'Load flow through the overhead line with its ampacity');
+    
+    // Single line-to-ground fault at Station B: Grid B plus Grid A through the line zero sequence
+    const faults = calculateBusSequenceFaults(topology).find(r => r.busName === 'Station B 138 kV').faults;
+    const weak = calculateBusSequenceFaults(new TopologyManager().buildFromProject({
+        ...project,
+        components: project.components.map(c => (c.type === 'overhead_line' ? { ...c, earthResistivity: 3000 } : c))
+    })).find(r => r.busName === 'Station B 138 kV').faults;
+    assert(faults.lineToGround.faultCurrentKA > 0 && faults.threePhase.faultCurrentKA > 0, 'Sequence faults through the overhead line');
+    assert(weak.lineToGround.faultCurrentKA < faults.lineToGround.faultCurrentKA, 'Earth resistivity lowers the remote ground-fault contribution');
+    assertAlmostEqual(weak.threePhase.faultCurrentKA, faults.threePhase.faultCurrentKA, 0.01, 'Three-phase fault independent of earth resistivity');
+}
+
+// Test 6: Orchestrator
+console.log('\n--- Test 6: Orchestrator ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const withLine = changes => ({
+        ...project,
+        components: project.components.map(c => (c.type === 'overhead_line' ? { ...c, ...changes } : c))
+    });
+    const orchestrator = new CalculationOrchestrator();
+    const validation = new CalculationOrchestrator().validateInputs(withLine({ length: 40000 }));
+    Promise.all([
+        orchestrator.runAllAnalysis(project),
+        new CalculationOrchestrator().runAllAnalysis(withLine({ conductor: 'Condor' })),
+        new CalculationOrchestrator().runAllAnalysis(withLine({ length: 0 }))
+    ]).then(([result, unknown, zeroLength]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        assert(result.success, 'Analysis succeeds with the overhead line');
+        assert(result.assumptions.some(a => a.category === 'Overhead Line'), 'Overhead line assumption recorded');
+        const stationB = result.results.shortCircuit.find(sc => sc.busName === 'Station B 138 kV');
+        const expected = calculateBusSequenceFaults(new TopologyManager().buildFromProject(project))
+            .find(r => r.busName === 'Station B 138 kV').faults.threePhase.faultCurrentKA;
+        assertAlmostEqual(stationB.faultCurrents.threePhase / 1000, expected, 0.01, 'Station B fault current through the line');
+        assert(!unknown.success, 'Unknown conductor rejected');
+        assert(!zeroLength.success, 'Zero length rejected');
+        
+        assert(validation.warnings.some(w => w.includes('not m')), 'Length in m flagged');
+        
+        const minimum = orchestrator.getIECMinimumProject(project);
+        const minLine = minimum.components.find(c => c.type === 'overhead_line');
+        assert(minLine.conductorTemperature === IEC_60909_FACTORS.conductorEndTemperature, 'IEC 60909 minimum study: line at the end temperature');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,249 @@
+/**
+ * test_reactor_sizing.js
+ * Tests for current-limiting reactor sizing:
+ * 1. Reactor impedance and network model
+ * 2. Smallest reactor for a target fault level
+ * 3. Infeeds bypassing the reactor
+ * 4. Voltage drop and losses at normal load
+ * 5. Orchestrator reactor sizing results
+ * 6. Reactor current without a load flow: rated current, throughput MVA or none
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/load_flow.js'));
+Object.assign(global, require('./js/reactor_sizing.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 13.8 kV, 1000 MVA utility feeding a 10 MW feeder bus through a 20 MVA current-limiting reactor, target 25 kA
+const reactor = {
+    type: 'reactor', name: 'CLR-1', fromBus: 'MV Main', toBus: 'Feeder Bus',
+    power: 20, voltage: 13.8, reactorType: 'current_limiting', targetFaultCurrent: 25
+};
+const utility = { type: 'utility', name: 'Utility', bus: 'MV Main', shortCircuitMVA: 1000, voltage: 13800, xr: 15 };
+const project = {
+    frequency: 60,
+    buses: [{ name: 'MV Main', voltage: 13800 }, { name: 'Feeder Bus', voltage: 13800 }],
+    components: [
+        utility,
+        reactor,
+        { type: 'load', name: 'Plant', bus: 'Feeder Bus', power: 10, powerUnit: 'MW', pf: 0.9 }
+    ]
+};
+
+function buildTopology(projectData) {
+    return new TopologyManager().buildFromProject(projectData);
+}
+
+function reactorOf(topology, name) {
+    return topology.components.find(comp => comp.name === name);
+}
+
+console.log('\n' + '='.repeat(80));
+console.log('REACTOR SIZING TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Reactor impedance
+console.log('\n--- Test 1: Reactor impedance and network model ---');
+{
+    const topologyManager = new TopologyManager();
+    const percent = topologyManager.getReactorImpedanceOhms({ ...reactor, reactance: 5 }, 13800);
+    assertAlmostEqual(percent.x, 0.05 * 13.8 * 13.8 / 20, 1e-12, '%X on the reactor rating: X = %/100 · kV² / MVA');
+    assertAlmostEqual(percent.r, percent.x / 100, 1e-12, 'Typical X/R of 100');
+    const ohms = topologyManager.getReactorImpedanceOhms({ ...reactor, ohms: 0.5, reactance: 5, xr: 50 }, 13800);
+    assert(ohms.x === 0.5 && ohms.r === 0.01, 'Ohms take precedence over %, X/R from the reactor');
+    assert(topologyManager.getReactorImpedanceOhms({ type: 'reactor' }, 13800).x === 0, 'No reactor data: no impedance');
+    
+    const bus = { voltage: 13800 };
+    const z = getBranchImpedancePU({ ...reactor, ohms: 0.5 }, bus, topologyManager, 100);
+    assertAlmostEqual(z.im, 0.5 / (13.8 * 13.8 / 100), 1e-12, 'Reactor branch in pu on the system base');
+    assert(getBranchImpedancePU(reactor, bus, topologyManager, 100).im === SWITCH_IMPEDANCE_PU, 'Unsized reactor modelled as a closed link');
+    
+    const withReactor = buildTopology({ ...project, components: project.components.map(c => (c === reactor ? { ...c, ohms: 0.3 } : c)) });
+    const without = buildTopology(project);
+    const zWith = calculateNetworkThevenin(withReactor).equivalents.find(eq => eq.busName === 'Feeder Bus');
+    const zWithout = calculateNetworkThevenin(without).equivalents.find(eq => eq.busName === 'Feeder Bus');
+    assertAlmostEqual(zWith.x - zWithout.x, 0.3, 1e-5, 'Reactor reactance adds to the downstream Thevenin impedance');
+    
+    // Sequential format: reactor on a bus without toBus is an in-bus series element, filter reactors are not
+    const sequential = type => buildTopology({
+        voltage: 13800,
+        components: [
+            { ...utility, bus: undefined },
+            { type: 'reactor', name: 'In-bus', ohms: 0.3, reactorType: type }
+        ]
+    });
+    const series = calculateNetworkThevenin(sequential('current_limiting')).equivalents[0];
+    const filter = calculateNetworkThevenin(sequential('filter')).equivalents[0];
+    assertAlmostEqual(series.x - filter.x, 0.3, 1e-5, 'In-bus current-limiting reactor between supply and bus');
+    assert(isNetworkSeriesElement({ type: 'reactor' }) && !isNetworkSeriesElement({ type: 'reactor', reactorType: 'smoothing' }),
+        'Only current-limiting reactors are series elements');
+}
+
+// Test 2: Sizing
+console.log('\n--- Test 2: Smallest reactor for the target ---');
+{
+    const topology = buildTopology(project);
+    const sizing = sizeCurrentLimitingReactor(topology, reactorOf(topology, 'CLR-1'));
+    assert(sizing.targetBusName === 'Feeder Bus' && sizing.withoutReactorKA > 40, 'Target bus defaults to the reactor load side');
+    
+    // Radial feed: |Zs + (1/100 + j)·X| = V / (√3·It)
+    const zs = impedanceFromXR(13800 / (Math.sqrt(3) * sizing.withoutReactorKA * 1000), 15);
+    const zt = 13800 / (Math.sqrt(3) * 25000);
+    const a = 1 + 1e-4;
+    const b = 2 * (zs.re / 100 + zs.im);
+    const c = zs.re * zs.re + zs.im * zs.im - zt * zt;
+    const expected = (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+    assertAlmostEqual(sizing.requiredOhms, expected, REACTOR_SIZING.resolution, 'Required reactance matches the closed form');
+    assert(sizing.limitedKA <= 25 && sizing.limitedKA > 24.95, 'Sized reactor limits the fault just below the target');
+    assert(calculateFaultWithReactor(buildReactorSizingNetwork(topology, reactorOf(topology, 'CLR-1'), topology.topologyManager.getBus(sizing.targetBusId)),
+        sizing.requiredOhms - REACTOR_SIZING.resolution) > 25, 'Next smaller reactor exceeds the target');
+    assertAlmostEqual(sizing.requiredPercent, sizing.requiredOhms * 20 / (13.8 * 13.8) * 100, 1e-9, 'Required reactance in % on the 20 MVA rating');
+    assert(!sizing.meetsTarget && sizing.enteredOhms === 0, 'Reactor without data does not meet the target');
+    
+    const entered = buildTopology({ ...project, components: project.components.map(c => (c === reactor ? { ...c, ohms: sizing.requiredOhms } : c)) });
+    const check = sizeCurrentLimitingReactor(entered, reactorOf(entered, 'CLR-1'));
+    assert(check.meetsTarget && check.enteredKA <= 25, 'Entering the required reactance meets the target');
+    assertAlmostEqual(check.requiredOhms, sizing.requiredOhms, 1e-9, 'Sizing independent of the entered reactance');
+    
+    const easy = buildTopology({ ...project, components: project.components.map(c => (c === reactor ? { ...c, targetFaultCurrent: 60 } : c)) });
+    const none = sizeCurrentLimitingReactor(easy, reactorOf(easy, 'CLR-1'));
+    assert(none.requiredOhms === 0 && none.meetsTarget, 'No reactor needed below the target');
+}
+
+// Test 3: Bypassing infeeds
+console.log('\n--- Test 3: Infeeds bypassing the reactor ---');
+{
+    const generator = { type: 'generator', name: 'G-1', bus: 'Feeder Bus', power: 10, reactance: 15, voltage: 13.8, rx: 0.03 };
+    const withGenerator = buildTopology({ ...project, components: [...project.components, generator] });
+    const radial = buildTopology(project);
+    const sized = sizeCurrentLimitingReactor(withGenerator, reactorOf(withGenerator, 'CLR-1'));
+    const radialSized = sizeCurrentLimitingReactor(radial, reactorOf(radial, 'CLR-1'));
+    assert(sized.achievable && sized.requiredOhms > radialSized.requiredOhms, 'Local generation needs a larger reactor');
+    assert(sized.limitedKA <= 25, 'Target met with the generator contribution');
+    
+    const big = { ...generator, power: 100 };
+    const unreachable = buildTopology({ ...project, components: [...project.components, big] });
+    const result = sizeCurrentLimitingReactor(unreachable, reactorOf(unreachable, 'CLR-1'));
+    assert(!result.achievable && result.requiredOhms === null && result.minimumKA > 25, 'Generator alone above the target: not achievable');
+    
+    const remote = buildTopology({ ...project, components: project.components.map(c => (c === reactor ? { ...c, targetBus: 'MV Main' } : c)) });
+    assert(!sizeCurrentLimitingReactor(remote, reactorOf(remote, 'CLR-1')).achievable, 'Reactor cannot limit a bus on its supply side');
+}
+
+// Test 4: Load effect
+console.log('\n--- Test 4: Voltage drop and losses at normal load ---');
+{
+    const impedance = { r: 0.004, x: 0.4 };
+    const effect = calculateReactorLoadEffect(impedance, 400, 13800, 0.9);
+    const sinPhi = Math.sqrt(1 - 0.81);
+    assertAlmostEqual(effect.voltageDrop, Math.sqrt(3) * 400 * (0.004 * 0.9 + 0.4 * sinPhi), 1e-9, 'ΔV = √3·I·(R·cosφ + X·sinφ)');
+    assertAlmostEqual(effect.lossesKW, 3 * 400 * 400 * 0.004 / 1000, 1e-12, 'Losses 3·I²·R');
+    assertAlmostEqual(effect.reactiveKVAR, 3 * 400 * 400 * 0.4 / 1000, 1e-12, 'Reactive consumption 3·I²·X');
+    assert(calculateReactorLoadEffect(impedance, 400, 13800, 1).voltageDrop < effect.voltageDrop, 'Unity power factor: smaller drop across a reactor');
+}
+
+// Test 5: Orchestrator
+console.log('\n--- Test 5: Orchestrator reactor sizing ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const invalid = { ...project, components: project.components.map(c => (c === reactor ? { ...c, targetFaultCurrent: -5 } : c)) };
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(project),
+        new CalculationOrchestrator().runAllAnalysis(invalid)
+    ]).then(([result, invalidResult]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        const sizing = result.results.reactorSizing;
+        assert(result.success && sizing.length === 1 && sizing[0].name === 'CLR-1', 'Reactor sized in the full analysis');
+        
+        // Load current from the load flow: 10 MW at 0.9 pf
+        const current = 10e6 / 0.9 / (Math.sqrt(3) * 13800);
+        assertAlmostEqual(sizing[0].loadCurrent, current, current * 0.03, 'Reactor current from the load flow');
+        assertAlmostEqual(sizing[0].powerFactor, 0.9, 0.02, 'Power factor from the load flow');
+        assert(sizing[0].loadEffect.voltageDropPercent > 0 && sizing[0].loadEffect.lossesKW > 0, 'Added voltage drop and losses reported');
+        
+        const feeder = result.results.shortCircuit.find(r => r.busName === 'Feeder Bus');
+        assertAlmostEqual(feeder.faultCurrentsKA.threePhase, sizing[0].withoutReactorKA, 0.01, 'Study fault level matches the unsized reactor');
+        assert(result.log.some(entry => entry.message.includes('WARNING: Reactor CLR-1 as entered')), 'Unsized reactor flagged against the target');
+        assert(result.assumptions.some(a => a.category === 'Reactor Sizing'), 'Reactor sizing assumptions recorded');
+        
+        assert(!invalidResult.success && invalidResult.error.includes('Target fault current must be positive'), 'Invalid target rejected');
+        
+        // Test 6: No load flow
+        console.log('\n--- Test 6: Reactor current without a load flow ---');
+        const sizeWithout = fields => {
+            const orchestrator = new CalculationOrchestrator();
+            const topology = buildTopology({ ...project, components: project.components.map(c => (c === reactor ? { ...c, ...fields } : c)) });
+            console.log = () => {};
+            const sized = orchestrator.calculateReactorSizing(topology)[0];
+            console.log = log;
+            return { sized, log: orchestrator.state.calculationLog };
+        };
+        
+        const rated = sizeWithout({ ratedCurrent: 600 }).sized;
+        assert(rated.loadCurrent === 600, 'Rated current used without a load flow');
+        assertAlmostEqual(rated.powerFactor, REACTOR_SIZING.defaultPowerFactor, 1e-12, 'Default power factor without a load flow');
+        
+        const throughput = sizeWithout({ throughputMVA: 12 }).sized;
+        assertAlmostEqual(throughput.loadCurrent, 12e6 / (Math.sqrt(3) * 13800), 1e-6, 'Throughput MVA converted to current at the reactor voltage');
+        
+        const none = sizeWithout({});
+        assert(none.sized.loadCurrent === null && none.sized.loadEffect === null, 'MVAR rating alone gives no load current');
+        assert(none.log.some(entry => entry.message.includes('WARNING: Reactor CLR-1: no load current')), 'Missing load current reported');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
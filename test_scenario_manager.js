@@ -0,0 +1,168 @@
+/**
+ * test_scenario_manager.js
+ * Tests for switching states and operating scenarios:
+ * 1. Applying a scenario to breakers, sources and motors
+ * 2. Scenario validation
+ * 3. Open tie splits the network, closed tie parallels the transformers
+ * 4. Source out of service
+ * 5. Orchestrator runs every scenario, reports the worst case and keeps the base case state
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/scenario_manager.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+const project = require('./Test_Operating_Scenarios_Example.json');
+const scenario = name => project.scenarios.find(s => s.name === name);
+const thevenin = projectData => {
+    const { equivalents } = calculateNetworkThevenin(new TopologyManager().buildFromProject(projectData));
+    return name => equivalents.find(eq => eq.busName === name);
+};
+
+console.log('\n' + '='.repeat(80));
+console.log('SCENARIO MANAGER TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Applying scenarios
+console.log('\n--- Test 1: Applying a scenario ---');
+{
+    assert(hasScenarios(project), 'Example project defines scenarios');
+    assert(getScenarios({ components: [] })[0].name === 'Normal', 'Project without scenarios runs its normal configuration');
+    
+    const applied = applyScenario(project, scenario('Generator only'));
+    const byName = name => applied.components.find(c => c.name === name);
+    assert(applied.scenarios === undefined && applied.activeScenario === 'Generator only', 'Scenario list replaced by the active scenario');
+    assert(byName('MAIN-A').status === 'open' && byName('TIE-AB').status === 'closed', 'Breaker and tie status set by scenario');
+    assert(byName('Utility Source').inService === false && byName('GEN-1').inService === true, 'Source availability set by scenario');
+    assert(byName('Chiller Motor') === undefined, 'Stopped motor removed from the run');
+    assert(project.components.find(c => c.name === 'TIE-AB').status === 'open', 'Original project is not modified');
+    
+    const normal = applyScenario(project, scenario('Normal'));
+    assert(normal.components.find(c => c.name === 'GEN-1').inService === false, 'Components keep their normal state when not overridden');
+    
+    const states = getScenarioComponentStates(project, scenario('Maintenance'));
+    assert(states.length === 6, 'Reported states cover breakers, tie, sources and motor');
+    assert(states.find(s => s.name === 'Chiller Motor').state === 'stopped', 'Motor reported stopped');
+    assert(normalizeSwitchStatus(true) === 'closed' && normalizeSwitchStatus(false) === 'open', 'Boolean switch status accepted');
+}
+
+// Test 2: Validation
+console.log('\n--- Test 2: Scenario validation ---');
+{
+    assert(project.scenarios.every(s => validateScenario(project, s).valid), 'Example scenarios are valid');
+    
+    const unknown = validateScenario(project, { name: 'Bad', breakers: { 'TIE-XY': 'closed' } });
+    assert(!unknown.valid && unknown.errors[0].includes("'TIE-XY' not found"), 'Unknown breaker rejected');
+    
+    const wrongType = validateScenario(project, { name: 'Bad', motors: { 'TX-A': false } });
+    assert(!wrongType.valid && wrongType.errors[0].includes('is a transformer'), 'Transformer listed as motor rejected');
+    
+    const badStatus = validateScenario(project, { name: 'Bad', breakers: { 'MAIN-A': 'racked out' } });
+    assert(!badStatus.valid, 'Invalid switch status rejected');
+    
+    const dark = validateScenario(project, { name: 'Blackout', sources: { 'Utility Source': false } });
+    assert(dark.valid && dark.warnings.some(w => w.includes('no source in service')), 'Scenario without sources warns');
+}
+
+// Test 3: Open and closed tie
+console.log('\n--- Test 3: Bus tie status ---');
+{
+    const normal = thevenin(applyScenario(project, scenario('Normal')));
+    const tieClosed = thevenin(applyScenario(project, scenario('Tie closed')));
+    
+    assertAlmostEqual(normal('Bus A').z, normal('Bus B').z, 1e-9, 'Open tie: each bus fed by its own transformer');
+    assert(tieClosed('Bus A').z < 0.6 * normal('Bus A').z, 'Closed tie parallels the transformers');
+    assertAlmostEqual(tieClosed('Bus A').z, tieClosed('Bus B').z, 1e-6, 'Closed tie ties the buses together');
+}
+
+// Test 4: Source availability
+console.log('\n--- Test 4: Source out of service ---');
+{
+    const normal = thevenin(applyScenario(project, scenario('Normal')));
+    const withGenerator = thevenin(applyScenario(project, { name: 'Gen paralleled', sources: { 'GEN-1': true } }));
+    assert(withGenerator('Bus B').z < normal('Bus B').z, 'Generator in service lowers Bus B impedance');
+    assert(normal('Bus A').z - withGenerator('Bus A').z < 0.01 * normal('Bus A').z, 'With the tie open Bus A sees the generator only through both transformers');
+    
+    const islanded = thevenin(applyScenario(project, scenario('Generator only')));
+    assert(!islanded('MV Switchgear').energized && !islanded('TX-A Secondary').energized, 'MV and transformer buses de-energized with the utility out');
+    assert(islanded('Bus A').energized && islanded('Bus B').energized, 'Generator feeds both buses through the tie');
+}
+
+// Test 5: Orchestrator
+console.log('\n--- Test 5: Orchestrator runs all scenarios ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const orchestrator = new CalculationOrchestrator();
+    orchestrator.runAllAnalysis(project).then(result => {
+        console.log = log;
+        console.warn = warn;
+        
+        assert(result.success, 'All scenarios analysed');
+        assert(Object.keys(result.scenarios).length === 4, 'Results kept per scenario');
+        assert(result.results.activeScenario === 'Normal', 'First scenario is the base case');
+        
+        const faultAt = (name, bus) => result.scenarios[name].results.shortCircuit
+            .find(entry => entry.busName === bus).faultCurrentsKA.threePhase;
+        assert(faultAt('Tie closed', 'Bus A') > faultAt('Normal', 'Bus A'), 'Closed tie raises the Bus A fault current');
+        assert(faultAt('Generator only', 'Bus A') < faultAt('Normal', 'Bus A'), 'Generator alone gives the lowest fault current');
+        assert(result.results.summary.worstCaseScenario === 'Tie closed', 'Worst case is the closed-transition transfer');
+        assert(result.log.some(entry => entry.message.startsWith('[Generator only]')), 'Log entries tagged with their scenario');
+        assert(orchestrator.state.shortCircuit === result.results.shortCircuit, 'Orchestrator state left on the base scenario');
+        assert(orchestrator.projectData.activeScenario === 'Normal', 'Project data left on the base scenario');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
@@ -0,0 +1,344 @@
+/**
+ * test_sequence_fault_analysis.js
+ * Tests for symmetrical-component fault analysis:
+ * 1. Textbook relationships between fault types
+ * 2. Unfaulted phase voltages
+ * 3. Systems without a zero-sequence path
+ * 4. Transformer winding connections in the zero-sequence network
+ * 5. Generator grounding
+ * 6. Vector groups, their validation and currents referred across transformers
+ * 7. Branch and source contributions to a fault
+ * 8. Retained voltage profile during a fault
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+/**
+ * Build topology result in the same shape as TopologyManager.buildFromProject
+ */
+function snapshot(topologyManager) {
+    return {
+        topologyManager: topologyManager,
+        busSystem: topologyManager.toBusSystem(),
+        buses: topologyManager.getAllBuses(),
+        connections: topologyManager.connections,
+        components: topologyManager.components
+    };
+}
+
+/**
+ * Utility → transformer → LV bus with the given transformer connection
+ */
+function buildTransformerSystem(connectionType) {
+    const tm = new TopologyManager();
+    const mv = tm.addBus('MV', 13800, 'source');
+    const lv = tm.addBus('LV', 480, 'load');
+    tm.addComponent({ type: 'utility', name: 'Utility', shortCircuitMVA: 500, voltage: 13800, xr: 10 }, mv.id, null);
+    tm.addComponent({
+        type: 'transformer', name: 'T', power: 2, powerUnit: 'MVA', impedance: 6,
+        primaryV: 13.8, secondaryV: 0.48, rx: 0.1, connectionType: connectionType
+    }, mv.id, lv.id);
+    return { topology: snapshot(tm), mv: mv, lv: lv };
+}
+
+console.log('\n' + '='.repeat(80));
+console.log('SEQUENCE FAULT ANALYSIS TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Fault type relationships
+console.log('\n--- Test 1: Fault type relationships ---');
+{
+    const z = complex(0.01, 0.1);
+    const i3 = calculateSequenceFault(z, z, z, 'threePhase').faultCurrent;
+    const iLG = calculateSequenceFault(z, z, z, 'lineToGround').faultCurrent;
+    const iLL = calculateSequenceFault(z, z, z, 'lineToLine').faultCurrent;
+    
+    assertAlmostEqual(iLG, i3, 1e-9, 'L-G equals 3Ø when Z0 = Z1 = Z2');
+    assertAlmostEqual(iLL / i3, Math.sqrt(3) / 2, 1e-9, 'L-L equals √3/2 × 3Ø when Z2 = Z1');
+    
+    // Low zero-sequence impedance (e.g. near generators): L-G exceeds 3Ø
+    const iLGLowZ0 = calculateSequenceFault(z, z, cScale(z, 0.3), 'lineToGround').faultCurrent;
+    assert(iLGLowZ0 > i3, 'L-G exceeds 3Ø when Z0 < Z1');
+    
+    // Calculator selector values accepted
+    const alias = calculateSequenceFault(z, z, z, 'line-to-ground').faultCurrent;
+    assertAlmostEqual(alias, iLG, 1e-12, 'Calculator fault type names accepted');
+    
+    // 2L-G: sequence currents sum to zero at the fault (phase a open)
+    const dlg = calculateSequenceFault(z, z, cScale(z, 2), 'doubleLineToGround');
+    assertAlmostEqual(cAbs(dlg.phaseCurrents.a), 0, 1e-9, '2L-G: no current in unfaulted phase a');
+    assertAlmostEqual(cAbs(dlg.phaseVoltages.b), 0, 1e-9, '2L-G: faulted phase b voltage is zero');
+}
+
+// Test 2: Unfaulted phase voltages
+console.log('\n--- Test 2: Unfaulted phase voltages ---');
+{
+    const z = complex(0, 0.1);
+    const lg = calculateSequenceFault(z, z, z, 'lineToGround');
+    assertAlmostEqual(cAbs(lg.phaseVoltages.a), 0, 1e-9, 'L-G: faulted phase voltage is zero');
+    assertAlmostEqual(cAbs(lg.phaseVoltages.b), 1.0, 1e-9, 'L-G with Z0 = Z1: Vb stays at 1.0 pu');
+    
+    // Z0 = 3·Z1 (effectively grounded limit): healthy phases rise above 1.0 pu
+    const lgHighZ0 = calculateSequenceFault(z, z, cScale(z, 3), 'lineToGround');
+    assert(cAbs(lgHighZ0.phaseVoltages.b) > 1.0, 'L-G with Z0 > Z1: healthy phase overvoltage');
+    assert(lgHighZ0.unfaultedPhases.join(',') === 'b,c', 'L-G unfaulted phases are b and c');
+    
+    const ll = calculateSequenceFault(z, z, z, 'lineToLine');
+    assertAlmostEqual(cAbs(ll.phaseVoltages.a), 1.0, 1e-9, 'L-L: unfaulted phase a at 1.0 pu');
+    assertAlmostEqual(cAbs(ll.phaseVoltages.b), 0.5, 1e-9, 'L-L: faulted phases at 0.5 pu');
+}
+
+// Test 3: No zero-sequence path
+console.log('\n--- Test 3: No zero-sequence path ---');
+{
+    const z = complex(0.01, 0.1);
+    assertAlmostEqual(calculateSequenceFault(z, z, null, 'lineToGround').faultCurrent, 0, 1e-12, 'L-G current is zero');
+    assertAlmostEqual(
+        calculateSequenceFault(z, z, null, 'doubleLineToGround').faultCurrent,
+        calculateSequenceFault(z, z, null, 'lineToLine').faultCurrent,
+        1e-12,
+        '2L-G reduces to L-L'
+    );
+}
+
+// Test 4: Transformer winding connections
+console.log('\n--- Test 4: Transformer connections ---');
+{
+    const dyn = buildTransformerSystem('Dyn11');
+    const dynResults = calculateBusSequenceFaults(dyn.topology);
+    const dynLV = dynResults.find(r => r.busId === dyn.lv.id);
+    assert(dynLV.grounded, 'Dyn11: LV bus has a zero-sequence path');
+    
+    // Z0 at LV = transformer only, Z1 = utility + transformer → L-G > 3Ø
+    assert(dynLV.faults.lineToGround.faultCurrentKA > dynLV.faults.threePhase.faultCurrentKA,
+        'Dyn11: LV L-G exceeds 3Ø (delta blocks utility Z0)');
+    
+    // Delta primary: MV bus zero sequence unaffected by the transformer
+    const dynMV = dynResults.find(r => r.busId === dyn.mv.id);
+    assertAlmostEqual(dynMV.faults.lineToGround.faultCurrentKA, dynMV.faults.threePhase.faultCurrentKA, 1e-9,
+        'Dyn11: MV L-G set by utility only (Z0 = Z1)');
+    
+    const ynd = buildTransformerSystem('YNd1');
+    const yndLV = calculateBusSequenceFaults(ynd.topology).find(r => r.busId === ynd.lv.id);
+    assert(!yndLV.grounded, 'YNd1: LV delta bus has no zero-sequence path');
+    assertAlmostEqual(yndLV.faults.lineToGround.faultCurrentKA, 0, 1e-12, 'YNd1: LV L-G current is zero');
+    
+    const ynyn = buildTransformerSystem('YNyn0');
+    const ynynLV = calculateBusSequenceFaults(ynyn.topology).find(r => r.busId === ynyn.lv.id);
+    assertAlmostEqual(ynynLV.faults.lineToGround.faultCurrentKA, ynynLV.faults.threePhase.faultCurrentKA, 1e-9,
+        'YNyn0: utility Z0 passes through (Z0 = Z1)');
+}
+
+// Test 5: Generator grounding
+console.log('\n--- Test 5: Generator grounding ---');
+{
+    const build = grounding => {
+        const tm = new TopologyManager();
+        const bus = tm.addBus('Gen Bus', 4160, 'source');
+        tm.addComponent({ type: 'generator', name: 'G', power: 5, reactance: 12, rx: 0.1, grounding: grounding }, bus.id, null);
+        return calculateBusSequenceFaults(snapshot(tm))[0];
+    };
+    
+    const solid = build('solid');
+    assert(solid.faults.lineToGround.faultCurrentKA > solid.faults.threePhase.faultCurrentKA,
+        'Solidly grounded generator: L-G exceeds 3Ø (X0 < X"d)');
+    
+    const ungrounded = build('ungrounded');
+    assertAlmostEqual(ungrounded.faults.lineToGround.faultCurrentKA, 0, 1e-12, 'Ungrounded generator: L-G current is zero');
+    assertAlmostEqual(ungrounded.faults.lineToGround.phaseVoltagesPU.b.magnitude, Math.sqrt(3), 1e-9,
+        'Ungrounded generator: healthy phases rise to √3 pu (neutral shift)');
+    
+    // Calculator chain: generator entered with X"d as xdSubtransient only
+    const chain = accumulateChainSequenceImpedance(createChainSequenceImpedance(),
+        { type: 'generator', xdSubtransient: 15, x2: 18, x0: 6 }, { r: 0.001, x: 0.01 });
+    assertAlmostEqual(chain.z2.x, 0.012, 1e-12, 'Chain X2 from x2 / xdSubtransient');
+    assertAlmostEqual(chain.z0.x, 0.004, 1e-12, 'Chain X0 from x0 / xdSubtransient');
+}
+
+// Test 6: Vector groups
+console.log('\n--- Test 6: Vector groups and primary-side currents ---');
+{
+    assert(getVectorGroupPhaseShift('Dyn11') === 30, 'Dyn11: secondary leads primary by 30°');
+    assert(getVectorGroupPhaseShift('Dyn1') === -30, 'Dyn1: secondary lags primary by 30°');
+    assert(getVectorGroupPhaseShift('YNyn0') === 0, 'YNyn0: no phase shift');
+    
+    const zigzag = getVectorGroupZeroSequence('Dzn0');
+    assert(zigzag.secondaryShunt && !zigzag.series && zigzag.secondaryRatio < 1, 'Dzn0: low-impedance grounding shunt on secondary');
+    const yy = getVectorGroupZeroSequence('Yyn0');
+    assert(!yy.series && !yy.primaryShunt && !yy.secondaryShunt, 'Yyn0: ungrounded primary gives no zero-sequence path');
+    
+    let threw = false;
+    try {
+        parseVectorGroup('Xyz7');
+    } catch (error) {
+        threw = true;
+    }
+    assert(threw, 'Unknown vector group raises an error');
+    
+    const unknown = getConnectionTypeImpact('Xyz7');
+    assert(unknown.description === 'Unknown vector group: Xyz7' && unknown.phaseShift === null && unknown.zeroSequenceModel === null,
+        'Unknown vector group described as unknown, not as Dyn11');
+    assert(getConnectionTypeImpact('Dyn1').phaseShift === -30 && getConnectionTypeImpact('Dyn1').zeroSequence.includes('secondary'),
+        'Known vector group described from its own data');
+    
+    // Input validation reports an invalid two-winding vector group against its transformer
+    const transformer = { type: 'transformer', power: 2, powerUnit: 'MVA', impedance: 6, primaryV: 13.8, secondaryV: 0.48 };
+    const log = console.log;
+    console.log = () => {};
+    const validation = new CalculationOrchestrator().validateInputs({
+        components: [
+            { type: 'utility', name: 'Utility', shortCircuitMVA: 500, voltage: 13800 },
+            { ...transformer, connectionType: 'Dyn11' },
+            { ...transformer, connectionType: 'Dyn13' }
+        ]
+    });
+    console.log = log;
+    assert(!validation.valid && validation.errors.includes('Transformer 3: Invalid clock number in vector group: Dyn13'),
+        'Invalid vector group rejected for its transformer');
+    assert(!validation.errors.some(error => error.startsWith('Transformer 2:')), 'Valid vector group accepted');
+    
+    // L-G fault on a Dyn11 secondary: two primary phases carry I/(√3·n), third carries nothing
+    const dyn = buildTransformerSystem('Dyn11');
+    const lg = calculateBusSequenceFaults(dyn.topology).find(r => r.busId === dyn.lv.id).faults.lineToGround;
+    const xfmr = lg.transformers[0];
+    const expectedPrimary = lg.faultCurrentKA * (480 / 13800) / Math.sqrt(3);
+    assertAlmostEqual(xfmr.secondary.neutralCurrentKA, lg.faultCurrentKA, 1e-9, 'Dyn11: full ground current returns through transformer neutral');
+    assertAlmostEqual(xfmr.primary.phaseCurrentsKA.a.magnitude, expectedPrimary, 1e-9, 'Dyn11: primary phase A carries I/(√3·n)');
+    assertAlmostEqual(xfmr.primary.phaseCurrentsKA.b.magnitude, expectedPrimary, 1e-9, 'Dyn11: primary phase B carries I/(√3·n)');
+    assertAlmostEqual(xfmr.primary.phaseCurrentsKA.c.magnitude, 0, 1e-9, 'Dyn11: primary phase C carries no current');
+    
+    // Three-phase fault: primary current shifted by -30° relative to the secondary
+    const threePhase = calculateBusSequenceFaults(dyn.topology).find(r => r.busId === dyn.lv.id).faults.threePhase.transformers[0];
+    assertAlmostEqual(threePhase.secondary.phaseCurrentsKA.a.angle - threePhase.primary.phaseCurrentsKA.a.angle, 30, 1e-9,
+        'Dyn11: 30° shift between secondary and primary currents');
+    
+    // YNyn0: zero-sequence current passes through, primary current in the faulted phase only
+    const ynyn = buildTransformerSystem('YNyn0');
+    const ynynXfmr = calculateBusSequenceFaults(ynyn.topology).find(r => r.busId === ynyn.lv.id).faults.lineToGround.transformers[0];
+    assertAlmostEqual(ynynXfmr.primary.phaseCurrentsKA.b.magnitude, 0, 1e-9, 'YNyn0: no current in unfaulted primary phases');
+}
+
+// Test 7: Fault contributions
+console.log('\n--- Test 7: Branch and source contributions ---');
+{
+    const dyn = buildTransformerSystem('Dyn11');
+    const lvFaults = calculateBusSequenceFaults(dyn.topology).find(r => r.busId === dyn.lv.id).faults;
+    const threePhase = lvFaults.threePhase;
+    const xfmr = threePhase.contributions.find(c => c.element === 'branch');
+    const utility = threePhase.contributions.find(c => c.element === 'source');
+    assert(xfmr.fromBusId === dyn.mv.id && xfmr.toBusId === dyn.lv.id, 'Transformer contribution flows from MV toward the faulted LV bus');
+    assertAlmostEqual(xfmr.currentKA, threePhase.faultCurrentKA, 1e-9, 'Radial feed: transformer carries the whole fault current');
+    assertAlmostEqual(utility.currentKA, threePhase.faultCurrentKA * 480 / 13800, 1e-9, 'Utility current scaled by the voltage ratio');
+    assertAlmostEqual(xfmr.angleDeg - utility.angleDeg, 30, 1e-9, 'Dyn11: utility current lags the secondary current by 30°');
+    
+    // L-G fault: utility sees the same phase currents as the transformer primary
+    const lg = lvFaults.lineToGround;
+    const lgUtility = lg.contributions.find(c => c.element === 'source');
+    const primary = lg.transformers[0].primary.phaseCurrentsKA;
+    assertAlmostEqual(lgUtility.phaseCurrentsKA.a.magnitude, primary.a.magnitude, 1e-9, 'L-G: utility phase A matches the transformer primary');
+    assertAlmostEqual(lgUtility.phaseCurrentsKA.c.magnitude, 0, 1e-9, 'L-G: no utility current in phase C');
+    assertAlmostEqual(lg.contributions.find(c => c.element === 'branch').sequenceCurrentsKA.zero.magnitude,
+        lg.faultCurrentKA / 3, 1e-9, 'L-G: zero-sequence current supplied through the grounded wye');
+    
+    // Parallel transformers share the fault current equally
+    const tm = new TopologyManager();
+    const mv = tm.addBus('MV', 13800, 'source');
+    const lv = tm.addBus('LV', 480, 'load');
+    tm.addComponent({ type: 'utility', name: 'Utility', shortCircuitMVA: 500, voltage: 13800, xr: 10 }, mv.id, null);
+    ['T1', 'T2'].forEach(name => tm.addComponent({
+        type: 'transformer', name: name, power: 2, powerUnit: 'MVA', impedance: 6,
+        primaryV: 13.8, secondaryV: 0.48, rx: 0.1, connectionType: 'Dyn11'
+    }, mv.id, lv.id));
+    const parallel = calculateBusSequenceFaults(snapshot(tm)).find(r => r.busId === lv.id).faults.threePhase;
+    const branches = parallel.contributions.filter(c => c.element === 'branch');
+    assert(branches.length === 2, 'One contribution per parallel transformer');
+    assertAlmostEqual(branches[0].currentKA, parallel.faultCurrentKA / 2, 1e-9, 'Parallel transformers: each carries half the fault current');
+    
+    // Fault at the source bus: the utility delivers the whole fault current, the transformer nothing
+    const mvFault = calculateBusSequenceFaults(dyn.topology).find(r => r.busId === dyn.mv.id).faults.threePhase;
+    assert(mvFault.contributions.length === 1 && mvFault.contributions[0].element === 'source', 'Unloaded transformer does not contribute');
+    assertAlmostEqual(mvFault.contributions[0].currentKA, mvFault.faultCurrentKA, 1e-9, 'Utility supplies the full MV fault current');
+}
+
+// Test 8: Fault voltage profile
+console.log('\n--- Test 8: Retained voltage profile ---');
+{
+    const dyn = buildTransformerSystem('Dyn11');
+    const results = calculateBusSequenceFaults(dyn.topology);
+    const mvResult = results.find(r => r.busId === dyn.mv.id);
+    const lvResult = results.find(r => r.busId === dyn.lv.id);
+    const profileAt = (profile, busId) => profile.find(p => p.busId === busId);
+    
+    // Three-phase fault at LV: the MV bus retains the transformer's share of the impedance
+    const threePhase = lvResult.faults.threePhase.voltageProfile;
+    const zu = mvResult.impedancePU.z1;
+    const expected = cAbs(cSub(complex(1, 0), cDiv(zu, lvResult.impedancePU.z1)));
+    assert(threePhase.length === 2 && profileAt(threePhase, dyn.lv.id).faulted, 'Profile covers every bus and marks the faulted one');
+    assertAlmostEqual(profileAt(threePhase, dyn.mv.id).phaseVoltagesPU.a.magnitude, expected, 1e-9, '3φ: MV voltage = 1 - Zutility/Zfault');
+    assertAlmostEqual(profileAt(threePhase, dyn.lv.id).minPhaseVoltagePU, 0, 1e-9, '3φ: faulted bus collapses');
+    assertAlmostEqual(profileAt(threePhase, dyn.mv.id).phaseVoltagesPU.a.angle, -30, 1e-6, 'Dyn11: MV voltage referred back across the 30° shift');
+    
+    // L-G fault: faulted bus matches the fault result, no zero-sequence voltage on the delta side
+    const lg = lvResult.faults.lineToGround;
+    const lvLg = profileAt(lg.voltageProfile, dyn.lv.id);
+    assertAlmostEqual(lvLg.phaseVoltagesPU.b.magnitude, lg.phaseVoltagesPU.b.magnitude, 1e-9, 'L-G: faulted bus voltages match the fault result');
+    assertAlmostEqual(profileAt(lg.voltageProfile, dyn.mv.id).sequenceVoltagesPU.zero.magnitude, 0, 1e-12, 'L-G: no zero-sequence voltage behind the delta winding');
+    assert(profileAt(lg.voltageProfile, dyn.mv.id).minPhaseVoltagePU > lvLg.minPhaseVoltagePU, 'L-G: sag is milder at the MV bus');
+    
+    // Ungrounded LV: L-G fault displaces the neutral, healthy phases rise to line voltage
+    const dd = buildTransformerSystem('Dd0');
+    const ddLg = calculateBusSequenceFaults(dd.topology).find(r => r.busId === dd.lv.id).faults.lineToGround.voltageProfile;
+    assertAlmostEqual(profileAt(ddLg, dd.lv.id).phaseVoltagesPU.b.magnitude, Math.sqrt(3), 1e-9, 'Ungrounded L-G: healthy phases at √3 pu');
+    assertAlmostEqual(profileAt(ddLg, dd.mv.id).minPhaseVoltagePU, 1, 1e-9, 'Ungrounded L-G: MV bus unaffected');
+}
+
+// Summary
+console.log('\n' + '='.repeat(80));
+console.log('TEST SUMMARY');
+console.log('='.repeat(80));
+console.log(`Total tests run: ${testsPassed + testsFailed}`);
+console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+console.log(`Tests failed: ${testsFailed}`);
+console.log('='.repeat(80));
+
+if (testsFailed === 0) {
+    console.log('✓ ALL TESTS PASSED');
+    process.exit(0);
+} else {
+    console.log('✗ SOME TESTS FAILED');
+    process.exit(1);
+}
@@ -0,0 +1,217 @@
+/**
+ * test_three_winding_transformer.js
+ * Tests for the three-winding transformer (transformer_3w):
+ * 1. Vector group, phase shifts and zero-sequence paths of each winding
+ * 2. Star equivalent of the winding-pair impedances on their own bases
+ * 3. Three-phase faults on the secondary and tertiary buses
+ * 4. Ground faults, delta tertiary and winding neutral currents
+ * 5. Load flow through the three windings
+ * 6. Orchestrator results
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+
+// Modules share browser globals
+global.BusSystem = BusSystem;
+global.TopologyManager = TopologyManager;
+Object.assign(global, require('./js/transformer_model.js'));
+Object.assign(global, require('./js/network_solver.js'));
+Object.assign(global, require('./js/sequence_fault_analysis.js'));
+Object.assign(global, require('./js/grounding_model.js'));
+Object.assign(global, require('./js/load_flow.js'));
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+// 69/13.8/4.16 kV, 30/20/10 MVA, YNyn0d1: Zps 8% on 20 MVA, Zpt 10% and Zst 6% on 10 MVA
+const project = require('./Test_Three_Winding_Example.json');
+const topology = new TopologyManager().buildFromProject(project);
+const transformer = topology.components.find(c => c.type === 'transformer_3w');
+const busFaults = name => calculateBusSequenceFaults(topology).find(r => r.busName === name);
+
+console.log('\n' + '='.repeat(80));
+console.log('THREE-WINDING TRANSFORMER TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Vector group
+console.log('\n--- Test 1: Vector group ---');
+{
+    const group = parseThreeWindingVectorGroup('YNyn0d1');
+    assert(group.secondaryGroup === 'YNyn0' && group.tertiaryGroup === 'YNd1', 'Each secondary read as a two-winding group');
+    assert(group.primary.grounded && group.secondary.grounded && group.tertiary.connection === 'D', 'Grounded wyes with a delta tertiary');
+    
+    const shifts = getThreeWindingPhaseShifts('YNyn0d1');
+    assert(shifts.secondary === 0 && shifts.tertiary === getVectorGroupPhaseShift('YNd1'), 'Tertiary shifted by its clock number');
+    
+    const zero = getThreeWindingZeroSequence('YNyn0d1');
+    assert(zero.primary.path === 'series' && zero.secondary.path === 'series' && zero.tertiary.path === 'delta', 'Zero-sequence paths per winding');
+    assert(getThreeWindingZeroSequence('YNd1y1').tertiary.path === 'open', 'Ungrounded tertiary wye is open');
+    
+    let threw = false;
+    try {
+        parseThreeWindingVectorGroup('Dyn11');
+    } catch (e) {
+        threw = true;
+    }
+    assert(threw, 'Two-winding group rejected');
+}
+
+// Test 2: Star equivalent
+console.log('\n--- Test 2: Star equivalent ---');
+{
+    const star = getThreeWindingStarImpedances(8, 10, 6);
+    assert(star.primary === 6 && star.secondary === 2 && star.tertiary === 4, 'Zp, Zs, Zt from the pair impedances');
+    
+    const ratings = topology.topologyManager.getThreeWindingRatingsMVA(transformer);
+    assert(ratings.primarySecondary === 20 && ratings.primaryTertiary === 10 && ratings.secondaryTertiary === 10, 'Pair bases default to the smaller winding');
+    
+    // On 100 MVA: Zps 0.4, Zpt 1.0, Zst 0.6 pu → Zp 0.4, Zs 0 (closed link), Zt 0.6
+    const z = getThreeWindingImpedancesPU(transformer, topology.topologyManager, 100);
+    assertAlmostEqual(cAbs(z.primary), 0.4, 1e-9, 'Primary winding 0.4 pu');
+    assertAlmostEqual(cAbs(z.tertiary), 0.6, 1e-9, 'Tertiary winding 0.6 pu');
+    assert(cAbs(z.secondary) < 1e-3, 'Zero secondary winding modelled as a closed link');
+    
+    const model = buildNetworkModel(topology);
+    const starPoint = model.nodes.find(n => n.internal);
+    assert(starPoint && starPoint.busId === null && starPoint.name === 'T1 (star point)', 'Internal star-point node');
+    const windings = model.branches.filter(b => b.components.includes(transformer)).map(b => b.winding);
+    assert(windings.join() === 'primary,secondary,tertiary', 'One branch per winding');
+    assert(topology.connections.filter(c => c.component === transformer).length === 2, 'Primary connected to both other buses');
+}
+
+// Test 3: Three-phase faults
+console.log('\n--- Test 3: Three-phase faults ---');
+{
+    const { equivalents } = calculateNetworkThevenin(topology);
+    const zSource = 100 / 2000;
+    const mv = equivalents.find(e => e.busName === 'MV Switchgear');
+    const tertiary = equivalents.find(e => e.busName === 'Tertiary Bus');
+    assertAlmostEqual(cAbs(mv.zPU), zSource + 0.4, 2e-3, 'MV bus behind source, primary and secondary windings');
+    assertAlmostEqual(cAbs(tertiary.zPU), zSource + 0.4 + 0.6, 2e-3, 'Tertiary bus behind primary and tertiary windings');
+    
+    const mvFault = busFaults('MV Switchgear').faults.threePhase;
+    assertAlmostEqual(mvFault.faultCurrentKA, 100 / (Math.sqrt(3) * 13.8 * cAbs(mv.zPU)), 1e-6, 'MV fault current from the star impedances');
+    
+    const tertiaryFault = busFaults('Tertiary Bus').faults.threePhase;
+    const primary = tertiaryFault.contributions.find(c => c.name === 'T1 (primary)');
+    const winding = tertiaryFault.contributions.find(c => c.name === 'T1 (tertiary)');
+    assertAlmostEqual(winding.currentKA, tertiaryFault.faultCurrentKA, 1e-6, 'Tertiary winding carries the whole fault');
+    assertAlmostEqual(primary.currentKA, winding.currentKA * 4.16 / 69, 1e-6, 'Primary current referred by the voltage ratio');
+    assertAlmostEqual(primary.angleDeg - winding.angleDeg, 30, 1e-6, 'Primary current shifted 30° from the d1 tertiary');
+    assert(tertiaryFault.voltageProfile.every(v => v.busName !== 'T1 (star point)'), 'Star point not reported as a bus');
+}
+
+// Test 4: Ground faults
+console.log('\n--- Test 4: Ground faults ---');
+{
+    const mv = busFaults('MV Switchgear');
+    const lineToGround = mv.faults.lineToGround;
+    assert(lineToGround.faultCurrentKA > mv.faults.threePhase.faultCurrentKA, 'Delta tertiary lowers Z0 below Z1 at the MV bus');
+    
+    const secondaryNeutral = lineToGround.neutralCurrents.find(n => n.side === 'secondary');
+    const primaryNeutral = lineToGround.neutralCurrents.find(n => n.side === 'primary');
+    assertAlmostEqual(secondaryNeutral.neutralCurrent / 1000, lineToGround.faultCurrentKA, 1e-6, 'Secondary neutral returns the ground current');
+    assert(primaryNeutral.neutralCurrent > 0 && primaryNeutral.voltage === 69000, 'Grounded primary neutral shares the zero-sequence current');
+    
+    const tertiary = busFaults('Tertiary Bus');
+    assert(tertiary.faults.lineToGround.faultCurrentKA === 0, 'No ground-fault current on the delta tertiary');
+    
+    // Tertiary wye grounded: ground path on the 4.16 kV bus
+    const grounded = new TopologyManager().buildFromProject({
+        ...project,
+        components: project.components.map(c => (c.type === 'transformer_3w' ? { ...c, connectionType: 'YNd1yn1' } : c))
+    });
+    const groundedFault = calculateBusSequenceFaults(grounded).find(r => r.busName === 'Tertiary Bus');
+    assert(groundedFault.faults.lineToGround.faultCurrentKA > 0, 'Grounded tertiary wye feeds a ground fault');
+}
+
+// Test 5: Load flow
+console.log('\n--- Test 5: Load flow ---');
+{
+    const result = runLoadFlow(topology);
+    assert(result.converged, 'Load flow converges through the star point');
+    
+    const branch = name => result.branches.find(b => b.name === `T1 (${name})`);
+    const primary = branch('primary');
+    const secondary = branch('secondary');
+    const tertiary = branch('tertiary');
+    assertAlmostEqual(primary.pFromMW, secondary.pFromMW + tertiary.pFromMW + primary.lossMW, 1e-4, 'Primary power feeds both windings and its losses');
+    assertAlmostEqual(-secondary.pToMW, 12, 1e-4, 'Secondary delivers the MV load');
+    assertAlmostEqual(-tertiary.pToMW, 5, 1e-4, 'Tertiary delivers the motor bus load');
+    
+    const mvaLoading = (b, rating) => Math.hypot(b.pFromMW, b.qFromMVAR) / rating * 100;
+    assertAlmostEqual(primary.loadingPercent, mvaLoading(primary, 30), 1e-6, 'Primary loading on its 30 MVA rating');
+    assertAlmostEqual(secondary.loadingPercent, mvaLoading(secondary, 20), 1e-6, 'Secondary loading on its 20 MVA rating');
+    assertAlmostEqual(tertiary.loadingPercent, mvaLoading(tertiary, 10), 1e-6, 'Tertiary loading on its 10 MVA rating');
+    
+    const voltage = name => result.buses.find(b => b.busName === name).voltagePU;
+    assert(voltage('Tertiary Bus') < voltage('MV Switchgear') && voltage('MV Switchgear') < voltage('HV Yard'), 'Voltage falls across the windings');
+}
+
+// Test 6: Orchestrator
+console.log('\n--- Test 6: Orchestrator ---');
+{
+    const log = console.log;
+    const warn = console.warn;
+    console.log = () => {};
+    console.warn = () => {};
+    const invalid = {
+        ...project,
+        components: project.components.map(c => (c.type === 'transformer_3w' ? { ...c, connectionType: 'YNyn0' } : c))
+    };
+    Promise.all([
+        new CalculationOrchestrator().runAllAnalysis(project),
+        new CalculationOrchestrator().runAllAnalysis(invalid)
+    ]).then(([result, invalidResult]) => {
+        console.log = log;
+        console.warn = warn;
+        
+        assert(result.success, 'Analysis succeeds');
+        const shortCircuit = result.results.shortCircuit.find(sc => sc.busName === 'MV Switchgear');
+        assertAlmostEqual(shortCircuit.faultCurrents.threePhase / 1000, busFaults('MV Switchgear').faults.threePhase.faultCurrentKA, 0.01, 'Short circuit through the star equivalent');
+        assert(result.results.loadFlow && result.results.loadFlow.converged, 'Load flow results persisted');
+        assert(!invalidResult.success, 'Two-winding vector group rejected on a three-winding transformer');
+        
+        // Summary
+        console.log('\n' + '='.repeat(80));
+        console.log('TEST SUMMARY');
+        console.log('='.repeat(80));
+        console.log(`Total tests run: ${testsPassed + testsFailed}`);
+        console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+        console.log(`Tests failed: ${testsFailed}`);
+        console.log('='.repeat(80));
+        
+        if (testsFailed === 0) {
+            console.log('✓ ALL TESTS PASSED');
+            process.exit(0);
+        } else {
+            console.log('✗ SOME TESTS FAILED');
+            process.exit(1);
+        }
+    });
+}
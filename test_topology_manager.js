@@ -0,0 +1,192 @@
+/**
+ * test_topology_manager.js
+ * Tests for the explicit bus/branch project format:
+ * 1. Sequential projects converted to the network format
+ * 2. Converted and hand-written network projects give the same results
+ * 3. Branching radial system
+ * 4. Invalid bus references
+ * 5. Transformer ratings checked against bus voltages
+ */
+
+// Import required modules
+const { BusSystem } = require('./js/bus_model.js');
+const { TopologyManager } = require('./js/topology_manager.js');
+const { calculateNetworkThevenin } = require('./js/network_solver.js');
+const { CalculationOrchestrator } = require('./js/calculation_orchestrator.js');
+
+// toBusSystem() expects BusSystem as a browser global
+global.BusSystem = BusSystem;
+
+// Test utilities
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+    if (condition) {
+        console.log('✓', message);
+        testsPassed++;
+    } else {
+        console.error('✗', message);
+        testsFailed++;
+    }
+}
+
+function assertAlmostEqual(actual, expected, tolerance, message) {
+    const diff = Math.abs(actual - expected);
+    if (diff <= tolerance) {
+        console.log(`✓ ${message} (${actual.toFixed(6)} ≈ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsPassed++;
+    } else {
+        console.error(`✗ ${message} (${actual.toFixed(6)} ≠ ${expected.toFixed(6)}, diff=${diff.toExponential(2)})`);
+        testsFailed++;
+    }
+}
+
+const sequentialProject = require('./Test_Project_IV_2025-10-12.json');
+const branchingProject = require('./Test_Branching_Network_Example.json');
+
+console.log('\n' + '='.repeat(80));
+console.log('TOPOLOGY MANAGER TESTS');
+console.log('='.repeat(80));
+
+// Test 1: Sequential conversion
+console.log('\n--- Test 1: Sequential project conversion ---');
+{
+    const tm = new TopologyManager();
+    assert(!tm.isNetworkFormat(sequentialProject), 'Project without a bus list is sequential');
+    assert(tm.isNetworkFormat(branchingProject), 'Project with a bus list is in network format');
+    
+    const network = tm.convertSequentialProject(sequentialProject);
+    assert(network.buses.length === 2, 'Source bus plus transformer secondary bus');
+    assert(network.buses[0].name === 'Source' && network.buses[0].voltage === 13200, 'Source bus at utility voltage');
+    assert(network.buses[1].name === 'Main Transformer' && network.buses[1].voltage === 440, 'Secondary bus named after transformer at 440 V');
+    
+    const [utility, mvCable, transformer, lvCable] = network.components;
+    assert(utility.bus === 'Source', 'Utility is a shunt element on the source bus');
+    assert(mvCable.bus === 'Source' && mvCable.toBus === undefined, 'In-bus cable stays on its bus');
+    assert(transformer.fromBus === 'Source' && transformer.toBus === 'Main Transformer', 'Transformer becomes a branch');
+    assert(lvCable.bus === 'Main Transformer', 'LV cable on the secondary bus');
+    assert(sequentialProject.components[0].bus === undefined, 'Original project is not modified');
+    
+    // Transformers sharing a name still get distinct buses
+    const duplicate = tm.convertSequentialProject({
+        voltage: 480,
+        components: [
+            { type: 'utility', voltage: 13800, shortCircuitMVA: 500 },
+            { type: 'transformer', name: 'T', primaryV: 13.8, secondaryV: 4.16, power: 5, impedance: 6 },
+            { type: 'transformer', name: 'T', primaryV: 4.16, secondaryV: 0.48, power: 1, impedance: 5 }
+        ]
+    });
+    assert(duplicate.buses[1].name !== duplicate.buses[2].name, 'Duplicate transformer names produce distinct buses');
+    assert(duplicate.components[2].fromBus === duplicate.buses[1].name, 'Second transformer fed from the first secondary bus');
+}
+
+// Test 2: Converted and hand-written projects agree
+console.log('\n--- Test 2: Network format equivalent to sequential ---');
+{
+    const [utility, mvCable, transformer, lvCable] = sequentialProject.components;
+    const explicit = {
+        ...sequentialProject,
+        buses: [
+            { name: 'MV', voltage: 13200 },
+            { name: 'LV', voltage: 440 }
+        ],
+        components: [
+            { ...utility, bus: 'MV' },
+            { ...mvCable, bus: 'MV' },
+            { ...transformer, fromBus: 'MV', toBus: 'LV' },
+            { ...lvCable, bus: 'LV' }
+        ]
+    };
+    
+    const fromSequential = calculateNetworkThevenin(new TopologyManager().buildFromProject(sequentialProject));
+    const explicitTopology = new TopologyManager().buildFromProject(explicit);
+    const fromExplicit = calculateNetworkThevenin(explicitTopology);
+    
+    assert(explicitTopology.buses[0].type === 'source', 'Bus hosting the utility becomes a source bus');
+    assertAlmostEqual(fromExplicit.equivalents[1].z, fromSequential.equivalents[1].z, 1e-12, 'Same LV Thevenin impedance');
+    assertAlmostEqual(fromExplicit.equivalents[0].z, fromSequential.equivalents[0].z, 1e-12, 'Same MV Thevenin impedance');
+}
+
+// Test 3: Branching radial system
+console.log('\n--- Test 3: Branching radial system ---');
+{
+    const topology = new TopologyManager().buildFromProject(branchingProject);
+    const byName = name => topology.buses.find(bus => bus.name === name);
+    
+    assert(topology.buses.length === 4, 'Four buses from the bus list');
+    assert(byName('MV Switchgear').connectedBuses.length === 2, 'Switchgear feeds two unit substations');
+    assert(byName('MCC-1').connectedBuses[0] === byName('LV Switchboard A').id, 'MCC fed from switchboard A');
+    assert(byName('MCC-1').components.some(comp => comp.type === 'motor'), 'Motor placed on its named bus');
+    
+    const { equivalents } = calculateNetworkThevenin(topology);
+    const zOf = name => equivalents.find(eq => eq.busName === name).z;
+    assert(zOf('LV Switchboard A') < zOf('LV Switchboard B'), 'Larger transformer gives the stiffer switchboard');
+    assert(zOf('MCC-1') > zOf('LV Switchboard A'), 'Feeder impedance adds at the MCC');
+    
+    const validation = new CalculationOrchestrator().validateInputs(branchingProject);
+    assert(validation.valid, 'Orchestrator accepts network-format projects');
+}
+
+// Test 4: Invalid bus references
+console.log('\n--- Test 4: Invalid bus references ---');
+{
+    const expectError = (project, pattern, message) => {
+        let error = null;
+        try {
+            new TopologyManager().buildFromProject(project);
+        } catch (e) {
+            error = e;
+        }
+        assert(error !== null && pattern.test(error.message), `${message}${error ? ` (${error.message})` : ''}`);
+    };
+    
+    expectError({
+        buses: [{ name: 'A', voltage: 480 }],
+        components: [{ type: 'cable', name: 'F1', fromBus: 'A', toBus: 'B', length: 10 }]
+    }, /F1: bus 'B' not found/, 'Branch to an unknown bus raises an error');
+    
+    expectError({
+        buses: [{ name: 'A', voltage: 480 }, { name: 'A', voltage: 480 }],
+        components: []
+    }, /Duplicate bus name/, 'Duplicate bus names raise an error');
+    
+    expectError({
+        buses: [{ name: 'A' }],
+        components: []
+    }, /invalid nominal voltage/, 'Bus without nominal voltage raises an error');
+}
+
+// Test 5: Transformer rating vs bus voltage
+console.log('\n--- Test 5: Transformer voltages against bus voltages ---');
+{
+    const tm = new TopologyManager();
+    tm.buildFromProject({
+        buses: [{ name: 'MV', voltage: 13200 }, { name: 'LV', voltage: 4160 }],
+        components: [
+            { type: 'utility', bus: 'MV', voltage: 13200, shortCircuitMVA: 250 },
+            { type: 'transformer', name: 'TX', fromBus: 'MV', toBus: 'LV', power: 1, powerUnit: 'MVA', impedance: 5, primaryV: 13.2, secondaryV: 0.48 }
+        ]
+    });
+    const validation = tm.validateTopology();
+    assert(validation.valid, 'Voltage mismatch is a warning, not an error');
+    assert(validation.warnings.some(w => w.includes('secondaryV 0.48 kV does not match bus LV')), 'Secondary voltage mismatch reported');
+    assert(!validation.warnings.some(w => w.includes('primaryV')), 'Matching primary voltage not reported');
+}
+
+// Summary
+console.log('\n' + '='.repeat(80));
+console.log('TEST SUMMARY');
+console.log('='.repeat(80));
+console.log(`Total tests run: ${testsPassed + testsFailed}`);
+console.log(`Tests passed: ${testsPassed} (${((testsPassed / (testsPassed + testsFailed)) * 100).toFixed(1)}%)`);
+console.log(`Tests failed: ${testsFailed}`);
+console.log('='.repeat(80));
+
+if (testsFailed === 0) {
+    console.log('✓ ALL TESTS PASSED');
+    process.exit(0);
+} else {
+    console.log('✗ SOME TESTS FAILED');
+    process.exit(1);
+}